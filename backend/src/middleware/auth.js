@@ -1,5 +1,29 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const permissions = require('../services/permissions');
+const reputation = require('../services/reputation');
+
+// Access tokens are short-lived; the refresh token keeps the reader signed in
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_COOKIE = 'refreshToken';
+
+/**
+ * Verify an access token and load its user
+ * Tokens are tied to a session, so revoking the session signs them out
+ * @returns {Object|null} { user, sessionId }, or null when the session was revoked
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.sid && !(await Session.exists({ _id: decoded.sid }))) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, sessionId: decoded.sid || null };
+};
 
 /**
  * Protect routes - verify JWT token
@@ -21,11 +45,14 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ error: 'Not authorized, no token provided' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and get its user
+    const verified = await verifyAccessToken(token);
 
-    // Get user from token
-    const user = await User.findById(decoded.id).select('-password');
+    if (!verified) {
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+
+    const { user, sessionId } = verified;
 
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -36,9 +63,12 @@ const protect = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    if (error.name !== 'TokenExpiredError') {
+      console.error('Auth middleware error:', error);
+    }
     
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ error: 'Invalid token' });
@@ -65,10 +95,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
-      if (user && user.isActive) {
-        req.user = user;
+      const verified = await verifyAccessToken(token);
+      if (verified && verified.user && verified.user.isActive) {
+        req.user = verified.user;
+        req.sessionId = verified.sessionId;
       }
     }
     
@@ -120,28 +150,200 @@ const reporterOrAdmin = (req, res, next) => {
 };
 
 /**
- * Generate JWT token
+ * Permission middleware (roles and scopes live in services/permissions.js)
+ * @param {string|Function} permission - e.g. 'articles.publish', or
+ *   (req) => permission when it depends on the request
+ * @param {Function} getResource - Optional async (req) => resource scope
+ *   from permissions.resourceLoader(); null means it does not exist.
+ *   Without it, holding the permission anywhere is enough.
+ */
+const can = (permission, getResource) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Not authorized' });
+      }
+
+      const needed = typeof permission === 'function' ? permission(req) : permission;
+      const resource = getResource ? await getResource(req) : undefined;
+      if (resource === null) {
+        return res.status(404).json({ error: `${getResource.label || 'Resource'} not found` });
+      }
+
+      if (!(await permissions.hasPermission(req.user, needed, resource))) {
+        return res.status(403).json({
+          error: 'You do not have permission to do this',
+          permission: needed
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+};
+
+/**
+ * Verified identity middleware (for posting public content such as comments)
+ * A verified email or a phone number confirmed by OTP both count
+ */
+const verifiedOnly = (req, res, next) => {
+  if (!req.user || !(req.user.emailVerified || req.user.phoneVerified)) {
+    return res.status(403).json({
+      error: 'Please verify your email address or phone number first',
+      code: 'NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+/**
+ * Comment restriction middleware - refuses readers under a mute or ban
+ * @param {...string} kinds - Restrictions that block the route (default both);
+ *   a mute stops posting and editing, a ban also stops likes and reports
+ */
+const commentingAllowed = (...kinds) => {
+  const blocking = kinds.length > 0 ? kinds : ['mute', 'ban'];
+  return (req, res, next) => {
+    const restriction = reputation.activeRestriction(req.user);
+    if (restriction && blocking.includes(restriction.kind)) {
+      return res.status(403).json({
+        error: restriction.kind === 'ban'
+          ? 'You are banned from commenting'
+          : 'You are muted and cannot comment right now',
+        code: restriction.kind === 'ban' ? 'COMMENT_BAN' : 'COMMENT_MUTE',
+        restriction
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Raw API key from `X-API-Key` or `Authorization: ApiKey <key>`
+ */
+const getApiKey = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('ApiKey ')) {
+    return header.slice('ApiKey '.length).trim();
+  }
+  return req.get('x-api-key') || null;
+};
+
+/**
+ * API key auth for machine clients such as scrapers
+ * @param {...string} scopes - Scopes the key must have (any one of them)
+ */
+const apiKeyAuth = (...scopes) => {
+  return async (req, res, next) => {
+    try {
+      const rawKey = getApiKey(req);
+      if (!rawKey) {
+        return res.status(401).json({ error: 'Not authorized, no API key provided' });
+      }
+
+      const apiKey = await ApiKey.verify(rawKey);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+
+      if (scopes.length > 0 && !scopes.some(scope => apiKey.hasScope(scope))) {
+        return res.status(403).json({ error: `API key is missing the '${scopes.join("' or '")}' scope` });
+      }
+
+      apiKey.touch(req.ip).catch(error => console.error('API key last-used error:', error));
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error('API key middleware error:', error);
+      res.status(401).json({ error: 'Not authorized' });
+    }
+  };
+};
+
+/**
+ * API key with a scope, or a signed-in admin (for routes shared by
+ * scrapers and the dashboard)
+ */
+const apiKeyOrAdmin = (...scopes) => {
+  const keyAuth = apiKeyAuth(...scopes);
+  return (req, res, next) => {
+    if (getApiKey(req)) {
+      return keyAuth(req, res, next);
+    }
+    protect(req, res, () => adminOnly(req, res, next));
+  };
+};
+
+/**
+ * Generate JWT access token for a session
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax'
+});
+
 /**
  * Set token cookie
  */
 const setTokenCookie = (res, token) => {
-  const cookieOptions = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'lax',
-    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-  };
+  const { exp } = jwt.decode(token);
+  res.cookie('token', token, { ...cookieOptions(), expires: new Date(exp * 1000) });
+};
+
+/**
+ * Set refresh token cookie (only sent to the auth routes)
+ */
+const setRefreshCookie = (res, refreshToken, expires) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(), path: '/api/auth', expires });
+};
+
+/**
+ * Clear both auth cookies
+ */
+const clearAuthCookies = (res) => {
+  res.cookie('token', '', { ...cookieOptions(), expires: new Date(0) });
+  res.cookie(REFRESH_COOKIE, '', { ...cookieOptions(), path: '/api/auth', expires: new Date(0) });
+};
+
+/**
+ * Refresh token from the request body or cookie
+ */
+const getRefreshToken = (req) => {
+  return (req.body && req.body.refreshToken) || (req.cookies && req.cookies[REFRESH_COOKIE]) || null;
+};
+
+/**
+ * Client details recorded with a session
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * Start a device session and send its tokens as cookies
+ * @returns {Object} { token, refreshToken }
+ */
+const issueTokens = async (req, res, user) => {
+  const { session, refreshToken } = await Session.start(user._id, getClientInfo(req));
+  const token = generateToken(user._id, session._id);
 
-  res.cookie('token', token, cookieOptions);
+  setTokenCookie(res, token);
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  return { token, refreshToken };
 };
 
 module.exports = {
@@ -150,6 +352,16 @@ module.exports = {
   authorize,
   adminOnly,
   reporterOrAdmin,
+  can,
+  verifiedOnly,
+  commentingAllowed,
+  apiKeyAuth,
+  apiKeyOrAdmin,
   generateToken,
-  setTokenCookie
+  setTokenCookie,
+  setRefreshCookie,
+  clearAuthCookies,
+  getRefreshToken,
+  getClientInfo,
+  issueTokens
 };
@@ -102,6 +102,9 @@ const validateLanguageCode = async (code) => {
   return codes.includes(code);
 };
 
+// Comment text, the same for new and edited comments
+const commentContent = Joi.string().min(1).max(1000).required();
+
 // Common validation schemas
 const schemas = {
   // Auth schemas
@@ -116,6 +119,36 @@ const schemas = {
     password: Joi.string().required()
   }),
 
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().max(1000).required(),
+    password: Joi.string().min(6).max(100).required()
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().max(1000).required()
+  }),
+
+  // Phone numbers are normalized to E.164 in the route (utils/phone.js)
+  phoneOtpRequest: Joi.object({
+    phone: Joi.string().max(20).required()
+  }),
+
+  phoneOtpVerify: Joi.object({
+    phone: Joi.string().max(20).required(),
+    code: Joi.string().pattern(/^\d{6}$/).required(),
+    // Used when the number creates a new account
+    name: Joi.string().min(2).max(100)
+  }),
+
+  // Falls back to the refresh token cookie when omitted
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().max(200)
+  }),
+
   // User schemas
   updateProfile: Joi.object({
     name: Joi.string().min(2).max(100),
@@ -146,7 +179,8 @@ const schemas = {
     image: Joi.string().uri().allow(null, ''),
     order: Joi.number().integer().min(0),
     isActive: Joi.boolean(),
-    isFeatured: Joi.boolean()
+    isFeatured: Joi.boolean(),
+    commentPolicy: Joi.string().valid('inherit', 'screened', 'pre', 'closed')
   }),
 
   // Article schemas - now accepts dynamic language keys
@@ -196,19 +230,218 @@ const schemas = {
       Joi.string(),
       Joi.string().uri().allow('')
     ).allow(null),
+    audioMeta: Joi.object().pattern(
+      Joi.string(),
+      Joi.object({
+        duration: Joi.number().min(0),
+        format: Joi.string().valid('mp3', 'wav'),
+        markers: Joi.array().items(Joi.object({
+          paragraph: Joi.number().integer().min(0).required(),
+          start: Joi.number().min(0).required(),
+          end: Joi.number().min(0).required()
+        }))
+      }).allow(null)
+    ).allow(null),
     tags: Joi.array().items(Joi.string().max(50)),
     status: Joi.string().valid('draft', 'pending', 'published', 'archived'),
     isFeatured: Joi.boolean(),
     isBreaking: Joi.boolean(),
-    isPremium: Joi.boolean()
+    isPremium: Joi.boolean(),
+    kind: Joi.string().valid('standard', 'live_blog'),
+    commentPolicy: Joi.string().valid('inherit', 'screened', 'pre', 'closed')
+  }),
+
+  // Scheduled publishing - wall-clock times in the city's timezone
+  scheduleArticle: Joi.object({
+    publishAt: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/).allow(null, '')
+      .messages({ 'string.pattern.base': 'publishAt must be in YYYY-MM-DDTHH:mm format' }),
+    unpublishAt: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/).allow(null, '')
+      .messages({ 'string.pattern.base': 'unpublishAt must be in YYYY-MM-DDTHH:mm format' }),
+    city: Joi.string().hex().length(24).allow(null, '')
+  }),
+
+  // Editorial workflow schemas
+  workflowSteps: Joi.object({
+    steps: Joi.array().items(Joi.object({
+      key: Joi.string().pattern(/^[a-z0-9-]+$/).min(2).max(50).required(),
+      name: Joi.string().min(2).max(100).required(),
+      description: Joi.string().max(500).allow('')
+    })).min(1).max(10).required()
+  }),
+
+  // Permission schemas
+  roles: Joi.object({
+    roles: Joi.array().items(Joi.object({
+      key: Joi.string().pattern(/^[a-z0-9-]+$/).min(2).max(50).required(),
+      name: Joi.string().min(2).max(100).required(),
+      description: Joi.string().max(500).allow(''),
+      permissions: Joi.array().items(Joi.string().max(50)).unique().required()
+    })).min(1).max(30).required()
+  }),
+
+  userGrants: Joi.object({
+    grants: Joi.array().items(Joi.object({
+      role: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required(),
+      categories: Joi.array().items(Joi.string().hex().length(24)).unique().default([]),
+      cities: Joi.array().items(Joi.string().hex().length(24)).unique().default([]),
+      languages: Joi.array().items(Joi.string().min(2).max(10)).unique().default([])
+    })).max(20).required()
+  }),
+
+  approveArticle: Joi.object({
+    note: Joi.string().max(2000).allow('')
+  }),
+
+  rejectArticle: Joi.object({
+    reason: Joi.string().min(3).max(2000).required(),
+    notes: Joi.array().items(Joi.object({
+      field: Joi.string().valid('title', 'summary', 'content').required(),
+      language: Joi.string().min(2).max(10).required(),
+      excerpt: Joi.string().max(500).allow(''),
+      comment: Joi.string().min(1).max(1000).required()
+    })).max(50)
+  }),
+
+  assignReviewer: Joi.object({
+    reviewer: Joi.string().hex().length(24).required()
+  }),
+
+  checkDuplicates: Joi.object({
+    content: Joi.object().pattern(Joi.string(), Joi.string().max(10000).allow('')).required(),
+    excludeId: Joi.string().hex().length(24).allow(null)
+  }),
+
+  // Translation glossary schemas
+  glossaryTerm: Joi.object({
+    term: Joi.string().trim().min(1).max(100).required(),
+    category: Joi.string().valid('place', 'party', 'brand', 'person', 'organization', 'other'),
+    translations: Joi.object().pattern(
+      Joi.string().min(2).max(10),
+      Joi.string().trim().max(100).allow('')
+    ),
+    caseSensitive: Joi.boolean(),
+    note: Joi.string().max(500).allow(''),
+    isActive: Joi.boolean()
+  }),
+
+  // API key schemas
+  apiKey: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid('scraped:write', 'scraped:read')).min(1).unique().required(),
+    expiresAt: Joi.date().greater('now').allow(null)
+  }),
+
+  adminSetup: Joi.object({
+    setupToken: Joi.string().max(500).required(),
+    name: Joi.string().min(2).max(100).required(),
+    email: Joi.string().email().required(),
+    password: Joi.string().min(8).max(100).required()
+  }),
+
+  // Push subscription schemas
+  pushSubscription: Joi.object({
+    subscription: Joi.object({
+      endpoint: Joi.string().uri({ scheme: ['https', 'http'] }).max(1000).required(),
+      expirationTime: Joi.any(),
+      keys: Joi.object({
+        p256dh: Joi.string().max(200).required(),
+        auth: Joi.string().max(100).required()
+      }).required()
+    }).required(),
+    sessionId: Joi.string().max(100).allow(null, ''),
+    language: Joi.string().min(2).max(10).allow(null),
+    city: Joi.string().hex().length(24).allow(null),
+    area: Joi.string().hex().length(24).allow(null),
+    categories: Joi.array().items(Joi.string().hex().length(24)).max(50)
+  }),
+
+  pushUnsubscribe: Joi.object({
+    endpoint: Joi.string().uri({ scheme: ['https', 'http'] }).max(1000).required()
+  }),
+
+  // Scraped article schemas
+  convertScraped: Joi.object({
+    ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique().required(),
+    reporter: Joi.string().hex().length(24).required(),
+    category: Joi.string().hex().length(24).required(),
+    generateAudio: Joi.boolean().default(false)
   }),
 
   // Comment schemas
   createComment: Joi.object({
-    content: Joi.string().min(1).max(1000).required(),
+    content: commentContent,
     parent: Joi.string().hex().length(24).allow(null)
   }),
 
+  updateComment: Joi.object({
+    content: commentContent
+  }),
+
+  moderateComment: Joi.object({
+    status: Joi.string().valid('approved', 'flagged', 'deleted').required(),
+    reason: Joi.string().max(500).allow('', null)
+  }),
+
+  moderateComments: Joi.object({
+    ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique().required(),
+    status: Joi.string().valid('approved', 'flagged', 'deleted').required(),
+    reason: Joi.string().max(500).allow('', null)
+  }),
+
+  reportComment: Joi.object({
+    reason: Joi.string().valid('spam', 'abuse', 'hate', 'harassment', 'misinformation', 'off-topic', 'other').required(),
+    note: Joi.string().max(500).allow('')
+  }),
+
+  commentRestriction: Joi.object({
+    kind: Joi.string().valid('mute', 'ban').required(),
+    // Left out, the restriction lasts until it is lifted
+    hours: Joi.number().integer().min(1).max(24 * 365),
+    reason: Joi.string().max(500).allow('')
+  }),
+
+  appeal: Joi.object({
+    kind: Joi.string().valid('comment', 'restriction').required(),
+    comment: Joi.string().hex().length(24).when('kind', {
+      is: 'comment',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    message: Joi.string().min(10).max(1000).required()
+  }),
+
+  appealDecision: Joi.object({
+    status: Joi.string().valid('granted', 'denied').required(),
+    response: Joi.string().max(1000).allow('')
+  }),
+
+  // Live blog schemas
+  liveBlogEntry: Joi.object({
+    headline: multilingualString(false, 0, 200),
+    content: multilingualString(true, 0, 5000).required(),
+    postedAt: Joi.date().max('now'),
+    isPinned: Joi.boolean(),
+    isKeyEvent: Joi.boolean(),
+    // Fill in the other languages in the background
+    translate: Joi.boolean()
+  }),
+
+  updateLiveBlogEntry: Joi.object({
+    headline: multilingualString(false, 0, 200),
+    content: multilingualString(true, 0, 5000),
+    postedAt: Joi.date().max('now'),
+    isPinned: Joi.boolean(),
+    isKeyEvent: Joi.boolean()
+  }).min(1),
+
+  liveBlogState: Joi.object({
+    state: Joi.string().valid('live', 'ended').required()
+  }),
+
+  liveBlogContributors: Joi.object({
+    contributors: Joi.array().items(Joi.string().hex().length(24)).max(50).required()
+  }),
+
   // Location schemas - now accepts dynamic language keys
   createCity: Joi.object({
     name: Joi.object().pattern(
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Record of a password reset or email verification link. The link itself
+// is a signed JWT naming this record; marking it used makes it single-use.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  // Address the link was sent to (verification must match the current one)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Expired links are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
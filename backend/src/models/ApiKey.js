@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Last-used details are written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Credential for scrapers and other machine clients. The key is
+// `tn_<prefix>_<secret>`; the prefix finds the record and only a hash of
+// the secret is stored, so a key can be shown once and never again.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  // What the key may do; routes ask for one of these with apiKeyAuth()
+  scopes: [{
+    type: String,
+    enum: ['scraped:write', 'scraped:read']
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+/**
+ * Issue a new key
+ * @param {Object} data - { name, scopes, expiresAt, createdBy }
+ * @returns {Object} { apiKey, key } - the raw key is only available here
+ */
+apiKeySchema.statics.issue = async function({ name, scopes, expiresAt = null, createdBy }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+
+  const apiKey = await this.create({
+    name,
+    prefix,
+    keyHash: hashSecret(secret),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, key: `tn_${prefix}_${secret}` };
+};
+
+/**
+ * Find the active key matching a raw key
+ * @returns {Object|null} ApiKey document
+ */
+apiKeySchema.statics.verify = async function(rawKey) {
+  const match = /^tn_([0-9a-f]{12})_([\w-]+)$/.exec(String(rawKey || ''));
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1], revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+/**
+ * Record that a key was used (throttled so busy scrapers do not write on
+ * every request)
+ */
+apiKeySchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Never expose the hash
+apiKeySchema.methods.toPublicJSON = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    createdBy: this.createdBy,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A reader asking moderators to look again at a held, flagged or rejected
+// comment, or at a mute or ban
+const appealSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  kind: {
+    type: String,
+    enum: ['comment', 'restriction'],
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  message: {
+    type: String,
+    required: [true, 'Tell the moderators why'],
+    trim: true,
+    maxlength: [1000, 'Appeal cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'granted', 'denied'],
+    default: 'open'
+  },
+  response: {
+    type: String,
+    default: ''
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+appealSchema.index({ user: 1, createdAt: -1 });
+appealSchema.index({ status: 1, createdAt: 1 });
+// One open appeal per comment or restriction
+appealSchema.index(
+  { user: 1, kind: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+const Appeal = mongoose.model('Appeal', appealSchema);
+
+module.exports = Appeal;
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const slugify = require('../utils/slugify');
+const { isValidPoint } = require('../utils/geo');
 const languageCache = require('../utils/languageCache');
+const City = require('./City');
 
 // Validator for required multilingual fields (checks default language)
 const validateDefaultLanguage = async function(map) {
@@ -123,6 +125,53 @@ areaSchema.statics.findContainingPoint = async function(coordinates) {
   });
 };
 
+// Areas without a boundary polygon are matched by their center point
+const AREA_CENTER_MAX_METERS = 2000;
+const CITY_CENTER_MAX_METERS = 50000;
+
+/**
+ * Static method to resolve a point to the area and city it falls in.
+ * Boundary polygons win; otherwise the closest area center (or city
+ * center) within a short distance is used.
+ * @param {number[]} coordinates - [lng, lat]
+ * @returns {Object} { area, city } ObjectIds (null when unresolved)
+ */
+areaSchema.statics.resolveLocation = async function(coordinates) {
+  if (!isValidPoint(coordinates)) return { area: null, city: null };
+
+  const near = (maxDistance) => ({
+    $near: {
+      $geometry: { type: 'Point', coordinates },
+      $maxDistance: maxDistance
+    }
+  });
+
+  const area = await this.findContainingPoint(coordinates) ||
+    await this.findOne({ isActive: true, center: near(AREA_CENTER_MAX_METERS) }).select('city');
+  if (area) return { area: area._id, city: area.city };
+
+  const city = await City.findOne({ isActive: true, center: near(CITY_CENTER_MAX_METERS) }).select('_id');
+  return { area: null, city: city ? city._id : null };
+};
+
+// Static method to find the closest other areas of the same city
+areaSchema.statics.findNeighbours = async function(area, maxDistanceMeters = 5000, limit = 5) {
+  return this.find({
+    _id: { $ne: area._id },
+    city: area.city,
+    isActive: true,
+    center: {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: area.center.coordinates
+        },
+        $maxDistance: maxDistanceMeters
+      }
+    }
+  }).limit(limit);
+};
+
 // Static method to find areas near coordinates
 areaSchema.statics.findNearby = async function(coordinates, maxDistanceMeters = 5000, limit = 10) {
   return this.find({
@@ -2,6 +2,9 @@ const mongoose = require('mongoose');
 const crypto = require('crypto');
 const slugify = require('../utils/slugify');
 const languageCache = require('../utils/languageCache');
+const { toIndexText } = require('../utils/searchText');
+const { fingerprint } = require('../utils/similarity');
+const Area = require('./Area');
 
 // Generate a short unique article ID (e.g., "TJ-a3f8b2c1")
 const generateArticleId = () => {
@@ -24,6 +27,18 @@ const validateDefaultLanguage = async function(map) {
   return map.has(defaultLang) && map.get(defaultLang)?.trim().length > 0;
 };
 
+// Narration of one language: length and where each paragraph starts
+const audioMetaSchema = new mongoose.Schema({
+  duration: Number, // seconds
+  format: String,
+  markers: [{
+    paragraph: Number, // index among the blank-line separated paragraphs
+    start: Number,
+    end: Number,
+    _id: false
+  }]
+}, { _id: false });
+
 const articleSchema = new mongoose.Schema({
   title: {
     type: Map,
@@ -86,6 +101,12 @@ const articleSchema = new mongoose.Schema({
     of: String,
     default: new Map()
   },
+  // Per-language narration details for the files in `audio`
+  audioMeta: {
+    type: Map,
+    of: audioMetaSchema,
+    default: new Map()
+  },
   images: [{
     url: String,
     caption: {
@@ -125,6 +146,17 @@ const articleSchema = new mongoose.Schema({
     pincode: String,
     placeId: String
   },
+  // Area and city the location point falls in (resolved on save)
+  area: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Area',
+    default: null
+  },
+  city: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true,
@@ -138,6 +170,69 @@ const articleSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  // Scheduled publishing (embargo) - stored as UTC instants resolved
+  // from the wall-clock time in the city's timezone
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  scheduleTimezone: {
+    type: String,
+    default: null
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Origin when the article was converted from a scraped article
+  source: {
+    url: {
+      type: String,
+      default: null
+    },
+    scrapedArticle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScrapedArticle',
+      default: null
+    }
+  },
+  // Editorial review workflow
+  workflow: {
+    state: {
+      type: String,
+      enum: ['in_review', 'approved', 'rejected', null],
+      default: null
+    },
+    step: {
+      type: String,
+      default: null
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    lastRejection: {
+      reason: String,
+      step: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: Date,
+      notes: [{
+        field: String,
+        language: String,
+        excerpt: String,
+        comment: String
+      }]
+    }
+  },
   // Engagement metrics (using atomic operations)
   engagement: {
     views: {
@@ -169,14 +264,96 @@ const articleSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Breaking-news push delivery (claimed once per article)
+  breakingPush: {
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    delivered: {
+      type: Number,
+      default: 0
+    },
+    quiet: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
   isPremium: {
     type: Boolean,
     default: false
   },
+  // A live blog is a running story: `content` is its introduction and
+  // updates are posted as entries (see LiveBlogEntry)
+  kind: {
+    type: String,
+    enum: ['standard', 'live_blog'],
+    default: 'standard'
+  },
+  liveBlog: {
+    state: {
+      type: String,
+      enum: ['live', 'ended', null],
+      default: null
+    },
+    // Reporters who may post entries besides the author and editors
+    contributors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    entriesCount: {
+      type: Number,
+      default: 0
+    },
+    lastEntryAt: {
+      type: Date,
+      default: null
+    },
+    endedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Comment moderation; 'inherit' follows the category
+  commentPolicy: {
+    type: String,
+    enum: ['inherit', 'screened', 'pre', 'closed'],
+    default: 'inherit'
+  },
   readingTime: {
     type: Number, // in minutes
     default: 1
   },
+  // Pre-analyzed search terms per language (see utils/searchText) backing
+  // the text index; maintained by hooks, never returned by default
+  search: {
+    type: [{
+      _id: false,
+      lang: String,
+      title: String,
+      summary: String,
+      content: String,
+      tags: String
+    }],
+    select: false,
+    default: []
+  },
+  // Near-duplicate fingerprint of the default-language content
+  // (see utils/similarity); maintained by hooks, never returned by default
+  dedup: {
+    signature: {
+      type: [Number],
+      select: false
+    },
+    bands: {
+      type: [String],
+      select: false
+    }
+  },
   seo: {
     metaTitle: String,
     metaDescription: String,
@@ -195,11 +372,69 @@ articleSchema.index({ category: 1, status: 1, publishedAt: -1 });
 articleSchema.index({ categoryAncestors: 1, status: 1, publishedAt: -1 });
 articleSchema.index({ author: 1, status: 1 });
 articleSchema.index({ 'location.city': 1, status: 1, publishedAt: -1 });
+articleSchema.index({ area: 1, status: 1, publishedAt: -1 });
+articleSchema.index({ city: 1, status: 1, publishedAt: -1 });
 articleSchema.index({ tags: 1 });
 articleSchema.index({ isFeatured: 1, status: 1, publishedAt: -1 });
 articleSchema.index({ isBreaking: 1, status: 1 });
+articleSchema.index({ isBreaking: 1, status: 1, 'breakingPush.sentAt': 1, publishedAt: -1 });
 articleSchema.index({ 'engagement.views': -1 });
 articleSchema.index({ location: '2dsphere' });
+articleSchema.index({ status: 1, publishAt: 1 });
+articleSchema.index({ status: 1, unpublishAt: 1 });
+articleSchema.index({ 'workflow.assignedTo': 1, 'workflow.state': 1 });
+articleSchema.index({ 'dedup.bands': 1 });
+// Terms are analyzed in the app, so MongoDB must not stem them again
+articleSchema.index(
+  {
+    'search.title': 'text',
+    'search.summary': 'text',
+    'search.content': 'text',
+    'search.tags': 'text'
+  },
+  {
+    name: 'article_search',
+    default_language: 'none',
+    language_override: 'searchLanguage',
+    weights: {
+      'search.title': 10,
+      'search.tags': 5,
+      'search.summary': 3,
+      'search.content': 1
+    }
+  }
+);
+
+const SEARCH_FIELDS = ['title', 'summary', 'content', 'tags'];
+
+/**
+ * Build the search documents (one per language) for an article
+ */
+const buildSearchDocuments = (article) => {
+  const toObject = (map) => (map instanceof Map ? Object.fromEntries(map) : (map || {}));
+  const title = toObject(article.title);
+  const summary = toObject(article.summary);
+  const content = toObject(article.content);
+  const tags = toIndexText((article.tags || []).join(' '));
+
+  const langs = new Set([...Object.keys(title), ...Object.keys(summary), ...Object.keys(content)]);
+
+  return [...langs].map(lang => ({
+    lang,
+    title: toIndexText(title[lang]),
+    summary: toIndexText(summary[lang]),
+    content: toIndexText(content[lang]),
+    tags
+  }));
+};
+
+/**
+ * Fingerprint of the default-language content (falls back to any language)
+ */
+const buildFingerprint = (article, defaultLang) => {
+  const content = article.content instanceof Map ? Object.fromEntries(article.content) : (article.content || {});
+  return fingerprint(content[defaultLang] || content.en || Object.values(content)[0] || '');
+};
 
 // Generate slug before saving - use English if available, otherwise generate from timestamp
 articleSchema.pre('save', async function(next) {
@@ -250,6 +485,14 @@ articleSchema.pre('save', async function(next) {
   next();
 });
 
+// A new live blog starts out live
+articleSchema.pre('save', function(next) {
+  if (this.isNew && this.kind === 'live_blog' && !this.liveBlog?.state) {
+    this.set('liveBlog.state', 'live');
+  }
+  next();
+});
+
 // Set publishedAt when status changes to published
 articleSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
@@ -269,6 +512,52 @@ articleSchema.pre('save', async function(next) {
   next();
 });
 
+// Keep search documents in sync with the searchable fields
+articleSchema.pre('save', function(next) {
+  if (this.isNew || SEARCH_FIELDS.some(field => this.isModified(field))) {
+    this.search = buildSearchDocuments(this);
+  }
+  next();
+});
+
+// Keep the near-duplicate fingerprint in sync with the content
+articleSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('content')) {
+    const defaultLang = await languageCache.getDefaultLanguageCode();
+    const { signature, bands } = buildFingerprint(this, defaultLang);
+    this.set('dedup.signature', signature);
+    this.set('dedup.bands', bands);
+  }
+  next();
+});
+
+// Resolve the location point to an area and city
+articleSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('location')) {
+    const { area, city } = await Area.resolveLocation(this.location?.coordinates);
+    this.area = area;
+    this.city = city;
+  }
+  next();
+});
+
+// findByIdAndUpdate bypasses save hooks, so re-index after updates that
+// touch searchable fields
+articleSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc) return;
+  const update = this.getUpdate() || {};
+  const touchedKeys = [update, update.$set || {}].flatMap(u => Object.keys(u).map(key => key.split('.')[0]));
+  if (touchedKeys.some(key => SEARCH_FIELDS.includes(key))) {
+    await this.model.refreshSearchIndex(doc._id);
+  }
+  if (touchedKeys.includes('content')) {
+    await this.model.refreshFingerprint(doc._id);
+  }
+  if (touchedKeys.includes('location')) {
+    await this.model.refreshLocality(doc._id);
+  }
+});
+
 // Virtual for comments
 articleSchema.virtual('comments', {
   ref: 'Comment',
@@ -303,6 +592,128 @@ articleSchema.statics.toggleDislike = async function(articleId, increment = true
   );
 };
 
+// Static method to rebuild search documents for one article
+articleSchema.statics.refreshSearchIndex = async function(articleId) {
+  const article = await this.findById(articleId).select('title summary content tags').lean();
+  if (!article) return;
+  await this.updateOne(
+    { _id: articleId },
+    { $set: { search: buildSearchDocuments(article) } },
+    { timestamps: false }
+  );
+};
+
+// Static method to rebuild search documents for all articles (backfill)
+articleSchema.statics.rebuildSearchIndex = async function(batchSize = 200) {
+  let count = 0;
+  const cursor = this.find().select('title summary content tags').lean().cursor({ batchSize });
+
+  let batch = [];
+  for await (const article of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: { search: buildSearchDocuments(article) } },
+        timestamps: false
+      }
+    });
+    if (batch.length >= batchSize) {
+      await this.bulkWrite(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await this.bulkWrite(batch);
+    count += batch.length;
+  }
+  return count;
+};
+
+// Static method to rebuild the near-duplicate fingerprint for one article
+articleSchema.statics.refreshFingerprint = async function(articleId) {
+  const article = await this.findById(articleId).select('content').lean();
+  if (!article) return;
+  const defaultLang = await languageCache.getDefaultLanguageCode();
+  const { signature, bands } = buildFingerprint(article, defaultLang);
+  await this.updateOne(
+    { _id: articleId },
+    { $set: { 'dedup.signature': signature, 'dedup.bands': bands } },
+    { timestamps: false }
+  );
+};
+
+// Static method to rebuild fingerprints for all articles (backfill)
+articleSchema.statics.rebuildFingerprints = async function(batchSize = 200) {
+  const defaultLang = await languageCache.getDefaultLanguageCode();
+  let count = 0;
+  const cursor = this.find().select('content').lean().cursor({ batchSize });
+
+  let batch = [];
+  for await (const article of cursor) {
+    const { signature, bands } = buildFingerprint(article, defaultLang);
+    batch.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: { 'dedup.signature': signature, 'dedup.bands': bands } },
+        timestamps: false
+      }
+    });
+    if (batch.length >= batchSize) {
+      await this.bulkWrite(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await this.bulkWrite(batch);
+    count += batch.length;
+  }
+  return count;
+};
+
+// Static method to re-resolve the area and city of one article
+articleSchema.statics.refreshLocality = async function(articleId) {
+  const article = await this.findById(articleId).select('location').lean();
+  if (!article) return;
+  const { area, city } = await Area.resolveLocation(article.location?.coordinates);
+  await this.updateOne(
+    { _id: articleId },
+    { $set: { area, city } },
+    { timestamps: false }
+  );
+};
+
+// Static method to resolve areas and cities for all articles (backfill)
+articleSchema.statics.rebuildLocalities = async function(batchSize = 200) {
+  let count = 0;
+  let resolved = 0;
+  const cursor = this.find().select('location').lean().cursor({ batchSize });
+
+  let batch = [];
+  for await (const article of cursor) {
+    const { area, city } = await Area.resolveLocation(article.location?.coordinates);
+    if (area || city) resolved++;
+    batch.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: { area, city } },
+        timestamps: false
+      }
+    });
+    if (batch.length >= batchSize) {
+      await this.bulkWrite(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await this.bulkWrite(batch);
+    count += batch.length;
+  }
+  return { count, resolved };
+};
+
 // Static method for geospatial query
 articleSchema.statics.findNearby = async function(coordinates, maxDistanceMeters = 10000, limit = 20) {
   return this.aggregate([
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+// Multilingual fields compared when working out which languages changed
+const MULTILINGUAL_FIELDS = ['title', 'summary', 'content'];
+
+// Editorial fields captured in every snapshot
+const SNAPSHOT_FIELDS = [
+  'title', 'summary', 'content', 'category', 'tags',
+  'featuredImage', 'audio', 'audioMeta', 'location', 'status', 'isFeatured', 'isBreaking'
+];
+
+const articleRevisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: [true, 'Article is required']
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    default: 'update'
+  },
+  // Revision this one was restored from (for action 'restore')
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ArticleRevision',
+    default: null
+  },
+  changedLanguages: [{
+    type: String
+  }],
+  changedFields: [{
+    type: String
+  }],
+  snapshot: {
+    title: { type: Map, of: String, default: new Map() },
+    summary: { type: Map, of: String, default: new Map() },
+    content: { type: Map, of: String, default: new Map() },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    tags: [String],
+    featuredImage: { type: mongoose.Schema.Types.Mixed, default: null },
+    audio: { type: Map, of: String, default: new Map() },
+    audioMeta: { type: mongoose.Schema.Types.Mixed, default: null },
+    location: { type: mongoose.Schema.Types.Mixed, default: null },
+    status: String,
+    isFeatured: Boolean,
+    isBreaking: Boolean
+  }
+}, {
+  timestamps: true
+});
+
+// Attempts at numbering a revision when concurrent saves take the same number
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Indexes
+articleRevisionSchema.index({ article: 1, revision: -1 }, { unique: true });
+articleRevisionSchema.index({ editor: 1, createdAt: -1 });
+
+// Convert a Map or plain object to a plain object
+const toPlainObject = (value) => {
+  if (!value) return {};
+  if (value instanceof Map) return Object.fromEntries(value);
+  return { ...value };
+};
+
+/**
+ * Work out which fields and languages differ between two snapshots
+ * @param {Object|null} previous - Previous snapshot (null for first revision)
+ * @param {Object} current - Current snapshot
+ */
+const compareSnapshots = (previous, current) => {
+  const changedLanguages = new Set();
+  const changedFields = [];
+
+  for (const field of SNAPSHOT_FIELDS) {
+    const before = previous ? previous[field] : undefined;
+    const after = current[field];
+
+    if (MULTILINGUAL_FIELDS.includes(field)) {
+      const beforeObj = toPlainObject(before);
+      const afterObj = toPlainObject(after);
+      const langs = new Set([...Object.keys(beforeObj), ...Object.keys(afterObj)]);
+      let fieldChanged = false;
+
+      langs.forEach(lang => {
+        if ((beforeObj[lang] || '') !== (afterObj[lang] || '')) {
+          changedLanguages.add(lang);
+          fieldChanged = true;
+        }
+      });
+
+      if (fieldChanged) changedFields.push(field);
+    } else {
+      const normalize = (v) => JSON.stringify(v instanceof Map ? Object.fromEntries(v) : (v ?? null));
+      if (normalize(before) !== normalize(after)) {
+        changedFields.push(field);
+      }
+    }
+  }
+
+  return { changedLanguages: [...changedLanguages], changedFields };
+};
+
+/**
+ * Build a snapshot object from an article document
+ */
+articleRevisionSchema.statics.buildSnapshot = function(article) {
+  const source = article.toObject ? article.toObject({ flattenMaps: false, virtuals: false }) : article;
+  const snapshot = {};
+
+  SNAPSHOT_FIELDS.forEach(field => {
+    let value = source[field];
+    if (field === 'category' && value && value._id) value = value._id;
+    if (field === 'featuredImage' && value?.caption instanceof Map) {
+      value = { ...value, caption: Object.fromEntries(value.caption) };
+    }
+    if (field === 'audioMeta' && value instanceof Map) {
+      value = Object.fromEntries(value);
+    }
+    snapshot[field] = value === undefined ? null : value;
+  });
+
+  return snapshot;
+};
+
+/**
+ * Record a new revision for an article
+ * @param {Object} article - Article document after the save
+ * @param {Object} options - { editor, action, restoredFrom }
+ */
+articleRevisionSchema.statics.record = async function(article, { editor = null, action = 'update', restoredFrom = null } = {}) {
+  const snapshot = this.buildSnapshot(article);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ article: article._id }).sort({ revision: -1 }).lean();
+    const { changedLanguages, changedFields } = compareSnapshots(latest?.snapshot || null, snapshot);
+
+    // Skip no-op saves, but always keep the first revision
+    if (latest && changedFields.length === 0 && action === 'update') {
+      return null;
+    }
+
+    try {
+      return await this.create({
+        article: article._id,
+        revision: (latest?.revision || 0) + 1,
+        editor,
+        action,
+        restoredFrom,
+        changedLanguages,
+        changedFields,
+        snapshot
+      });
+    } catch (error) {
+      // Another save took this number; compare against it and take the next
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Record an article's current state as its first revision when it has
+ * none yet (articles from before revisions were kept), so the edit about
+ * to be saved can be undone
+ * @param {Object} article - Article document before the save
+ */
+articleRevisionSchema.statics.recordBaseline = async function(article) {
+  if (await this.exists({ article: article._id })) return null;
+
+  const snapshot = this.buildSnapshot(article);
+  const { changedLanguages, changedFields } = compareSnapshots(null, snapshot);
+  try {
+    return await this.create({
+      article: article._id,
+      revision: 1,
+      action: 'create',
+      changedLanguages,
+      changedFields,
+      snapshot,
+      createdAt: article.updatedAt || article.createdAt
+    });
+  } catch (error) {
+    // A concurrent save recorded the baseline first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const ArticleRevision = mongoose.model('ArticleRevision', articleRevisionSchema);
+
+module.exports = ArticleRevision;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every editorial transition on an article
+const articleTransitionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: [true, 'Article is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system transitions (e.g. scheduler)
+  },
+  action: {
+    type: String,
+    enum: ['submit', 'assign', 'approve', 'reject', 'publish', 'status'],
+    required: true
+  },
+  fromStatus: String,
+  toStatus: String,
+  fromStep: {
+    type: String,
+    default: null
+  },
+  toStep: {
+    type: String,
+    default: null
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  // Inline reviewer notes pointing at a passage in a specific language
+  notes: [{
+    field: {
+      type: String,
+      enum: ['title', 'summary', 'content']
+    },
+    language: String,
+    excerpt: String,
+    comment: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+articleTransitionSchema.index({ article: 1, createdAt: -1 });
+articleTransitionSchema.index({ actor: 1, createdAt: -1 });
+
+const ArticleTransition = mongoose.model('ArticleTransition', articleTransitionSchema);
+
+module.exports = ArticleTransition;
@@ -76,6 +76,12 @@ const categorySchema = new mongoose.Schema({
   articleCount: {
     type: Number,
     default: 0
+  },
+  // Comment moderation for its articles (see services/commentScreening.js)
+  commentPolicy: {
+    type: String,
+    enum: ['inherit', 'screened', 'pre', 'closed'],
+    default: 'inherit'
   }
 }, {
   timestamps: true,
@@ -22,6 +22,21 @@ const commentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // Materialized path: ids of the ancestors from the top-level comment
+  // down, each followed by a comma ('' for top-level comments)
+  path: {
+    type: String,
+    default: ''
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Approved comments anywhere below this one
+  replyCount: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
     enum: ['pending', 'approved', 'flagged', 'deleted'],
@@ -51,6 +66,46 @@ const commentSchema = new mongoose.Schema({
   },
   moderationReason: {
     type: String
+  },
+  // Reader reports; reportWeight counts them by reporter reputation and
+  // hides the comment for review at COMMENT_REPORT_THRESHOLD
+  reports: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'abuse', 'hate', 'harassment', 'misinformation', 'off-topic', 'other']
+    },
+    note: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  reportWeight: {
+    type: Number,
+    default: 0
+  },
+  // Outcome of automated screening (services/commentScreening.js)
+  screening: {
+    verdict: {
+      type: String,
+      enum: ['approve', 'hold', 'flag']
+    },
+    reasons: [String],
+    score: {
+      type: Number,
+      default: 0
+    },
+    policy: String,
+    checkedAt: Date
   }
 }, {
   timestamps: true,
@@ -60,9 +115,12 @@ const commentSchema = new mongoose.Schema({
 
 // Indexes
 commentSchema.index({ article: 1, status: 1, createdAt: -1 });
-commentSchema.index({ parent: 1 });
+commentSchema.index({ article: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ article: 1, parent: 1, likes: -1, createdAt: -1 });
+commentSchema.index({ parent: 1, createdAt: 1 });
 commentSchema.index({ user: 1, createdAt: -1 });
 commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ status: 1, 'screening.score': -1, createdAt: -1 });
 
 // Virtual for replies
 commentSchema.virtual('replies', {
@@ -71,16 +129,164 @@ commentSchema.virtual('replies', {
   foreignField: 'parent'
 });
 
-// Update article comment count after save
-commentSchema.post('save', async function() {
-  if (this.status === 'approved') {
-    const Article = mongoose.model('Article');
-    await Article.findByIdAndUpdate(this.article, {
-      $inc: { 'engagement.commentsCount': 1 }
-    });
+// Keyset pagination orders; the last field breaks ties so cursors are exact
+const SORTS = {
+  newest: [['createdAt', -1], ['_id', -1]],
+  oldest: [['createdAt', 1], ['_id', 1]],
+  top: [['likes', -1], ['createdAt', -1], ['_id', -1]]
+};
+
+const CURSOR_FIELDS = {
+  likes: Number,
+  createdAt: (value) => new Date(value),
+  _id: (value) => new mongoose.Types.ObjectId(value)
+};
+
+// Fields readers never see
+const HIDDEN_FIELDS = { screening: 0, reports: 0, reportWeight: 0 };
+
+const ancestorIds = (path) => (path || '').split(',').filter(Boolean);
+
+const encodeCursor = (comment, sort) =>
+  Buffer.from(JSON.stringify(SORTS[sort].map(([field]) => comment[field]))).toString('base64url');
+
+// Comments after the cursor position in the given order
+const afterCursor = (values, sort) => ({
+  $or: SORTS[sort].map(([field, direction], i) => ({
+    ...Object.fromEntries(SORTS[sort].slice(0, i).map(([previous], j) => [previous, values[j]])),
+    [field]: { [direction < 0 ? '$lt' : '$gt']: values[i] }
+  }))
+});
+
+// What a viewer may read: approved comments, their own held ones, and
+// hidden comments that still have approved replies (shown as removed)
+const listedFilter = (viewerId) => ({
+  $or: [
+    { status: 'approved' },
+    { replyCount: { $gt: 0 } },
+    ...(viewerId ? [{ user: new mongoose.Types.ObjectId(viewerId.toString()), status: { $in: ['pending', 'flagged'] } }] : [])
+  ]
+});
+
+const present = (comment, viewerId) => {
+  const own = viewerId && comment.user?._id?.toString() === viewerId.toString();
+  if (comment.status !== 'approved' && !(own && ['pending', 'flagged'].includes(comment.status))) {
+    // Kept in the tree so its replies stay in place
+    return {
+      _id: comment._id,
+      article: comment.article,
+      parent: comment.parent,
+      depth: comment.depth,
+      replyCount: comment.replyCount,
+      createdAt: comment.createdAt,
+      status: 'removed',
+      content: '',
+      user: null,
+      likes: 0,
+      likedBy: []
+    };
+  }
+  // Readers are not told that screening flagged their comment
+  return comment.status === 'flagged' ? { ...comment, status: 'pending' } : comment;
+};
+
+// Remember the stored status so saves can tell whether it changed
+commentSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+// Place replies in the thread, and keep counts to approved comments
+commentSchema.pre('save', async function() {
+  if (this.isNew && this.parent) {
+    const parent = await this.constructor.findById(this.parent).select('path depth').lean();
+    if (parent) {
+      this.path = `${parent.path}${parent._id},`;
+      this.depth = parent.depth + 1;
+    }
   }
+
+  const was = this.isNew ? null : this.$locals.storedStatus;
+  this.$locals.countChange = (this.status === 'approved' ? 1 : 0) - (was === 'approved' ? 1 : 0);
 });
 
+commentSchema.post('save', async function() {
+  this.$locals.storedStatus = this.status;
+  await this.constructor.applyCountChanges([
+    { article: this.article, path: this.path, change: this.$locals.countChange }
+  ]);
+});
+
+/**
+ * Apply changes in the number of approved comments to the article comment
+ * counts and to the reply counts of every ancestor
+ * @param {Array} changes - [{ article, path, change }]
+ */
+commentSchema.statics.applyCountChanges = async function(changes) {
+  const articles = {};
+  const threadOps = [];
+  changes.filter(c => c.change).forEach(({ article, path, change }) => {
+    const key = article.toString();
+    articles[key] = (articles[key] || 0) + change;
+
+    const ancestors = ancestorIds(path);
+    if (ancestors.length > 0) {
+      threadOps.push({
+        updateMany: {
+          filter: { _id: { $in: ancestors } },
+          update: { $inc: { replyCount: change } }
+        }
+      });
+    }
+  });
+
+  const articleOps = Object.entries(articles)
+    .filter(([, change]) => change)
+    .map(([article, change]) => ({
+      updateOne: {
+        filter: { _id: article },
+        update: { $inc: { 'engagement.commentsCount': change } }
+      }
+    }));
+
+  await Promise.all([
+    articleOps.length > 0 && mongoose.model('Article').bulkWrite(articleOps),
+    threadOps.length > 0 && this.bulkWrite(threadOps)
+  ]);
+};
+
+/**
+ * Set the status of many comments, keeping article comment counts in step
+ * @param {Array} ids - Comment ids
+ * @param {Object} moderation - { status, reason, moderator } (moderator is null for automatic changes)
+ * @returns {Array} The comments that changed (as they were before)
+ */
+commentSchema.statics.setStatus = async function(ids, { status, reason, moderator }) {
+  const comments = await this.find({ _id: { $in: ids }, status: { $ne: status } })
+    .select('article user status path')
+    .lean();
+  if (comments.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: comments.map(c => c._id) } },
+    {
+      status,
+      moderatedBy: moderator,
+      moderatedAt: new Date(),
+      moderationReason: reason || null,
+      // Reports made before a moderator approved it are settled
+      ...(status === 'approved' ? { reportWeight: 0 } : {})
+    }
+  );
+
+  await this.applyCountChanges(comments.map(comment => ({
+    article: comment.article,
+    path: comment.path,
+    change: (status === 'approved' ? 1 : 0) - (comment.status === 'approved' ? 1 : 0)
+  })));
+
+  return comments;
+};
+
 // Static method for toggling like (atomic)
 commentSchema.statics.toggleLike = async function(commentId, userId, increment = true) {
   if (increment) {
@@ -104,44 +310,166 @@ commentSchema.statics.toggleLike = async function(commentId, userId, increment =
   }
 };
 
-// Static method to get threaded comments
-commentSchema.statics.getThreadedComments = async function(articleId, limit = 50) {
-  // Get top-level comments (approved and pending)
-  const topLevelComments = await this.find({
-    article: articleId,
-    parent: null,
-    status: { $in: ['approved', 'pending'] }
-  })
-    .populate('user', 'name avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .lean();
+/**
+ * Parse a pagination cursor for a sort order
+ * @returns {Array|null} Cursor values, or null when it is not a valid cursor
+ */
+commentSchema.statics.parseCursor = function(cursor, sort) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== SORTS[sort].length) return null;
+    return SORTS[sort].map(([field], i) => CURSOR_FIELDS[field](values[i]));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Load the first replies of some comments, a number of levels down
+ * Each comment gets `replies`, `hasMoreReplies` and `repliesCursor`
+ * (pass it to getThread() to continue the branch)
+ */
+commentSchema.statics.loadReplies = async function(comments, { sort, viewerId, depth, replyLimit }) {
+  let level = comments;
+  for (let remaining = depth; level.length > 0; remaining--) {
+    const ids = level.map(c => c._id);
+
+    if (remaining === 0) {
+      // Deeper replies are loaded on request; just say whether there are any
+      const withReplies = (await this.distinct('parent', { parent: { $in: ids }, ...listedFilter(viewerId) }))
+        .map(id => id.toString());
+      level.forEach(comment => {
+        comment.replies = [];
+        comment.hasMoreReplies = withReplies.includes(comment._id.toString());
+        comment.repliesCursor = null;
+      });
+      break;
+    }
 
-  // Get all replies for these comments
-  const commentIds = topLevelComments.map(c => c._id);
-  const replies = await this.find({
-    parent: { $in: commentIds },
-    status: { $in: ['approved', 'pending'] }
-  })
+    const groups = await this.aggregate([
+      { $match: { parent: { $in: ids }, ...listedFilter(viewerId) } },
+      { $sort: Object.fromEntries(SORTS[sort]) },
+      { $project: HIDDEN_FIELDS },
+      { $group: { _id: '$parent', replies: { $push: '$$ROOT' } } },
+      { $project: { replies: { $slice: ['$replies', replyLimit + 1] } } }
+    ]);
+    const byParent = new Map(groups.map(group => [group._id.toString(), group.replies]));
+
+    const next = [];
+    level.forEach(comment => {
+      const replies = byParent.get(comment._id.toString()) || [];
+      comment.hasMoreReplies = replies.length > replyLimit;
+      comment.replies = replies.slice(0, replyLimit);
+      comment.repliesCursor = comment.hasMoreReplies
+        ? encodeCursor(comment.replies[comment.replies.length - 1], sort)
+        : null;
+      next.push(...comment.replies);
+    });
+
+    await this.populate(next, { path: 'user', select: 'name avatar' });
+    level = next;
+  }
+};
+
+/**
+ * A page of an article's top-level comments, or of the replies to one
+ * comment, with the first replies under each loaded a few levels down
+ * @param {Object} options - { article, parent (null for top level), sort
+ *   ('newest' | 'oldest' | 'top'), after (from parseCursor), limit,
+ *   viewerId, depth (reply levels to load), replyLimit (per comment) }
+ * @returns {Object} { comments, nextCursor }
+ */
+commentSchema.statics.getThread = async function({
+  article,
+  parent = null,
+  sort = 'newest',
+  after = null,
+  limit = 20,
+  viewerId = null,
+  depth = 2,
+  replyLimit = 3
+}) {
+  const query = {
+    ...(parent ? { parent } : { article, parent: null }),
+    $and: [listedFilter(viewerId), ...(after ? [afterCursor(after, sort)] : [])]
+  };
+
+  const found = await this.find(query)
+    .select(Object.keys(HIDDEN_FIELDS).map(field => `-${field}`).join(' '))
     .populate('user', 'name avatar')
-    .sort({ createdAt: 1 })
+    .sort(Object.fromEntries(SORTS[sort]))
+    .limit(limit + 1)
     .lean();
 
-  // Nest replies under their parent comments
-  const replyMap = {};
-  replies.forEach(reply => {
-    const parentId = reply.parent.toString();
-    if (!replyMap[parentId]) {
-      replyMap[parentId] = [];
+  const comments = found.slice(0, limit);
+  const nextCursor = found.length > limit ? encodeCursor(comments[comments.length - 1], sort) : null;
+
+  // Replies read oldest first, unless the thread is ranked by likes
+  await this.loadReplies(comments, { sort: sort === 'top' ? 'top' : 'oldest', viewerId, depth, replyLimit });
+
+  const presentTree = (nodes) => nodes.map(node => ({
+    ...present(node, viewerId),
+    replies: presentTree(node.replies || []),
+    hasMoreReplies: node.hasMoreReplies,
+    repliesCursor: node.repliesCursor
+  }));
+
+  return { comments: presentTree(comments), nextCursor };
+};
+
+/**
+ * Rebuild paths, depths, reply counts and article comment counts from the
+ * parent links (for comments made before threads were nested)
+ * @returns {Object} { comments, threads, articles }
+ */
+commentSchema.statics.rebuildThreads = async function() {
+  // Top down, one level at a time
+  await this.updateMany({ parent: null }, { path: '', depth: 0 });
+  let level = (await this.find({ parent: null }).select('_id').lean()).map(c => ({ _id: c._id, path: '' }));
+  let count = level.length;
+
+  for (let depth = 1; level.length > 0; depth++) {
+    const paths = new Map(level.map(c => [c._id.toString(), `${c.path}${c._id},`]));
+    const children = await this.find({ parent: { $in: level.map(c => c._id) } }).select('parent').lean();
+    level = children.map(c => ({ _id: c._id, path: paths.get(c.parent.toString()) }));
+
+    if (level.length > 0) {
+      await this.bulkWrite(level.map(c => ({
+        updateOne: { filter: { _id: c._id }, update: { path: c.path, depth } }
+      })));
     }
-    replyMap[parentId].push(reply);
-  });
+    count += level.length;
+  }
 
-  topLevelComments.forEach(comment => {
-    comment.replies = replyMap[comment._id.toString()] || [];
-  });
+  // Approved comments below each comment
+  await this.updateMany({ replyCount: { $ne: 0 } }, { replyCount: 0 });
+  const threads = await this.aggregate([
+    { $match: { status: 'approved', path: { $ne: '' } } },
+    { $project: { ancestor: { $split: ['$path', ','] } } },
+    { $unwind: '$ancestor' },
+    { $match: { ancestor: { $ne: '' } } },
+    { $group: { _id: '$ancestor', count: { $sum: 1 } } }
+  ]);
+  if (threads.length > 0) {
+    await this.bulkWrite(threads.map(t => ({
+      updateOne: { filter: { _id: t._id }, update: { replyCount: t.count } }
+    })));
+  }
+
+  // Article comment counts are approved comments only
+  const Article = mongoose.model('Article');
+  const articles = await this.aggregate([
+    { $match: { status: 'approved' } },
+    { $group: { _id: '$article', count: { $sum: 1 } } }
+  ]);
+  await Article.updateMany({ 'engagement.commentsCount': { $ne: 0 } }, { 'engagement.commentsCount': 0 });
+  if (articles.length > 0) {
+    await Article.bulkWrite(articles.map(a => ({
+      updateOne: { filter: { _id: a._id }, update: { 'engagement.commentsCount': a.count } }
+    })));
+  }
 
-  return topLevelComments;
+  return { comments: count, threads: threads.length, articles: articles.length };
 };
 
 const Comment = mongoose.model('Comment', commentSchema);
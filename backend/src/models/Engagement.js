@@ -44,6 +44,7 @@ engagementSchema.index(
 );
 engagementSchema.index({ article: 1, type: 1, createdAt: -1 });
 engagementSchema.index({ user: 1, type: 1, createdAt: -1 });
+engagementSchema.index({ type: 1, createdAt: -1 });
 
 // Static method to check if user has engaged
 engagementSchema.statics.hasEngaged = async function(userId, articleId, type) {
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Protected term kept consistent across translations (place, party and
+// brand names). Languages without a mapping keep the term as written.
+const glossaryTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: [true, 'Term is required'],
+    trim: true,
+    maxlength: [100, 'Term cannot exceed 100 characters']
+  },
+  // Lowercased term for uniqueness
+  key: {
+    type: String,
+    unique: true
+  },
+  category: {
+    type: String,
+    enum: ['place', 'party', 'brand', 'person', 'organization', 'other'],
+    default: 'other'
+  },
+  // Rendering per language code, e.g. { te: 'హైదరాబాద్', hi: 'हैदराबाद' }
+  translations: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+glossaryTermSchema.index({ isActive: 1, category: 1 });
+
+glossaryTermSchema.pre('save', function(next) {
+  if (this.isModified('term')) {
+    this.key = this.term.toLowerCase();
+  }
+  next();
+});
+
+const GlossaryTerm = mongoose.model('GlossaryTerm', glossaryTermSchema);
+
+module.exports = GlossaryTerm;
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// Entries are read newest first; the cursor is the last one's position
+const encodeCursor = (entry) =>
+  Buffer.from(JSON.stringify([entry.postedAt, entry._id])).toString('base64url');
+
+// One timestamped update in a live blog, written in one or more languages
+const liveBlogEntrySchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: [true, 'Article is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  headline: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  content: {
+    type: Map,
+    of: String,
+    required: [true, 'Content is required'],
+    validate: {
+      validator: (map) => !!map && [...map.values()].some(text => text?.trim()),
+      message: 'Content in at least one language is required'
+    }
+  },
+  // When the update happened (shown to readers; editable for late entries)
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  // Listed in the article's key events summary, under its headline
+  isKeyEvent: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['published', 'deleted'],
+    default: 'published'
+  },
+  // Machine translation of the missing languages
+  translation: {
+    state: {
+      type: String,
+      enum: ['pending', 'done', 'failed', null],
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+liveBlogEntrySchema.index({ article: 1, status: 1, postedAt: -1, _id: -1 });
+liveBlogEntrySchema.index({ article: 1, status: 1, isPinned: 1 });
+liveBlogEntrySchema.index({ article: 1, status: 1, isKeyEvent: 1, postedAt: -1 });
+
+/**
+ * Decode a page cursor
+ * @returns {Object|null} { postedAt, _id }, or null when it is not valid
+ */
+liveBlogEntrySchema.statics.parseCursor = function(cursor) {
+  try {
+    const [postedAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(postedAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { postedAt: date, _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * A page of a live blog's entries, newest first
+ * @param {Object} options - { article, after (from parseCursor), limit }
+ * @returns {Object} { entries, nextCursor }
+ */
+liveBlogEntrySchema.statics.getPage = async function({ article, after = null, limit = 20 }) {
+  const query = { article, status: 'published' };
+  if (after) {
+    query.$or = [
+      { postedAt: { $lt: after.postedAt } },
+      { postedAt: after.postedAt, _id: { $lt: after._id } }
+    ];
+  }
+
+  const found = await this.find(query)
+    .populate('author', 'name avatar')
+    .sort({ postedAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const entries = found.slice(0, limit);
+  return {
+    entries,
+    nextCursor: found.length > limit ? encodeCursor(entries[entries.length - 1]) : null
+  };
+};
+
+/**
+ * Pinned entries and the key events summary of a live blog
+ * @returns {Object} { pinned, keyEvents }
+ */
+liveBlogEntrySchema.statics.getHighlights = async function(article) {
+  const [pinned, keyEvents] = await Promise.all([
+    this.find({ article, status: 'published', isPinned: true })
+      .populate('author', 'name avatar')
+      .sort({ postedAt: -1 })
+      .lean(),
+    this.find({ article, status: 'published', isKeyEvent: true })
+      .select('headline postedAt')
+      .sort({ postedAt: -1 })
+      .limit(50)
+      .lean()
+  ]);
+  return { pinned, keyEvents };
+};
+
+const LiveBlogEntry = mongoose.model('LiveBlogEntry', liveBlogEntrySchema);
+
+module.exports = LiveBlogEntry;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One-time-code state for a phone number: the current code (hashed), how
+// often codes were sent and any lockout after too many wrong guesses
+const phoneOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  // Account a phone is being linked to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  codeHash: {
+    type: String,
+    default: null
+  },
+  codeExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Wrong guesses against the current code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Send times within the last hour
+  sentAt: [{
+    type: Date
+  }],
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Removed by MongoDB once nothing here matters any more
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+phoneOtpSchema.index({ phone: 1 }, { unique: true });
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PhoneOtp = mongoose.model('PhoneOtp', phoneOtpSchema);
+
+module.exports = PhoneOtp;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription. Signed-in readers are targeted by
+// their profile preferences; anonymous readers by the targeting stored
+// with the subscription.
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: {
+    type: String,
+    required: [true, 'Endpoint is required'],
+    trim: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: [true, 'p256dh key is required']
+    },
+    auth: {
+      type: String,
+      required: [true, 'Auth secret is required']
+    }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  // Targeting for anonymous readers
+  language: {
+    type: String,
+    default: null
+  },
+  city: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+    default: null
+  },
+  area: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Area',
+    default: null
+  },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  userAgent: {
+    type: String
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive delivery failures (the subscription is dropped when the
+  // push service reports it gone)
+  failures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ user: 1 });
+pushSubscriptionSchema.index({ sessionId: 1 });
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+module.exports = PushSubscription;
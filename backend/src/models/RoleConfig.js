@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Everything a role can allow; route checks use these keys with can()
+const PERMISSIONS = [
+  { key: 'articles.create', description: 'Write new articles' },
+  { key: 'articles.edit', description: 'Edit articles by other people' },
+  { key: 'articles.publish', description: 'Publish, unpublish and schedule articles' },
+  { key: 'articles.archive', description: 'Archive articles' },
+  { key: 'comments.moderate', description: 'Approve, reject and delete comments' },
+  { key: 'categories.manage', description: 'Create, edit and delete categories' },
+  { key: 'locations.manage', description: 'Create, edit and delete cities and areas' }
+];
+
+// A role named after an account role applies to every such account
+// everywhere; the others are granted to individual reporters, optionally
+// scoped (see User.grants). Reporters always need theirs.
+const BASE_ROLE = 'reporter';
+
+// Roles used until an admin configures them
+const DEFAULT_ROLES = [
+  {
+    key: 'reporter',
+    name: 'Reporter',
+    description: 'Every reporter: writes articles and edits their own',
+    permissions: ['articles.create', 'comments.moderate']
+  },
+  {
+    key: 'copy-editor',
+    name: 'Copy-editor',
+    description: 'Edits articles but cannot publish them',
+    permissions: ['articles.edit']
+  },
+  {
+    key: 'bureau-chief',
+    name: 'Bureau chief',
+    description: 'Runs a desk: edits, publishes and archives its articles',
+    permissions: ['articles.create', 'articles.edit', 'articles.publish', 'articles.archive', 'comments.moderate']
+  },
+  {
+    key: 'moderator',
+    name: 'Comment moderator',
+    description: 'Moderates reader comments',
+    permissions: ['comments.moderate']
+  }
+];
+
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS.map(p => p.key)
+  }]
+}, { _id: false });
+
+const roleConfigSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    unique: true,
+    default: 'default'
+  },
+  // Named permission sets
+  roles: {
+    type: [roleSchema],
+    validate: [
+      {
+        validator: (roles) => new Set(roles.map(r => r.key)).size === roles.length,
+        message: 'Role keys must be unique'
+      },
+      {
+        validator: (roles) => roles.some(r => r.key === BASE_ROLE),
+        message: `The '${BASE_ROLE}' role cannot be removed`
+      }
+    ]
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the configured roles (falls back to defaults)
+roleConfigSchema.statics.getRoles = async function(key = 'default') {
+  const config = await this.findOne({ key }).lean();
+  return config?.roles?.length ? config.roles : DEFAULT_ROLES;
+};
+
+// Static method to get the permission catalogue
+roleConfigSchema.statics.getPermissions = function() {
+  return PERMISSIONS;
+};
+
+const RoleConfig = mongoose.model('RoleConfig', roleConfigSchema);
+
+module.exports = RoleConfig;
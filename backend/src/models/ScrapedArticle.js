@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { toIndexText } = require('../utils/searchText');
+const { fingerprint } = require('../utils/similarity');
 
 const scrapedArticleSchema = new mongoose.Schema({
   url: {
@@ -21,6 +23,7 @@ const scrapedArticleSchema = new mongoose.Schema({
   // Reference to processed Article (if converted)
   articleId: {
     type: String,
+    ref: 'Article',
     default: null
   },
   // Processing status
@@ -45,11 +48,82 @@ const scrapedArticleSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Conversion job into a draft Article (see services/scrapedConversion)
+  conversion: {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    generateAudio: {
+      type: Boolean,
+      default: false
+    },
+    // Current step while processing (clean | detect | translate | create)
+    step: {
+      type: String,
+      default: null
+    },
+    detectedLanguage: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    queuedAt: Date,
+    startedAt: Date,
+    finishedAt: Date
+  },
   // Metadata
   metadata: {
     type: Map,
     of: String,
     default: new Map()
+  },
+  // Pre-analyzed search terms (see utils/searchText)
+  search: {
+    title: String,
+    body: String
+  },
+  // Near-duplicate fingerprint and cluster (see services/dedup)
+  dedup: {
+    signature: {
+      type: [Number],
+      select: false
+    },
+    bands: {
+      type: [String],
+      select: false
+    },
+    // Id of the first article of the cluster (null when unique)
+    cluster: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScrapedArticle',
+      default: null
+    },
+    // Closest matches, best first
+    matches: [{
+      _id: false,
+      kind: {
+        type: String,
+        enum: ['scraped', 'article']
+      },
+      id: mongoose.Schema.Types.ObjectId,
+      title: String,
+      similarity: Number
+    }]
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
@@ -61,6 +135,39 @@ scrapedArticleSchema.index({ articleStatus: 1 });
 scrapedArticleSchema.index({ status: 1 });
 scrapedArticleSchema.index({ createdAt: -1 });
 scrapedArticleSchema.index({ source: 1, articleStatus: 1 });
+scrapedArticleSchema.index({ articleStatus: 1, 'conversion.queuedAt': 1 });
+scrapedArticleSchema.index({ 'dedup.bands': 1 });
+scrapedArticleSchema.index({ 'dedup.cluster': 1 });
+scrapedArticleSchema.index(
+  { 'search.title': 'text', 'search.body': 'text' },
+  {
+    name: 'scraped_search',
+    default_language: 'none',
+    language_override: 'searchLanguage',
+    weights: { 'search.title': 5, 'search.body': 1 }
+  }
+);
+
+// Keep search terms in sync with title/body
+scrapedArticleSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('body')) {
+    this.search = {
+      title: toIndexText(this.title),
+      body: toIndexText(this.body)
+    };
+  }
+  next();
+});
+
+// Keep the near-duplicate fingerprint in sync with the body
+scrapedArticleSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('body')) {
+    const { signature, bands } = fingerprint(this.body || this.title);
+    this.set('dedup.signature', signature);
+    this.set('dedup.bands', bands);
+  }
+  next();
+});
 
 // Extract source from URL
 scrapedArticleSchema.pre('save', function(next) {
@@ -75,6 +182,61 @@ scrapedArticleSchema.pre('save', function(next) {
   next();
 });
 
+// Static method to rebuild search terms for all scraped articles (backfill)
+scrapedArticleSchema.statics.rebuildSearchIndex = async function(batchSize = 200) {
+  let count = 0;
+  const cursor = this.find().select('title body').lean().cursor({ batchSize });
+
+  let batch = [];
+  for await (const article of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: { search: { title: toIndexText(article.title), body: toIndexText(article.body) } } },
+        timestamps: false
+      }
+    });
+    if (batch.length >= batchSize) {
+      await this.bulkWrite(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await this.bulkWrite(batch);
+    count += batch.length;
+  }
+  return count;
+};
+
+// Static method to rebuild fingerprints for all scraped articles (backfill)
+scrapedArticleSchema.statics.rebuildFingerprints = async function(batchSize = 200) {
+  let count = 0;
+  const cursor = this.find().select('title body').lean().cursor({ batchSize });
+
+  let batch = [];
+  for await (const article of cursor) {
+    const { signature, bands } = fingerprint(article.body || article.title);
+    batch.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: { 'dedup.signature': signature, 'dedup.bands': bands } },
+        timestamps: false
+      }
+    });
+    if (batch.length >= batchSize) {
+      await this.bulkWrite(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await this.bulkWrite(batch);
+    count += batch.length;
+  }
+  return count;
+};
+
 const ScrapedArticle = mongoose.model('ScrapedArticle', scrapedArticleSchema);
 
 module.exports = ScrapedArticle;
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens live this long without being used
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Two tabs refreshing at once present the same token; the loser is not
+// treated as a stolen token within this window
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// "Chrome on Android" style label from a User-Agent header
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  if (!browser) return os[0];
+  if (!os) return browser[0];
+  return `${browser[0]} on ${os[0]}`;
+};
+
+// One signed-in device. The refresh token is `<session id>.<secret>`;
+// only a hash of the secret is stored, and it changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  device: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, lastSeenAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const newExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Client details recorded with the session
+const clientInfo = (client = {}) => ({
+  userAgent: client.userAgent,
+  device: describeDevice(client.userAgent),
+  ip: client.ip
+});
+
+/**
+ * Start a session for a user
+ * @param {ObjectId} userId - User
+ * @param {Object} client - { userAgent, ip }
+ * @returns {Object} { session, refreshToken }
+ */
+sessionSchema.statics.start = async function(userId, client) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    ...clientInfo(client),
+    lastSeenAt: new Date(),
+    expiresAt: newExpiry()
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * A token that was already exchanged means it leaked, so the session is
+ * ended (unless two requests simply raced within the grace window)
+ * @returns {Object} { session, refreshToken } or { error: 'invalid' | 'stale' }
+ */
+sessionSchema.statics.rotate = async function(refreshToken, client) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: 'invalid' };
+  }
+
+  const hash = hashToken(secret);
+  const newSecret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(newSecret),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        ...clientInfo(client),
+        lastSeenAt: now,
+        expiresAt: newExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${newSecret}` };
+  }
+
+  const existing = await this.findById(sessionId);
+  if (existing && existing.previousTokenHash === hash) {
+    if (existing.rotatedAt && now - existing.rotatedAt < ROTATION_GRACE_MS) {
+      return { error: 'stale' };
+    }
+    await existing.deleteOne();
+  }
+  return { error: 'invalid' };
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
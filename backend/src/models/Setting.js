@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Site-wide state that must be recorded exactly once, such as the
+// first-admin bootstrap. The unique key makes claiming a setting atomic.
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+// One unit of work: translating one field into one language, or narrating
+// the content of one language
+const translationTaskSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['translate', 'tts'],
+    required: true
+  },
+  field: {
+    type: String,
+    enum: ['title', 'summary', 'content'],
+    required: true
+  },
+  // Language produced by the task
+  lang: {
+    type: String,
+    required: true
+  },
+  // Language of the text the task starts from (the pivot for two-step translation)
+  from: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'failed'],
+    default: 'pending'
+  },
+  // Paragraphs (translation) or audio chunks (TTS)
+  chunks: {
+    total: { type: Number, default: 0 },
+    done: { type: Number, default: 0 }
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+// Background translation (and optional TTS) of an article's fields
+const translationJobSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  provider: String,
+  // Languages returned to the client (the pivot language may be extra)
+  languages: [String],
+  generateAudio: {
+    type: Boolean,
+    default: false
+  },
+  tasks: [translationTaskSchema],
+  // { title, summary, content } as { lang: text } plus audio { lang: url }
+  // and audioMeta { lang: { duration, format, markers } };
+  // seeded with the submitted text and filled in as tasks finish
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ title: {}, summary: {}, content: {}, audio: {}, audioMeta: {} })
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  // Refreshed as tasks progress; a running job without one is stalled
+  heartbeatAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+translationJobSchema.index({ status: 1, queuedAt: 1 });
+translationJobSchema.index({ createdBy: 1, createdAt: -1 });
+// Jobs are only needed until the editor has merged them
+translationJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Method to count finished work
+translationJobSchema.methods.getProgress = function() {
+  const total = this.tasks.length;
+  const done = this.tasks.filter(t => t.status === 'done').length;
+  const failed = this.tasks.filter(t => t.status === 'failed').length;
+
+  return {
+    total,
+    done,
+    failed,
+    percent: total > 0 ? Math.round((done / total) * 100) : 100
+  };
+};
+
+// Method to get the translated fields in the requested languages only
+translationJobSchema.methods.getResult = function() {
+  const pick = (values = {}) => Object.fromEntries(
+    this.languages.filter(lang => values[lang]).map(lang => [lang, values[lang]])
+  );
+
+  const result = {};
+  ['title', 'summary', 'content', 'audio', 'audioMeta'].forEach(field => {
+    const values = pick(this.result?.[field]);
+    if (Object.keys(values).length > 0) result[field] = values;
+  });
+  return result;
+};
+
+// Method to shape the job for API responses
+translationJobSchema.methods.toClientJSON = function() {
+  return {
+    _id: this._id,
+    status: this.status,
+    provider: this.provider,
+    languages: this.languages,
+    generateAudio: this.generateAudio,
+    tasks: this.tasks.map(({ kind, field, lang, from, status, chunks, attempts, error }) => ({
+      kind, field, lang, from, status, chunks, attempts, error
+    })),
+    progress: this.getProgress(),
+    result: this.getResult(),
+    queuedAt: this.queuedAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+const TranslationJob = mongoose.model('TranslationJob', translationJobSchema);
+
+module.exports = TranslationJob;
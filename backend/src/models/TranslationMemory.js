@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Translation memory: one cached translation per source paragraph, language
+// pair and provider, so unchanged paragraphs are never sent to a provider
+// twice (and switching providers does not reuse the old one's output)
+const translationMemorySchema = new mongoose.Schema({
+  // sha256 of the normalized source text
+  hash: {
+    type: String,
+    required: true
+  },
+  sourceLang: {
+    type: String,
+    required: true
+  },
+  targetLang: {
+    type: String,
+    required: true
+  },
+  sourceText: {
+    type: String,
+    default: ''
+  },
+  translatedText: {
+    type: String,
+    default: ''
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  // Glossary the translation was made with - entries from an older
+  // glossary are treated as misses
+  glossaryVersion: {
+    type: String,
+    default: null
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+translationMemorySchema.index({ hash: 1, sourceLang: 1, targetLang: 1, provider: 1 }, { unique: true });
+translationMemorySchema.index({ lastUsedAt: 1 });
+
+// Whitespace and Unicode normalization differences do not change a translation
+const normalizeText = (text) => String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+// Static method to hash a source text
+translationMemorySchema.statics.hashText = function(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+};
+
+/**
+ * Static method to look up cached translations
+ * @param {string[]} hashes - Source text hashes
+ * @param {Object} options - { sourceLang, targetLang, provider, glossaryVersion }
+ * @returns {Map} hash -> translated text
+ */
+translationMemorySchema.statics.lookup = async function(hashes, { sourceLang, targetLang, provider, glossaryVersion = null }) {
+  if (hashes.length === 0) return new Map();
+
+  const entries = await this.find({
+    hash: { $in: hashes },
+    sourceLang,
+    targetLang,
+    provider,
+    glossaryVersion
+  }).select('hash translatedText').lean();
+
+  if (entries.length > 0) {
+    await this.updateMany(
+      { _id: { $in: entries.map(e => e._id) } },
+      { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+      { timestamps: false }
+    );
+  }
+
+  return new Map(entries.map(e => [e.hash, e.translatedText]));
+};
+
+/**
+ * Static method to store fresh translations (replacing stale ones)
+ * @param {Array} entries - [{ hash, sourceText, translatedText }]
+ * @param {Object} options - { sourceLang, targetLang, provider, glossaryVersion }
+ */
+translationMemorySchema.statics.store = async function(entries, { sourceLang, targetLang, provider, glossaryVersion = null }) {
+  if (entries.length === 0) return;
+
+  await this.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { hash: entry.hash, sourceLang, targetLang, provider },
+      update: {
+        $set: {
+          sourceText: entry.sourceText,
+          translatedText: entry.translatedText,
+          glossaryVersion,
+          lastUsedAt: new Date()
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+const TranslationMemory = mongoose.model('TranslationMemory', translationMemorySchema);
+
+module.exports = TranslationMemory;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Materialized trending score of an article for one time window, refreshed
+// periodically by the trending service. City and categories are copied from
+// the article so filtered trending lists are a single indexed query.
+const trendingScoreSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  window: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  // Raw activity inside the window, kept for explaining the score
+  counts: {
+    views: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    shares: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 }
+  },
+  // City the article was resolved to
+  city: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+    default: null
+  },
+  // Lowercased article location.city, matched for articles with no city
+  cityName: {
+    type: String,
+    default: null
+  },
+  // Article category and its ancestors
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  publishedAt: {
+    type: Date
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+trendingScoreSchema.index({ article: 1, window: 1 }, { unique: true });
+trendingScoreSchema.index({ window: 1, score: -1 });
+trendingScoreSchema.index({ window: 1, city: 1, score: -1 });
+trendingScoreSchema.index({ window: 1, cityName: 1, score: -1 });
+trendingScoreSchema.index({ window: 1, categories: 1, score: -1 });
+trendingScoreSchema.index({ window: 1, computedAt: 1 });
+
+const TrendingScore = mongoose.model('TrendingScore', trendingScoreSchema);
+
+module.exports = TrendingScore;
@@ -1,19 +1,53 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// A role granted to a reporter, optionally scoped
+const grantSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  cities: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City'
+  }],
+  languages: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
+}, { _id: false });
+
 // Base User Schema
+// Readers sign in with an email and password, a phone number and OTP, or both
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
-    required: [true, 'Email is required'],
-    unique: true,
+    required: [function() { return !this.phone; }, 'Email or phone number is required'],
     lowercase: true,
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // E.164, e.g. +919876543210 (see utils/phone.js)
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\+\d{8,15}$/, 'Please enter a valid phone number']
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Phone-only accounts sign in with OTPs
+    required: [function() { return !this.phone; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
@@ -36,6 +70,15 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set once the reader opens the verification link (needed to comment)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   preferences: {
     language: {
       type: String,
@@ -65,16 +108,58 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category'
   }],
+  // Workflow step keys this user can review (e.g. 'sub-editor')
+  reviewSteps: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Roles granted on top of the account role (keys from RoleConfig), each
+  // limited to some categories, cities and languages (empty means all)
+  grants: [grantSchema],
+  // Standing as a commenter (services/reputation.js): 0-100 from the
+  // moderation history of their comments, 50 for newcomers
+  reputation: {
+    score: {
+      type: Number,
+      default: 50
+    },
+    approved: {
+      type: Number,
+      default: 0
+    },
+    flagged: {
+      type: Number,
+      default: 0
+    },
+    rejected: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
+  // Mute (no posting or editing) or ban (no commenting at all); without
+  // `until` it lasts until a moderator lifts it
+  commentRestriction: {
+    kind: {
+      type: String,
+      enum: ['mute', 'ban', null],
+      default: null
+    },
+    until: Date,
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
   articlesCount: {
     type: Number,
     default: 0
   },
   lastLogin: {
     type: Date
-  },
-  refreshToken: {
-    type: String,
-    select: false
   }
 }, {
   timestamps: true,
@@ -83,9 +168,12 @@ const userSchema = new mongoose.Schema({
 });
 
 // Index for efficient queries
-userSchema.index({ email: 1 });
+// Unique when present; phone-only and email-only accounts leave the other out
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phone: { $type: 'string' } } });
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ 'preferences.city': 1, 'preferences.area': 1 });
+userSchema.index({ reviewSteps: 1, isActive: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -98,6 +186,7 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -107,9 +196,16 @@ userSchema.methods.toPublicJSON = function() {
     id: this._id,
     name: this.name,
     email: this.email,
+    phone: this.phone,
+    phoneVerified: this.phoneVerified,
     role: this.role,
     avatar: this.avatar,
+    emailVerified: this.emailVerified,
     preferences: this.preferences,
+    reviewSteps: this.reviewSteps,
+    grants: this.grants,
+    reputation: this.reputation,
+    commentRestriction: this.commentRestriction?.kind ? this.commentRestriction : null,
     createdAt: this.createdAt
   };
 };
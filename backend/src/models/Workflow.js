@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Steps used until an admin configures the workflow
+const DEFAULT_STEPS = [
+  { key: 'sub-editor', name: 'Sub-editor', description: 'Checks facts, structure and headline' },
+  { key: 'copy-editor', name: 'Language copy-editor', description: 'Reviews every translated language' },
+  { key: 'publisher', name: 'Publisher', description: 'Final sign-off before publishing' }
+];
+
+const workflowStepSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Step key is required'],
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Step name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    unique: true,
+    default: 'default'
+  },
+  // Ordered review steps an article passes through after submission
+  steps: {
+    type: [workflowStepSchema],
+    validate: {
+      validator: (steps) => new Set(steps.map(s => s.key)).size === steps.length,
+      message: 'Step keys must be unique'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the configured steps (falls back to defaults)
+workflowSchema.statics.getSteps = async function(key = 'default') {
+  const workflow = await this.findOne({ key }).lean();
+  return workflow?.steps?.length ? workflow.steps : DEFAULT_STEPS;
+};
+
+const Workflow = mongoose.model('Workflow', workflowSchema);
+
+module.exports = Workflow;
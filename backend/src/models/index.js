@@ -1,19 +1,51 @@
 const User = require('./User');
 const Category = require('./Category');
 const Article = require('./Article');
+const ArticleRevision = require('./ArticleRevision');
 const Comment = require('./Comment');
 const City = require('./City');
 const Area = require('./Area');
 const Engagement = require('./Engagement');
 const Language = require('./Language');
+const Workflow = require('./Workflow');
+const ArticleTransition = require('./ArticleTransition');
+const TranslationMemory = require('./TranslationMemory');
+const GlossaryTerm = require('./GlossaryTerm');
+const TranslationJob = require('./TranslationJob');
+const TrendingScore = require('./TrendingScore');
+const PushSubscription = require('./PushSubscription');
+const Session = require('./Session');
+const AccountToken = require('./AccountToken');
+const PhoneOtp = require('./PhoneOtp');
+const ApiKey = require('./ApiKey');
+const Setting = require('./Setting');
+const RoleConfig = require('./RoleConfig');
+const Appeal = require('./Appeal');
+const LiveBlogEntry = require('./LiveBlogEntry');
 
 module.exports = {
   User,
   Category,
   Article,
+  ArticleRevision,
   Comment,
   City,
   Area,
   Engagement,
-  Language
+  Language,
+  Workflow,
+  ArticleTransition,
+  TranslationMemory,
+  GlossaryTerm,
+  TranslationJob,
+  TrendingScore,
+  PushSubscription,
+  Session,
+  AccountToken,
+  PhoneOtp,
+  ApiKey,
+  Setting,
+  RoleConfig,
+  Appeal,
+  LiveBlogEntry
 };
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const { protect, adminOnly } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+
+// @route   GET /api/api-keys
+// @desc    List API keys, newest first (?includeRevoked=true)
+// @access  Private/Admin
+router.get('/', protect, adminOnly, async (req, res) => {
+  try {
+    const query = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys: apiKeys.map(apiKey => apiKey.toPublicJSON()) });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Issue an API key; the key itself is only returned here
+// @access  Private/Admin
+router.post('/', protect, adminOnly, validate(schemas.apiKey), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiKey, key } = await ApiKey.issue({
+      name,
+      scopes,
+      expiresAt: expiresAt || null,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey: apiKey.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key (kept for its usage history)
+// @access  Private/Admin
+router.delete('/:id', protect, adminOnly, validate(schemas.objectId, 'params'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    res.json({ message: 'API key revoked', apiKey: apiKey.toPublicJSON() });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
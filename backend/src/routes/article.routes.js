@@ -1,10 +1,34 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
 const Category = require('../models/Category');
-const { protect, optionalAuth, reporterOrAdmin, adminOnly } = require('../middleware/auth');
+const City = require('../models/City');
+const Area = require('../models/Area');
+const { protect, optionalAuth, reporterOrAdmin, can } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
 const languageCache = require('../utils/languageCache');
+const { zonedTimeToUtc, formatInTimeZone, isValidTimeZone } = require('../utils/timezone');
+const { diffWords, diffStats } = require('../utils/textDiff');
+const { toQueryText } = require('../utils/searchText');
+const workflow = require('../services/workflow');
+const search = require('../services/search');
+const dedup = require('../services/dedup');
+const recommendations = require('../services/recommendations');
+const trending = require('../services/trending');
+const areaFeed = require('../services/areaFeed');
+const pushNotifications = require('../services/pushNotifications');
+const permissions = require('../services/permissions');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Breaking stories are pushed right away rather than on the next pass
+const announceIfBreaking = (article) => {
+  if (article && article.status === 'published' && article.isBreaking) {
+    pushNotifications.tick();
+  }
+};
 
 // Helper to get value from Map or plain object
 const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
@@ -16,6 +40,97 @@ const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
   return field[lang] || field[fallbackLang] || Object.values(field)[0] || '';
 };
 
+// Snapshot an article save - a failed snapshot must not fail the save itself
+const recordRevision = async (article, user, options = {}) => {
+  try {
+    return await ArticleRevision.record(article, { editor: user._id, ...options });
+  } catch (error) {
+    console.error('Record revision error:', error);
+    return null;
+  }
+};
+
+// Keep an older article's state before its first recorded edit - like
+// recordRevision, a failure must not fail the save
+const recordBaselineRevision = async (article) => {
+  try {
+    await ArticleRevision.recordBaseline(article);
+  } catch (error) {
+    console.error('Record baseline revision error:', error);
+  }
+};
+
+// Authors and assigned reviewers can edit their articles; anyone else needs
+// articles.edit covering the article and the languages being changed
+const canEditArticle = (user, article, languages = []) => {
+  return permissions.hasPermission(user, 'articles.edit', permissions.articleResource(article, languages));
+};
+
+// Scope of the article in :id for can()
+const existingArticle = permissions.resourceLoader('Article', async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const article = await Article.findById(req.params.id)
+    .select('category categoryAncestors city author workflow.assignedTo')
+    .lean();
+  return article && permissions.articleResource(article);
+});
+
+// Scope of an article about to be created from the request body (its city
+// comes from the location, as on save)
+const newArticle = async (req) => {
+  const category = req.body.category
+    ? await Category.findById(req.body.category).select('ancestors').lean()
+    : null;
+  const { city } = await Area.resolveLocation(req.body.location?.coordinates);
+  return {
+    categories: category ? [category._id, ...category.ancestors.map(a => a._id)] : [],
+    city,
+    languages: []
+  };
+};
+
+// Languages whose title, summary or content an update changes
+const changedLanguages = (article, update) => {
+  const changed = new Set();
+  ['title', 'summary', 'content'].forEach(field => {
+    if (!update[field]) return;
+    const before = article[field] instanceof Map ? Object.fromEntries(article[field]) : (article[field] || {});
+    const after = update[field] instanceof Map ? Object.fromEntries(update[field]) : update[field];
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(code => {
+      if ((before[code] || '') !== (after[code] || '')) changed.add(code);
+    });
+  });
+  return [...changed];
+};
+
+// Without publish rights only drafts can be saved or submitted for review;
+// publishing goes through the workflow
+const REPORTER_STATUSES = ['draft', 'pending'];
+
+// Permission needed to move an article into a status
+const statusPermission = (status) => (status === 'archived' ? 'articles.archive' : 'articles.publish');
+
+// Escape user input for use in a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Resolve the timezone used to interpret schedule times: explicit city,
+// then the city named in the article location, then the platform default
+const resolveScheduleTimezone = async (cityId, article) => {
+  let city = null;
+
+  if (cityId) {
+    city = await City.findById(cityId).select('timezone').lean();
+  } else if (article.location?.city) {
+    const codes = await languageCache.getActiveLanguageCodes();
+    const nameRegex = new RegExp(`^${escapeRegex(article.location.city.trim())}$`, 'i');
+    city = await City.findOne({
+      $or: codes.map(code => ({ [`name.${code}`]: nameRegex }))
+    }).select('timezone').lean();
+  }
+
+  return isValidTimeZone(city?.timezone) ? city.timezone : DEFAULT_TIMEZONE;
+};
+
 // @route   GET /api/articles
 // @desc    Get published articles (public feed)
 // @access  Public
@@ -27,6 +142,7 @@ router.get('/', optionalAuth, async (req, res) => {
       limit = 20, 
       category, 
       city, 
+      area,
       featured,
       breaking,
       search,
@@ -42,11 +158,18 @@ router.get('/', optionalAuth, async (req, res) => {
         { categoryAncestors: category }
       ];
     }
-    if (city) query['location.city'] = city;
+    // City and area ids match the resolved references; a city name
+    // matches the free-text location
+    if (city) {
+      if (mongoose.isValidObjectId(city)) query.city = city;
+      else query['location.city'] = city;
+    }
+    if (area && mongoose.isValidObjectId(area)) query.area = area;
     if (featured === 'true') query.isFeatured = true;
     if (breaking === 'true') query.isBreaking = true;
     if (search) {
-      query.$text = { $search: search };
+      // Same analysis as the indexed search documents
+      query.$text = { $search: toQueryText(search) };
     }
 
     const articles = await Article.find(query)
@@ -86,6 +209,43 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/articles/feed
+// @desc    Personalized "For You" feed with reasons per article
+// @access  Private
+router.get('/feed', protect, async (req, res) => {
+  try {
+    const defaultLang = await languageCache.getDefaultLanguageCode();
+    const { lang = req.user.preferences?.language || defaultLang } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const { articles, total } = await recommendations.getFeed(req.user, { lang, defaultLang, page, limit });
+
+    res.json({
+      articles: articles.map(({ article, score, reasons }) => ({
+        ...article,
+        title: getLocalizedValue(article.title, lang, defaultLang),
+        summary: getLocalizedValue(article.summary, lang, defaultLang),
+        category: article.category ? {
+          ...article.category,
+          name: getLocalizedValue(article.category.name, lang, defaultLang)
+        } : null,
+        score: Math.round(score * 1000) / 1000,
+        reasons
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get personalized feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch your feed' });
+  }
+});
+
 // @route   GET /api/articles/nearby
 // @desc    Get articles near a location
 // @access  Public
@@ -119,26 +279,87 @@ router.get('/nearby', async (req, res) => {
   }
 });
 
+// @route   GET /api/articles/by-area/:areaId
+// @desc    Hyperlocal feed for an area, widened to neighbouring areas when quiet
+// @access  Public
+router.get('/by-area/:areaId', async (req, res) => {
+  try {
+    const defaultLang = await languageCache.getDefaultLanguageCode();
+    const { page = 1, limit = 20, lang = defaultLang } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.areaId)) {
+      return res.status(400).json({ error: 'Invalid area' });
+    }
+
+    const area = await Area.findOne({ _id: req.params.areaId, isActive: true });
+    if (!area) {
+      return res.status(404).json({ error: 'Area not found' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+
+    const { articles, total, neighbours, expanded } = await areaFeed.getAreaFeed(area, {
+      page: pageNum,
+      limit: limitNum
+    });
+
+    const localizeArea = (a) => ({
+      _id: a._id,
+      slug: a.slug,
+      name: getLocalizedValue(a.name, lang, defaultLang)
+    });
+
+    const transformedArticles = articles.map(article => ({
+      ...article,
+      title: getLocalizedValue(article.title, lang, defaultLang),
+      summary: getLocalizedValue(article.summary, lang, defaultLang),
+      category: article.category ? {
+        ...article.category,
+        name: getLocalizedValue(article.category.name, lang, defaultLang)
+      } : null,
+      area: article.area ? localizeArea(article.area) : null
+    }));
+
+    res.json({
+      area: localizeArea(area),
+      expanded,
+      neighbours: neighbours.map(localizeArea),
+      articles: transformedArticles,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get area articles error:', error);
+    res.status(500).json({ error: 'Failed to fetch area articles' });
+  }
+});
+
 // @route   GET /api/articles/trending
-// @desc    Get trending articles
+// @desc    Get trending articles (time-decayed engagement velocity)
 // @access  Public
 router.get('/trending', async (req, res) => {
   try {
     const defaultLang = await languageCache.getDefaultLanguageCode();
-    const { limit = 10, lang = defaultLang } = req.query;
-    
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const { limit = 10, lang = defaultLang, city, category, window = trending.DEFAULT_WINDOW } = req.query;
 
-    const articles = await Article.find({
-      status: 'published',
-      publishedAt: { $gte: oneDayAgo }
-    })
-      .select('title slug featuredImage engagement publishedAt author category')
-      .populate('author', 'name avatar')
-      .populate('category', 'name slug')
-      .sort({ 'engagement.views': -1, 'engagement.likes': -1 })
-      .limit(Number(limit))
-      .lean();
+    if (!trending.WINDOWS[window]) {
+      return res.status(400).json({ error: `Window must be one of: ${Object.keys(trending.WINDOWS).join(', ')}` });
+    }
+    if (category && !mongoose.isValidObjectId(category)) {
+      return res.status(400).json({ error: 'Invalid category' });
+    }
+
+    const articles = await trending.getTrending({
+      window,
+      city,
+      category,
+      limit: Math.min(50, Math.max(1, parseInt(limit, 10) || 10))
+    });
 
     const transformedArticles = articles.map(article => ({
       ...article,
@@ -149,13 +370,75 @@ router.get('/trending', async (req, res) => {
       } : null
     }));
 
-    res.json({ articles: transformedArticles });
+    res.json({ articles: transformedArticles, window });
   } catch (error) {
     console.error('Get trending articles error:', error);
     res.status(500).json({ error: 'Failed to fetch trending articles' });
   }
 });
 
+// @route   GET /api/articles/search
+// @desc    Full-text search with relevance, highlighting and facets
+// @access  Public
+router.get('/search', async (req, res) => {
+  try {
+    const defaultLang = await languageCache.getDefaultLanguageCode();
+    const {
+      q = '',
+      page = 1,
+      limit = 20,
+      category,
+      city,
+      author,
+      within,
+      from,
+      to,
+      lang = defaultLang
+    } = req.query;
+
+    if (q.length > 200) {
+      return res.status(400).json({ error: 'Search query is too long' });
+    }
+    if ((category && !mongoose.isValidObjectId(category)) || (author && !mongoose.isValidObjectId(author))) {
+      return res.status(400).json({ error: 'Invalid category or author' });
+    }
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+
+    const { articles, facets, total } = await search.searchArticles({
+      q: q.trim(),
+      lang,
+      defaultLang,
+      category,
+      city,
+      author,
+      within,
+      from,
+      to,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.json({
+      articles,
+      facets,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Search articles error:', error);
+    res.status(500).json({ error: 'Failed to search articles' });
+  }
+});
+
 // @route   GET /api/articles/ref/:articleId
 // @desc    Get article by articleId reference
 // @access  Public
@@ -240,8 +523,8 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
 
 // @route   GET /api/articles/:id
 // @desc    Get article by ID (for editing)
-// @access  Private/Reporter
-router.get('/:id', protect, reporterOrAdmin, async (req, res) => {
+// @access  Private/Reporter (articles.edit)
+router.get('/:id', protect, reporterOrAdmin, can('articles.edit', existingArticle), async (req, res) => {
   try {
     const article = await Article.findById(req.params.id)
       .populate('author', 'name avatar')
@@ -251,12 +534,6 @@ router.get('/:id', protect, reporterOrAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Article not found' });
     }
 
-    // Check permission - reporters can only view their own articles
-    if (req.user.role === 'reporter' && 
-        article.author._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized to view this article' });
-    }
-
     // Return full multilingual data for editing
     res.json({ article });
   } catch (error) {
@@ -265,10 +542,34 @@ router.get('/:id', protect, reporterOrAdmin, async (req, res) => {
   }
 });
 
+// @route   POST /api/articles/check-duplicates
+// @desc    Find published, in-progress and scraped articles similar to unsaved content
+// @access  Private/Reporter
+router.post('/check-duplicates', protect, reporterOrAdmin, validate(schemas.checkDuplicates), async (req, res) => {
+  try {
+    const { content, excludeId } = req.body;
+    const defaultLang = await languageCache.getDefaultLanguageCode();
+    const text = getLocalizedValue(content, defaultLang, defaultLang);
+
+    // An article converted from a scraped story is not a duplicate of its source
+    const existing = excludeId ? await Article.findById(excludeId).select('source') : null;
+
+    const matches = await dedup.findSimilarToText(text, {
+      excludeArticle: excludeId || null,
+      excludeScraped: existing?.source?.scrapedArticle || null
+    });
+
+    res.json({ matches, threshold: dedup.DUPLICATE_THRESHOLD });
+  } catch (error) {
+    console.error('Check duplicates error:', error);
+    res.status(500).json({ error: 'Failed to check for duplicates' });
+  }
+});
+
 // @route   POST /api/articles
 // @desc    Create article
-// @access  Private/Reporter
-router.post('/', protect, reporterOrAdmin, validate(schemas.createArticle), async (req, res) => {
+// @access  Private/Reporter (articles.create)
+router.post('/', protect, reporterOrAdmin, validate(schemas.createArticle), can('articles.create', newArticle), async (req, res) => {
   try {
     // Convert plain objects to Maps for multilingual fields
     const articleData = {
@@ -287,14 +588,33 @@ router.post('/', protect, reporterOrAdmin, validate(schemas.createArticle), asyn
       }
     }
 
+    if (articleData.status && !REPORTER_STATUSES.includes(articleData.status) &&
+      !(await permissions.hasPermission(req.user, statusPermission(articleData.status), await newArticle(req)))) {
+      articleData.status = 'draft';
+    }
+
+    // Comment moderation is up to moderators
+    if (articleData.commentPolicy &&
+      !(await permissions.hasPermission(req.user, 'comments.moderate', await newArticle(req)))) {
+      delete articleData.commentPolicy;
+    }
+
     if (articleData.featuredImage?.caption) {
       articleData.featuredImage.caption = new Map(Object.entries(articleData.featuredImage.caption));
     }
     if (req.body.audio) {
       articleData.audio = new Map(Object.entries(req.body.audio));
     }
+    if (req.body.audioMeta) {
+      articleData.audioMeta = new Map(Object.entries(req.body.audioMeta).filter(([, meta]) => meta));
+    }
 
     const article = await Article.create(articleData);
+    await recordRevision(article, req.user, { action: 'create' });
+
+    if (article.status === 'pending') {
+      await workflow.startReview(article, req.user, 'draft');
+    }
 
     // Update category article count
     if (req.body.category) {
@@ -307,6 +627,7 @@ router.post('/', protect, reporterOrAdmin, validate(schemas.createArticle), asyn
     await require('../models/User').findByIdAndUpdate(req.user._id, {
       $inc: { articlesCount: 1 }
     });
+    announceIfBreaking(article);
 
     res.status(201).json({
       message: 'Article created',
@@ -320,7 +641,7 @@ router.post('/', protect, reporterOrAdmin, validate(schemas.createArticle), asyn
 
 // @route   PUT /api/articles/:id
 // @desc    Update article
-// @access  Private/Reporter
+// @access  Private/Reporter (articles.edit)
 router.put('/:id', protect, reporterOrAdmin, async (req, res) => {
   try {
     const article = await Article.findById(req.params.id);
@@ -329,22 +650,43 @@ router.put('/:id', protect, reporterOrAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Article not found' });
     }
 
-    // Check permission
-    if (req.user.role === 'reporter' && 
-        article.author.toString() !== req.user._id.toString()) {
+    // Check permission for the languages this save changes
+    if (!(await canEditArticle(req.user, article, changedLanguages(article, req.body)))) {
       return res.status(403).json({ error: 'Not authorized to update this article' });
     }
 
-    // If category changed, update ancestors
-    if (req.body.category && req.body.category !== article.category.toString()) {
+    if (req.body.status && !REPORTER_STATUSES.includes(req.body.status) &&
+      !(await permissions.hasPermission(req.user, statusPermission(req.body.status), permissions.articleResource(article)))) {
+      return res.status(403).json({ error: 'You can only save drafts or submit for review' });
+    }
+
+    if (req.body.commentPolicy && req.body.commentPolicy !== article.commentPolicy &&
+      !(await permissions.hasPermission(req.user, 'comments.moderate', permissions.articleResource(article)))) {
+      return res.status(403).json({ error: 'Not authorized to change comment moderation' });
+    }
+
+    // If category changed, update ancestors (the new category must be in scope too)
+    if (req.body.category && req.body.category !== article.category?.toString()) {
       const newCategory = await Category.findById(req.body.category);
       if (newCategory) {
         req.body.categoryAncestors = newCategory.ancestors.map(a => a._id);
+
+        const moved = { ...article.toObject(), category: newCategory._id, categoryAncestors: req.body.categoryAncestors };
+        if (!(await canEditArticle(req.user, moved))) {
+          return res.status(403).json({ error: 'Not authorized to move this article to that category' });
+        }
       }
     }
 
     // Convert plain objects to Maps for multilingual fields
     const updateData = { ...req.body };
+    // Workflow, schedule and live blog state only change through their own endpoints
+    ['workflow', 'publishAt', 'unpublishAt', 'scheduleTimezone', 'scheduledBy', 'liveBlog'].forEach(field => {
+      delete updateData[field];
+    });
+    if (updateData.kind === 'live_blog' && !article.liveBlog?.state) {
+      updateData['liveBlog.state'] = 'live';
+    }
     if (updateData.title) {
       updateData.title = new Map(Object.entries(updateData.title));
     }
@@ -360,12 +702,22 @@ router.put('/:id', protect, reporterOrAdmin, async (req, res) => {
     if (updateData.audio) {
       updateData.audio = new Map(Object.entries(updateData.audio));
     }
+    if (updateData.audioMeta) {
+      updateData.audioMeta = new Map(Object.entries(updateData.audioMeta).filter(([, meta]) => meta));
+    }
 
+    await recordBaselineRevision(article);
     const updatedArticle = await Article.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
     );
+    await recordRevision(updatedArticle, req.user);
+
+    if (updateData.status && updateData.status !== article.status) {
+      await workflow.applyStatusChange(updatedArticle, req.user, article.status);
+    }
+    announceIfBreaking(updatedArticle);
 
     res.json({
       message: 'Article updated',
@@ -379,8 +731,8 @@ router.put('/:id', protect, reporterOrAdmin, async (req, res) => {
 
 // @route   PUT /api/articles/:id/status
 // @desc    Update article status
-// @access  Private/Admin
-router.put('/:id/status', protect, adminOnly, async (req, res) => {
+// @access  Private (articles.publish, or articles.archive to archive)
+router.put('/:id/status', protect, can(req => statusPermission(req.body.status), existingArticle), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -388,12 +740,304 @@ router.put('/:id/status', protect, adminOnly, async (req, res) => {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const fromStatus = article.status;
+    article.status = status;
+    if (status === 'published') {
+      article.publishedAt = new Date();
+    }
+
+    // Manual publish or withdrawal cancels any pending schedule
+    if (status !== 'pending') {
+      article.publishAt = null;
+    }
+
+    await article.save();
+
+    if (fromStatus !== status) {
+      await workflow.applyStatusChange(article, req.user, fromStatus);
+    }
+    announceIfBreaking(article);
+
+    res.json({
+      message: `Article ${status}`,
+      article
+    });
+  } catch (error) {
+    console.error('Update status error:', error);
+    res.status(500).json({ error: 'Failed to update article status' });
+  }
+});
+
+// @route   GET /api/articles/:id/revisions
+// @desc    List revisions of an article (newest first)
+// @access  Private/Reporter (articles.edit)
+router.get('/:id/revisions', protect, reporterOrAdmin, can('articles.edit', existingArticle), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const article = await Article.findById(req.params.id).select('author');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const [revisions, total] = await Promise.all([
+      ArticleRevision.find({ article: article._id })
+        .select('-snapshot')
+        .populate('editor', 'name avatar')
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .lean(),
+      ArticleRevision.countDocuments({ article: article._id })
+    ]);
+
+    res.json({
+      revisions,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// @route   GET /api/articles/:id/revisions/diff
+// @desc    Word-level diff per field and language between two revisions
+//          (?from=<revisionId>&to=<revisionId>, "to" defaults to the latest)
+// @access  Private/Reporter (articles.edit)
+router.get('/:id/revisions/diff', protect, reporterOrAdmin, can('articles.edit', existingArticle), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ error: 'A "from" revision is required' });
+    }
+
+    const article = await Article.findById(req.params.id).select('author');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      ArticleRevision.findOne({ _id: from, article: article._id }).lean(),
+      to
+        ? ArticleRevision.findOne({ _id: to, article: article._id }).lean()
+        : ArticleRevision.findOne({ article: article._id }).sort({ revision: -1 }).lean()
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const fields = {};
+    ['title', 'summary', 'content'].forEach(field => {
+      const before = fromRevision.snapshot?.[field] || {};
+      const after = toRevision.snapshot?.[field] || {};
+      const langs = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+      fields[field] = {};
+      langs.forEach(lang => {
+        const ops = diffWords(before[lang] || '', after[lang] || '');
+        fields[field][lang] = {
+          changed: ops.some(op => op.type !== 'equal'),
+          stats: diffStats(ops),
+          ops
+        };
+      });
+    });
+
+    res.json({
+      from: { _id: fromRevision._id, revision: fromRevision.revision, createdAt: fromRevision.createdAt },
+      to: { _id: toRevision._id, revision: toRevision.revision, createdAt: toRevision.createdAt },
+      fields
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+// @route   GET /api/articles/:id/revisions/:revisionId
+// @desc    Get a single revision with its full snapshot
+// @access  Private/Reporter (articles.edit)
+router.get('/:id/revisions/:revisionId', protect, reporterOrAdmin, can('articles.edit', existingArticle), async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id).select('author');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const revision = await ArticleRevision.findOne({
+      _id: req.params.revisionId,
+      article: article._id
+    }).populate('editor', 'name avatar');
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// @route   POST /api/articles/:id/revisions/:revisionId/restore
+// @desc    Restore article content from a prior revision (status is kept)
+// @access  Private/Reporter (articles.edit)
+router.post('/:id/revisions/:revisionId/restore', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const revision = await ArticleRevision.findOne({
+      _id: req.params.revisionId,
+      article: article._id
+    });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { snapshot } = revision;
+
+    if (!(await canEditArticle(req.user, article, changedLanguages(article, snapshot)))) {
+      return res.status(403).json({ error: 'Not authorized to update this article' });
+    }
+
+    article.title = snapshot.title;
+    article.summary = snapshot.summary;
+    article.content = snapshot.content;
+    article.tags = snapshot.tags || [];
+    article.audio = snapshot.audio;
+    article.audioMeta = snapshot.audioMeta || new Map();
+    article.location = snapshot.location || undefined;
+    article.featuredImage = snapshot.featuredImage || undefined;
+
+    const previousCategory = article.category?.toString() || null;
+    const restoredCategory = snapshot.category?.toString() || null;
+    if (previousCategory !== restoredCategory) {
+      const category = restoredCategory ? await Category.findById(restoredCategory) : null;
+      article.category = category ? category._id : null;
+      article.categoryAncestors = category ? category.ancestors.map(a => a._id) : [];
+    }
+
+    await article.save();
+    const restored = await recordRevision(article, req.user, {
+      action: 'restore',
+      restoredFrom: revision._id
+    });
+
+    res.json({
+      message: `Restored revision ${revision.revision}`,
+      article,
+      revision: restored
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+// @route   PUT /api/articles/:id/schedule
+// @desc    Schedule article publishing (embargo) in the city's timezone
+// @access  Private (articles.publish)
+router.put('/:id/schedule', protect, can('articles.publish', existingArticle), validate(schemas.scheduleArticle), async (req, res) => {
+  try {
+    const { publishAt, unpublishAt, city } = req.body;
+
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (article.status === 'archived') {
+      return res.status(400).json({ error: 'Archived articles cannot be scheduled' });
+    }
+
+    const isPublished = article.status === 'published';
+    const timezone = await resolveScheduleTimezone(city, article);
+    const publishAtUtc = isPublished ? article.publishedAt : zonedTimeToUtc(publishAt, timezone);
+    const unpublishAtUtc = unpublishAt ? zonedTimeToUtc(unpublishAt, timezone) : null;
+
+    if (!isPublished && !publishAtUtc) {
+      return res.status(400).json({ error: 'Publish time is required' });
+    }
+    if (!isPublished && publishAtUtc <= new Date()) {
+      return res.status(400).json({ error: 'Publish time must be in the future' });
+    }
+    if (unpublishAtUtc && (unpublishAtUtc <= new Date() || (publishAtUtc && unpublishAtUtc <= publishAtUtc))) {
+      return res.status(400).json({ error: 'Unpublish time must be in the future and after publish time' });
+    }
+
+    // An already published article can only have its expiry changed
+    const fromStatus = article.status;
+    if (!isPublished) {
+      article.status = 'pending';
+      article.publishAt = publishAtUtc;
+      // Scheduling is the desk's sign-off unless a review is still running
+      if (article.workflow.state !== 'in_review') {
+        article.workflow.state = 'approved';
+        article.workflow.step = null;
+        article.workflow.assignedTo = null;
+      }
+    }
+    article.unpublishAt = unpublishAtUtc;
+    article.scheduleTimezone = timezone;
+    article.scheduledBy = req.user._id;
+    await article.save();
+
+    await workflow.recordTransition(article, req.user, {
+      action: 'status',
+      fromStatus,
+      toStatus: article.status,
+      note: `Scheduled in ${timezone}`
+    });
+
+    res.json({
+      message: 'Article scheduled',
+      article,
+      schedule: {
+        timezone,
+        publishAt: article.publishAt,
+        unpublishAt: article.unpublishAt,
+        publishAtLocal: formatInTimeZone(article.publishAt, timezone),
+        unpublishAtLocal: formatInTimeZone(article.unpublishAt, timezone)
+      }
+    });
+  } catch (error) {
+    console.error('Schedule article error:', error);
+    res.status(500).json({ error: 'Failed to schedule article' });
+  }
+});
+
+// @route   DELETE /api/articles/:id/schedule
+// @desc    Cancel article schedule (article stays pending for review)
+// @access  Private (articles.publish)
+router.delete('/:id/schedule', protect, can('articles.publish', existingArticle), async (req, res) => {
+  try {
     const article = await Article.findByIdAndUpdate(
       req.params.id,
-      { 
-        status,
-        publishedAt: status === 'published' ? new Date() : undefined
-      },
+      { publishAt: null, unpublishAt: null, scheduleTimezone: null, scheduledBy: null },
       { new: true }
     );
 
@@ -402,19 +1046,19 @@ router.put('/:id/status', protect, adminOnly, async (req, res) => {
     }
 
     res.json({
-      message: `Article ${status}`,
+      message: 'Schedule cancelled',
       article
     });
   } catch (error) {
-    console.error('Update status error:', error);
-    res.status(500).json({ error: 'Failed to update article status' });
+    console.error('Cancel schedule error:', error);
+    res.status(500).json({ error: 'Failed to cancel schedule' });
   }
 });
 
 // @route   DELETE /api/articles/:id
 // @desc    Delete article (archive)
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (articles.archive)
+router.delete('/:id', protect, can('articles.archive', existingArticle), async (req, res) => {
   try {
     const article = await Article.findByIdAndUpdate(
       req.params.id,
@@ -443,9 +1087,10 @@ router.get('/manage/list', protect, reporterOrAdmin, async (req, res) => {
 
     const query = {};
     
-    // Reporters can only see their own articles
-    if (req.user.role === 'reporter') {
-      query.author = req.user._id;
+    // Own articles plus any that articles.edit covers
+    const editable = await permissions.articleConditions(req.user, 'articles.edit');
+    if (editable) {
+      query.$or = [{ author: req.user._id }, ...editable];
     }
     
     if (status) query.status = status;
@@ -463,9 +1108,11 @@ router.get('/manage/list', protect, reporterOrAdmin, async (req, res) => {
     }
 
     const articles = await Article.find(query)
-      .select('title slug status publishedAt createdAt engagement author category')
+      .select('title slug status publishedAt createdAt engagement author category workflow kind liveBlog.state')
       .populate('author', 'name')
       .populate('category', 'name')
+      .populate('workflow.assignedTo', 'name')
+      .populate('workflow.lastRejection.by', 'name')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(Number(limit))
@@ -498,4 +1145,57 @@ router.get('/manage/list', protect, reporterOrAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/articles/manage/scheduled
+// @desc    Get the upcoming publish queue and articles due to expire
+// @access  Private/Reporter
+router.get('/manage/scheduled', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const defaultLang = await languageCache.getDefaultLanguageCode();
+    const { limit = 20, lang = defaultLang } = req.query;
+
+    // Own articles plus any that articles.publish covers
+    const publishable = await permissions.articleConditions(req.user, 'articles.publish');
+    const ownerFilter = publishable ? { $or: [{ author: req.user._id }, ...publishable] } : {};
+
+    const [upcoming, expiring] = await Promise.all([
+      Article.find({ ...ownerFilter, status: 'pending', publishAt: { $ne: null } })
+        .select('title slug status publishAt unpublishAt scheduleTimezone author category')
+        .populate('author', 'name')
+        .populate('category', 'name')
+        .sort({ publishAt: 1 })
+        .limit(Number(limit))
+        .lean(),
+      Article.find({ ...ownerFilter, status: 'published', unpublishAt: { $ne: null } })
+        .select('title slug status publishedAt unpublishAt scheduleTimezone author category')
+        .populate('author', 'name')
+        .populate('category', 'name')
+        .sort({ unpublishAt: 1 })
+        .limit(Number(limit))
+        .lean()
+    ]);
+
+    const transform = (article) => {
+      const timezone = article.scheduleTimezone || DEFAULT_TIMEZONE;
+      return {
+        ...article,
+        title: getLocalizedValue(article.title, lang, defaultLang),
+        category: article.category ? {
+          ...article.category,
+          name: getLocalizedValue(article.category.name, lang, defaultLang)
+        } : null,
+        publishAtLocal: formatInTimeZone(article.publishAt, timezone),
+        unpublishAtLocal: formatInTimeZone(article.unpublishAt, timezone)
+      };
+    };
+
+    res.json({
+      upcoming: upcoming.map(transform),
+      expiring: expiring.map(transform)
+    });
+  } catch (error) {
+    console.error('Get scheduled articles error:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled articles' });
+  }
+});
+
 module.exports = router;
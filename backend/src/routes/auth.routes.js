@@ -1,8 +1,97 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const User = require('../models/User');
-const { protect, generateToken, setTokenCookie } = require('../middleware/auth');
+const Session = require('../models/Session');
+const {
+  protect,
+  generateToken,
+  setTokenCookie,
+  setRefreshCookie,
+  clearAuthCookies,
+  getRefreshToken,
+  getClientInfo,
+  issueTokens
+} = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
+const accountTokens = require('../services/accountTokens');
+const mailer = require('../services/mailer');
+const phoneOtp = require('../services/phoneOtp');
+const adminBootstrap = require('../services/adminBootstrap');
+const permissions = require('../services/permissions');
+const { normalizePhone } = require('../utils/phone');
+
+// Where each kind of link lands in the frontend
+const ACCOUNT_EMAILS = {
+  password_reset: { template: 'passwordReset', path: '/auth/reset-password' },
+  email_verification: { template: 'emailVerification', path: '/auth/verify-email' }
+};
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * Email a password reset or verification link
+ * @param {Object} user - User document
+ * @param {string} purpose - 'password_reset' | 'email_verification'
+ * @param {string} language - Language to write in (defaults to the user's)
+ */
+const sendAccountEmail = async (user, purpose, language = user.preferences?.language) => {
+  const { template, path } = ACCOUNT_EMAILS[purpose];
+  const token = await accountTokens.issue(user, purpose);
+
+  await mailer.sendTemplate(template, {
+    to: user.email,
+    language,
+    data: {
+      name: user.name,
+      link: `${siteUrl()}${path}?token=${encodeURIComponent(token)}`
+    }
+  });
+};
+
+// Each SMS costs money, so code requests get a tighter per-IP limit
+// on top of the per-number limits in services/phoneOtp.js
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many code requests, please try again later.' }
+});
+
+// Slows down guessing of ADMIN_SETUP_TOKEN
+const setupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { error: 'Too many setup attempts, please try again later.' }
+});
+
+const OTP_ERRORS = {
+  locked: { status: 429, error: 'Too many wrong codes. Please try again later.' },
+  too_soon: { status: 429, error: 'Please wait before requesting another code' },
+  too_many: { status: 429, error: 'Too many codes requested. Please try again later.' },
+  invalid: { status: 400, error: 'Incorrect code' },
+  expired: { status: 400, error: 'Code has expired. Please request a new one.' }
+};
+
+/**
+ * Respond to a failed OTP request or check
+ */
+const sendOtpError = (res, { error, retryAfter, attemptsLeft }) => {
+  const { status, error: message } = OTP_ERRORS[error];
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+  res.status(status).json({ error: message, code: error, retryAfter, attemptsLeft });
+};
+
+/**
+ * Account details for the signed-in user, with the permissions the
+ * dashboard uses to show or hide actions
+ */
+const userResponse = async (user) => ({
+  ...user.toPublicJSON(),
+  permissions: await permissions.listPermissions(user)
+});
+
+// Primary language the request was made in (e.g. "te" from "te-IN,te;q=0.9")
+const requestLanguage = (req) => (req.get('accept-language') || '').split(/[,;-]/)[0].trim().toLowerCase() || undefined;
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -25,14 +114,19 @@ router.post('/register', validate(schemas.register), async (req, res) => {
       role: 'user'
     });
 
-    // Generate token
-    const token = generateToken(user._id);
-    setTokenCookie(res, token);
+    // Start a session for this device
+    const { token, refreshToken } = await issueTokens(req, res, user);
+
+    // Registration still succeeds if the mail cannot be sent; the reader can ask again
+    sendAccountEmail(user, 'email_verification', requestLanguage(req)).catch(error => {
+      console.error('Verification email error:', error);
+    });
 
     res.status(201).json({
       message: 'Registration successful',
       token,
-      user: user.toPublicJSON()
+      refreshToken,
+      user: await userResponse(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -68,14 +162,14 @@ router.post('/login', validate(schemas.login), async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
-    setTokenCookie(res, token);
+    // Start a session for this device
+    const { token, refreshToken } = await issueTokens(req, res, user);
 
     res.json({
       message: 'Login successful',
       token,
-      user: user.toPublicJSON()
+      refreshToken,
+      user: await userResponse(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -83,15 +177,378 @@ router.post('/login', validate(schemas.login), async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public (refresh token in body or cookie)
+router.post('/refresh', validate(schemas.refreshToken), async (req, res) => {
+  try {
+    const result = await Session.rotate(getRefreshToken(req), getClientInfo(req));
+
+    if (result.error === 'stale') {
+      // Another request already refreshed this session
+      return res.status(409).json({ error: 'Refresh token was just used' });
+    }
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { session, refreshToken } = result;
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.deleteOne();
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    const token = generateToken(user._id, session._id);
+    setTokenCookie(res, token);
+    setRefreshCookie(res, refreshToken, session.expiresAt);
+
+    res.json({ token, refreshToken });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user (ends this device's session)
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', '', {
-    httpOnly: true,
-    expires: new Date(0)
-  });
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout', protect, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.deleteOne({ _id: req.sessionId, user: req.user._id });
+    }
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Devices signed in to the current account
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: Boolean(req.sessionId) && session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', protect, validate(schemas.objectId, 'params'), async (req, res) => {
+  try {
+    const result = await Session.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (req.sessionId && String(req.sessionId) === req.params.id) {
+      clearAuthCookies(res);
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device (?keepCurrent=true keeps this one)
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true' && req.sessionId;
+    const filter = { user: req.user._id };
+    if (keepCurrent) {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const result = await Session.deleteMany(filter);
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+    res.json({ message: 'Sessions revoked', revoked: result.deletedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive && !(await accountTokens.recentlyIssued(user._id, 'password_reset'))) {
+      await sendAccountEmail(user, 'password_reset', requestLanguage(req));
+    }
+
+    // Same answer either way, so the form cannot be used to find accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset link' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset link (signs out every device)
+// @access  Public
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const result = await accountTokens.consume(req.body.token, 'password_reset');
+    if (!result) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(result.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // The link reached their inbox, so the address works
+    if (!user.emailVerified && user.email === result.email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.deleteMany({ user: user._id });
+    clearAuthCookies(res);
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification link
+// @access  Public
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const result = await accountTokens.consume(req.body.token, 'email_verification');
+    if (!result) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(result.userId);
+    // The link only confirms the address it was sent to
+    if (!user || user.email !== result.email) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified', user: await userResponse(user) });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send the verification link again
+// @access  Private
+router.post('/verify-email/resend', protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    if (await accountTokens.recentlyIssued(req.user._id, 'email_verification')) {
+      return res.status(429).json({ error: 'A link was just sent. Please wait a minute before asking again.' });
+    }
+
+    await sendAccountEmail(req.user, 'email_verification', requestLanguage(req));
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// @route   POST /api/auth/phone/request-otp
+// @desc    Text a login code to a phone number (new numbers get an account on sign-in)
+// @access  Public
+router.post('/phone/request-otp', otpLimiter, validate(schemas.phoneOtpRequest), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const user = await User.findOne({ phone });
+    if (user && !user.isActive) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    const result = await phoneOtp.requestCode(phone, { purpose: 'login', language: requestLanguage(req) });
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    res.json({ message: 'Code sent', phone, ...result });
+  } catch (error) {
+    console.error('Request OTP error:', error);
+    res.status(500).json({ error: 'Failed to send code' });
+  }
+});
+
+// @route   POST /api/auth/phone/verify-otp
+// @desc    Sign in (or sign up) with a phone number and code
+// @access  Public
+router.post('/phone/verify-otp', validate(schemas.phoneOtpVerify), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const result = await phoneOtp.verifyCode(phone, req.body.code, { purpose: 'login' });
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    let user = await User.findOne({ phone });
+    const isNewUser = !user;
+
+    if (isNewUser) {
+      try {
+        user = await User.create({
+          name: req.body.name || `Reader ${phone.slice(-4)}`,
+          phone,
+          phoneVerified: true,
+          role: 'user'
+        });
+      } catch (error) {
+        // Another request created it first
+        if (error.code !== 11000) throw error;
+        user = await User.findOne({ phone });
+      }
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    user.phoneVerified = true;
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Start a session for this device
+    const { token, refreshToken } = await issueTokens(req, res, user);
+
+    res.status(isNewUser ? 201 : 200).json({
+      message: isNewUser ? 'Registration successful' : 'Login successful',
+      token,
+      refreshToken,
+      user: await userResponse(user),
+      isNewUser
+    });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ error: 'Phone login failed' });
+  }
+});
+
+// @route   POST /api/auth/phone/link/request-otp
+// @desc    Text a code to a phone number to add it to the current account
+// @access  Private
+router.post('/phone/link/request-otp', protect, otpLimiter, validate(schemas.phoneOtpRequest), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const owner = await User.findOne({ phone });
+    if (owner && !owner._id.equals(req.user._id)) {
+      return res.status(409).json({ error: 'Phone number is already linked to another account' });
+    }
+    if (owner && owner.phoneVerified) {
+      return res.status(400).json({ error: 'Phone number is already linked to your account' });
+    }
+
+    const result = await phoneOtp.requestCode(phone, {
+      purpose: 'link',
+      userId: req.user._id,
+      language: requestLanguage(req)
+    });
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    res.json({ message: 'Code sent', phone, ...result });
+  } catch (error) {
+    console.error('Request link OTP error:', error);
+    res.status(500).json({ error: 'Failed to send code' });
+  }
+});
+
+// @route   POST /api/auth/phone/link/verify
+// @desc    Add a phone number to the current account (it can then sign in with OTP)
+// @access  Private
+router.post('/phone/link/verify', protect, validate(schemas.phoneOtpVerify), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const result = await phoneOtp.verifyCode(phone, req.body.code, { purpose: 'link', userId: req.user._id });
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    const user = await User.findById(req.user._id);
+    user.phone = phone;
+    user.phoneVerified = true;
+
+    try {
+      await user.save();
+    } catch (error) {
+      // Claimed by another account since the code was sent
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Phone number is already linked to another account' });
+      }
+      throw error;
+    }
+
+    res.json({ message: 'Phone number linked', user: await userResponse(user) });
+  } catch (error) {
+    console.error('Link phone error:', error);
+    res.status(500).json({ error: 'Failed to link phone number' });
+  }
 });
 
 // @route   GET /api/auth/me
@@ -103,50 +560,50 @@ router.get('/me', protect, async (req, res) => {
       .populate('preferences.city', 'name slug')
       .populate('preferences.area', 'name slug');
     
-    res.json({ user: user.toPublicJSON() });
+    res.json({ user: await userResponse(user) });
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: 'Failed to get profile' });
   }
 });
 
-// @route   POST /api/auth/admin/create
-// @desc    Create admin user (first-time setup only)
-// @access  Public (only works if no admin exists)
-router.post('/admin/create', validate(schemas.register), async (req, res) => {
+// @route   POST /api/auth/admin/setup
+// @desc    Create the first admin with ADMIN_SETUP_TOKEN (works once)
+// @access  Public (setup token)
+router.post('/admin/setup', setupLimiter, validate(schemas.adminSetup), async (req, res) => {
   try {
-    // Check if admin already exists
-    const existingAdmin = await User.findOne({ role: 'admin' });
-    if (existingAdmin) {
-      return res.status(403).json({ error: 'Admin account already exists' });
+    const { setupToken, name, email, password } = req.body;
+
+    if (!process.env.ADMIN_SETUP_TOKEN || await adminBootstrap.isComplete()) {
+      return res.status(403).json({ error: 'Admin setup is not available' });
     }
 
-    const { name, email, password } = req.body;
+    if (!adminBootstrap.checkSetupToken(setupToken)) {
+      return res.status(403).json({ error: 'Invalid setup token' });
+    }
 
-    // Check if email is already registered
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    const result = await adminBootstrap.createFirstAdmin(
+      { name, email, password },
+      { via: 'setup-token', ip: req.ip }
+    );
+
+    if (result.error === 'complete') {
+      return res.status(403).json({ error: 'Admin setup is not available' });
+    }
+    if (result.error === 'email_taken') {
       return res.status(400).json({ error: 'Email already registered' });
     }
 
-    // Create admin user
-    const admin = await User.create({
-      name,
-      email,
-      password,
-      role: 'admin'
-    });
-
-    const token = generateToken(admin._id);
-    setTokenCookie(res, token);
+    const { token, refreshToken } = await issueTokens(req, res, result.admin);
 
     res.status(201).json({
       message: 'Admin account created successfully',
       token,
-      user: admin.toPublicJSON()
+      refreshToken,
+      user: await userResponse(result.admin)
     });
   } catch (error) {
-    console.error('Admin creation error:', error);
+    console.error('Admin setup error:', error);
     res.status(500).json({ error: 'Failed to create admin account' });
   }
 });
@@ -1,9 +1,26 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Category = require('../models/Category');
-const { protect, adminOnly, optionalAuth } = require('../middleware/auth');
+const { protect, can, optionalAuth } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
 const languageCache = require('../utils/languageCache');
+const permissions = require('../services/permissions');
+
+// Scope of the category in :id for can()
+const existingCategory = permissions.resourceLoader('Category', async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const category = await Category.findById(req.params.id).select('ancestors').lean();
+  return category && permissions.categoryResource(category);
+});
+
+// Scope of the parent a category is being placed under (top level is unscoped)
+const parentCategory = permissions.resourceLoader('Parent category', async (req) => {
+  if (!req.body.parent) return {};
+  if (!mongoose.isValidObjectId(req.body.parent)) return null;
+  const parent = await Category.findById(req.body.parent).select('ancestors').lean();
+  return parent && permissions.categoryResource(parent);
+});
 
 // Helper to get value from Map or plain object
 const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
@@ -170,8 +187,8 @@ router.get('/slug/:slug', async (req, res) => {
 
 // @route   POST /api/categories
 // @desc    Create category
-// @access  Private/Admin
-router.post('/', protect, adminOnly, validate(schemas.createCategory), async (req, res) => {
+// @access  Private (categories.manage for the parent)
+router.post('/', protect, validate(schemas.createCategory), can('categories.manage', parentCategory), async (req, res) => {
   try {
     // Convert plain objects to Maps for multilingual fields
     const categoryData = {
@@ -196,12 +213,12 @@ router.post('/', protect, adminOnly, validate(schemas.createCategory), async (re
 
 // @route   PUT /api/categories/:id
 // @desc    Update category
-// @access  Private/Admin
-router.put('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (categories.manage for the category, and its new parent if moved)
+router.put('/:id', protect, can('categories.manage', existingCategory), async (req, res) => {
   try {
     const allowedUpdates = [
       'name', 'description', 'parent', 'icon', 'color', 
-      'image', 'order', 'isActive', 'isFeatured'
+      'image', 'order', 'isActive', 'isFeatured', 'commentPolicy'
     ];
     
     const updates = {};
@@ -216,6 +233,16 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
       }
     });
 
+    if ('parent' in updates) {
+      const parent = await parentCategory(req);
+      if (parent === null) {
+        return res.status(404).json({ error: 'Parent category not found' });
+      }
+      if (!(await permissions.hasPermission(req.user, 'categories.manage', parent))) {
+        return res.status(403).json({ error: 'Not authorized to move the category there' });
+      }
+    }
+
     const category = await Category.findByIdAndUpdate(
       req.params.id,
       updates,
@@ -238,8 +265,8 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
 
 // @route   DELETE /api/categories/:id
 // @desc    Delete category (soft delete)
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (categories.manage)
+router.delete('/:id', protect, can('categories.manage', existingCategory), async (req, res) => {
   try {
     // Check if category has children
     const hasChildren = await Category.exists({ parent: req.params.id });
@@ -268,8 +295,8 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
 
 // @route   PUT /api/categories/reorder
 // @desc    Reorder categories
-// @access  Private/Admin
-router.put('/reorder', protect, adminOnly, async (req, res) => {
+// @access  Private (unscoped categories.manage)
+router.put('/reorder', protect, can('categories.manage', permissions.unscoped), async (req, res) => {
   try {
     const { categoryOrders } = req.body; // [{ id, order }]
 
@@ -1,10 +1,67 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Article = require('../models/Article');
 const Engagement = require('../models/Engagement');
 const Comment = require('../models/Comment');
-const { protect, optionalAuth, adminOnly, reporterOrAdmin } = require('../middleware/auth');
+const User = require('../models/User');
+const Appeal = require('../models/Appeal');
+const { protect, optionalAuth, adminOnly, can, verifiedOnly, commentingAllowed } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
+const permissions = require('../services/permissions');
+const commentScreening = require('../services/commentScreening');
+const reputation = require('../services/reputation');
+const liveUpdates = require('../services/liveUpdates');
+
+// Weighted reader reports that hide a comment until a moderator reviews it
+const REPORT_THRESHOLD = Number(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+
+// Scope of a comment's article
+const commentResource = async (comment) => {
+  const article = await Article.findById(comment.article).select('category categoryAncestors city').lean();
+  return article ? permissions.articleResource(article) : {};
+};
+
+// Ids of the articles whose comments the user may moderate (null for all)
+const moderatedArticles = async (user) => {
+  const covered = await permissions.articleConditions(user, 'comments.moderate');
+  return covered && Article.find({ $or: covered }).distinct('_id');
+};
+
+// What the commenter is told for each outcome (flagged looks like held)
+const COMMENT_MESSAGES = {
+  approved: 'Comment posted',
+  pending: 'Comment submitted for moderation',
+  flagged: 'Comment submitted for moderation'
+};
+
+// Comment statuses from published to most held back
+const STATUS_SEVERITY = ['approved', 'pending', 'flagged'];
+
+// Commenters' reputations follow moderation; a failure must not fail the request
+const updateReputation = (userIds) => {
+  reputation.recompute(userIds).catch(error => console.error('Reputation update error:', error));
+};
+
+// Sort, cursor and page size from the query string of a thread request
+const threadQuery = (query, defaultSort) => {
+  const { sort = defaultSort, cursor, limit = 20 } = query;
+  if (!['newest', 'oldest', 'top'].includes(sort)) {
+    return { error: 'Invalid sort' };
+  }
+  const after = cursor ? Comment.parseCursor(cursor, sort) : null;
+  if (cursor && !after) {
+    return { error: 'Invalid cursor' };
+  }
+  return { sort, after, limit: Math.min(Math.max(Number(limit) || 20, 1), 50) };
+};
+
+// Scope of the comment in :commentId for can()
+const existingComment = permissions.resourceLoader('Comment', async (req) => {
+  if (!mongoose.isValidObjectId(req.params.commentId)) return null;
+  const comment = await Comment.findById(req.params.commentId).select('article').lean();
+  return comment && commentResource(comment);
+});
 
 // @route   POST /api/engagement/view/:articleId
 // @desc    Record article view
@@ -30,6 +87,7 @@ router.post('/view/:articleId', optionalAuth, async (req, res) => {
     // If new view, increment article counter (atomic)
     if (isNewView) {
       await Article.incrementViews(articleId);
+      liveUpdates.engagementChanged(articleId);
     }
 
     const article = await Article.findById(articleId).select('engagement.views');
@@ -86,6 +144,7 @@ router.post('/like/:articleId', protect, async (req, res) => {
       await Article.toggleLike(articleId, true);
       action = 'liked';
     }
+    liveUpdates.engagementChanged(articleId);
 
     const article = await Article.findById(articleId).select('engagement');
 
@@ -140,6 +199,7 @@ router.post('/dislike/:articleId', protect, async (req, res) => {
       await Article.toggleDislike(articleId, true);
       action = 'disliked';
     }
+    liveUpdates.engagementChanged(articleId);
 
     const article = await Article.findById(articleId).select('engagement');
 
@@ -171,6 +231,7 @@ router.post('/share/:articleId', protect, async (req, res) => {
     await Article.findByIdAndUpdate(articleId, {
       $inc: { 'engagement.shares': 1 }
     });
+    liveUpdates.engagementChanged(articleId);
 
     res.json({ message: 'Share recorded' });
   } catch (error) {
@@ -250,6 +311,29 @@ router.get('/bookmarks', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/engagement/live/:articleId
+// @desc    Server-Sent Events stream of an article's new and removed comments,
+//          comment likes and engagement counters
+// @access  Public
+router.get('/live/:articleId', async (req, res) => {
+  try {
+    const article = mongoose.isValidObjectId(req.params.articleId)
+      ? await Article.exists({ _id: req.params.articleId, status: 'published' })
+      : null;
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (!liveUpdates.openStream(req, res, article._id)) {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: 'Too many live readers, try again shortly' });
+    }
+  } catch (error) {
+    console.error('Live updates error:', error);
+    res.status(500).json({ error: 'Failed to open live updates' });
+  }
+});
+
 // @route   GET /api/engagement/status/:articleId
 // @desc    Get user's engagement status for an article
 // @access  Private
@@ -270,36 +354,97 @@ router.get('/status/:articleId', protect, async (req, res) => {
 // ============ COMMENTS ============
 
 // @route   GET /api/engagement/comments/:articleId
-// @desc    Get comments for an article
+// @desc    Page of an article's comment threads (?sort=newest|oldest|top&cursor=&limit=),
+//          with the first replies loaded two levels down. Approved comments,
+//          plus the reader's own held ones
 // @access  Public
-router.get('/comments/:articleId', async (req, res) => {
+router.get('/comments/:articleId', optionalAuth, async (req, res) => {
   try {
-    const { limit = 50 } = req.query;
-    
-    const comments = await Comment.getThreadedComments(
-      req.params.articleId,
-      Number(limit)
-    );
+    const { sort, after, limit, error } = threadQuery(req.query, 'newest');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const article = mongoose.isValidObjectId(req.params.articleId)
+      ? await Article.findById(req.params.articleId)
+        .select('commentPolicy category categoryAncestors engagement.commentsCount')
+        .lean()
+      : null;
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const [{ comments, nextCursor }, policy] = await Promise.all([
+      Comment.getThread({ article: article._id, sort, after, limit, viewerId: req.user?._id }),
+      commentScreening.resolvePolicy(article)
+    ]);
 
-    res.json({ comments });
+    res.json({
+      comments,
+      nextCursor,
+      total: article.engagement?.commentsCount || 0,
+      policy
+    });
   } catch (error) {
     console.error('Get comments error:', error);
     res.status(500).json({ error: 'Failed to fetch comments' });
   }
 });
 
+// @route   GET /api/engagement/comments/:commentId/replies
+// @desc    Next replies in one branch (?sort=oldest|newest|top&cursor=&limit=),
+//          with the first replies under each loaded one level down
+// @access  Public
+router.get('/comments/:commentId/replies', optionalAuth, async (req, res) => {
+  try {
+    const { sort, after, limit, error } = threadQuery(req.query, 'oldest');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const parent = mongoose.isValidObjectId(req.params.commentId)
+      ? await Comment.exists({ _id: req.params.commentId })
+      : null;
+    if (!parent) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const { comments, nextCursor } = await Comment.getThread({
+      parent: parent._id,
+      sort,
+      after,
+      limit,
+      viewerId: req.user?._id,
+      depth: 1
+    });
+
+    res.json({ replies: comments, nextCursor });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ error: 'Failed to fetch replies' });
+  }
+});
+
 // @route   POST /api/engagement/comments/:articleId
 // @desc    Add comment to article
 // @access  Private
-router.post('/comments/:articleId', protect, validate(schemas.createComment), async (req, res) => {
+router.post('/comments/:articleId', protect, verifiedOnly, commentingAllowed(), validate(schemas.createComment), async (req, res) => {
   try {
     const { content, parent } = req.body;
 
-    // If parent specified, verify it exists and belongs to same article
+    const article = await Article.findById(req.params.articleId)
+      .select('commentPolicy category categoryAncestors')
+      .lean();
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    // If parent specified, verify it is published on the same article
     if (parent) {
-      const parentComment = await Comment.findOne({
+      const parentComment = await Comment.exists({
         _id: parent,
-        article: req.params.articleId
+        article: req.params.articleId,
+        status: 'approved'
       });
       
       if (!parentComment) {
@@ -307,19 +452,34 @@ router.post('/comments/:articleId', protect, validate(schemas.createComment), as
       }
     }
 
+    const { status, screening } = await commentScreening.screen(
+      { content, parent },
+      { user: req.user, article }
+    );
+    if (!status) {
+      return res.status(403).json({ error: 'Comments are closed on this article' });
+    }
+
     const comment = await Comment.create({
       article: req.params.articleId,
       user: req.user._id,
       content,
       parent: parent || null,
-      status: 'approved' // Auto-approve comments
+      status,
+      screening
     });
 
+    updateReputation([req.user._id]);
+    if (status === 'approved') liveUpdates.commentsPublished([comment._id]);
     await comment.populate('user', 'name avatar');
 
+    const result = comment.toObject();
+    delete result.screening;
+    if (result.status === 'flagged') result.status = 'pending';
+
     res.status(201).json({
-      message: 'Comment submitted for moderation',
-      comment
+      message: COMMENT_MESSAGES[status],
+      comment: result
     });
   } catch (error) {
     console.error('Create comment error:', error);
@@ -330,13 +490,14 @@ router.post('/comments/:articleId', protect, validate(schemas.createComment), as
 // @route   PUT /api/engagement/comments/:commentId
 // @desc    Edit comment
 // @access  Private
-router.put('/comments/:commentId', protect, async (req, res) => {
+router.put('/comments/:commentId', protect, commentingAllowed(), validate(schemas.updateComment), async (req, res) => {
   try {
     const { content } = req.body;
 
     const comment = await Comment.findOne({
       _id: req.params.commentId,
-      user: req.user._id
+      user: req.user._id,
+      status: { $ne: 'deleted' }
     });
 
     if (!comment) {
@@ -349,14 +510,43 @@ router.put('/comments/:commentId', protect, async (req, res) => {
       return res.status(400).json({ error: 'Cannot edit comment after 10 minutes' });
     }
 
+    // Edits are screened again, so a clean comment cannot be edited into abuse
+    const article = await Article.findById(comment.article)
+      .select('commentPolicy category categoryAncestors')
+      .lean();
+    const { status, screening } = await commentScreening.screen(
+      { _id: comment._id, content, parent: comment.parent },
+      { user: req.user, article: article || {} }
+    );
+    if (!status) {
+      return res.status(403).json({ error: 'Comments are closed on this article' });
+    }
+
+    // Screening can only hold a comment back further: one held for review
+    // by a moderator, reader reports or earlier screening stays held
+    const previous = { _id: comment._id, article: comment.article, status: comment.status };
+    const newStatus = STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(comment.status)
+      ? status
+      : comment.status;
     comment.content = content;
     comment.isEdited = true;
     comment.editedAt = new Date();
+    comment.status = newStatus;
+    comment.screening = screening;
     await comment.save();
+    if (newStatus === 'approved') {
+      liveUpdates.commentsPublished([comment._id]);
+    } else if (previous.status !== newStatus) {
+      liveUpdates.commentsStatusChanged([previous], newStatus);
+    }
+
+    const result = comment.toObject();
+    delete result.screening;
+    if (result.status === 'flagged') result.status = 'pending';
 
     res.json({
-      message: 'Comment updated',
-      comment
+      message: newStatus === 'approved' ? 'Comment updated' : COMMENT_MESSAGES[newStatus],
+      comment: result
     });
   } catch (error) {
     console.error('Update comment error:', error);
@@ -366,25 +556,33 @@ router.put('/comments/:commentId', protect, async (req, res) => {
 
 // @route   DELETE /api/engagement/comments/:commentId
 // @desc    Delete comment
-// @access  Private
+// @access  Private (own comments, or comments.moderate)
 router.delete('/comments/:commentId', protect, async (req, res) => {
   try {
-    const query = { _id: req.params.commentId };
-    
-    // Regular users can only delete their own comments
-    if (req.user.role === 'user') {
-      query.user = req.user._id;
-    }
-
-    const comment = await Comment.findOne(query);
+    const comment = await Comment.findById(req.params.commentId);
 
     if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
 
-    comment.status = 'deleted';
-    comment.content = '[Deleted]';
-    await comment.save();
+    // Readers can only delete their own comments
+    if (comment.user.toString() !== req.user._id.toString() &&
+      !(await permissions.hasPermission(req.user, 'comments.moderate', await commentResource(comment)))) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user.toString() === req.user._id.toString()) {
+      const previous = { _id: comment._id, article: comment.article, status: comment.status };
+      comment.status = 'deleted';
+      comment.content = '[Deleted]';
+      await comment.save();
+      liveUpdates.commentsStatusChanged([previous], 'deleted');
+    } else {
+      // Kept for an appeal, and counted against the commenter's reputation
+      const changed = await Comment.setStatus([comment._id], { status: 'deleted', reason: 'Removed by a moderator', moderator: req.user._id });
+      updateReputation([comment.user]);
+      liveUpdates.commentsStatusChanged(changed, 'deleted');
+    }
 
     res.json({ message: 'Comment deleted' });
   } catch (error) {
@@ -396,7 +594,7 @@ router.delete('/comments/:commentId', protect, async (req, res) => {
 // @route   POST /api/engagement/comments/:commentId/like
 // @desc    Like a comment
 // @access  Private
-router.post('/comments/:commentId/like', protect, async (req, res) => {
+router.post('/comments/:commentId/like', protect, commentingAllowed('ban'), async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.commentId);
     
@@ -411,6 +609,7 @@ router.post('/comments/:commentId/like', protect, async (req, res) => {
       req.user._id,
       !alreadyLiked
     );
+    liveUpdates.publish(comment.article, 'comment-likes', { _id: comment._id, likes: updatedComment.likes });
 
     res.json({
       action: alreadyLiked ? 'unliked' : 'liked',
@@ -422,32 +621,82 @@ router.post('/comments/:commentId/like', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/engagement/comments/:commentId/moderate
-// @desc    Moderate comment (approve/flag)
-// @access  Private/Reporter
-router.put('/comments/:commentId/moderate', protect, reporterOrAdmin, async (req, res) => {
+// @route   POST /api/engagement/comments/:commentId/report
+// @desc    Report a comment; enough reports hide it until a moderator reviews it
+// @access  Private (not while banned)
+router.post('/comments/:commentId/report', protect, commentingAllowed('ban'), validate(schemas.reportComment), async (req, res) => {
   try {
-    const { status, reason } = req.body;
+    const { reason, note } = req.body;
 
-    if (!['approved', 'flagged', 'deleted'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    if (!mongoose.isValidObjectId(req.params.commentId)) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    const comment = await Comment.findByIdAndUpdate(
-      req.params.commentId,
+    // One report per reader, counted atomically
+    const comment = await Comment.findOneAndUpdate(
+      {
+        _id: req.params.commentId,
+        status: 'approved',
+        user: { $ne: req.user._id },
+        'reports.user': { $ne: req.user._id }
+      },
       {
-        status,
-        moderatedBy: req.user._id,
-        moderatedAt: new Date(),
-        moderationReason: reason
+        $push: { reports: { user: req.user._id, reason, note: note || '' } },
+        $inc: { reportCount: 1, reportWeight: reputation.reportWeight(req.user) }
       },
       { new: true }
-    );
+    ).select('reportWeight');
 
     if (!comment) {
-      return res.status(404).json({ error: 'Comment not found' });
+      const existing = await Comment.findById(req.params.commentId).select('user status reports.user').lean();
+      if (!existing || existing.status === 'deleted') {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      if (existing.user.toString() === req.user._id.toString()) {
+        return res.status(400).json({ error: 'You cannot report your own comment' });
+      }
+      if (existing.reports.some(r => r.user.toString() === req.user._id.toString())) {
+        return res.status(409).json({ error: 'You already reported this comment' });
+      }
+      return res.json({ message: 'This comment is already being reviewed', hidden: true });
     }
 
+    let hidden = false;
+    if (comment.reportWeight >= REPORT_THRESHOLD) {
+      const changed = await Comment.setStatus([comment._id], {
+        status: 'pending',
+        reason: 'Reported by readers',
+        moderator: null
+      });
+      if (changed.length > 0) {
+        await Comment.updateOne({ _id: comment._id }, { $addToSet: { 'screening.reasons': 'reports' } });
+        liveUpdates.commentsStatusChanged(changed, 'pending');
+        hidden = true;
+      }
+    }
+
+    res.status(201).json({
+      message: 'Thanks, a moderator will take a look',
+      hidden
+    });
+  } catch (error) {
+    console.error('Report comment error:', error);
+    res.status(500).json({ error: 'Failed to report comment' });
+  }
+});
+
+// @route   PUT /api/engagement/comments/:commentId/moderate
+// @desc    Moderate comment (approve/flag/reject)
+// @access  Private (comments.moderate)
+router.put('/comments/:commentId/moderate', protect, can('comments.moderate', existingComment), validate(schemas.moderateComment), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const changed = await Comment.setStatus([req.params.commentId], { status, reason, moderator: req.user._id });
+    updateReputation(changed.map(c => c.user));
+    liveUpdates.commentsStatusChanged(changed, status);
+    const comment = await Comment.findById(req.params.commentId);
+
     res.json({
       message: `Comment ${status}`,
       comment
@@ -458,24 +707,75 @@ router.put('/comments/:commentId/moderate', protect, reporterOrAdmin, async (req
   }
 });
 
-// @route   GET /api/engagement/comments/pending
-// @desc    Get pending comments for moderation
-// @access  Private/Reporter
-router.get('/comments/pending/list', protect, reporterOrAdmin, async (req, res) => {
+// @route   POST /api/engagement/comments/moderation/bulk
+// @desc    Approve, flag or reject many comments with one reason
+// @access  Private (comments.moderate; comments outside the user's scope are skipped)
+router.post('/comments/moderation/bulk', protect, can('comments.moderate'), validate(schemas.moderateComments), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { ids, status, reason } = req.body;
 
-    const comments = await Comment.find({ status: 'pending' })
-      .populate('user', 'name avatar')
-      .populate('article', 'title slug')
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
+    const query = { _id: { $in: ids } };
+    const articles = await moderatedArticles(req.user);
+    if (articles) query.article = { $in: articles };
+    const allowed = await Comment.find(query).distinct('_id');
 
-    const total = await Comment.countDocuments({ status: 'pending' });
+    const changed = await Comment.setStatus(allowed, { status, reason, moderator: req.user._id });
+    updateReputation(changed.map(c => c.user));
+    liveUpdates.commentsStatusChanged(changed, status);
+
+    res.json({
+      message: `${changed.length} comment(s) ${status}`,
+      updated: changed.length,
+      skipped: ids.length - allowed.length
+    });
+  } catch (error) {
+    console.error('Bulk moderate comments error:', error);
+    res.status(500).json({ error: 'Failed to moderate comments' });
+  }
+});
+
+// @route   GET /api/engagement/comments/pending/list
+// @desc    Moderation queue: held (?status=pending) or flagged (?status=flagged)
+//          comments, filterable by ?article= and ?reason= (e.g. profanity)
+// @access  Private (comments.moderate; only comments on articles it covers)
+router.get('/comments/pending/list', protect, can('comments.moderate'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', article, reason } = req.query;
+
+    if (!['pending', 'flagged'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const scope = {};
+    const articles = await moderatedArticles(req.user);
+    if (articles) scope.article = { $in: articles };
+    if (article && mongoose.isValidObjectId(article)) {
+      scope.article = articles ? { $in: articles.filter(id => id.toString() === article) } : article;
+    }
+
+    const query = { ...scope, status };
+    if (reason) {
+      // Reasons are stored as "<check>:<detail>"
+      query['screening.reasons'] = { $regex: `^${reason.replace(/[^a-z0-9:-]/gi, '')}` };
+    }
+
+    const [comments, total, pending, flagged] = await Promise.all([
+      Comment.find(query)
+        .populate('user', 'name avatar createdAt reputation commentRestriction')
+        .populate('article', 'title slug')
+        .populate('parent', 'content')
+        // Flagged comments are worked through worst first
+        .sort(status === 'flagged' ? { 'screening.score': -1, createdAt: -1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      Comment.countDocuments(query),
+      Comment.countDocuments({ ...scope, status: 'pending' }),
+      Comment.countDocuments({ ...scope, status: 'flagged' })
+    ]);
 
     res.json({
       comments,
+      counts: { pending, flagged },
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -489,4 +789,176 @@ router.get('/comments/pending/list', protect, reporterOrAdmin, async (req, res)
   }
 });
 
+// ============ MODERATION HISTORY & APPEALS ============
+
+// @route   GET /api/engagement/moderation/me
+// @desc    The reader's held and removed comments, reputation, restriction and appeals
+// @access  Private
+router.get('/moderation/me', protect, async (req, res) => {
+  try {
+    const [comments, appeals] = await Promise.all([
+      Comment.find({
+        user: req.user._id,
+        $or: [
+          { status: { $in: ['pending', 'flagged'] } },
+          { status: 'deleted', moderatedBy: { $ne: null } }
+        ]
+      })
+        .select('content article status moderatedBy moderationReason moderatedAt createdAt')
+        .populate('article', 'title slug')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean(),
+      Appeal.find({ user: req.user._id })
+        .select('-user -reviewedBy')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean()
+    ]);
+
+    res.json({
+      comments: comments.map(({ moderatedBy, ...comment }) => ({
+        ...comment,
+        // Readers are not told that screening flagged their comment
+        status: comment.status === 'flagged' && !moderatedBy ? 'pending' : comment.status
+      })),
+      appeals,
+      reputation: req.user.reputation,
+      restriction: reputation.activeRestriction(req.user)
+    });
+  } catch (error) {
+    console.error('Get moderation history error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation history' });
+  }
+});
+
+// @route   POST /api/engagement/appeals
+// @desc    Appeal a held, flagged or removed comment, or a mute or ban
+// @access  Private (restricted readers included)
+router.post('/appeals', protect, validate(schemas.appeal), async (req, res) => {
+  try {
+    const { kind, comment, message } = req.body;
+
+    if (kind === 'comment') {
+      const appealable = await Comment.exists({
+        _id: comment,
+        user: req.user._id,
+        $or: [
+          { status: { $in: ['pending', 'flagged'] } },
+          { status: 'deleted', moderatedBy: { $ne: null } }
+        ]
+      });
+      if (!appealable) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+    } else if (!reputation.activeRestriction(req.user)) {
+      return res.status(400).json({ error: 'You are not restricted from commenting' });
+    }
+
+    const appeal = await Appeal.create({
+      user: req.user._id,
+      kind,
+      comment: comment || null,
+      message
+    });
+
+    res.status(201).json({
+      message: 'Appeal sent to the moderators',
+      appeal
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You already have an open appeal for this' });
+    }
+    console.error('Create appeal error:', error);
+    res.status(500).json({ error: 'Failed to send appeal' });
+  }
+});
+
+// @route   GET /api/engagement/appeals
+// @desc    Appeals to review (?status=open|granted|denied)
+// @access  Private (unscoped comments.moderate)
+router.get('/appeals', protect, can('comments.moderate', permissions.unscoped), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'open' } = req.query;
+
+    if (!['open', 'granted', 'denied'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const [appeals, total] = await Promise.all([
+      Appeal.find({ status })
+        .populate('user', 'name email avatar reputation commentRestriction')
+        .populate({
+          path: 'comment',
+          select: 'content status article moderationReason screening.reasons',
+          populate: { path: 'article', select: 'title slug' }
+        })
+        .populate('reviewedBy', 'name')
+        // Oldest first, so nobody waits longest
+        .sort(status === 'open' ? { createdAt: 1 } : { reviewedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      Appeal.countDocuments({ status })
+    ]);
+
+    res.json({
+      appeals,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get appeals error:', error);
+    res.status(500).json({ error: 'Failed to fetch appeals' });
+  }
+});
+
+// @route   PUT /api/engagement/appeals/:id
+// @desc    Grant (publish the comment or lift the restriction) or deny an appeal
+// @access  Private (unscoped comments.moderate)
+router.put('/appeals/:id', protect, can('comments.moderate', permissions.unscoped), validate(schemas.appealDecision), async (req, res) => {
+  try {
+    const { status, response } = req.body;
+
+    const appeal = mongoose.isValidObjectId(req.params.id)
+      ? await Appeal.findOne({ _id: req.params.id, status: 'open' })
+      : null;
+    if (!appeal) {
+      return res.status(404).json({ error: 'Appeal not found' });
+    }
+
+    if (status === 'granted') {
+      if (appeal.kind === 'comment') {
+        await Comment.setStatus([appeal.comment], {
+          status: 'approved',
+          reason: 'Appeal granted',
+          moderator: req.user._id
+        });
+        updateReputation([appeal.user]);
+        liveUpdates.commentsPublished([appeal.comment]);
+      } else {
+        await User.updateOne({ _id: appeal.user }, { commentRestriction: { kind: null } });
+      }
+    }
+
+    appeal.status = status;
+    appeal.response = response || '';
+    appeal.reviewedBy = req.user._id;
+    appeal.reviewedAt = new Date();
+    await appeal.save();
+
+    res.json({
+      message: `Appeal ${status}`,
+      appeal
+    });
+  } catch (error) {
+    console.error('Review appeal error:', error);
+    res.status(500).json({ error: 'Failed to review appeal' });
+  }
+});
+
 module.exports = router;
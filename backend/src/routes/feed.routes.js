@@ -0,0 +1,324 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
+const Category = require('../models/Category');
+const City = require('../models/City');
+const Area = require('../models/Area');
+const languageCache = require('../utils/languageCache');
+const { FORMATS, guessMimeType, textToHtml, renderFeed } = require('../utils/feedFormats');
+
+const SITE_NAME = 'Taaja News';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Helper to get value from Map or plain object
+const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
+  if (!field) return '';
+  if (field instanceof Map) {
+    return field.get(lang) || field.get(fallbackLang) || [...field.values()][0] || '';
+  }
+  // Plain object (from lean query)
+  return field[lang] || field[fallbackLang] || Object.values(field)[0] || '';
+};
+
+// Helper to escape special regex characters
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * Case-insensitive exact matchers for every localized name of a place,
+ * since article locations store the place name as free text
+ */
+const nameMatchers = (nameField) => {
+  const names = nameField instanceof Map ? [...nameField.values()] : Object.values(nameField || {});
+  return [...new Set(names.filter(Boolean).map(n => n.trim()))]
+    .map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+};
+
+/**
+ * Validate the :format param and the ?lang param
+ */
+const parseFeedRequest = async (req, res) => {
+  const { format } = req.params;
+
+  if (!FORMATS[format]) {
+    res.status(404).json({ error: 'Unknown feed format. Use rss, atom or json' });
+    return null;
+  }
+
+  const defaultLang = await languageCache.getDefaultLanguageCode();
+  const lang = req.query.lang || defaultLang;
+
+  if (!(await languageCache.isValidLanguageCode(lang))) {
+    res.status(400).json({ error: 'Invalid or inactive language' });
+    return null;
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { format, lang, defaultLang, limit };
+};
+
+/**
+ * Convert an article into a normalized feed item with enclosures for the
+ * language's audio edition and the featured image
+ */
+const toFeedItem = (article, lang, defaultLang, modifiedAt) => {
+  const url = `${siteUrl()}/site/article/${article.slug}`;
+  const image = article.featuredImage?.url || null;
+  // Only the audio edition of the feed's own language, never a fallback
+  const audioUrl = article.audio?.[lang] || null;
+
+  const enclosures = [];
+  if (audioUrl) {
+    enclosures.push({ url: audioUrl, type: guessMimeType(audioUrl, 'audio/wav') });
+  }
+  if (image) {
+    enclosures.push({ url: image, type: guessMimeType(image, 'image/jpeg') });
+  }
+
+  const categories = [];
+  if (article.category) {
+    categories.push(getLocalizedValue(article.category.name, lang, defaultLang));
+  }
+  categories.push(...(article.tags || []));
+
+  const published = article.publishedAt || article.createdAt;
+
+  return {
+    id: `urn:taaja:article:${article.articleId || article._id}`,
+    url,
+    title: getLocalizedValue(article.title, lang, defaultLang),
+    summary: getLocalizedValue(article.summary, lang, defaultLang),
+    contentHtml: textToHtml(getLocalizedValue(article.content, lang, defaultLang)),
+    published,
+    updated: modifiedAt && modifiedAt > published ? modifiedAt : published,
+    author: article.author?.name || null,
+    categories: categories.filter(Boolean),
+    image,
+    enclosures
+  };
+};
+
+/**
+ * Load articles for a feed, render it and answer with ETag/Last-Modified
+ * validators (304 when the client copy is still fresh)
+ */
+const sendFeed = async (req, res, { format, lang, defaultLang, limit }, { query, title, description, link }) => {
+  const articles = await Article.find({ ...query, status: 'published' })
+    .select('title summary content slug articleId author category tags featuredImage audio publishedAt createdAt')
+    .populate('author', 'name')
+    .populate('category', 'name slug')
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  // Engagement counters touch updatedAt on every view, so content edits
+  // are dated from the revision history instead
+  const revisions = articles.length > 0
+    ? await ArticleRevision.aggregate([
+      { $match: { article: { $in: articles.map(a => a._id) } } },
+      { $group: { _id: '$article', latest: { $max: '$createdAt' } } }
+    ])
+    : [];
+  const modifiedMap = {};
+  revisions.forEach(r => { modifiedMap[r._id.toString()] = r.latest; });
+
+  const items = articles.map(article =>
+    toFeedItem(article, lang, defaultLang, modifiedMap[article._id.toString()])
+  );
+
+  const lastModified = items.reduce((latest, item) => {
+    const updated = new Date(item.updated);
+    return updated > latest ? updated : latest;
+  }, new Date(0));
+
+  const body = renderFeed(format, {
+    title: `${SITE_NAME} - ${title}`,
+    description,
+    link,
+    feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    language: lang,
+    updated: items.length > 0 ? lastModified : new Date(),
+    generator: SITE_NAME,
+    items
+  });
+
+  res.set({
+    'Content-Type': FORMATS[format],
+    'Cache-Control': 'public, max-age=300',
+    ETag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`
+  });
+  if (items.length > 0) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(body);
+};
+
+// @route   GET /api/feeds/:format
+// @desc    Site-wide feed (rss | atom | json), ?lang=&limit=
+// @access  Public
+router.get('/:format', async (req, res) => {
+  try {
+    const options = await parseFeedRequest(req, res);
+    if (!options) return;
+
+    await sendFeed(req, res, options, {
+      query: {},
+      title: 'Latest News',
+      description: 'Latest news from Taaja News',
+      link: `${siteUrl()}/site`
+    });
+  } catch (error) {
+    console.error('Site feed error:', error);
+    res.status(500).json({ error: 'Failed to generate feed' });
+  }
+});
+
+// @route   GET /api/feeds/category/:slug/:format
+// @desc    Feed for a category including its descendants
+// @access  Public
+router.get('/category/:slug/:format', async (req, res) => {
+  try {
+    const options = await parseFeedRequest(req, res);
+    if (!options) return;
+
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const name = getLocalizedValue(category.name, options.lang, options.defaultLang);
+
+    await sendFeed(req, res, options, {
+      query: { $or: [{ category: category._id }, { categoryAncestors: category._id }] },
+      title: name,
+      description: getLocalizedValue(category.description, options.lang, options.defaultLang) || `${name} news`,
+      link: `${siteUrl()}/site/category/${category.slug}`
+    });
+  } catch (error) {
+    console.error('Category feed error:', error);
+    res.status(500).json({ error: 'Failed to generate feed' });
+  }
+});
+
+// @route   GET /api/feeds/city/:slug/:format
+// @desc    Feed for a city
+// @access  Public
+router.get('/city/:slug/:format', async (req, res) => {
+  try {
+    const options = await parseFeedRequest(req, res);
+    if (!options) return;
+
+    const city = await City.findOne({ slug: req.params.slug, isActive: true });
+
+    if (!city) {
+      return res.status(404).json({ error: 'City not found' });
+    }
+
+    const name = getLocalizedValue(city.name, options.lang, options.defaultLang);
+
+    // Articles resolved to the city, or by name when they were not resolved
+    await sendFeed(req, res, options, {
+      query: {
+        $or: [
+          { city: city._id },
+          { city: null, 'location.city': { $in: nameMatchers(city.name) } }
+        ]
+      },
+      title: name,
+      description: `Local news from ${name}`,
+      link: `${siteUrl()}/site`
+    });
+  } catch (error) {
+    console.error('City feed error:', error);
+    res.status(500).json({ error: 'Failed to generate feed' });
+  }
+});
+
+// @route   GET /api/feeds/city/:citySlug/area/:areaSlug/:format
+// @desc    Feed for an area of a city (boundary match when the area has one)
+// @access  Public
+router.get('/city/:citySlug/area/:areaSlug/:format', async (req, res) => {
+  try {
+    const options = await parseFeedRequest(req, res);
+    if (!options) return;
+
+    const city = await City.findOne({ slug: req.params.citySlug, isActive: true });
+    const area = city
+      ? await Area.findOne({ slug: req.params.areaSlug, city: city._id, isActive: true })
+      : null;
+
+    if (!area) {
+      return res.status(404).json({ error: 'Area not found' });
+    }
+
+    // Articles resolved to the area; unresolved ones by point or by name
+    const unresolved = area.boundary?.coordinates?.length
+      ? {
+        location: {
+          $geoWithin: {
+            $geometry: { type: 'Polygon', coordinates: area.boundary.coordinates }
+          }
+        }
+      }
+      : {
+        'location.city': { $in: nameMatchers(city.name) },
+        'location.area': { $in: nameMatchers(area.name) }
+      };
+    const query = { $or: [{ area: area._id }, { area: null, ...unresolved }] };
+
+    const areaName = getLocalizedValue(area.name, options.lang, options.defaultLang);
+    const cityName = getLocalizedValue(city.name, options.lang, options.defaultLang);
+
+    await sendFeed(req, res, options, {
+      query,
+      title: `${areaName}, ${cityName}`,
+      description: `Local news from ${areaName}, ${cityName}`,
+      link: `${siteUrl()}/site`
+    });
+  } catch (error) {
+    console.error('Area feed error:', error);
+    res.status(500).json({ error: 'Failed to generate feed' });
+  }
+});
+
+// @route   GET /api/feeds/language/:code/:format
+// @desc    Feed of articles available in a language
+// @access  Public
+router.get('/language/:code/:format', async (req, res) => {
+  try {
+    const code = req.params.code.toLowerCase();
+    const languages = await languageCache.getActiveLanguages();
+    const language = languages.find(l => l.code === code);
+
+    if (!language) {
+      return res.status(404).json({ error: 'Language not found' });
+    }
+
+    req.query.lang = code;
+    const options = await parseFeedRequest(req, res);
+    if (!options) return;
+
+    await sendFeed(req, res, options, {
+      query: { [`title.${code}`]: { $exists: true, $ne: '' } },
+      title: language.nativeName || language.name,
+      description: `Latest news in ${language.name}`,
+      link: `${siteUrl()}/site`
+    });
+  } catch (error) {
+    console.error('Language feed error:', error);
+    res.status(500).json({ error: 'Failed to generate feed' });
+  }
+});
+
+module.exports = router;
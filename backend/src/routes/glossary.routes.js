@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const GlossaryTerm = require('../models/GlossaryTerm');
+const { protect, adminOnly } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const glossary = require('../services/glossary');
+
+// Helper to escape special regex characters
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/glossary
+// @desc    List glossary terms (?search=&category=&page=&limit=)
+// @access  Private/Admin
+router.get('/', protect, adminOnly, async (req, res) => {
+  try {
+    const { search, category, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (category) query.category = category;
+    if (search) query.key = { $regex: escapeRegex(search.trim().toLowerCase()) };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [terms, total] = await Promise.all([
+      GlossaryTerm.find(query)
+        .sort({ key: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('updatedBy', 'name'),
+      GlossaryTerm.countDocuments(query)
+    ]);
+
+    res.json({
+      terms,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get glossary error:', error);
+    res.status(500).json({ error: 'Failed to fetch glossary' });
+  }
+});
+
+// @route   POST /api/glossary
+// @desc    Add a protected term
+// @access  Private/Admin
+router.post('/', protect, adminOnly, validate(schemas.glossaryTerm), async (req, res) => {
+  try {
+    const term = await GlossaryTerm.create({
+      ...req.body,
+      translations: new Map(Object.entries(req.body.translations || {}).filter(([, value]) => value)),
+      updatedBy: req.user._id
+    });
+
+    glossary.clearCache();
+
+    res.status(201).json({
+      message: 'Glossary term created',
+      term
+    });
+  } catch (error) {
+    console.error('Create glossary term error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Term already exists in the glossary' });
+    }
+    res.status(500).json({ error: 'Failed to create glossary term' });
+  }
+});
+
+// @route   PUT /api/glossary/:id
+// @desc    Update a protected term
+// @access  Private/Admin
+router.put('/:id', protect, adminOnly, validate(schemas.glossaryTerm), async (req, res) => {
+  try {
+    const term = await GlossaryTerm.findById(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+
+    const { term: text, category, translations, caseSensitive, note, isActive } = req.body;
+
+    term.term = text;
+    if (category !== undefined) term.category = category;
+    if (translations !== undefined) {
+      term.translations = new Map(Object.entries(translations).filter(([, value]) => value));
+    }
+    if (caseSensitive !== undefined) term.caseSensitive = caseSensitive;
+    if (note !== undefined) term.note = note;
+    if (isActive !== undefined) term.isActive = isActive;
+    term.updatedBy = req.user._id;
+
+    await term.save();
+    glossary.clearCache();
+
+    res.json({
+      message: 'Glossary term updated',
+      term
+    });
+  } catch (error) {
+    console.error('Update glossary term error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Term already exists in the glossary' });
+    }
+    res.status(500).json({ error: 'Failed to update glossary term' });
+  }
+});
+
+// @route   DELETE /api/glossary/:id
+// @desc    Remove a protected term
+// @access  Private/Admin
+router.delete('/:id', protect, adminOnly, async (req, res) => {
+  try {
+    const term = await GlossaryTerm.findByIdAndDelete(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+
+    glossary.clearCache();
+
+    res.json({ message: 'Glossary term deleted' });
+  } catch (error) {
+    console.error('Delete glossary term error:', error);
+    res.status(500).json({ error: 'Failed to delete glossary term' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,349 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Article = require('../models/Article');
+const LiveBlogEntry = require('../models/LiveBlogEntry');
+const User = require('../models/User');
+const { protect, optionalAuth, reporterOrAdmin, can } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const permissions = require('../services/permissions');
+const liveBlog = require('../services/liveBlog');
+
+const TRANSLATION_STALE_AFTER = 10 * 60 * 1000; // 10 minutes
+
+const ARTICLE_FIELDS = 'title slug status kind liveBlog category categoryAncestors city author workflow.assignedTo';
+
+// The live blog in :articleId (null when there is none)
+const findLiveBlog = async (articleId) => {
+  if (!mongoose.isValidObjectId(articleId)) return null;
+  return Article.findOne({ _id: articleId, kind: 'live_blog' }).select(ARTICLE_FIELDS).lean();
+};
+
+// Scope of the live blog in :articleId for can()
+const existingLiveBlog = permissions.resourceLoader('Live blog', async (req) => {
+  const article = await findLiveBlog(req.params.articleId);
+  return article && permissions.articleResource(article);
+});
+
+// Contributors, the author, assigned reviewers and editors covering the
+// article can post entries
+const canPostEntries = async (user, article) => {
+  if (!user) return false;
+  if ((article.liveBlog?.contributors || []).some(id => id.toString() === user._id.toString())) {
+    return true;
+  }
+  return permissions.hasPermission(user, 'articles.edit', permissions.articleResource(article));
+};
+
+// Reporters change their own entries; editors covering the article change any
+const canChangeEntry = async (user, article, entry) => {
+  if (entry.author.toString() === user._id.toString()) return true;
+  return permissions.hasPermission(user, 'articles.edit', permissions.articleResource(article));
+};
+
+// Page size and position from the query string
+const pageQuery = ({ cursor, limit = 20 }) => {
+  const after = cursor ? LiveBlogEntry.parseCursor(cursor) : null;
+  if (cursor && !after) {
+    return { error: 'Invalid cursor' };
+  }
+  return { after, limit: Math.min(Math.max(Number(limit) || 20, 1), 50) };
+};
+
+// Escape user input for use in a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Multilingual request fields as Maps, without empty languages
+const toMap = (obj) => new Map(Object.entries(obj || {}).filter(([, text]) => text && text.trim()));
+
+// @route   GET /api/live-blogs/:articleId
+// @desc    A live blog's state, pinned entries, key events and a page of
+//          entries, newest first (?cursor=&limit=); unpublished live blogs
+//          only for those who can post to them
+// @access  Public
+router.get('/:articleId', optionalAuth, async (req, res) => {
+  try {
+    const { after, limit, error } = pageQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const article = await findLiveBlog(req.params.articleId);
+    const canPost = article ? await canPostEntries(req.user, article) : false;
+    if (!article || (article.status !== 'published' && !canPost)) {
+      return res.status(404).json({ error: 'Live blog not found' });
+    }
+
+    const [{ entries, nextCursor }, { pinned, keyEvents }] = await Promise.all([
+      LiveBlogEntry.getPage({ article: article._id, after, limit }),
+      after ? { pinned: [], keyEvents: [] } : LiveBlogEntry.getHighlights(article._id)
+    ]);
+
+    const { contributors, ...state } = article.liveBlog || {};
+    const result = {
+      article: { _id: article._id, title: article.title, slug: article.slug, status: article.status },
+      liveBlog: state,
+      entries,
+      nextCursor,
+      canPost
+    };
+    if (!after) {
+      result.pinned = pinned;
+      result.keyEvents = keyEvents;
+    }
+    if (canPost) {
+      result.contributors = await User.find({ _id: { $in: contributors || [] } }).select('name avatar').lean();
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get live blog error:', error);
+    res.status(500).json({ error: 'Failed to fetch live blog' });
+  }
+});
+
+// @route   POST /api/live-blogs/:articleId/entries
+// @desc    Post an entry in one or more languages (translate: true fills in
+//          the rest in the background)
+// @access  Private/Reporter (contributors, the author, or articles.edit)
+router.post('/:articleId/entries', protect, reporterOrAdmin, validate(schemas.liveBlogEntry), async (req, res) => {
+  try {
+    const { headline, content, postedAt, isPinned, isKeyEvent, translate } = req.body;
+
+    const article = await findLiveBlog(req.params.articleId);
+    if (!article) {
+      return res.status(404).json({ error: 'Live blog not found' });
+    }
+    if (!(await canPostEntries(req.user, article))) {
+      return res.status(403).json({ error: 'Not authorized to post to this live blog' });
+    }
+    if (article.liveBlog?.state !== 'live') {
+      return res.status(400).json({ error: 'This live blog has ended' });
+    }
+    if (toMap(content).size === 0) {
+      return res.status(400).json({ error: 'Content in at least one language is required' });
+    }
+    if (isKeyEvent && toMap(headline).size === 0) {
+      return res.status(400).json({ error: 'Key events need a headline' });
+    }
+
+    const entry = await LiveBlogEntry.create({
+      article: article._id,
+      author: req.user._id,
+      headline: toMap(headline),
+      content: toMap(content),
+      ...(postedAt ? { postedAt } : {}),
+      isPinned: !!isPinned,
+      isKeyEvent: !!isKeyEvent,
+      ...(translate ? { translation: { state: 'pending' } } : {})
+    });
+
+    await liveBlog.countEntry(entry, 1);
+    liveBlog.announceEntry(entry._id);
+    if (translate) {
+      liveBlog.translateEntry(entry._id);
+    }
+
+    await entry.populate('author', 'name avatar');
+    res.status(201).json({
+      message: 'Entry posted',
+      entry
+    });
+  } catch (error) {
+    console.error('Create live blog entry error:', error);
+    res.status(500).json({ error: 'Failed to post entry' });
+  }
+});
+
+// @route   PUT /api/live-blogs/:articleId/entries/:entryId
+// @desc    Edit, pin or unpin an entry, or mark it as a key event
+// @access  Private/Reporter (own entries, or articles.edit)
+router.put('/:articleId/entries/:entryId', protect, reporterOrAdmin, validate(schemas.updateLiveBlogEntry), async (req, res) => {
+  try {
+    const { headline, content, postedAt, isPinned, isKeyEvent } = req.body;
+
+    const article = await findLiveBlog(req.params.articleId);
+    const entry = article && mongoose.isValidObjectId(req.params.entryId)
+      ? await LiveBlogEntry.findOne({ _id: req.params.entryId, article: article._id, status: 'published' })
+      : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (!(await canChangeEntry(req.user, article, entry))) {
+      return res.status(403).json({ error: 'Not authorized to change this entry' });
+    }
+
+    if (headline) entry.headline = toMap(headline);
+    if (content) {
+      if (toMap(content).size === 0) {
+        return res.status(400).json({ error: 'Content in at least one language is required' });
+      }
+      entry.content = toMap(content);
+    }
+    if (headline || content || postedAt) entry.editedAt = new Date();
+    if (postedAt) entry.postedAt = postedAt;
+    if (isPinned !== undefined) entry.isPinned = isPinned;
+    if (isKeyEvent !== undefined) entry.isKeyEvent = isKeyEvent;
+    if (entry.isKeyEvent && entry.headline.size === 0) {
+      return res.status(400).json({ error: 'Key events need a headline' });
+    }
+
+    await entry.save();
+    liveBlog.announceEntry(entry._id);
+
+    await entry.populate('author', 'name avatar');
+    res.json({
+      message: 'Entry updated',
+      entry
+    });
+  } catch (error) {
+    console.error('Update live blog entry error:', error);
+    res.status(500).json({ error: 'Failed to update entry' });
+  }
+});
+
+// @route   DELETE /api/live-blogs/:articleId/entries/:entryId
+// @desc    Delete an entry
+// @access  Private/Reporter (own entries, or articles.edit)
+router.delete('/:articleId/entries/:entryId', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const article = await findLiveBlog(req.params.articleId);
+    const entry = article && mongoose.isValidObjectId(req.params.entryId)
+      ? await LiveBlogEntry.findOne({ _id: req.params.entryId, article: article._id, status: 'published' })
+      : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (!(await canChangeEntry(req.user, article, entry))) {
+      return res.status(403).json({ error: 'Not authorized to delete this entry' });
+    }
+
+    entry.status = 'deleted';
+    await entry.save();
+    await liveBlog.countEntry(entry, -1);
+    liveBlog.announceEntry(entry._id);
+
+    res.json({ message: 'Entry deleted' });
+  } catch (error) {
+    console.error('Delete live blog entry error:', error);
+    res.status(500).json({ error: 'Failed to delete entry' });
+  }
+});
+
+// @route   POST /api/live-blogs/:articleId/entries/:entryId/translate
+// @desc    Machine-translate an entry into the languages it is missing
+// @access  Private/Reporter (contributors, the author, or articles.edit)
+router.post('/:articleId/entries/:entryId/translate', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const article = await findLiveBlog(req.params.articleId);
+    const entry = article && mongoose.isValidObjectId(req.params.entryId)
+      ? await LiveBlogEntry.findOne({ _id: req.params.entryId, article: article._id, status: 'published' })
+        .select('translation updatedAt')
+        .lean()
+      : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (!(await canPostEntries(req.user, article))) {
+      return res.status(403).json({ error: 'Not authorized to post to this live blog' });
+    }
+    // A translation cut short by a restart can be started again
+    if (entry.translation?.state === 'pending' && Date.now() - entry.updatedAt < TRANSLATION_STALE_AFTER) {
+      return res.status(409).json({ error: 'This entry is already being translated' });
+    }
+
+    liveBlog.translateEntry(entry._id);
+
+    res.status(202).json({ message: 'Translation started' });
+  } catch (error) {
+    console.error('Translate live blog entry error:', error);
+    res.status(500).json({ error: 'Failed to start translation' });
+  }
+});
+
+// @route   PUT /api/live-blogs/:articleId/state
+// @desc    End a live blog, or take it live again
+// @access  Private (articles.publish)
+router.put('/:articleId/state', protect, can('articles.publish', existingLiveBlog), validate(schemas.liveBlogState), async (req, res) => {
+  try {
+    const { state } = req.body;
+
+    const article = await Article.findByIdAndUpdate(
+      req.params.articleId,
+      {
+        'liveBlog.state': state,
+        'liveBlog.endedAt': state === 'ended' ? new Date() : null
+      },
+      { new: true }
+    ).select('liveBlog');
+    liveBlog.announceState(article._id);
+
+    const { contributors, ...liveBlogState } = article.toObject().liveBlog;
+    res.json({
+      message: state === 'ended' ? 'Live blog ended' : 'Live blog is live',
+      liveBlog: liveBlogState
+    });
+  } catch (error) {
+    console.error('Update live blog state error:', error);
+    res.status(500).json({ error: 'Failed to update live blog' });
+  }
+});
+
+// @route   GET /api/live-blogs/:articleId/contributors/search
+// @desc    Reporters matching ?q= (by name), to add as contributors
+// @access  Private (articles.edit; the author and assigned reviewers too)
+router.get('/:articleId/contributors/search', protect, can('articles.edit', existingLiveBlog), async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.json({ reporters: [] });
+    }
+
+    const reporters = await User.find({
+      name: new RegExp(escapeRegex(q), 'i'),
+      role: { $in: ['reporter', 'admin'] },
+      isActive: { $ne: false }
+    })
+      .select('name avatar')
+      .sort({ name: 1 })
+      .limit(10)
+      .lean();
+
+    res.json({ reporters });
+  } catch (error) {
+    console.error('Search live blog contributors error:', error);
+    res.status(500).json({ error: 'Failed to search reporters' });
+  }
+});
+
+// @route   PUT /api/live-blogs/:articleId/contributors
+// @desc    Set the reporters who may post entries besides the author
+// @access  Private (articles.edit; the author and assigned reviewers too)
+router.put('/:articleId/contributors', protect, can('articles.edit', existingLiveBlog), validate(schemas.liveBlogContributors), async (req, res) => {
+  try {
+    const contributors = await User.find({
+      _id: { $in: req.body.contributors },
+      role: { $in: ['reporter', 'admin'] },
+      isActive: { $ne: false }
+    }).select('name avatar').lean();
+
+    if (contributors.length !== new Set(req.body.contributors).size) {
+      return res.status(400).json({ error: 'Contributors must be active reporters' });
+    }
+
+    await Article.updateOne(
+      { _id: req.params.articleId },
+      { 'liveBlog.contributors': contributors.map(c => c._id) }
+    );
+
+    res.json({
+      message: 'Contributors updated',
+      contributors
+    });
+  } catch (error) {
+    console.error('Update live blog contributors error:', error);
+    res.status(500).json({ error: 'Failed to update contributors' });
+  }
+});
+
+module.exports = router;
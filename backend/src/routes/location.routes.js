@@ -1,10 +1,28 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const City = require('../models/City');
 const Area = require('../models/Area');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, can } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
 const languageCache = require('../utils/languageCache');
+const permissions = require('../services/permissions');
+
+// Scope of the city in :id for can()
+const existingCity = permissions.resourceLoader('City', async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return (await City.exists({ _id: req.params.id })) ? { city: req.params.id } : null;
+});
+
+// Scope of the area in :id (its city's) for can()
+const existingArea = permissions.resourceLoader('Area', async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const area = await Area.findById(req.params.id).select('city').lean();
+  return area && { city: area.city };
+});
+
+// Scope of the city an area is being added to
+const areaCity = async (req) => ({ city: req.body.city });
 
 // Helper to get value from Map or plain object
 const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
@@ -180,8 +198,8 @@ router.get('/cities/slug/:slug', async (req, res) => {
 
 // @route   POST /api/locations/cities
 // @desc    Create city
-// @access  Private/Admin
-router.post('/cities', protect, adminOnly, validate(schemas.createCity), async (req, res) => {
+// @access  Private (unscoped locations.manage)
+router.post('/cities', protect, can('locations.manage', permissions.unscoped), validate(schemas.createCity), async (req, res) => {
   try {
     // Convert plain objects to Maps for multilingual fields
     const cityData = {
@@ -206,8 +224,8 @@ router.post('/cities', protect, adminOnly, validate(schemas.createCity), async (
 
 // @route   PUT /api/locations/cities/:id
 // @desc    Update city
-// @access  Private/Admin
-router.put('/cities/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (locations.manage for the city)
+router.put('/cities/:id', protect, can('locations.manage', existingCity), async (req, res) => {
   try {
     const updateData = { ...req.body };
     
@@ -241,8 +259,8 @@ router.put('/cities/:id', protect, adminOnly, async (req, res) => {
 
 // @route   DELETE /api/locations/cities/:id
 // @desc    Delete city (soft)
-// @access  Private/Admin
-router.delete('/cities/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (locations.manage for the city)
+router.delete('/cities/:id', protect, can('locations.manage', existingCity), async (req, res) => {
   try {
     const city = await City.findByIdAndUpdate(
       req.params.id,
@@ -364,8 +382,8 @@ router.get('/areas/:id', async (req, res) => {
 
 // @route   POST /api/locations/areas
 // @desc    Create area
-// @access  Private/Admin
-router.post('/areas', protect, adminOnly, validate(schemas.createArea), async (req, res) => {
+// @access  Private (locations.manage for the city)
+router.post('/areas', protect, validate(schemas.createArea), can('locations.manage', areaCity), async (req, res) => {
   try {
     // Verify city exists
     const city = await City.findById(req.body.city);
@@ -395,10 +413,14 @@ router.post('/areas', protect, adminOnly, validate(schemas.createArea), async (r
 
 // @route   PUT /api/locations/areas/:id
 // @desc    Update area
-// @access  Private/Admin
-router.put('/areas/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (locations.manage for the area's city, and the new one if moved)
+router.put('/areas/:id', protect, can('locations.manage', existingArea), async (req, res) => {
   try {
     const updateData = { ...req.body };
+
+    if (updateData.city && !(await permissions.hasPermission(req.user, 'locations.manage', { city: updateData.city }))) {
+      return res.status(403).json({ error: 'Not authorized to move the area to that city' });
+    }
     
     // Convert multilingual fields to Maps
     if (updateData.name) {
@@ -427,8 +449,8 @@ router.put('/areas/:id', protect, adminOnly, async (req, res) => {
 
 // @route   DELETE /api/locations/areas/:id
 // @desc    Delete area (soft)
-// @access  Private/Admin
-router.delete('/areas/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (locations.manage for the area's city)
+router.delete('/areas/:id', protect, can('locations.manage', existingArea), async (req, res) => {
   try {
     const area = await Area.findByIdAndUpdate(
       req.params.id,
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const PushSubscription = require('../models/PushSubscription');
+const { optionalAuth } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const pushNotifications = require('../services/pushNotifications');
+const fakePush = require('../services/fakePush');
+
+// @route   GET /api/push/public-key
+// @desc    VAPID public key for browser subscriptions
+// @access  Public
+router.get('/public-key', (req, res) => {
+  const publicKey = pushNotifications.getPublicKey();
+  res.json({ enabled: Boolean(publicKey), publicKey });
+});
+
+// @route   POST /api/push/subscriptions
+// @desc    Save a browser push subscription (linked to the reader when signed in)
+// @access  Public
+router.post('/subscriptions', optionalAuth, validate(schemas.pushSubscription), async (req, res) => {
+  try {
+    const { subscription, sessionId, language, city, area, categories } = req.body;
+
+    if (!req.user && !sessionId) {
+      return res.status(400).json({ error: 'Session ID is required for anonymous subscriptions' });
+    }
+
+    await PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        $set: {
+          keys: subscription.keys,
+          user: req.user ? req.user._id : null,
+          sessionId: sessionId || null,
+          language: language || null,
+          city: city || null,
+          area: area || null,
+          categories: categories || [],
+          userAgent: req.get('user-agent'),
+          failures: 0
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({ message: 'Subscribed to breaking news' });
+  } catch (error) {
+    console.error('Push subscribe error:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+// @route   DELETE /api/push/subscriptions
+// @desc    Remove a browser push subscription
+// @access  Public
+router.delete('/subscriptions', validate(schemas.pushUnsubscribe), async (req, res) => {
+  try {
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint });
+    res.json({ message: 'Unsubscribed from breaking news' });
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
+// Fake push service for development and tests (see services/fakePush.js)
+const fakeEnabled = (req, res, next) => {
+  if (process.env.PUSH_FAKE_ENDPOINT !== 'true') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+};
+
+// Push bodies carry `Content-Encoding: aes128gcm`, which the body parsers
+// refuse, so read the raw bytes directly
+const FAKE_BODY_LIMIT = 8 * 1024;
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > FAKE_BODY_LIMIT) {
+      reject(new Error('Push message too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// @route   POST /api/push/fake/subscriptions
+// @desc    Create a subscription whose endpoint is the fake push service
+// @access  Development only (PUSH_FAKE_ENDPOINT=true)
+router.post('/fake/subscriptions', fakeEnabled, (req, res) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/fake`;
+  res.status(201).json(fakePush.createSubscription(baseUrl));
+});
+
+// @route   POST /api/push/fake/:id
+// @desc    Receive an encrypted push message (called by web-push)
+// @access  Development only (PUSH_FAKE_ENDPOINT=true)
+router.post('/fake/:id', fakeEnabled, async (req, res) => {
+  try {
+    const body = await readBody(req);
+    const message = fakePush.receive(req.params.id, body, req.headers);
+    if (!message) {
+      return res.status(410).json({ error: 'Subscription is gone' });
+    }
+    res.status(201).end();
+  } catch (error) {
+    console.error('Fake push receive error:', error);
+    res.status(400).json({ error: 'Failed to decrypt push message' });
+  }
+});
+
+// @route   GET /api/push/fake/:id/messages
+// @desc    Messages delivered to a fake subscription, newest first
+// @access  Development only (PUSH_FAKE_ENDPOINT=true)
+router.get('/fake/:id/messages', fakeEnabled, (req, res) => {
+  const messages = fakePush.getMessages(req.params.id);
+  if (!messages) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  res.json({ messages });
+});
+
+// @route   DELETE /api/push/fake/:id
+// @desc    Drop a fake subscription (later pushes get 410 Gone)
+// @access  Development only (PUSH_FAKE_ENDPOINT=true)
+router.delete('/fake/:id', fakeEnabled, (req, res) => {
+  fakePush.removeSubscription(req.params.id);
+  res.json({ message: 'Fake subscription removed' });
+});
+
+module.exports = router;
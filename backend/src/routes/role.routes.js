@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const RoleConfig = require('../models/RoleConfig');
+const User = require('../models/User');
+const { protect, adminOnly } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const permissions = require('../services/permissions');
+
+// @route   GET /api/roles
+// @desc    Get the configured roles and every permission they can hold
+// @access  Private/Admin
+router.get('/', protect, adminOnly, async (req, res) => {
+  try {
+    const roles = await RoleConfig.getRoles();
+    res.json({ roles, permissions: RoleConfig.getPermissions() });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+// @route   PUT /api/roles
+// @desc    Configure the roles (grants of removed roles are withdrawn)
+// @access  Private/Admin
+router.put('/', protect, adminOnly, validate(schemas.roles), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    const keys = roles.map(r => r.key);
+    if (new Set(keys).size !== keys.length) {
+      return res.status(400).json({ error: 'Role keys must be unique' });
+    }
+    if (!keys.includes('reporter')) {
+      return res.status(400).json({ error: "The 'reporter' role cannot be removed" });
+    }
+    if (keys.includes('admin')) {
+      return res.status(400).json({ error: "'admin' is reserved; admins can do everything" });
+    }
+
+    const known = RoleConfig.getPermissions().map(p => p.key);
+    const unknown = [...new Set(roles.flatMap(r => r.permissions))].filter(p => !known.includes(p));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    const config = await RoleConfig.findOneAndUpdate(
+      { key: 'default' },
+      { roles, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    permissions.clearCache();
+
+    // Grants of a removed role no longer mean anything
+    const { modifiedCount } = await User.updateMany(
+      { 'grants.role': { $nin: keys } },
+      { $pull: { grants: { role: { $nin: keys } } } }
+    );
+
+    res.json({
+      message: 'Roles updated',
+      roles: config.roles,
+      revoked: modifiedCount
+    });
+  } catch (error) {
+    console.error('Update roles error:', error);
+    res.status(500).json({ error: 'Failed to update roles' });
+  }
+});
+
+module.exports = router;
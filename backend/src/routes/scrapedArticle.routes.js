@@ -1,12 +1,35 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const ScrapedArticle = require('../models/ScrapedArticle');
-const { protect, adminOnly } = require('../middleware/auth');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { protect, adminOnly, apiKeyOrAdmin } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const { toQueryText } = require('../utils/searchText');
+const scrapedConversion = require('../services/scrapedConversion');
+const dedup = require('../services/dedup');
+
+// Helper to escape special regex characters
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Members listed per duplicate cluster (its size is always the full count)
+const CLUSTER_MEMBER_LIMIT = 20;
+
+// Cluster a saved article - a failed lookup must not fail the save itself
+const clusterArticle = async (id) => {
+  try {
+    return await dedup.clusterScraped(id);
+  } catch (error) {
+    console.error('Duplicate clustering error:', error);
+    return null;
+  }
+};
 
 // @route   POST /api/scraped-articles
 // @desc    Create single scraped article
-// @access  Private/Admin
-router.post('/', async (req, res) => {
+// @access  Private/Admin or API key (scraped:write)
+router.post('/', apiKeyOrAdmin('scraped:write'), async (req, res) => {
   try {
     const { url, title, published, body, articleStatus, status } = req.body;
 
@@ -30,10 +53,12 @@ router.post('/', async (req, res) => {
     });
 
     await scrapedArticle.save();
+    const clustering = await clusterArticle(scrapedArticle._id);
 
     res.status(201).json({
       message: 'Scraped article created successfully',
-      scrapedArticle
+      scrapedArticle,
+      duplicates: clustering?.matches || []
     });
   } catch (error) {
     console.error('Create scraped article error:', error);
@@ -43,8 +68,8 @@ router.post('/', async (req, res) => {
 
 // @route   POST /api/scraped-articles/bulk
 // @desc    Create multiple scraped articles (bulk insert)
-// @access  Private/Admin
-router.post('/bulk', protect, adminOnly, async (req, res) => {
+// @access  Private/Admin or API key (scraped:write)
+router.post('/bulk', apiKeyOrAdmin('scraped:write'), async (req, res) => {
   try {
     const articles = req.body;
 
@@ -82,7 +107,13 @@ router.post('/bulk', protect, adminOnly, async (req, res) => {
         });
 
         await scrapedArticle.save();
-        results.created.push({ url: article.url, id: scrapedArticle._id });
+        const clustering = await clusterArticle(scrapedArticle._id);
+        results.created.push({
+          url: article.url,
+          id: scrapedArticle._id,
+          cluster: clustering?.cluster || null,
+          duplicates: clustering?.matches.length || 0
+        });
       } catch (err) {
         results.errors.push({ url: article.url, error: err.message });
       }
@@ -104,10 +135,72 @@ router.post('/bulk', protect, adminOnly, async (req, res) => {
   }
 });
 
+// @route   POST /api/scraped-articles/convert
+// @desc    Queue scraped articles for conversion into draft articles
+// @access  Private/Admin
+router.post('/convert', protect, adminOnly, validate(schemas.convertScraped), async (req, res) => {
+  try {
+    const { ids, reporter, category, generateAudio } = req.body;
+
+    const [author, targetCategory] = await Promise.all([
+      User.findOne({ _id: reporter, role: { $in: ['reporter', 'admin'] }, isActive: true }),
+      Category.findById(category)
+    ]);
+
+    if (!author) {
+      return res.status(400).json({ error: 'Reporter not found' });
+    }
+    if (!targetCategory) {
+      return res.status(400).json({ error: 'Category not found' });
+    }
+
+    const { queued, skipped } = await scrapedConversion.enqueue(ids, { reporter, category, generateAudio }, req.user);
+
+    res.status(202).json({
+      message: `${queued} article(s) queued for conversion`,
+      queued,
+      skipped
+    });
+  } catch (error) {
+    console.error('Queue scraped conversion error:', error);
+    res.status(500).json({ error: 'Failed to queue conversion' });
+  }
+});
+
+// @route   GET /api/scraped-articles/queue
+// @desc    Conversion queue: items being processed and recent failures
+// @access  Private/Admin
+router.get('/queue', protect, adminOnly, async (req, res) => {
+  try {
+    const populate = [
+      { path: 'conversion.reporter', select: 'name' },
+      { path: 'conversion.category', select: 'name slug' }
+    ];
+
+    const [processing, failed] = await Promise.all([
+      ScrapedArticle.find({ articleStatus: 'processing' })
+        .select('-search -body')
+        .sort({ 'conversion.queuedAt': 1 })
+        .limit(100)
+        .populate(populate),
+      ScrapedArticle.find({ articleStatus: 'draft', processingError: { $ne: null } })
+        .select('-search -body')
+        .sort({ 'conversion.finishedAt': -1 })
+        .limit(100)
+        .populate(populate)
+    ]);
+
+    res.json({ processing, failed });
+  } catch (error) {
+    console.error('Get conversion queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversion queue' });
+  }
+});
+
 // @route   GET /api/scraped-articles
 // @desc    Get all scraped articles with pagination and filters
-// @access  Public
-router.get('/', async (req, res) => {
+// @access  Private/Admin or API key (scraped:read)
+router.get('/', apiKeyOrAdmin('scraped:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -115,7 +208,9 @@ router.get('/', async (req, res) => {
       articleStatus,
       status,
       source,
-      search
+      search,
+      cluster,
+      duplicates
     } = req.query;
 
     const query = {};
@@ -132,26 +227,58 @@ router.get('/', async (req, res) => {
       query.source = source;
     }
 
+    if (cluster) {
+      if (!mongoose.isValidObjectId(cluster)) {
+        return res.status(400).json({ error: 'Invalid cluster id' });
+      }
+      query['dedup.cluster'] = cluster;
+    }
+
+    if (duplicates === 'true') {
+      query['dedup.matches.0'] = { $exists: true };
+    } else if (duplicates === 'false') {
+      query['dedup.matches.0'] = { $exists: false };
+    }
+
+    let sort = { createdAt: -1 };
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { url: { $regex: search, $options: 'i' } }
-      ];
+      const term = search.trim();
+      if (/^https?:\/\//i.test(term)) {
+        // URL lookups are anchored prefix matches so they can use the url index
+        query.url = { $regex: `^${escapeRegex(term)}` };
+      } else {
+        query.$text = { $search: toQueryText(term) };
+        sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+      }
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const [articles, total] = await Promise.all([
       ScrapedArticle.find(query)
-        .sort({ createdAt: -1 })
+        .select('-search')
+        .sort(sort)
         .skip(skip)
         .limit(parseInt(limit))
         .populate('articleId', 'title slug status'),
       ScrapedArticle.countDocuments(query)
     ]);
 
+    // Cluster sizes for the clusters on this page
+    const clusterIds = [...new Set(articles.map(a => a.dedup?.cluster?.toString()).filter(Boolean))];
+    const clusterSizes = clusterIds.length > 0
+      ? await ScrapedArticle.aggregate([
+        { $match: { 'dedup.cluster': { $in: clusterIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+        { $group: { _id: '$dedup.cluster', size: { $sum: 1 } } }
+      ])
+      : [];
+
     res.json({
       articles,
+      clusters: clusterSizes.reduce((acc, item) => {
+        acc[item._id] = item.size;
+        return acc;
+      }, {}),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -196,6 +323,94 @@ router.get('/stats', protect, adminOnly, async (req, res) => {
   }
 });
 
+// @route   GET /api/scraped-articles/clusters
+// @desc    Near-duplicate clusters (same story from several sources), newest first
+// @access  Private/Admin
+router.get('/clusters', protect, adminOnly, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Members are looked up for the clusters on this page only, oldest
+    // first and capped, so large clusters stay within aggregation limits
+    const [result] = await ScrapedArticle.aggregate([
+      { $match: { 'dedup.cluster': { $ne: null } } },
+      {
+        $group: {
+          _id: '$dedup.cluster',
+          size: { $sum: 1 },
+          latestAt: { $max: '$createdAt' },
+          sources: { $addToSet: '$source' }
+        }
+      },
+      { $match: { size: { $gt: 1 } } },
+      { $sort: { latestAt: -1 } },
+      {
+        $facet: {
+          clusters: [
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            {
+              $lookup: {
+                from: ScrapedArticle.collection.name,
+                let: { cluster: '$_id' },
+                pipeline: [
+                  { $match: { $expr: { $eq: ['$dedup.cluster', '$$cluster'] } } },
+                  { $sort: { createdAt: 1 } },
+                  { $limit: CLUSTER_MEMBER_LIMIT },
+                  { $project: { title: 1, url: 1, source: 1, articleStatus: 1, articleId: 1, createdAt: 1 } }
+                ],
+                as: 'articles'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      clusters: result.clusters,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicate clusters error:', error);
+    res.status(500).json({ error: 'Failed to fetch duplicate clusters' });
+  }
+});
+
+// @route   GET /api/scraped-articles/:id/duplicates
+// @desc    Scraped and authored articles similar to this one
+// @access  Private/Admin
+router.get('/:id/duplicates', protect, adminOnly, async (req, res) => {
+  try {
+    const article = await ScrapedArticle.findById(req.params.id).select('+dedup.signature +dedup.bands');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Scraped article not found' });
+    }
+
+    const threshold = Math.min(Math.max(parseFloat(req.query.threshold) || dedup.DUPLICATE_THRESHOLD, 0.1), 1);
+    const matches = await dedup.findSimilar(article.dedup, {
+      excludeScraped: article._id,
+      threshold,
+      limit: 20
+    });
+
+    res.json({ matches, threshold });
+  } catch (error) {
+    console.error('Get scraped duplicates error:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
 // @route   GET /api/scraped-articles/:id
 // @desc    Get single scraped article
 // @access  Private/Admin
@@ -236,7 +451,11 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
     if (articleId !== undefined) article.articleId = articleId;
     if (processingError !== undefined) article.processingError = processingError;
 
+    const textChanged = article.isModified('title') || article.isModified('body');
     await article.save();
+    if (textChanged) {
+      await clusterArticle(article._id);
+    }
 
     res.json({
       message: 'Scraped article updated successfully',
@@ -1,247 +1,175 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const OpenAI = require('openai');
-const { v4: uuidv4 } = require('uuid');
-const { protect } = require('../middleware/auth');
-const { containerClient } = require('../config/azure');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPEN_API_KEY
-});
-
-const SUPPORTED_LANGUAGES = {
-  te: 'Telugu',
-  en: 'English',
-  hi: 'Hindi'
-};
-
-const SARVAM_LANG_CODES = {
-  te: 'te-IN',
-  en: 'en-IN',
-  hi: 'hi-IN'
-};
-
-const SARVAM_API_URL = 'https://api.sarvam.ai';
-const SARVAM_TRANSLATE_LIMIT = 1000;
-const SARVAM_TTS_LIMIT = 2500;
-
-function chunkText(text, maxLen) {
-  if (!text || text.length <= maxLen) return [text];
-
-  const chunks = [];
-  const sentences = text.split(/(?<=[.!?।\n])\s*/);
-  let current = '';
+const { protect, adminOnly } = require('../middleware/auth');
+const TranslationMemory = require('../models/TranslationMemory');
+const TranslationJob = require('../models/TranslationJob');
+const { getFilledLangs } = require('../services/translation');
+const translationJobs = require('../services/translationJobs');
+const { getProvider, listProviders } = require('../services/translationProviders');
+const glossary = require('../services/glossary');
+const languageCache = require('../utils/languageCache');
+
+// @route   POST /api/translate
+// @desc    Queue a translation (and optional TTS) job; poll GET /jobs/:id for progress
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { title, summary, content, generateAudio } = req.body;
 
-  for (const sentence of sentences) {
-    if (sentence.length > maxLen) {
-      if (current) { chunks.push(current); current = ''; }
-      for (let i = 0; i < sentence.length; i += maxLen) {
-        chunks.push(sentence.slice(i, i + maxLen));
-      }
-    } else if ((current + ' ' + sentence).trim().length > maxLen) {
-      if (current) chunks.push(current);
-      current = sentence;
-    } else {
-      current = current ? current + ' ' + sentence : sentence;
+    if (!title && !summary && !content) {
+      return res.status(400).json({ error: 'At least one field (title, summary, or content) is required' });
     }
-  }
-  if (current) chunks.push(current);
-  return chunks;
-}
-
-async function sarvamTranslate(text, sourceLang, targetLang) {
-  if (!text || !text.trim()) return '';
-
-  const chunks = chunkText(text, SARVAM_TRANSLATE_LIMIT);
-  const translated = [];
-
-  for (const chunk of chunks) {
-    if (!chunk || !chunk.trim()) { translated.push(''); continue; }
-
-    const { data } = await axios.post(`${SARVAM_API_URL}/translate`, {
-      input: chunk,
-      source_language_code: SARVAM_LANG_CODES[sourceLang],
-      target_language_code: SARVAM_LANG_CODES[targetLang],
-      model: 'mayura:v1'
-    }, {
-      headers: { 'api-subscription-key': process.env.SARVAM_API_KEY }
-    });
 
-    translated.push(data.translated_text || '');
-  }
-
-  return translated.join(' ');
-}
-
-async function openaiTranslate(text, targetLangName) {
-  if (!text || !text.trim()) return '';
-
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      {
-        role: 'system',
-        content: 'You are a professional translator. Translate the given text accurately while preserving meaning, tone, and formatting. Return ONLY the translated text, nothing else.'
-      },
-      {
-        role: 'user',
-        content: `Translate the following text to ${targetLangName}:\n\n${text}`
-      }
-    ],
-    temperature: 0.3
-  });
-
-  return completion.choices[0]?.message?.content?.trim() || '';
-}
-
-async function translateField(text, sourceLang, targetLang) {
-  const useSarvam = process.env.TRANSLATE_TYPE === 'sarvam';
-
-  if (useSarvam) {
-    return sarvamTranslate(text, sourceLang, targetLang);
-  }
-  return openaiTranslate(text, SUPPORTED_LANGUAGES[targetLang]);
-}
-
-async function twoStepTranslateField(text, sourceLang, allLangs) {
-  const result = {};
-  result[sourceLang] = text;
-
-  const targetLangs = allLangs.filter(l => l !== sourceLang);
-
-  if (sourceLang !== 'en') {
-    const englishText = await translateField(text, sourceLang, 'en');
-    result['en'] = englishText;
-
-    const otherLangs = targetLangs.filter(l => l !== 'en');
-    for (const lang of otherLangs) {
-      result[lang] = await translateField(englishText, 'en', lang);
-    }
-  } else {
-    for (const lang of targetLangs) {
-      result[lang] = await translateField(text, 'en', lang);
+    if (!Object.keys(getFilledLangs(title)).length && !Object.keys(getFilledLangs(summary)).length && !Object.keys(getFilledLangs(content)).length) {
+      return res.status(400).json({ error: 'Please provide content in at least one language to translate' });
     }
-  }
-
-  return result;
-}
-
-async function generateTTSForLanguage(text, langCode) {
-  if (!text || !text.trim()) return null;
-
-  const chunks = chunkText(text, SARVAM_TTS_LIMIT);
-  const audioBuffers = [];
 
-  for (const chunk of chunks) {
-    if (!chunk || !chunk.trim()) continue;
+    const job = await translationJobs.enqueue({ title, summary, content }, { generateAudio: !!generateAudio }, req.user);
 
-    const { data } = await axios.post(`${SARVAM_API_URL}/text-to-speech`, {
-      text: chunk,
-      target_language_code: SARVAM_LANG_CODES[langCode],
-      speaker: 'priya',
-      model: 'bulbul:v3'
-    }, {
-      headers: { 'api-subscription-key': process.env.SARVAM_API_KEY }
+    res.status(202).json({
+      jobId: job._id,
+      job: job.toClientJSON()
     });
-
-    if (data.audios && data.audios[0]) {
-      audioBuffers.push(Buffer.from(data.audios[0], 'base64'));
-    }
+  } catch (error) {
+    console.error('Translation error:', error);
+    res.status(500).json({ error: 'Failed to start translation. Please try again.' });
   }
+});
 
-  if (audioBuffers.length === 0) return null;
-
-  const combined = Buffer.concat(audioBuffers);
-
-  const blobName = `audio/${Date.now()}-${uuidv4()}-${langCode}.wav`;
-  const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-  await blockBlobClient.uploadData(combined, {
-    blobHTTPHeaders: { blobContentType: 'audio/wav' }
-  });
-
-  return `${process.env.AZURE_STORAGE_URL}/${process.env.AZURE_STORAGE_CONTAINER}/${blobName}`;
-}
+// Only the requester (or an admin) may follow a job
+const findOwnJob = async (req) => {
+  const job = await TranslationJob.findById(req.params.id);
+  if (!job) return null;
+  if (req.user.role !== 'admin' && job.createdBy.toString() !== req.user._id.toString()) return null;
+  return job;
+};
 
-router.post('/', protect, async (req, res) => {
+// @route   GET /api/translate/jobs/:id
+// @desc    Translation job progress per field, language and chunk, with results so far
+// @access  Private
+router.get('/jobs/:id', protect, async (req, res) => {
   try {
-    const { title, summary, content, generateAudio } = req.body;
+    const job = await findOwnJob(req);
 
-    if (!title && !summary && !content) {
-      return res.status(400).json({ error: 'At least one field (title, summary, or content) is required' });
+    if (!job) {
+      return res.status(404).json({ error: 'Translation job not found' });
     }
 
-    const allLangs = Object.keys(SUPPORTED_LANGUAGES);
-
-    const getFilledLangs = (obj) => {
-      if (!obj) return {};
-      const filled = {};
-      for (const [lang, text] of Object.entries(obj)) {
-        if (text && text.trim()) filled[lang] = text.trim();
-      }
-      return filled;
-    };
+    res.json({ job: job.toClientJSON() });
+  } catch (error) {
+    console.error('Get translation job error:', error);
+    res.status(500).json({ error: 'Failed to fetch translation job' });
+  }
+});
 
-    const filledTitle = getFilledLangs(title);
-    const filledSummary = getFilledLangs(summary);
-    const filledContent = getFilledLangs(content);
+// @route   POST /api/translate/jobs/:id/retry
+// @desc    Run the failed tasks of a job again
+// @access  Private
+router.post('/jobs/:id/retry', protect, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
 
-    if (!Object.keys(filledTitle).length && !Object.keys(filledSummary).length && !Object.keys(filledContent).length) {
-      return res.status(400).json({ error: 'Please provide content in at least one language to translate' });
+    if (!job) {
+      return res.status(404).json({ error: 'Translation job not found' });
     }
 
-    const result = {};
+    const updated = await translationJobs.retry(job);
 
-    const translateMultilingual = async (filled, fieldName) => {
-      if (!Object.keys(filled).length) return;
-
-      const sourceLang = Object.keys(filled)[0];
-      const sourceText = filled[sourceLang];
+    if (!updated) {
+      return res.status(400).json({ error: 'Only finished jobs with failed tasks can be retried' });
+    }
 
-      const translated = await twoStepTranslateField(sourceText, sourceLang, allLangs);
+    res.status(202).json({ job: updated.toClientJSON() });
+  } catch (error) {
+    console.error('Retry translation job error:', error);
+    res.status(500).json({ error: 'Failed to retry translation job' });
+  }
+});
 
-      result[fieldName] = {};
-      for (const lang of allLangs) {
-        result[fieldName][lang] = filled[lang] || translated[lang] || '';
+// @route   GET /api/translate/providers
+// @desc    Active translation provider and the languages it covers
+// @access  Private/Admin
+router.get('/providers', protect, adminOnly, async (req, res) => {
+  try {
+    const provider = getProvider();
+    const [languages, { terms, version }] = await Promise.all([
+      languageCache.getActiveLanguages(),
+      glossary.getGlossary()
+    ]);
+
+    res.json({
+      active: provider.name,
+      available: listProviders(),
+      languages: languages.map(lang => ({
+        code: lang.code,
+        name: lang.name,
+        supported: provider.supports(lang.code)
+      })),
+      glossary: {
+        terms: terms.length,
+        version
       }
-    };
-
-    await translateMultilingual(filledTitle, 'title');
-    await translateMultilingual(filledSummary, 'summary');
-    await translateMultilingual(filledContent, 'content');
-
-    if (generateAudio && result.content) {
-      const audio = {};
-
-      for (const lang of allLangs) {
-        const text = result.content[lang];
-        if (!text) continue;
+    });
+  } catch (error) {
+    console.error('Get translation providers error:', error);
+    res.status(500).json({ error: 'Failed to fetch translation providers' });
+  }
+});
 
-        try {
-          const url = await generateTTSForLanguage(text, lang);
-          if (url) audio[lang] = url;
-        } catch (ttsErr) {
-          console.error(`TTS failed for ${lang}:`, ttsErr.message, ttsErr.response?.data || '');
+// @route   GET /api/translate/memory
+// @desc    Translation memory statistics per language pair
+// @access  Private/Admin
+router.get('/memory', protect, adminOnly, async (req, res) => {
+  try {
+    const pairs = await TranslationMemory.aggregate([
+      {
+        $group: {
+          _id: { sourceLang: '$sourceLang', targetLang: '$targetLang' },
+          entries: { $sum: 1 },
+          hits: { $sum: '$hits' },
+          lastUsedAt: { $max: '$lastUsedAt' }
         }
-      }
+      },
+      { $sort: { entries: -1 } }
+    ]);
+
+    res.json({
+      total: pairs.reduce((sum, pair) => sum + pair.entries, 0),
+      hits: pairs.reduce((sum, pair) => sum + pair.hits, 0),
+      pairs: pairs.map(pair => ({
+        sourceLang: pair._id.sourceLang,
+        targetLang: pair._id.targetLang,
+        entries: pair.entries,
+        hits: pair.hits,
+        lastUsedAt: pair.lastUsedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get translation memory error:', error);
+    res.status(500).json({ error: 'Failed to fetch translation memory' });
+  }
+});
 
-      if (Object.keys(audio).length > 0) {
-        result.audio = audio;
-      }
-    }
+// @route   DELETE /api/translate/memory
+// @desc    Clear translation memory (?sourceLang=&targetLang= to limit)
+// @access  Private/Admin
+router.delete('/memory', protect, adminOnly, async (req, res) => {
+  try {
+    const { sourceLang, targetLang } = req.query;
+    const query = {};
 
-    res.json(result);
-  } catch (error) {
-    console.error('Translation error:', error?.response?.data || error.message || error);
+    if (sourceLang) query.sourceLang = sourceLang;
+    if (targetLang) query.targetLang = targetLang;
 
-    if (error?.status === 401 || error?.code === 'invalid_api_key') {
-      return res.status(500).json({ error: 'Invalid API key configuration' });
-    }
-    if (error?.status === 429 || error?.response?.status === 429) {
-      return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
-    }
+    const result = await TranslationMemory.deleteMany(query);
 
-    res.status(500).json({ error: 'Translation failed. Please try again.' });
+    res.json({
+      message: 'Translation memory cleared',
+      deleted: result.deletedCount
+    });
+  } catch (error) {
+    console.error('Clear translation memory error:', error);
+    res.status(500).json({ error: 'Failed to clear translation memory' });
   }
 });
 
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { protect, adminOnly, authorize } = require('../middleware/auth');
+const Workflow = require('../models/Workflow');
+const RoleConfig = require('../models/RoleConfig');
+const { protect, adminOnly, authorize, can } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
+const languageCache = require('../utils/languageCache');
+const permissions = require('../services/permissions');
 
 // @route   GET /api/users
 // @desc    Get all users (admin only)
@@ -16,7 +20,8 @@ router.get('/', protect, adminOnly, async (req, res) => {
     if (search) {
       query.$or = [
         { name: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') }
+        { email: new RegExp(search, 'i') },
+        { phone: new RegExp(search.replace(/\D/g, '') || search, 'i') }
       ];
     }
 
@@ -173,7 +178,7 @@ router.put('/:id/status', protect, adminOnly, async (req, res) => {
 router.get('/reporters', protect, adminOnly, async (req, res) => {
   try {
     const reporters = await User.find({ role: 'reporter', isActive: true })
-      .select('name email avatar bio articlesCount assignedCategories')
+      .select('name email avatar bio articlesCount assignedCategories reviewSteps')
       .populate('assignedCategories', 'name slug');
 
     res.json({ reporters });
@@ -210,4 +215,145 @@ router.put('/reporters/:id/categories', protect, adminOnly, async (req, res) =>
   }
 });
 
+// @route   PUT /api/users/:id/review-steps
+// @desc    Assign editorial review steps to a reporter or admin
+// @access  Private/Admin
+router.put('/:id/review-steps', protect, adminOnly, async (req, res) => {
+  try {
+    const { steps = [] } = req.body;
+
+    if (!Array.isArray(steps)) {
+      return res.status(400).json({ error: 'Steps must be an array' });
+    }
+
+    const configured = (await Workflow.getSteps()).map(s => s.key);
+    const unknown = steps.filter(key => !configured.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown review steps: ${unknown.join(', ')}` });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $in: ['reporter', 'admin'] } },
+      { reviewSteps: [...new Set(steps)] },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'Reporter not found' });
+    }
+
+    res.json({
+      message: 'Review steps assigned',
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Assign review steps error:', error);
+    res.status(500).json({ error: 'Failed to assign review steps' });
+  }
+});
+
+// @route   PUT /api/users/:id/grants
+// @desc    Grant roles to a reporter, each optionally limited to categories, cities and languages
+// @access  Private/Admin
+router.put('/:id/grants', protect, adminOnly, validate(schemas.userGrants), async (req, res) => {
+  try {
+    const { grants } = req.body;
+
+    const roles = (await RoleConfig.getRoles()).map(r => r.key);
+    const unknown = grants.map(g => g.role).filter(key => key === 'reporter' || !roles.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Roles that cannot be granted: ${[...new Set(unknown)].join(', ')}` });
+    }
+
+    const activeCodes = await languageCache.getActiveLanguageCodes();
+    const badLanguages = grants.flatMap(g => g.languages).filter(code => !activeCodes.includes(code));
+    if (badLanguages.length > 0) {
+      return res.status(400).json({ error: `Unknown languages: ${[...new Set(badLanguages)].join(', ')}` });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'reporter' },
+      { grants },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'Reporter not found' });
+    }
+
+    res.json({
+      message: 'Permissions updated',
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Update grants error:', error);
+    res.status(500).json({ error: 'Failed to update permissions' });
+  }
+});
+
+// @route   PUT /api/users/:id/comment-restriction
+// @desc    Mute (no posting or editing) or ban (no commenting at all) a reader,
+//          for ?hours or until lifted
+// @access  Private (unscoped comments.moderate)
+router.put('/:id/comment-restriction', protect, can('comments.moderate', permissions.unscoped), validate(schemas.commentRestriction), async (req, res) => {
+  try {
+    const { kind, hours, reason } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'Cannot restrict yourself' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $ne: 'admin' } },
+      {
+        commentRestriction: {
+          kind,
+          until: hours ? new Date(Date.now() + hours * 60 * 60 * 1000) : null,
+          reason: reason || '',
+          by: req.user._id,
+          at: new Date()
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: kind === 'ban' ? 'User banned from commenting' : 'User muted',
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Restrict commenting error:', error);
+    res.status(500).json({ error: 'Failed to restrict user' });
+  }
+});
+
+// @route   DELETE /api/users/:id/comment-restriction
+// @desc    Lift a mute or ban
+// @access  Private (unscoped comments.moderate)
+router.delete('/:id/comment-restriction', protect, can('comments.moderate', permissions.unscoped), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { commentRestriction: { kind: null } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: 'Restriction lifted',
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Lift restriction error:', error);
+    res.status(500).json({ error: 'Failed to lift restriction' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const Article = require('../models/Article');
+const User = require('../models/User');
+const Workflow = require('../models/Workflow');
+const ArticleTransition = require('../models/ArticleTransition');
+const { protect, adminOnly, reporterOrAdmin } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const languageCache = require('../utils/languageCache');
+const workflow = require('../services/workflow');
+
+// Helper to get value from Map or plain object
+const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
+  if (!field) return '';
+  if (field instanceof Map) {
+    return field.get(lang) || field.get(fallbackLang) || [...field.values()][0] || '';
+  }
+  // Plain object (from lean query)
+  return field[lang] || field[fallbackLang] || Object.values(field)[0] || '';
+};
+
+// @route   GET /api/workflow/steps
+// @desc    Get the configured review steps
+// @access  Private/Reporter
+router.get('/steps', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const steps = await Workflow.getSteps();
+    res.json({ steps });
+  } catch (error) {
+    console.error('Get workflow steps error:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow steps' });
+  }
+});
+
+// @route   PUT /api/workflow/steps
+// @desc    Configure the review steps (in order)
+// @access  Private/Admin
+router.put('/steps', protect, adminOnly, validate(schemas.workflowSteps), async (req, res) => {
+  try {
+    const { steps } = req.body;
+
+    const keys = steps.map(s => s.key);
+    if (new Set(keys).size !== keys.length) {
+      return res.status(400).json({ error: 'Step keys must be unique' });
+    }
+
+    const config = await Workflow.findOneAndUpdate(
+      { key: 'default' },
+      { steps, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    // Articles parked on a removed step go back to the first step
+    const orphaned = await Article.find({
+      'workflow.state': 'in_review',
+      'workflow.step': { $nin: keys }
+    });
+    for (const article of orphaned) {
+      article.workflow.step = keys[0];
+      article.workflow.assignedTo = await workflow.findReviewer(article, keys[0]);
+      await article.save();
+      await workflow.recordTransition(article, req.user, {
+        action: 'assign',
+        fromStatus: article.status,
+        toStatus: article.status,
+        toStep: keys[0],
+        assignedTo: article.workflow.assignedTo,
+        note: 'Workflow steps reconfigured'
+      });
+    }
+
+    res.json({
+      message: 'Workflow updated',
+      steps: config.steps,
+      reassigned: orphaned.length
+    });
+  } catch (error) {
+    console.error('Update workflow steps error:', error);
+    res.status(500).json({ error: 'Failed to update workflow steps' });
+  }
+});
+
+// @route   GET /api/workflow/queue
+// @desc    Get articles awaiting review (reviewers see their own assignments,
+//          admins see everything or ?assignedTo=me|unassigned)
+// @access  Private/Reporter
+router.get('/queue', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const defaultLang = await languageCache.getDefaultLanguageCode();
+    const { page = 1, limit = 20, step, assignedTo, lang = defaultLang } = req.query;
+
+    const query = { status: 'pending', 'workflow.state': 'in_review' };
+
+    if (req.user.role !== 'admin' || assignedTo === 'me') {
+      query['workflow.assignedTo'] = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query['workflow.assignedTo'] = null;
+    }
+    if (step) query['workflow.step'] = step;
+
+    const [articles, total, steps] = await Promise.all([
+      Article.find(query)
+        .select('title slug status createdAt updatedAt author category workflow publishAt')
+        .populate('author', 'name')
+        .populate('category', 'name')
+        .populate('workflow.assignedTo', 'name')
+        .sort({ updatedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .lean(),
+      Article.countDocuments(query),
+      Workflow.getSteps()
+    ]);
+
+    const stepNames = {};
+    steps.forEach(s => { stepNames[s.key] = s.name; });
+
+    res.json({
+      articles: articles.map(article => ({
+        ...article,
+        title: getLocalizedValue(article.title, lang, defaultLang),
+        category: article.category ? {
+          ...article.category,
+          name: getLocalizedValue(article.category.name, lang, defaultLang)
+        } : null,
+        stepName: stepNames[article.workflow?.step] || article.workflow?.step
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+// @route   GET /api/workflow/reviewers
+// @desc    Get reviewers, optionally only those handling a step
+// @access  Private/Admin
+router.get('/reviewers', protect, adminOnly, async (req, res) => {
+  try {
+    const { step } = req.query;
+
+    const query = { isActive: true, role: { $in: ['reporter', 'admin'] } };
+    query.reviewSteps = step ? step : { $exists: true, $ne: [] };
+
+    const reviewers = await User.find(query)
+      .select('name email avatar role reviewSteps assignedCategories')
+      .populate('assignedCategories', 'name slug');
+
+    res.json({ reviewers });
+  } catch (error) {
+    console.error('Get reviewers error:', error);
+    res.status(500).json({ error: 'Failed to fetch reviewers' });
+  }
+});
+
+// @route   POST /api/workflow/articles/:id/submit
+// @desc    Submit a draft (or a rejected article) for review
+// @access  Private/Reporter (author) or Admin
+router.post('/articles/:id/submit', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (req.user.role !== 'admin' && article.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to submit this article' });
+    }
+
+    if (article.status !== 'draft') {
+      return res.status(400).json({ error: 'Only drafts can be submitted for review' });
+    }
+
+    article.status = 'pending';
+    await article.save();
+    const updated = await workflow.startReview(article, req.user, 'draft');
+
+    res.json({
+      message: 'Article submitted for review',
+      article: updated
+    });
+  } catch (error) {
+    console.error('Submit article error:', error);
+    res.status(500).json({ error: 'Failed to submit article' });
+  }
+});
+
+// @route   POST /api/workflow/articles/:id/approve
+// @desc    Approve the current review step
+// @access  Private/Reporter (assigned reviewer) or Admin
+router.post('/articles/:id/approve', protect, reporterOrAdmin, validate(schemas.approveArticle), async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (article.workflow?.state !== 'in_review') {
+      return res.status(400).json({ error: 'Article is not awaiting review' });
+    }
+
+    if (!workflow.canReview(req.user, article)) {
+      return res.status(403).json({ error: 'You are not the reviewer for this step' });
+    }
+
+    const updated = await workflow.approveStep(article, req.user, { note: req.body.note });
+
+    res.json({
+      message: updated.status === 'published' ? 'Article approved and published' : 'Step approved',
+      article: updated
+    });
+  } catch (error) {
+    console.error('Approve article error:', error);
+    res.status(500).json({ error: 'Failed to approve article' });
+  }
+});
+
+// @route   POST /api/workflow/articles/:id/reject
+// @desc    Reject the current step and send the article back to its reporter
+// @access  Private/Reporter (assigned reviewer) or Admin
+router.post('/articles/:id/reject', protect, reporterOrAdmin, validate(schemas.rejectArticle), async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (article.workflow?.state !== 'in_review') {
+      return res.status(400).json({ error: 'Article is not awaiting review' });
+    }
+
+    if (!workflow.canReview(req.user, article)) {
+      return res.status(403).json({ error: 'You are not the reviewer for this step' });
+    }
+
+    const updated = await workflow.rejectStep(article, req.user, {
+      reason: req.body.reason,
+      notes: req.body.notes || []
+    });
+
+    res.json({
+      message: 'Article sent back to reporter',
+      article: updated
+    });
+  } catch (error) {
+    console.error('Reject article error:', error);
+    res.status(500).json({ error: 'Failed to reject article' });
+  }
+});
+
+// @route   PUT /api/workflow/articles/:id/assign
+// @desc    Reassign the current review step
+// @access  Private/Admin
+router.put('/articles/:id/assign', protect, adminOnly, validate(schemas.assignReviewer), async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (article.workflow?.state !== 'in_review') {
+      return res.status(400).json({ error: 'Article is not awaiting review' });
+    }
+
+    const reviewer = await User.findOne({
+      _id: req.body.reviewer,
+      isActive: true,
+      role: { $in: ['reporter', 'admin'] }
+    });
+
+    if (!reviewer) {
+      return res.status(404).json({ error: 'Reviewer not found' });
+    }
+
+    const updated = await workflow.assignReviewer(article, req.user, reviewer._id);
+
+    res.json({
+      message: `Assigned to ${reviewer.name}`,
+      article: updated
+    });
+  } catch (error) {
+    console.error('Assign reviewer error:', error);
+    res.status(500).json({ error: 'Failed to assign reviewer' });
+  }
+});
+
+// @route   GET /api/workflow/articles/:id/history
+// @desc    Get the audit trail of an article
+// @access  Private/Reporter
+router.get('/articles/:id/history', protect, reporterOrAdmin, async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id).select('author workflow');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    // Author, current reviewer, admins and anyone who acted on the article
+    let allowed = req.user.role === 'admin' ||
+      article.author.toString() === req.user._id.toString() ||
+      article.workflow?.assignedTo?.toString() === req.user._id.toString();
+
+    if (!allowed) {
+      allowed = !!(await ArticleTransition.exists({ article: article._id, actor: req.user._id }));
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ error: 'Not authorized to view this article' });
+    }
+
+    const transitions = await ArticleTransition.find({ article: article._id })
+      .populate('actor', 'name avatar')
+      .populate('assignedTo', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ transitions });
+  } catch (error) {
+    console.error('Get article history error:', error);
+    res.status(500).json({ error: 'Failed to fetch article history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Article = require('../models/Article');
+const Area = require('../models/Area');
+const City = require('../models/City');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log('MongoDB connected for locality backfill');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Resolve every article's location point to an Area and City
+const runBackfill = async () => {
+  await connectDB();
+
+  await Promise.all([Article.createIndexes(), Area.createIndexes(), City.createIndexes()]);
+  console.log('✅ Geo indexes created');
+
+  const { count, resolved } = await Article.rebuildLocalities();
+  console.log(`✅ Resolved ${resolved} of ${count} article(s) to an area or city`);
+
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed');
+  process.exit(0);
+};
+
+runBackfill().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
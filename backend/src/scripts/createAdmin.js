@@ -0,0 +1,70 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const readline = require('readline');
+
+const adminBootstrap = require('../services/adminBootstrap');
+
+// npm run admin:create -- --name "Editor" --email editor@example.com
+// The password is asked for unless --password or ADMIN_PASSWORD is given
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const match = /^--(name|email|password)(?:=(.*))?$/.exec(argv[i]);
+    if (match) {
+      args[match[1]] = match[2] !== undefined ? match[2] : argv[(i += 1)];
+    }
+  }
+  return args;
+};
+
+const ask = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(question, (answer) => {
+    rl.close();
+    resolve(answer.trim());
+  });
+});
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log('MongoDB connected for admin setup');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Create the first admin; refuses once any admin exists
+const runCreate = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const name = args.name || await ask('Name: ');
+  const email = args.email || await ask('Email: ');
+  const password = args.password || process.env.ADMIN_PASSWORD || await ask('Password (min 8 characters): ');
+
+  if (!name || !email || !password || password.length < 8) {
+    console.error('❌ Name, email and a password of at least 8 characters are required');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const result = await adminBootstrap.createFirstAdmin({ name, email, password }, { via: 'cli' });
+
+  if (result.error === 'complete') {
+    console.error('❌ An admin already exists; add more admins from the dashboard');
+  } else if (result.error === 'email_taken') {
+    console.error(`❌ ${email} is already registered`);
+  } else {
+    console.log(`✅ Admin created: ${result.admin.email}`);
+  }
+
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed');
+  process.exit(result.error ? 1 : 0);
+};
+
+runCreate().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
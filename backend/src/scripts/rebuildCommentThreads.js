@@ -0,0 +1,36 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+require('../models/Article');
+const Comment = require('../models/Comment');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log('MongoDB connected for comment thread rebuild');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Give every comment its thread path, depth and reply count, and recount
+// the approved comments on each article
+const runRebuild = async () => {
+  await connectDB();
+
+  await Comment.createIndexes();
+  console.log('✅ Comment indexes created');
+
+  const { comments, threads, articles } = await Comment.rebuildThreads();
+  console.log(`✅ Placed ${comments} comment(s); ${threads} have replies; ${articles} article(s) recounted`);
+
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed');
+  process.exit(0);
+};
+
+runRebuild().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
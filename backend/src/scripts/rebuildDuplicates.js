@@ -0,0 +1,39 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Article = require('../models/Article');
+const ScrapedArticle = require('../models/ScrapedArticle');
+const dedup = require('../services/dedup');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log('MongoDB connected for duplicate rebuild');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Recompute near-duplicate fingerprints and scraped article clusters
+const runRebuild = async () => {
+  await connectDB();
+
+  await Promise.all([Article.createIndexes(), ScrapedArticle.createIndexes()]);
+  console.log('✅ Fingerprint indexes created');
+
+  const { articles, scraped } = await dedup.rebuildAll();
+  console.log(`✅ Fingerprinted ${articles} article(s) and ${scraped} scraped article(s)`);
+
+  const clusters = await ScrapedArticle.distinct('dedup.cluster', { 'dedup.cluster': { $ne: null } });
+  console.log(`✅ Found ${clusters.length} duplicate cluster(s)`);
+
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed');
+  process.exit(0);
+};
+
+runRebuild().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Article = require('../models/Article');
+const ScrapedArticle = require('../models/ScrapedArticle');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log('MongoDB connected for search reindex');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Rebuild the analyzed search documents and make sure the text index exists
+const runReindex = async () => {
+  await connectDB();
+
+  await Promise.all([Article.createIndexes(), ScrapedArticle.createIndexes()]);
+  console.log('✅ Search indexes created');
+
+  const count = await Article.rebuildSearchIndex();
+  console.log(`✅ Reindexed ${count} article(s)`);
+
+  const scrapedCount = await ScrapedArticle.rebuildSearchIndex();
+  console.log(`✅ Reindexed ${scrapedCount} scraped article(s)`);
+
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed');
+  process.exit(0);
+};
+
+runReindex().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
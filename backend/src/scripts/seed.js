@@ -258,7 +258,9 @@ const seedDatabase = async () => {
       email: 'admin@taajanews.com',
       password: 'admin123', // Plain password - model will hash it
       role: 'admin',
-      isActive: true
+      isActive: true,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
     });
     console.log(`✅ Admin created: ${admin.email}`);
 
@@ -269,6 +271,8 @@ const seedDatabase = async () => {
       password: 'reporter123', // Plain password - model will hash it
       role: 'reporter',
       isActive: true,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
       bio: 'Senior reporter at Taaja News'
     });
     console.log(`✅ Reporter created: ${reporter.email}`);
@@ -0,0 +1,35 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log('MongoDB connected for user index sync');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Email used to be unique for every user; it is now unique only when set,
+// so phone-only accounts can exist. Replace the old index with the new ones.
+const runSync = async () => {
+  await connectDB();
+
+  const dropped = await User.syncIndexes();
+  if (dropped.length > 0) {
+    console.log(`✅ Dropped outdated index(es): ${dropped.join(', ')}`);
+  }
+  console.log('✅ User indexes are up to date');
+
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed');
+  process.exit(0);
+};
+
+runSync().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
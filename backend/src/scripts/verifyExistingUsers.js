@@ -0,0 +1,54 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+
+// npm run users:verify-existing -- --before 2026-10-18
+// Without --before, every account with an email address is marked verified
+const parseBefore = (argv) => {
+  const index = argv.findIndex(arg => arg.startsWith('--before'));
+  if (index === -1) return null;
+  const value = argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    console.error('❌ --before must be a date, for example 2026-10-18');
+    process.exit(1);
+  }
+  return date;
+};
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log('MongoDB connected for email verification backfill');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Commenting needs a verified email or phone. Accounts from before email
+// verification existed never got a link, so they are trusted as verified.
+const runBackfill = async () => {
+  const before = parseBefore(process.argv.slice(2));
+  await connectDB();
+
+  const filter = {
+    email: { $type: 'string' },
+    emailVerified: { $ne: true },
+    ...(before ? { createdAt: { $lt: before } } : {})
+  };
+  const result = await User.updateMany(filter, {
+    $set: { emailVerified: true, emailVerifiedAt: new Date() }
+  });
+  console.log(`✅ Marked ${result.modifiedCount} existing account(s) as verified`);
+
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed');
+  process.exit(0);
+};
+
+runBackfill().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -17,10 +17,26 @@ const engagementRoutes = require('./routes/engagement.routes');
 const languageRoutes = require('./routes/language.routes');
 const scrapedArticleRoutes = require('./routes/scrapedArticle.routes');
 const translateRoutes = require('./routes/translate.routes');
+const workflowRoutes = require('./routes/workflow.routes');
+const feedRoutes = require('./routes/feed.routes');
+const glossaryRoutes = require('./routes/glossary.routes');
+const pushRoutes = require('./routes/push.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
+const roleRoutes = require('./routes/role.routes');
+const liveBlogRoutes = require('./routes/liveBlog.routes');
 
 // Import utilities
 const languageCache = require('./utils/languageCache');
 
+// Import background services
+const publishScheduler = require('./services/publishScheduler');
+const scrapedConversion = require('./services/scrapedConversion');
+const translationJobs = require('./services/translationJobs');
+const trending = require('./services/trending');
+const pushNotifications = require('./services/pushNotifications');
+const liveUpdates = require('./services/liveUpdates');
+const adminBootstrap = require('./services/adminBootstrap');
+
 const app = express();
 
 // Connect to MongoDB
@@ -42,6 +58,12 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
+// Behind a load balancer, take the client IP (rate limits, session list)
+// from X-Forwarded-For; TRUST_PROXY is the number of proxies in front
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+
 // Rate limiting (more permissive in development)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -71,6 +93,13 @@ app.use('/api/engagement', engagementRoutes);
 app.use('/api/languages', languageRoutes);
 app.use('/api/scraped-articles', scrapedArticleRoutes);
 app.use('/api/translate', translateRoutes);
+app.use('/api/workflow', workflowRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/glossary', glossaryRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/live-blogs', liveBlogRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -113,6 +142,27 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.warn('Language cache initialization failed, will retry on first request');
   }
+
+  // Start scheduled publishing (recovers embargoes missed during downtime)
+  publishScheduler.start();
+
+  // Resume scraped-article conversions queued before a restart
+  scrapedConversion.start();
+
+  // Resume translation jobs queued before a restart
+  translationJobs.start();
+
+  // Keep materialized trending scores fresh
+  trending.start();
+
+  // Announce breaking news (no-op without VAPID keys)
+  pushNotifications.start();
+
+  // Fan live article updates out to readers (across instances with LIVE_BROKER=mongo)
+  liveUpdates.start();
+
+  // Point a fresh install at the one-time admin setup
+  adminBootstrap.logStatus();
 });
 
 module.exports = app;
@@ -0,0 +1,80 @@
+/**
+ * Account Tokens
+ * Signed, expiring, single-use tokens for password reset and email
+ * verification links. The JWT carries the purpose as its audience, so
+ * neither kind can stand in for the other (or for an access token).
+ */
+const jwt = require('jsonwebtoken');
+const AccountToken = require('../models/AccountToken');
+
+// Keep in step with the expiry wording in services/mailTemplates.js
+const PURPOSES = {
+  password_reset: { ttlSeconds: 60 * 60 },
+  email_verification: { ttlSeconds: 48 * 60 * 60 }
+};
+// A new link is not sent more often than this
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Whether a link was sent to this user very recently
+ */
+const recentlyIssued = async (userId, purpose) => {
+  return Boolean(await AccountToken.exists({
+    user: userId,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+  }));
+};
+
+/**
+ * Issue a token (earlier unused tokens of the same kind stop working)
+ * @param {Object} user - User document
+ * @param {string} purpose - 'password_reset' | 'email_verification'
+ * @returns {string} Signed token
+ */
+const issue = async (user, purpose) => {
+  const { ttlSeconds } = PURPOSES[purpose];
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const record = await AccountToken.create({
+    user: user._id,
+    purpose,
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  });
+
+  return jwt.sign({}, process.env.JWT_SECRET, {
+    subject: String(user._id),
+    audience: purpose,
+    jwtid: String(record._id),
+    expiresIn: ttlSeconds
+  });
+};
+
+/**
+ * Use a token
+ * @returns {Object|null} { userId, email } or null when invalid, expired or used
+ */
+const consume = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+
+  const record = await AccountToken.findOneAndUpdate(
+    { _id: payload.jti, user: payload.sub, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  return record ? { userId: record.user, email: record.email } : null;
+};
+
+module.exports = {
+  PURPOSES,
+  recentlyIssued,
+  issue,
+  consume
+};
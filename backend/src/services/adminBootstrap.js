@@ -0,0 +1,98 @@
+/**
+ * Admin Bootstrap
+ * Creates the first admin account, either from the command line
+ * (npm run admin:create) or over HTTP with ADMIN_SETUP_TOKEN. Whichever
+ * runs first claims a one-time setting, after which both are disabled.
+ */
+const crypto = require('crypto');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+
+const SETUP_KEY = 'adminBootstrap';
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Whether the first admin has been created (by this bootstrap or otherwise,
+ * e.g. the seed script)
+ */
+const isComplete = async () => {
+  if (await Setting.exists({ key: SETUP_KEY })) return true;
+  return Boolean(await User.exists({ role: 'admin' }));
+};
+
+/**
+ * Check a setup token against ADMIN_SETUP_TOKEN (never matches when unset)
+ */
+const checkSetupToken = (token) => {
+  const expected = process.env.ADMIN_SETUP_TOKEN;
+  if (!expected || !token) return false;
+  return crypto.timingSafeEqual(sha256(expected), sha256(token));
+};
+
+/**
+ * Create the first admin
+ * @param {Object} data - { name, email, password }
+ * @param {Object} options - { via: 'cli' | 'setup-token', ip }
+ * @returns {Object} { admin } or { error: 'complete' | 'email_taken' }
+ */
+const createFirstAdmin = async ({ name, email, password }, { via, ip } = {}) => {
+  if (await User.exists({ role: 'admin' })) {
+    return { error: 'complete' };
+  }
+
+  if (await User.exists({ email: String(email).toLowerCase() })) {
+    return { error: 'email_taken' };
+  }
+
+  // Claim the bootstrap before creating anyone, so two requests cannot
+  // both create an admin
+  try {
+    await Setting.create({ key: SETUP_KEY, value: { via, ip, email } });
+  } catch (error) {
+    if (error.code === 11000) return { error: 'complete' };
+    throw error;
+  }
+
+  try {
+    const admin = await User.create({
+      name,
+      email,
+      password,
+      role: 'admin',
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    await Setting.updateOne({ key: SETUP_KEY }, { $set: { 'value.admin': admin._id } });
+    return { admin };
+  } catch (error) {
+    // Nothing was created, so the bootstrap can be tried again
+    await Setting.deleteOne({ key: SETUP_KEY });
+    throw error;
+  }
+};
+
+/**
+ * Log how to create the first admin when there is none yet
+ */
+const logStatus = async () => {
+  try {
+    if (await isComplete()) return;
+
+    if (process.env.ADMIN_SETUP_TOKEN) {
+      console.log('👤 No admin yet: POST /api/auth/admin/setup with ADMIN_SETUP_TOKEN, or run npm run admin:create');
+    } else {
+      console.log('👤 No admin yet: run npm run admin:create');
+    }
+  } catch (error) {
+    console.error('Admin bootstrap status error:', error);
+  }
+};
+
+module.exports = {
+  isComplete,
+  checkSetupToken,
+  createFirstAdmin,
+  logStatus
+};
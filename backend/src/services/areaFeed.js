@@ -0,0 +1,63 @@
+/**
+ * Hyperlocal Area Feed
+ * Stories whose location falls inside an area. Areas that have had too
+ * few stories lately are widened with their closest neighbouring areas in
+ * the same city so the feed is never empty for a quiet locality.
+ */
+const Article = require('../models/Article');
+const Area = require('../models/Area');
+
+const DAY = 24 * 60 * 60 * 1000;
+// An area needs this many stories in the recent window to stand alone
+const MIN_AREA_STORIES = 5;
+const RECENT_DAYS = 7;
+const NEIGHBOUR_RADIUS_METERS = 5000;
+const MAX_NEIGHBOURS = 5;
+
+/**
+ * Published articles for an area, expanded to neighbours when quiet
+ * @param {Object} area - Area document
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { articles, total, neighbours, expanded }
+ */
+const getAreaFeed = async (area, { page = 1, limit = 20 }) => {
+  const recent = await Article.countDocuments({
+    area: area._id,
+    status: 'published',
+    publishedAt: { $gte: new Date(Date.now() - RECENT_DAYS * DAY) }
+  });
+
+  const neighbours = recent < MIN_AREA_STORIES
+    ? await Area.findNeighbours(area, NEIGHBOUR_RADIUS_METERS, MAX_NEIGHBOURS)
+    : [];
+
+  const query = {
+    area: { $in: [area._id, ...neighbours.map(n => n._id)] },
+    status: 'published'
+  };
+
+  const [articles, total] = await Promise.all([
+    Article.find(query)
+      .select('-content')
+      .populate('author', 'name avatar')
+      .populate('category', 'name slug')
+      .populate('area', 'name slug')
+      .sort({ publishedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Article.countDocuments(query)
+  ]);
+
+  return {
+    articles,
+    total,
+    neighbours,
+    expanded: neighbours.length > 0
+  };
+};
+
+module.exports = {
+  MIN_AREA_STORIES,
+  getAreaFeed
+};
@@ -0,0 +1,196 @@
+/**
+ * Article Audio
+ * Narrates article content with Sarvam TTS one paragraph at a time, joins
+ * the PCM of every chunk into a single stream, encodes it as MP3 and
+ * uploads it. Paragraph start/end times are returned with the URL so the
+ * reader can highlight the paragraph being spoken.
+ */
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { containerClient } = require('../config/azure');
+const { chunkText } = require('../utils/textCleaner');
+const { concatWav, buildWav, pcmDuration, silence } = require('../utils/wav');
+const { SARVAM_API_URL, sarvamLanguageCode } = require('./translationProviders/sarvam');
+
+const SARVAM_TTS_LIMIT = 2500;
+const MP3_BITRATE = 64; // kbps - plenty for speech
+const MP3_FRAME_SAMPLES = 1152;
+const PARAGRAPH_PAUSE = 0.4; // seconds of silence between paragraphs
+
+/**
+ * Paragraphs of a text, split the same way the reader splits content
+ * @param {string} text
+ * @returns {string[]}
+ */
+const splitParagraphs = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .map(p => p.trim())
+  .filter(Boolean);
+
+/**
+ * One Sarvam TTS request
+ * @returns {Buffer|null} WAV file
+ */
+const synthesize = async (text, langCode) => {
+  const { data } = await axios.post(`${SARVAM_API_URL}/text-to-speech`, {
+    text,
+    target_language_code: sarvamLanguageCode(langCode),
+    speaker: 'priya',
+    model: 'bulbul:v3'
+  }, {
+    headers: { 'api-subscription-key': process.env.SARVAM_API_KEY }
+  });
+
+  return data.audios && data.audios[0] ? Buffer.from(data.audios[0], 'base64') : null;
+};
+
+/**
+ * Encode 16-bit PCM as MP3
+ * @param {Buffer} pcm - Interleaved 16-bit samples
+ * @param {Object} format - { channels, sampleRate, bitsPerSample }
+ * @returns {Buffer}
+ */
+const encodeMp3 = async (pcm, format) => {
+  // The encoder is published as an ES module only
+  const { Mp3Encoder } = await import('@breezystack/lamejs');
+  const encoder = new Mp3Encoder(format.channels, format.sampleRate, MP3_BITRATE);
+
+  // Copy so the samples are 2-byte aligned whatever the source buffer
+  const samples = new Int16Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + pcm.length - (pcm.length % 2)));
+  const output = [];
+
+  if (format.channels === 1) {
+    for (let i = 0; i < samples.length; i += MP3_FRAME_SAMPLES) {
+      output.push(Buffer.from(encoder.encodeBuffer(samples.subarray(i, i + MP3_FRAME_SAMPLES))));
+    }
+  } else {
+    const frames = Math.floor(samples.length / 2);
+    const left = new Int16Array(frames);
+    const right = new Int16Array(frames);
+    for (let i = 0; i < frames; i++) {
+      left[i] = samples[i * 2];
+      right[i] = samples[i * 2 + 1];
+    }
+    for (let i = 0; i < frames; i += MP3_FRAME_SAMPLES) {
+      output.push(Buffer.from(encoder.encodeBuffer(
+        left.subarray(i, i + MP3_FRAME_SAMPLES),
+        right.subarray(i, i + MP3_FRAME_SAMPLES)
+      )));
+    }
+  }
+
+  output.push(Buffer.from(encoder.flush()));
+  return Buffer.concat(output);
+};
+
+/**
+ * Join narrated paragraphs into one track
+ * @param {Array} paragraphs - [{ paragraph, wavs: Buffer[] }] in reading order
+ * @returns {Object} { format, pcm, duration, markers }
+ */
+const assembleNarration = (paragraphs) => {
+  const parts = [];
+  const markers = [];
+  let format = null;
+  let length = 0;
+
+  paragraphs.forEach(({ paragraph, wavs }) => {
+    if (wavs.length === 0) return;
+
+    const joined = concatWav(wavs);
+    if (format && (joined.format.sampleRate !== format.sampleRate ||
+      joined.format.channels !== format.channels ||
+      joined.format.bitsPerSample !== format.bitsPerSample)) {
+      throw new Error('TTS returned audio in different formats');
+    }
+    format = joined.format;
+
+    if (parts.length > 0) {
+      const pause = silence(PARAGRAPH_PAUSE, format);
+      parts.push(pause);
+      length += pause.length;
+    }
+
+    const start = pcmDuration(length, format);
+    parts.push(joined.pcm);
+    length += joined.pcm.length;
+
+    markers.push({
+      paragraph,
+      start: Math.round(start * 100) / 100,
+      end: Math.round(pcmDuration(length, format) * 100) / 100
+    });
+  });
+
+  if (!format) return null;
+
+  return {
+    format,
+    pcm: Buffer.concat(parts),
+    duration: Math.round(pcmDuration(length, format) * 100) / 100,
+    markers
+  };
+};
+
+/**
+ * Narrate text and upload the audio
+ * @param {string} text - Text to narrate (paragraphs separated by blank lines)
+ * @param {string} langCode - Language code
+ * @param {Object} options - { onProgress(done, total) } called as chunks finish
+ * @returns {Object|null} { url, duration, format, markers }
+ */
+async function generateTTSForLanguage(text, langCode, { onProgress } = {}) {
+  const paragraphs = splitParagraphs(text);
+  if (paragraphs.length === 0) return null;
+
+  const pieces = [];
+  paragraphs.forEach((paragraph, index) => {
+    chunkText(paragraph, SARVAM_TTS_LIMIT)
+      .filter(chunk => chunk && chunk.trim())
+      .forEach(chunk => pieces.push({ paragraph: index, chunk }));
+  });
+
+  const narrated = paragraphs.map((_, index) => ({ paragraph: index, wavs: [] }));
+  let done = 0;
+
+  if (onProgress) await onProgress(done, pieces.length);
+
+  for (const { paragraph, chunk } of pieces) {
+    const wav = await synthesize(chunk, langCode);
+    if (wav) narrated[paragraph].wavs.push(wav);
+
+    done++;
+    if (onProgress) await onProgress(done, pieces.length);
+  }
+
+  const track = assembleNarration(narrated);
+  if (!track) return null;
+
+  // The encoder only takes 16-bit samples; anything else stays WAV
+  const mp3 = track.format.bitsPerSample === 16;
+  const data = mp3 ? await encodeMp3(track.pcm, track.format) : buildWav(track.pcm, track.format);
+  const extension = mp3 ? 'mp3' : 'wav';
+
+  const blobName = `audio/${Date.now()}-${uuidv4()}-${langCode}.${extension}`;
+  const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+  await blockBlobClient.uploadData(data, {
+    blobHTTPHeaders: {
+      blobContentType: mp3 ? 'audio/mpeg' : 'audio/wav',
+      blobCacheControl: 'public, max-age=31536000, immutable'
+    }
+  });
+
+  return {
+    url: `${process.env.AZURE_STORAGE_URL}/${process.env.AZURE_STORAGE_CONTAINER}/${blobName}`,
+    duration: track.duration,
+    format: extension,
+    markers: track.markers
+  };
+}
+
+module.exports = {
+  splitParagraphs,
+  encodeMp3,
+  assembleNarration,
+  generateTTSForLanguage
+};
@@ -0,0 +1,54 @@
+/**
+ * Toxicity Classifier (local stub)
+ * A small weighted lexicon of insults and threats in Telugu, Hindi and
+ * English standing in for a trained model, so screening works offline.
+ * Weights add up to a 0-1 toxicity score; comments at or above
+ * COMMENT_TOXICITY_THRESHOLD (default 0.7) are held, and clearly toxic
+ * ones flagged. Register a real model under the name 'classifier' to
+ * replace it (see ./index.js).
+ */
+
+const LEXICON = [
+  // Insults
+  { pattern: /\b(?:idiot|stupid|moron|dumb|fool|loser|pathetic|useless)\b/i, weight: 0.35 },
+  { pattern: /\b(?:pagal|bewakoof|bewkoof|gadha|ullu|vedhava|vedava|pichodu|pichchodu|daddamma|erripuka)\b/i, weight: 0.4 },
+  { pattern: /बेवकूफ|बेवक़ूफ़|पागल|गधा|उल्लू/, weight: 0.4 },
+  { pattern: /వెధవ|వెదవ|పిచ్చోడు|పిచ్చి నా|దద్దమ్మ|ఎర్రిపప్ప/, weight: 0.4 },
+  // Hostility
+  { pattern: /\b(?:shut up|get lost|hate you|go to hell)\b/i, weight: 0.3 },
+  { pattern: /\b(?:chup kar|nikal ja)\b|चुप कर|निकल जा|నోరు ముయ్/i, weight: 0.3 },
+  // Threats
+  { pattern: /\b(?:kill (?:you|him|her|them)|you should die|beat you|burn (?:you|them))\b/i, weight: 0.9 },
+  { pattern: /\b(?:maar dunga|maar denge|jaan se)\b|मार दूंगा|मार डालेंगे|చంపేస్తా|చంపుతా|నరికేస్తా/i, weight: 0.9 }
+];
+
+const FLAG_SCORE = 0.9;
+
+const threshold = () => Number(process.env.COMMENT_TOXICITY_THRESHOLD) || 0.7;
+
+/**
+ * Toxicity of a text
+ * @returns {number} 0 (benign) to 1 (toxic)
+ */
+const score = (text) => {
+  const total = LEXICON.reduce((sum, { pattern, weight }) => sum + (pattern.test(text || '') ? weight : 0), 0);
+  return Math.min(1, Math.round(total * 100) / 100);
+};
+
+const check = async ({ content }) => {
+  const toxicity = score(content);
+  if (toxicity < threshold()) {
+    return { verdict: 'approve', reasons: [], score: toxicity };
+  }
+  return {
+    verdict: toxicity >= FLAG_SCORE ? 'flag' : 'hold',
+    reasons: [toxicity >= FLAG_SCORE ? 'toxicity:high' : 'toxicity'],
+    score: toxicity
+  };
+};
+
+module.exports = {
+  name: 'classifier',
+  check,
+  score
+};
@@ -0,0 +1,51 @@
+/**
+ * Comment Checks
+ * Every check exposes the same interface:
+ *
+ *   name                        - Check key
+ *   check(comment, context)     - Resolves to { verdict, reasons, score }
+ *
+ * `comment` is { content, article, parent }; `context` is { user, article }.
+ * The verdict is 'approve', 'hold' (wait for a moderator) or 'flag' (likely
+ * abuse or spam; hidden until a moderator looks). Reasons are short codes
+ * such as 'profanity:te', shown in the moderation console. Scores run from
+ * 0 to 1 and order the queue.
+ *
+ * All checks run unless COMMENT_CHECKS lists the ones to use
+ * (e.g. "profanity,links").
+ */
+const profanity = require('./profanity');
+const links = require('./links');
+const velocity = require('./velocity');
+const classifier = require('./classifier');
+const reputation = require('./reputation');
+
+const checks = { profanity, links, velocity, classifier, reputation };
+
+/**
+ * Get the checks to run (defaults to the configured ones)
+ * @param {string} names - Comma-separated check keys
+ */
+const getChecks = (names = process.env.COMMENT_CHECKS) => {
+  if (!names) return Object.values(checks);
+  return names.split(',').map(name => checks[name.trim()]).filter(Boolean);
+};
+
+/**
+ * Register an additional check (e.g. a hosted toxicity model)
+ * @param {Object} check - { name, check }
+ */
+const registerCheck = (check) => {
+  if (!check?.name || typeof check.check !== 'function') {
+    throw new Error('A comment check needs a name and check()');
+  }
+  checks[check.name] = check;
+};
+
+const listChecks = () => Object.keys(checks);
+
+module.exports = {
+  getChecks,
+  registerCheck,
+  listChecks
+};
@@ -0,0 +1,77 @@
+/**
+ * Link and Spam Check
+ * Heuristics for promotional comments: links (especially shortened ones
+ * and links from brand-new accounts), phone numbers and messaging handles,
+ * common promotion phrases, shouting and stretched characters.
+ */
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|in|co|me|io|net|org|info|xyz|top|club|online|site|link|ly)\b(?:\/\S*)?/gi;
+const SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'cutt.ly', 'rb.gy', 'is.gd', 'ow.ly', 'shorturl.at', 'wa.me', 't.me'];
+// Ten-digit Indian mobile numbers, with or without +91 and spacing
+const PHONE_PATTERN = /(?:\+?91[\s-]?)?[6-9]\d{4}[\s-]?\d{5}\b/;
+const PROMOTION_PATTERN = /\b(?:whatsapp|telegram|earn\s+(?:money|rs)|work\s+from\s+home|click\s+here|free\s+recharge|loan\s+approved|call\s+now|dm\s+me|subscribe\s+to\s+my)\b/i;
+
+const NEW_ACCOUNT_AGE = 24 * 60 * 60 * 1000;
+
+const check = async ({ content }, { user } = {}) => {
+  const text = content || '';
+  const reasons = [];
+  let score = 0;
+  let verdict = 'approve';
+
+  const raise = (to) => {
+    if (to === 'flag' || (to === 'hold' && verdict === 'approve')) verdict = to;
+  };
+
+  const urls = text.match(URL_PATTERN) || [];
+  if (urls.length > 0) {
+    const shortened = urls.some(url => SHORTENERS.some(host => url.toLowerCase().includes(host)));
+    const newAccount = user?.createdAt && Date.now() - new Date(user.createdAt).getTime() < NEW_ACCOUNT_AGE;
+
+    if (shortened) {
+      reasons.push('spam:short-link');
+      score += 0.6;
+      raise('flag');
+    } else if (urls.length > 2) {
+      reasons.push('spam:many-links');
+      score += 0.6;
+      raise('flag');
+    } else {
+      reasons.push(newAccount ? 'spam:link-new-account' : 'spam:link');
+      score += newAccount ? 0.4 : 0.2;
+      raise('hold');
+    }
+  }
+
+  if (PHONE_PATTERN.test(text)) {
+    reasons.push('spam:phone-number');
+    score += 0.3;
+    raise('hold');
+  }
+
+  if (PROMOTION_PATTERN.test(text)) {
+    reasons.push('spam:promotion');
+    score += 0.3;
+    raise(urls.length > 0 || PHONE_PATTERN.test(text) ? 'flag' : 'hold');
+  }
+
+  // Shouting: mostly capitals in a comment long enough to judge
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.8) {
+    reasons.push('spam:shouting');
+    score += 0.1;
+  }
+
+  if (/(.)\1{9,}/u.test(text)) {
+    reasons.push('spam:repeated-characters');
+    score += 0.2;
+    raise('hold');
+  }
+
+  return { verdict, reasons, score: Math.min(1, Math.round(score * 100) / 100) };
+};
+
+module.exports = {
+  name: 'links',
+  check
+};
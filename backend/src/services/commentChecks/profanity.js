@@ -0,0 +1,87 @@
+/**
+ * Profanity Check
+ * Matches comments against abuse wordlists for Telugu, Hindi and English,
+ * in native script and the usual romanised spellings. Latin words must
+ * match a whole word after undoing letter substitutions ("sh1t") and
+ * stretched letters ("fuuuck"); Telugu and Hindi words match anywhere, as
+ * they are often joined to the words around them. More terms can be added
+ * with COMMENT_BLOCKLIST (comma-separated).
+ */
+
+const WORDLISTS = {
+  te: [
+    'లంజ', 'లంజకొడుకు', 'లంజాకొడుకు', 'దెంగు', 'దెంగెయ్', 'దెంగేయ్', 'మొడ్డ', 'పూకు', 'గుద్ద', 'నీయమ్మ', 'నీయబ్బ',
+    'lanja', 'lanjakoduku', 'lanjakodaka', 'dengu', 'dengey', 'dengeyi', 'modda', 'puku', 'pooku',
+    'gudda', 'neeyamma', 'niyamma', 'neyamma', 'neeyabba'
+  ],
+  hi: [
+    'चूतिया', 'चुतिया', 'मादरचोद', 'बहनचोद', 'भेनचोद', 'भोसड़ी', 'भोसडी', 'हरामी', 'हरामज़ादा', 'हरामजादा',
+    'कमीना', 'गांडू', 'गाण्डू', 'रंडी', 'भड़वा', 'भडवा',
+    'chutiya', 'chootiya', 'madarchod', 'maderchod', 'behenchod', 'bhenchod', 'benchod', 'bhosdi',
+    'bhosdike', 'bsdk', 'harami', 'haramzada', 'haramjada', 'kamina', 'kameena', 'gandu', 'randi',
+    'bhadwa', 'bhadva'
+  ],
+  en: [
+    'fuck', 'fucker', 'fucking', 'fucked', 'fuk', 'fck', 'motherfucker', 'shit', 'shitty', 'bullshit',
+    'bitch', 'bitches', 'bastard', 'asshole', 'arsehole', 'dickhead', 'cunt', 'whore', 'slut',
+    'wanker', 'retard'
+  ]
+};
+
+// Letters commonly swapped for look-alikes
+const SUBSTITUTIONS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+const INVISIBLE = /[\u200B-\u200D\u2060\uFEFF]/g;
+const LATIN = /^[a-z]+$/;
+
+// "fuuuck" -> "fuck"; applied to both sides so "asshole" still matches
+const collapse = (word) => word.replace(/(.)\1+/g, '$1');
+
+const extraTerms = () => (process.env.COMMENT_BLOCKLIST || '')
+  .split(',')
+  .map(term => term.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Find the wordlist entries in a text
+ * @param {string} text - Comment text
+ * @returns {Array} [{ language, term }] ('custom' for COMMENT_BLOCKLIST)
+ */
+const findTerms = (text) => {
+  const normalized = (text || '').normalize('NFC').toLowerCase().replace(INVISIBLE, '');
+  const latin = normalized.replace(/[013457@$!]/g, ch => SUBSTITUTIONS[ch]);
+  const words = new Set(latin.split(/[^a-z]+/).filter(Boolean).map(collapse));
+
+  const lists = { ...WORDLISTS, custom: extraTerms() };
+  const found = [];
+
+  Object.entries(lists).forEach(([language, terms]) => {
+    terms.forEach(term => {
+      const hit = LATIN.test(term) ? words.has(collapse(term)) : normalized.includes(term);
+      if (hit) found.push({ language, term });
+    });
+  });
+
+  return found;
+};
+
+const check = async ({ content }) => {
+  const found = findTerms(content);
+  if (found.length === 0) {
+    return { verdict: 'approve', reasons: [], score: 0 };
+  }
+
+  const languages = [...new Set(found.map(f => f.language))];
+  return {
+    // One slip waits for a moderator; a stream of abuse is flagged
+    verdict: found.length > 1 ? 'flag' : 'hold',
+    reasons: languages.map(language => `profanity:${language}`),
+    score: Math.min(1, 0.5 + 0.25 * (found.length - 1))
+  };
+};
+
+module.exports = {
+  name: 'profanity',
+  check,
+  findTerms
+};
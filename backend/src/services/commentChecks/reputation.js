@@ -0,0 +1,19 @@
+/**
+ * Reputation Check
+ * Holds comments from readers whose recent comments were mostly flagged or
+ * rejected (services/reputation.js), so a moderator sees them first.
+ */
+const reputation = require('../reputation');
+
+const check = async (comment, { user } = {}) => {
+  const score = user?.reputation?.score;
+  if (score === undefined || score >= reputation.LOW_SCORE) {
+    return { verdict: 'approve', reasons: [], score: 0 };
+  }
+  return { verdict: 'hold', reasons: ['reputation:low'], score: 0.5 };
+};
+
+module.exports = {
+  name: 'reputation',
+  check
+};
@@ -0,0 +1,48 @@
+/**
+ * Repeat-Poster Check
+ * Holds comments from readers posting faster than people type, and flags
+ * the same text posted again (copy-paste campaigns across articles).
+ */
+const Comment = require('../../models/Comment');
+
+const BURST_WINDOW = 10 * 60 * 1000;
+const BURST_LIMIT = Number(process.env.COMMENT_BURST_LIMIT) || 5;
+const REPEAT_WINDOW = 24 * 60 * 60 * 1000;
+
+// Same text ignoring case, spacing and punctuation
+const normalize = (text) => (text || '').toLowerCase().replace(/[\s\p{P}]+/gu, ' ').trim();
+
+const check = async ({ _id, content }, { user } = {}) => {
+  if (!user?._id) {
+    return { verdict: 'approve', reasons: [], score: 0 };
+  }
+
+  const recent = await Comment.find({
+    user: user._id,
+    // An edited comment is not a repeat of itself
+    ...(_id ? { _id: { $ne: _id } } : {}),
+    createdAt: { $gte: new Date(Date.now() - REPEAT_WINDOW) }
+  })
+    .select('content createdAt')
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+
+  const text = normalize(content);
+  // Short replies ("true", "congrats") are repeated honestly
+  if (text.length >= 20 && recent.some(comment => normalize(comment.content) === text)) {
+    return { verdict: 'flag', reasons: ['velocity:repeated-text'], score: 0.7 };
+  }
+
+  const burst = recent.filter(comment => Date.now() - new Date(comment.createdAt).getTime() < BURST_WINDOW).length;
+  if (burst >= BURST_LIMIT) {
+    return { verdict: 'hold', reasons: ['velocity:burst'], score: 0.4 };
+  }
+
+  return { verdict: 'approve', reasons: [], score: 0 };
+};
+
+module.exports = {
+  name: 'velocity',
+  check
+};
@@ -0,0 +1,92 @@
+/**
+ * Comment Screening
+ * Runs new and edited comments through the checks in ./commentChecks and
+ * applies the article's moderation policy to decide whether a comment is
+ * published, held for a moderator or flagged.
+ *
+ * Policies are set per article or per category (subcategories inherit):
+ *   screened - publish unless a check objects (the default)
+ *   pre      - hold every reader comment for a moderator
+ *   closed   - no new comments
+ * COMMENT_POLICY changes the default for articles and categories that
+ * leave it to 'inherit'.
+ */
+const Category = require('../models/Category');
+const { getChecks } = require('./commentChecks');
+
+const VERDICT_RANK = { approve: 0, hold: 1, flag: 2 };
+const STATUS_FOR_VERDICT = { approve: 'approved', hold: 'pending', flag: 'flagged' };
+
+const defaultPolicy = () => process.env.COMMENT_POLICY || 'screened';
+
+/**
+ * Moderation policy for an article: its own, else the nearest category's
+ * @param {Object} article - Article with commentPolicy, category and categoryAncestors
+ * @returns {string} 'screened' | 'pre' | 'closed'
+ */
+const resolvePolicy = async (article) => {
+  if (article.commentPolicy && article.commentPolicy !== 'inherit') {
+    return article.commentPolicy;
+  }
+
+  // Nearest first: the category, then its parent and so on up to the root
+  const chain = [article.category, ...[...(article.categoryAncestors || [])].reverse()].filter(Boolean);
+  if (chain.length > 0) {
+    const categories = await Category.find({ _id: { $in: chain }, commentPolicy: { $nin: [null, 'inherit'] } })
+      .select('commentPolicy')
+      .lean();
+    for (const id of chain) {
+      const category = categories.find(c => c._id.toString() === (id._id || id).toString());
+      if (category) return category.commentPolicy;
+    }
+  }
+
+  return defaultPolicy();
+};
+
+/**
+ * Screen a comment
+ * @param {Object} comment - { _id (when edited), content, parent }
+ * @param {Object} context - { user, article }
+ * @returns {Object} { status, policy, screening }; status and screening
+ *   are stored on the comment, and status is null when comments are closed
+ */
+const screen = async (comment, { user, article }) => {
+  const policy = await resolvePolicy(article);
+  if (policy === 'closed') {
+    return { status: null, screening: null, policy };
+  }
+
+  const results = await Promise.all(getChecks().map(async (check) => {
+    try {
+      return await check.check(comment, { user, article });
+    } catch (error) {
+      // A broken check must not keep readers from commenting
+      console.error(`Comment check ${check.name} error:`, error);
+      return { verdict: 'approve', reasons: [], score: 0 };
+    }
+  }));
+
+  let verdict = results.reduce((worst, result) =>
+    (VERDICT_RANK[result.verdict] > VERDICT_RANK[worst] ? result.verdict : worst), 'approve');
+  const reasons = results.flatMap(result => result.reasons || []);
+  const score = Math.max(0, ...results.map(result => result.score || 0));
+
+  // Newsroom staff answer readers without waiting for a moderator
+  const staff = ['reporter', 'admin'].includes(user?.role);
+  if (policy === 'pre' && verdict === 'approve' && !staff) {
+    verdict = 'hold';
+    reasons.push('policy:pre-moderated');
+  }
+
+  return {
+    status: STATUS_FOR_VERDICT[verdict],
+    policy,
+    screening: { verdict, reasons, score, policy, checkedAt: new Date() }
+  };
+};
+
+module.exports = {
+  resolvePolicy,
+  screen
+};
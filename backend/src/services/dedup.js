@@ -0,0 +1,174 @@
+/**
+ * Near-Duplicate Detection
+ * Finds scraped and authored articles with similar text using the MinHash
+ * fingerprints kept on both collections (see utils/similarity), and groups
+ * scraped articles that carry the same story into clusters.
+ */
+const ScrapedArticle = require('../models/ScrapedArticle');
+const Article = require('../models/Article');
+const languageCache = require('../utils/languageCache');
+const { fingerprint, similarity } = require('../utils/similarity');
+
+// Estimated Jaccard similarity of word shingles treated as "same story"
+const DUPLICATE_THRESHOLD = 0.4;
+const CANDIDATE_LIMIT = 200;
+const MAX_MATCHES = 5;
+
+// Helper to get value from Map or plain object
+const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
+  if (!field) return '';
+  if (field instanceof Map) {
+    return field.get(lang) || field.get(fallbackLang) || [...field.values()][0] || '';
+  }
+  // Plain object (from lean query)
+  return field[lang] || field[fallbackLang] || Object.values(field)[0] || '';
+};
+
+/**
+ * Find articles similar to a fingerprint in both collections
+ * @param {Object} print - { signature, bands }
+ * @param {Object} options
+ * @param {string} options.excludeScraped - Scraped article id to leave out
+ * @param {string} options.excludeArticle - Article id to leave out
+ * @param {number} options.threshold - Minimum similarity (0-1)
+ * @param {number} options.limit - Maximum matches
+ * @returns {Array} [{ kind, id, title, similarity, ...details }] best first
+ */
+const findSimilar = async ({ signature, bands }, {
+  excludeScraped = null,
+  excludeArticle = null,
+  threshold = DUPLICATE_THRESHOLD,
+  limit = MAX_MATCHES
+} = {}) => {
+  if (!bands || bands.length === 0) return [];
+
+  const scrapedQuery = { 'dedup.bands': { $in: bands } };
+  const articleQuery = { 'dedup.bands': { $in: bands }, status: { $ne: 'archived' } };
+
+  if (excludeScraped) {
+    scrapedQuery._id = { $ne: excludeScraped };
+    // A draft converted from the scraped article is not a duplicate of it
+    articleQuery['source.scrapedArticle'] = { $ne: excludeScraped };
+  }
+  if (excludeArticle) articleQuery._id = { $ne: excludeArticle };
+
+  const [scraped, articles, defaultLang] = await Promise.all([
+    ScrapedArticle.find(scrapedQuery)
+      .select('title url source articleStatus articleId createdAt +dedup.signature dedup.cluster')
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    Article.find(articleQuery)
+      .select('title slug status publishedAt createdAt author +dedup.signature')
+      .populate('author', 'name')
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    languageCache.getDefaultLanguageCode()
+  ]);
+
+  const matches = [
+    ...scraped.map(item => ({
+      kind: 'scraped',
+      id: item._id,
+      title: item.title,
+      similarity: similarity(signature, item.dedup?.signature),
+      url: item.url,
+      source: item.source,
+      articleStatus: item.articleStatus,
+      articleId: item.articleId,
+      cluster: item.dedup?.cluster || null,
+      createdAt: item.createdAt
+    })),
+    ...articles.map(item => ({
+      kind: 'article',
+      id: item._id,
+      title: getLocalizedValue(item.title, defaultLang),
+      similarity: similarity(signature, item.dedup?.signature),
+      slug: item.slug,
+      status: item.status,
+      author: item.author?.name || null,
+      publishedAt: item.publishedAt,
+      createdAt: item.createdAt
+    }))
+  ];
+
+  return matches
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+/**
+ * Find articles similar to a piece of text (e.g. an unsaved draft)
+ */
+const findSimilarToText = (text, options) => findSimilar(fingerprint(text), options);
+
+/**
+ * Store matches on a scraped article and join it to the cluster of its
+ * closest scraped match. The first article of a cluster is its id.
+ * @param {Object|string} scrapedId - Scraped article (or id) already saved
+ * @returns {Object} { cluster, matches }
+ */
+const clusterScraped = async (scrapedId) => {
+  const scraped = await ScrapedArticle.findById(scrapedId?._id || scrapedId)
+    .select('createdAt +dedup.signature +dedup.bands dedup.cluster')
+    .lean();
+  if (!scraped) return null;
+
+  const matches = await findSimilar(scraped.dedup || {}, { excludeScraped: scraped._id });
+  const closest = matches.find(match => match.kind === 'scraped');
+
+  let cluster = null;
+  if (closest?.cluster) {
+    cluster = closest.cluster;
+  } else if (closest) {
+    // New cluster led by the older of the two
+    cluster = closest.createdAt <= scraped.createdAt ? closest.id : scraped._id;
+    await ScrapedArticle.updateOne(
+      { _id: closest.id },
+      { $set: { 'dedup.cluster': cluster } },
+      { timestamps: false }
+    );
+  }
+
+  const stored = matches.map(({ kind, id, title, similarity: score }) => ({
+    kind,
+    id,
+    title,
+    similarity: Math.round(score * 100) / 100
+  }));
+
+  await ScrapedArticle.updateOne(
+    { _id: scraped._id },
+    { $set: { 'dedup.cluster': cluster, 'dedup.matches': stored } },
+    { timestamps: false }
+  );
+
+  return { cluster, matches: stored };
+};
+
+/**
+ * Recompute fingerprints and clusters for everything (backfill). Scraped
+ * articles are clustered oldest first so the earliest copy leads.
+ * @returns {Object} { articles, scraped }
+ */
+const rebuildAll = async () => {
+  const articles = await Article.rebuildFingerprints();
+  const scraped = await ScrapedArticle.rebuildFingerprints();
+
+  await ScrapedArticle.updateMany({}, { $set: { 'dedup.cluster': null, 'dedup.matches': [] } }, { timestamps: false });
+
+  const cursor = ScrapedArticle.find().select('_id').sort({ createdAt: 1 }).lean().cursor();
+  for await (const item of cursor) {
+    await clusterScraped(item._id);
+  }
+
+  return { articles, scraped };
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  findSimilar,
+  findSimilarToText,
+  clusterScraped,
+  rebuildAll
+};
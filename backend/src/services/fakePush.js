@@ -0,0 +1,113 @@
+/**
+ * Fake Push Service
+ * A stand-in for a browser push service, for local development and
+ * tests. It hands out subscriptions whose endpoint points back at this
+ * server, decrypts whatever is pushed to them (RFC 8291, aes128gcm) and
+ * keeps the last messages in memory so they can be inspected.
+ * Only mounted when PUSH_FAKE_ENDPOINT=true.
+ */
+const crypto = require('crypto');
+
+const MAX_MESSAGES = 50;
+const TAG_LENGTH = 16;
+
+// id -> { ecdh, authSecret, messages }
+const subscriptions = new Map();
+
+/**
+ * Create a subscription the backend can push to
+ * @param {string} baseUrl - URL the receive route is mounted at
+ * @returns {Object} { id, subscription: { endpoint, keys } }
+ */
+const createSubscription = (baseUrl) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+
+  subscriptions.set(id, { ecdh, authSecret, messages: [] });
+
+  return {
+    id,
+    subscription: {
+      endpoint: `${baseUrl}/${id}`,
+      keys: {
+        p256dh: ecdh.getPublicKey().toString('base64url'),
+        auth: authSecret.toString('base64url')
+      }
+    }
+  };
+};
+
+/**
+ * Decrypt an aes128gcm push message body
+ */
+const decrypt = ({ ecdh, authSecret }, body) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(senderKey);
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    ecdh.getPublicKey(),
+    senderKey
+  ]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_LENGTH)), decipher.final()]);
+
+  // The last record ends with a 0x02 delimiter followed by zero padding
+  const end = padded.lastIndexOf(2);
+  return padded.subarray(0, end === -1 ? padded.length : end).toString('utf8');
+};
+
+/**
+ * Accept a pushed message
+ * @returns {Object|null} Stored message, or null for an unknown subscription
+ */
+const receive = (id, body, headers = {}) => {
+  const entry = subscriptions.get(id);
+  if (!entry) return null;
+
+  const text = body.length > 0 ? decrypt(entry, body) : '';
+  let payload = text;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    // Not JSON - keep the text
+  }
+
+  const message = {
+    receivedAt: new Date(),
+    ttl: headers.ttl ? Number(headers.ttl) : null,
+    urgency: headers.urgency || null,
+    topic: headers.topic || null,
+    payload
+  };
+  entry.messages = [message, ...entry.messages].slice(0, MAX_MESSAGES);
+  return message;
+};
+
+/**
+ * Messages received by a subscription, newest first
+ * @returns {Array|null} null for an unknown subscription
+ */
+const getMessages = (id) => subscriptions.get(id)?.messages || null;
+
+/**
+ * Forget a subscription (later pushes to it get 410 Gone)
+ */
+const removeSubscription = (id) => subscriptions.delete(id);
+
+module.exports = {
+  createSubscription,
+  receive,
+  getMessages,
+  removeSubscription
+};
@@ -0,0 +1,133 @@
+/**
+ * Translation Glossary
+ * Protects glossary terms during machine translation: matching terms are
+ * swapped for placeholders before the text reaches a provider and replaced
+ * with the target-language rendering afterwards.
+ */
+const crypto = require('crypto');
+const GlossaryTerm = require('../models/GlossaryTerm');
+const { detectScript } = require('../utils/searchText');
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+let cached = null;
+let lastRefresh = null;
+
+// Helper to escape special regex characters
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const placeholder = (index) => `[[G${index}]]`;
+
+/**
+ * Active glossary terms plus a version string that changes whenever a term
+ * does (translation memory entries are tied to it)
+ * @returns {Object} { terms, version }
+ */
+const getGlossary = async () => {
+  if (cached && lastRefresh && Date.now() - lastRefresh < CACHE_TTL) {
+    return cached;
+  }
+
+  try {
+    const terms = await GlossaryTerm.find({ isActive: true }).lean();
+    const version = terms.length > 0
+      ? crypto.createHash('sha1')
+        .update(terms.map(t => `${t._id}:${new Date(t.updatedAt).getTime()}`).sort().join('|'))
+        .digest('hex')
+        .slice(0, 12)
+      : null;
+
+    cached = { terms, version };
+    lastRefresh = Date.now();
+  } catch (error) {
+    console.error('Failed to load glossary:', error);
+    if (!cached) cached = { terms: [], version: null };
+  }
+
+  return cached;
+};
+
+/**
+ * Drop the cached glossary (call after editing terms)
+ */
+const clearCache = () => {
+  cached = null;
+  lastRefresh = null;
+};
+
+/**
+ * Pattern for one written form of a term. Latin forms must stand alone;
+ * Indic forms may carry attached case suffixes (హైదరాబాద్‌లో), so only
+ * their start is anchored.
+ */
+const formPattern = (form, caseSensitive) => {
+  const latin = detectScript(form) === 'en';
+  const body = escapeRegex(form);
+  const source = latin
+    ? `(?<![\\p{L}\\p{M}\\p{N}])${body}(?![\\p{L}\\p{M}\\p{N}])`
+    : `(?<![\\p{L}\\p{M}\\p{N}])${body}`;
+  return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+};
+
+/**
+ * Replace glossary terms in a source text with placeholders
+ * @param {string} text - Source text
+ * @param {string} sourceLang - Source language code
+ * @param {Array} terms - Glossary terms
+ * @returns {Object} { text, slots } where slots[i] is the term behind [[Gi]]
+ */
+const protectTerms = (text, sourceLang, terms) => {
+  if (!text || terms.length === 0) return { text, slots: [] };
+
+  // Every written form that can appear in this language, longest first so
+  // "Hyderabad Metro" wins over "Hyderabad"
+  const forms = [];
+  terms.forEach(term => {
+    const translations = term.translations || {};
+    new Set([translations[sourceLang], term.term].filter(Boolean)).forEach(form => {
+      forms.push({ form, term });
+    });
+  });
+  forms.sort((a, b) => b.form.length - a.form.length);
+
+  const slots = [];
+  let result = text;
+
+  forms.forEach(({ form, term }) => {
+    result = result.replace(formPattern(form, term.caseSensitive), () => {
+      let index = slots.indexOf(term);
+      if (index === -1) {
+        index = slots.length;
+        slots.push(term);
+      }
+      return placeholder(index);
+    });
+  });
+
+  return { text: result, slots };
+};
+
+/**
+ * Put the target-language rendering of each protected term back
+ * @param {string} text - Translated text containing placeholders
+ * @param {Array} slots - Terms from protectTerms
+ * @param {string} targetLang - Target language code
+ * @returns {string}
+ */
+const restoreTerms = (text, slots, targetLang) => {
+  if (!text || slots.length === 0) return text;
+
+  // Providers sometimes add spaces inside the brackets
+  return text.replace(/\[\[\s*G\s*(\d+)\s*\]\]/g, (match, index) => {
+    const term = slots[Number(index)];
+    if (!term) return match;
+    return term.translations?.[targetLang] || term.term;
+  });
+};
+
+module.exports = {
+  getGlossary,
+  clearCache,
+  protectTerms,
+  restoreTerms
+};
@@ -0,0 +1,112 @@
+/**
+ * Live Blogs
+ * Keeps a live blog's counters in step with its entries, sends entries to
+ * readers through the article's live stream (see liveUpdates), and fills in
+ * the languages an entry was not written in through the translation service.
+ *
+ * Events on the article's stream:
+ *   entry          - An entry was posted or changed (the whole entry)
+ *   entry-removed  - An entry was deleted ({ _id })
+ *   live-blog      - The live blog started, ended or got a new entry
+ *                    ({ state, entriesCount, lastEntryAt, endedAt })
+ */
+const Article = require('../models/Article');
+const LiveBlogEntry = require('../models/LiveBlogEntry');
+const liveUpdates = require('./liveUpdates');
+const { translateArticleFields } = require('./translation');
+
+const toObject = (map) => (map instanceof Map ? Object.fromEntries(map) : (map || {}));
+
+/**
+ * Send an entry to readers as the entries API returns it (or its removal)
+ * @param {string} entryId - Entry id
+ */
+const announceEntry = async (entryId) => {
+  try {
+    const entry = await LiveBlogEntry.findById(entryId).populate('author', 'name avatar').lean();
+    if (!entry) return;
+    if (entry.status === 'published') {
+      liveUpdates.publish(entry.article, 'entry', entry);
+    } else {
+      liveUpdates.publish(entry.article, 'entry-removed', { _id: entry._id });
+    }
+  } catch (error) {
+    console.error('Announce live blog entry error:', error);
+  }
+};
+
+/**
+ * Send a live blog's state and counters to readers
+ * @param {string} articleId - Article id
+ */
+const announceState = async (articleId) => {
+  try {
+    const article = await Article.findById(articleId).select('liveBlog').lean();
+    if (!article) return;
+    const { state, entriesCount, lastEntryAt, endedAt } = article.liveBlog || {};
+    liveUpdates.publish(articleId, 'live-blog', { state, entriesCount, lastEntryAt, endedAt });
+  } catch (error) {
+    console.error('Announce live blog error:', error);
+  }
+};
+
+/**
+ * Count an entry in (or out of) its live blog
+ * @param {Object} entry - Entry
+ * @param {number} change - 1 when posted, -1 when deleted
+ */
+const countEntry = async (entry, change) => {
+  await Article.updateOne(
+    { _id: entry.article },
+    {
+      $inc: { 'liveBlog.entriesCount': change },
+      ...(change > 0 ? { $max: { 'liveBlog.lastEntryAt': entry.postedAt } } : {})
+    }
+  );
+  announceState(entry.article);
+};
+
+/**
+ * Translate an entry's headline and content into the active languages it
+ * is missing; languages written by hand are kept. Runs in the background,
+ * recording the outcome on the entry.
+ * @param {string} entryId - Entry id
+ */
+const translateEntry = async (entryId) => {
+  try {
+    const entry = await LiveBlogEntry.findOneAndUpdate(
+      { _id: entryId, status: 'published' },
+      { translation: { state: 'pending', error: null } },
+      { new: true }
+    ).lean();
+    if (!entry) return;
+
+    const headline = toObject(entry.headline);
+    const content = toObject(entry.content);
+    const translated = await translateArticleFields({ title: headline, content });
+
+    const update = { translation: { state: 'done', error: null } };
+    Object.entries(translated.title || {}).forEach(([lang, text]) => {
+      if (text && !headline[lang]?.trim()) update[`headline.${lang}`] = text;
+    });
+    Object.entries(translated.content || {}).forEach(([lang, text]) => {
+      if (text && !content[lang]?.trim()) update[`content.${lang}`] = text;
+    });
+
+    await LiveBlogEntry.updateOne({ _id: entryId }, { $set: update });
+    await announceEntry(entryId);
+  } catch (error) {
+    console.error('Translate live blog entry error:', error);
+    await LiveBlogEntry.updateOne(
+      { _id: entryId },
+      { translation: { state: 'failed', error: error.message } }
+    ).catch(() => {});
+  }
+};
+
+module.exports = {
+  announceEntry,
+  announceState,
+  countEntry,
+  translateEntry
+};
@@ -0,0 +1,45 @@
+/**
+ * Live Update Brokers
+ * Carry live article events between backend instances. Every broker
+ * exposes the same interface:
+ *
+ *   name                        - Broker key
+ *   start(onMessage)            - Begin delivering every published message,
+ *                                 from any instance, to onMessage(channel, message)
+ *   publish(channel, message)   - Send a message to all instances (this one included)
+ *   stop()                      - Stop delivering
+ *
+ * The active broker comes from LIVE_BROKER (memory | mongo), defaulting to
+ * in-process delivery, which is enough for a single instance.
+ */
+const memory = require('./memory');
+const mongo = require('./mongo');
+
+const brokers = { memory, mongo };
+
+/**
+ * Get a broker by name (defaults to the configured one)
+ * @param {string} name - Broker key
+ */
+const getBroker = (name = process.env.LIVE_BROKER) => {
+  return brokers[name] || memory;
+};
+
+/**
+ * Register an additional broker (e.g. Redis pub/sub)
+ * @param {Object} broker - { name, start, publish, stop }
+ */
+const registerBroker = (broker) => {
+  if (!broker?.name || typeof broker.start !== 'function' || typeof broker.publish !== 'function') {
+    throw new Error('A live broker needs a name, start() and publish()');
+  }
+  brokers[broker.name] = broker;
+};
+
+const listBrokers = () => Object.keys(brokers);
+
+module.exports = {
+  getBroker,
+  registerBroker,
+  listBrokers
+};
@@ -0,0 +1,26 @@
+/**
+ * In-Process Broker
+ * Delivers messages to this instance only.
+ */
+let handler = null;
+
+const start = async (onMessage) => {
+  handler = onMessage;
+};
+
+const publish = async (channel, message) => {
+  if (handler) {
+    setImmediate(() => handler(channel, message));
+  }
+};
+
+const stop = async () => {
+  handler = null;
+};
+
+module.exports = {
+  name: 'memory',
+  start,
+  publish,
+  stop
+};
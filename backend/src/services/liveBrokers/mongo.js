@@ -0,0 +1,158 @@
+/**
+ * MongoDB Broker
+ * Fans messages out across instances through a capped collection that
+ * every instance tails, so no extra service is needed. Messages are
+ * delivered to this instance straight away and skipped when they come back
+ * round. LIVE_BROKER_SIZE_MB sizes the collection (old messages roll off).
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const COLLECTION = 'liveevents';
+const RETRY_DELAY = 1000;
+
+// Tells this instance's messages apart from the others'
+const origin = crypto.randomBytes(8).toString('hex');
+
+let handler = null;
+let running = false;
+let cursor = null;
+
+const connected = () => new Promise(resolve => {
+  if (mongoose.connection.readyState === 1) return resolve();
+  mongoose.connection.once('open', resolve);
+});
+
+const open = async () => {
+  await connected();
+  const db = mongoose.connection.db;
+  try {
+    await db.createCollection(COLLECTION, {
+      capped: true,
+      size: (Number(process.env.LIVE_BROKER_SIZE_MB) || 16) * 1024 * 1024
+    });
+  } catch (error) {
+    // 48: NamespaceExists
+    if (error.code !== 48) throw error;
+  }
+  return db.collection(COLLECTION);
+};
+
+// Created once, on first use
+let opening = null;
+const collection = () => {
+  if (!opening) {
+    opening = open().catch(error => {
+      opening = null;
+      throw error;
+    });
+  }
+  return opening;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Where to pick up again when the cursor dies. Instances' ids are not
+// ordered within a second, so the cursor resumes by time with some overlap
+// (instance clocks must agree to within it) and each instance's sequence
+// numbers drop what was already delivered.
+const RESUME_OVERLAP = 10 * 1000;
+let position = null;
+const delivered = new Map(); // origin -> last sequence number seen
+
+const isNew = (event) => event.seq > (delivered.get(event.origin) || 0);
+
+const remember = (event) => {
+  if (isNew(event)) delivered.set(event.origin, event.seq);
+  if (!position || event.createdAt > position) position = event.createdAt;
+};
+
+const since = () => ({ createdAt: { $gte: new Date(position.getTime() - RESUME_OVERLAP) } });
+
+// Start after the messages already in the collection
+const skipExisting = async (events) => {
+  const newest = await events.find().sort({ $natural: -1 }).limit(1).next();
+  position = newest?.createdAt || new Date();
+  const recent = await events.find(since()).project({ origin: 1, seq: 1, createdAt: 1 }).toArray();
+  recent.forEach(remember);
+};
+
+// Follow the collection, reopening the cursor when it dies (tailable
+// cursors close on an empty collection)
+const follow = async () => {
+  const events = await collection();
+  if (!position) await skipExisting(events);
+
+  while (running) {
+    try {
+      cursor = events.find(since(), { tailable: true, awaitData: true });
+      for await (const event of cursor) {
+        if (!isNew(event)) continue;
+        remember(event);
+        if (event.origin !== origin && handler) {
+          handler(event.channel, event.message);
+        }
+      }
+    } catch (error) {
+      if (running) console.error('Live broker tail error:', error.message);
+    }
+    if (running) await wait(RETRY_DELAY);
+  }
+};
+
+// Keep following until stopped, retrying when the collection cannot be
+// opened (for example while the database is unreachable)
+const run = async () => {
+  while (running) {
+    try {
+      await follow();
+    } catch (error) {
+      if (running) console.error('Live broker error:', error.message);
+    }
+    if (running) await wait(RETRY_DELAY);
+  }
+};
+
+const start = async (onMessage) => {
+  handler = onMessage;
+  if (running) return;
+  running = true;
+  run();
+};
+
+// This instance's messages go out one at a time, in sequence order
+let seq = 0;
+let sending = Promise.resolve();
+
+const publish = async (channel, message) => {
+  if (handler) {
+    setImmediate(() => handler(channel, message));
+  }
+  seq += 1;
+  const event = { channel, message, origin, seq };
+  sending = sending
+    .catch(() => {})
+    .then(async () => {
+      const events = await collection();
+      await events.insertOne({ ...event, createdAt: new Date() });
+    });
+  return sending;
+};
+
+const stop = async () => {
+  running = false;
+  handler = null;
+  position = null;
+  delivered.clear();
+  if (cursor) {
+    await cursor.close().catch(() => {});
+    cursor = null;
+  }
+};
+
+module.exports = {
+  name: 'mongo',
+  start,
+  publish,
+  stop
+};
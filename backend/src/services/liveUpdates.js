@@ -0,0 +1,184 @@
+/**
+ * Live Article Updates
+ * Readers of an article hold a Server-Sent Events stream open. Routes
+ * announce changes here; the broker (./liveBrokers) fans them out to every
+ * backend instance, and each instance writes them to its own readers.
+ *
+ * Events on an article's stream (live blogs add their own, see liveBlog):
+ *   comment          - A comment was published or edited (the whole comment)
+ *   comment-removed  - A published comment was hidden or deleted ({ _id })
+ *   comment-likes    - A comment's like count changed ({ _id, likes })
+ *   engagement       - The article's counters (views, likes, dislikes,
+ *                      shares, commentsCount), at most once a second
+ */
+const Article = require('../models/Article');
+const Comment = require('../models/Comment');
+const { getBroker } = require('./liveBrokers');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const ENGAGEMENT_DELAY = 1000;
+const MAX_CLIENTS = Number(process.env.LIVE_MAX_CLIENTS) || 5000;
+
+// Readers on this instance: article id -> Set of responses
+const channels = new Map();
+let clientCount = 0;
+let heartbeat = null;
+let broker = null;
+
+// Counters waiting to be sent, per article
+const pendingEngagement = new Set();
+
+const channelFor = (articleId) => `article:${articleId}`;
+
+const write = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// A message from the broker, for this instance's readers
+const deliver = (channel, { type, data }) => {
+  const readers = channels.get(channel.replace(/^article:/, ''));
+  if (!readers) return;
+  readers.forEach(res => write(res, type, data));
+};
+
+const getActiveBroker = () => {
+  if (!broker) {
+    broker = getBroker();
+    broker.start(deliver).catch(error => console.error('Live broker start error:', error));
+  }
+  return broker;
+};
+
+/**
+ * Send an event to everyone reading an article, on any instance
+ */
+const publish = (articleId, type, data) => {
+  getActiveBroker()
+    .publish(channelFor(articleId), { type, data })
+    .catch(error => console.error('Live publish error:', error));
+};
+
+/**
+ * Hold a request open as an article's event stream
+ * @returns {boolean} false when this instance has no room for more readers
+ */
+const openStream = (req, res, articleId) => {
+  if (clientCount >= MAX_CLIENTS) return false;
+
+  getActiveBroker();
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const key = articleId.toString();
+  if (!channels.has(key)) channels.set(key, new Set());
+  channels.get(key).add(res);
+  clientCount++;
+
+  if (!heartbeat) {
+    // Comment lines keep proxies from closing quiet streams
+    heartbeat = setInterval(() => {
+      channels.forEach(readers => readers.forEach(reader => reader.write(': ping\n\n')));
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+  }
+
+  req.on('close', () => {
+    const readers = channels.get(key);
+    if (readers?.delete(res)) clientCount--;
+    if (readers?.size === 0) channels.delete(key);
+    if (clientCount === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Announce an article's counters after an atomic increment; bursts (such
+ * as a rush of views) are sent once, a second later
+ */
+const engagementChanged = (articleId) => {
+  const key = articleId.toString();
+  if (pendingEngagement.has(key)) return;
+  pendingEngagement.add(key);
+
+  setTimeout(async () => {
+    pendingEngagement.delete(key);
+    try {
+      const article = await Article.findById(key).select('engagement').lean();
+      if (article) publish(key, 'engagement', article.engagement);
+    } catch (error) {
+      console.error('Live engagement error:', error);
+    }
+  }, ENGAGEMENT_DELAY).unref();
+};
+
+/**
+ * Announce published (or edited) comments, as the thread API returns them
+ * @param {Array} ids - Comment ids; ones that are not approved are skipped
+ */
+const commentsPublished = async (ids) => {
+  try {
+    const comments = await Comment.find({ _id: { $in: ids }, status: 'approved' })
+      .select('-screening -reports -reportWeight')
+      .populate('user', 'name avatar')
+      .lean();
+
+    comments.forEach(comment => publish(comment.article, 'comment', {
+      ...comment,
+      replies: [],
+      hasMoreReplies: false,
+      repliesCursor: null
+    }));
+    [...new Set(comments.map(c => c.article.toString()))].forEach(engagementChanged);
+  } catch (error) {
+    console.error('Live comment error:', error);
+  }
+};
+
+/**
+ * Announce a moderation change
+ * @param {Array} changed - Comments as they were before (from Comment.setStatus)
+ * @param {string} status - Their new status
+ */
+const commentsStatusChanged = (changed, status) => {
+  if (status === 'approved') {
+    return commentsPublished(changed.map(c => c._id));
+  }
+  changed
+    .filter(c => c.status === 'approved')
+    .forEach(c => publish(c.article, 'comment-removed', { _id: c._id }));
+  [...new Set(changed.map(c => c.article.toString()))].forEach(engagementChanged);
+};
+
+/**
+ * Start the broker before the first reader connects
+ */
+const start = () => {
+  getActiveBroker();
+};
+
+const stop = async () => {
+  if (heartbeat) clearInterval(heartbeat);
+  heartbeat = null;
+  if (broker) await broker.stop();
+  broker = null;
+};
+
+module.exports = {
+  openStream,
+  publish,
+  engagementChanged,
+  commentsPublished,
+  commentsStatusChanged,
+  start,
+  stop
+};
@@ -0,0 +1,112 @@
+/**
+ * Mail Templates
+ * Wording for account emails. Each language is a set of short paragraphs;
+ * languages without wording here are translated from English by the
+ * mailer. Expiry wording matches services/accountTokens.js.
+ */
+const templates = {
+  passwordReset: {
+    te: {
+      subject: 'మీ తాజా న్యూస్ పాస్‌వర్డ్‌ను రీసెట్ చేయండి',
+      greeting: 'నమస్కారం',
+      intro: 'మీ తాజా న్యూస్ ఖాతా పాస్‌వర్డ్‌ను రీసెట్ చేయమని మాకు అభ్యర్థన వచ్చింది.',
+      action: 'పాస్‌వర్డ్ రీసెట్ చేయండి',
+      expiry: 'ఈ లింక్ ఒక గంటలో గడువు ముగుస్తుంది మరియు ఒక్కసారి మాత్రమే ఉపయోగించవచ్చు.',
+      ignore: 'మీరు దీన్ని అభ్యర్థించకపోతే, ఈ ఇమెయిల్‌ను విస్మరించవచ్చు; మీ పాస్‌వర్డ్ మారదు.'
+    },
+    en: {
+      subject: 'Reset your Taaja News password',
+      greeting: 'Hello',
+      intro: 'We received a request to reset the password for your Taaja News account.',
+      action: 'Reset password',
+      expiry: 'This link expires in one hour and can only be used once.',
+      ignore: 'If you did not ask for this, you can ignore this email; your password will not change.'
+    },
+    hi: {
+      subject: 'अपना ताज़ा न्यूज़ पासवर्ड रीसेट करें',
+      greeting: 'नमस्ते',
+      intro: 'हमें आपके ताज़ा न्यूज़ खाते का पासवर्ड रीसेट करने का अनुरोध मिला है।',
+      action: 'पासवर्ड रीसेट करें',
+      expiry: 'यह लिंक एक घंटे में समाप्त हो जाएगा और केवल एक बार उपयोग किया जा सकता है।',
+      ignore: 'अगर आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें; आपका पासवर्ड नहीं बदलेगा।'
+    }
+  },
+  emailVerification: {
+    te: {
+      subject: 'తాజా న్యూస్ కోసం మీ ఇమెయిల్‌ను నిర్ధారించండి',
+      greeting: 'నమస్కారం',
+      intro: 'మీ తాజా న్యూస్ ఖాతా సెటప్ పూర్తి చేయడానికి మీ ఇమెయిల్ చిరునామాను నిర్ధారించండి. వార్తలపై వ్యాఖ్యానించడానికి ధృవీకరించిన ఇమెయిల్ అవసరం.',
+      action: 'ఇమెయిల్ ధృవీకరించండి',
+      expiry: 'ఈ లింక్ 48 గంటల్లో గడువు ముగుస్తుంది మరియు ఒక్కసారి మాత్రమే ఉపయోగించవచ్చు.',
+      ignore: 'మీరు ఈ ఖాతాను సృష్టించకపోతే, ఈ ఇమెయిల్‌ను విస్మరించవచ్చు.'
+    },
+    en: {
+      subject: 'Confirm your email for Taaja News',
+      greeting: 'Hello',
+      intro: 'Please confirm your email address to finish setting up your Taaja News account. You need a verified email to comment on stories.',
+      action: 'Verify email',
+      expiry: 'This link expires in 48 hours and can only be used once.',
+      ignore: 'If you did not create this account, you can ignore this email.'
+    },
+    hi: {
+      subject: 'ताज़ा न्यूज़ के लिए अपना ईमेल पुष्टि करें',
+      greeting: 'नमस्ते',
+      intro: 'अपना ताज़ा न्यूज़ खाता सेट करना पूरा करने के लिए कृपया अपने ईमेल पते की पुष्टि करें। ख़बरों पर टिप्पणी करने के लिए सत्यापित ईमेल ज़रूरी है।',
+      action: 'ईमेल सत्यापित करें',
+      expiry: 'यह लिंक 48 घंटों में समाप्त हो जाएगा और केवल एक बार उपयोग किया जा सकता है।',
+      ignore: 'अगर आपने यह खाता नहीं बनाया है, तो इस ईमेल को अनदेखा करें।'
+    }
+  }
+};
+
+// Order of the paragraphs in every template
+const FIELDS = ['subject', 'greeting', 'intro', 'action', 'expiry', 'ignore'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the message from a template's wording
+ * @param {Object} strings - One language's wording
+ * @param {Object} data - { name, link }
+ * @param {Object} options - { rtl }
+ * @returns {Object} { subject, text, html }
+ */
+const render = (strings, { name, link }, { rtl = false } = {}) => {
+  const greeting = `${strings.greeting} ${name},`;
+
+  const text = [
+    greeting,
+    strings.intro,
+    `${strings.action}: ${link}`,
+    strings.expiry,
+    strings.ignore
+  ].join('\n\n');
+
+  const html = `<!DOCTYPE html>
+<html dir="${rtl ? 'rtl' : 'ltr'}">
+  <body style="font-family: Arial, 'Noto Sans', sans-serif; color: #222; line-height: 1.5;">
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(strings.intro)}</p>
+    <p>
+      <a href="${escapeHtml(link)}" style="display: inline-block; padding: 10px 20px; background: #1976d2; color: #fff; text-decoration: none; border-radius: 4px;">
+        ${escapeHtml(strings.action)}
+      </a>
+    </p>
+    <p style="font-size: 13px; color: #555;">${escapeHtml(strings.expiry)}</p>
+    <p style="font-size: 13px; color: #555;">${escapeHtml(strings.ignore)}</p>
+    <p style="font-size: 12px; color: #888; word-break: break-all;">${escapeHtml(link)}</p>
+  </body>
+</html>`;
+
+  return { subject: strings.subject, text, html };
+};
+
+module.exports = {
+  templates,
+  FIELDS,
+  render
+};
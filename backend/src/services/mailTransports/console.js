@@ -0,0 +1,24 @@
+/**
+ * Console Mail Transport
+ * For development: messages are printed instead of sent
+ */
+const crypto = require('crypto');
+
+const send = async ({ from, to, subject, text }) => {
+  const messageId = `<${crypto.randomUUID()}@console>`;
+  console.log([
+    '📧 ---- Mail (console transport) ----',
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '📧 ----------------------------------'
+  ].join('\n'));
+  return { messageId };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,31 @@
+/**
+ * File Mail Transport
+ * For development: every message is written as an .eml file to MAIL_DIR
+ * (a temp folder by default), where any mail client can open it
+ */
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const getMailDir = () => process.env.MAIL_DIR || path.join(os.tmpdir(), 'taaja-mail');
+
+const send = async (message) => {
+  const info = await builder.sendMail(message);
+  const dir = getMailDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+  const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+  await fs.writeFile(file, info.message);
+
+  console.log(`📧 Mail to ${message.to} saved to ${file}`);
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,43 @@
+/**
+ * Mail Transports
+ * Every transport exposes the same interface:
+ *
+ *   name                                   - Transport key
+ *   send({ from, to, subject, text, html }) - Resolves to { messageId }
+ *
+ * The active transport comes from MAIL_TRANSPORT (smtp | file | console),
+ * defaulting to SMTP when SMTP_HOST is set and the console otherwise.
+ */
+const smtp = require('./smtp');
+const file = require('./file');
+const consoleTransport = require('./console');
+
+const transports = { smtp, file, console: consoleTransport };
+
+/**
+ * Get a transport by name (defaults to the configured one)
+ * @param {string} name - Transport key
+ */
+const getTransport = (name = process.env.MAIL_TRANSPORT) => {
+  if (transports[name]) return transports[name];
+  return process.env.SMTP_HOST ? smtp : consoleTransport;
+};
+
+/**
+ * Register an additional transport (e.g. an email API)
+ * @param {Object} transport - { name, send }
+ */
+const registerTransport = (transport) => {
+  if (!transport?.name || typeof transport.send !== 'function') {
+    throw new Error('A mail transport needs a name and send()');
+  }
+  transports[transport.name] = transport;
+};
+
+const listTransports = () => Object.keys(transports);
+
+module.exports = {
+  getTransport,
+  registerTransport,
+  listTransports
+};
@@ -0,0 +1,37 @@
+/**
+ * SMTP Mail Transport
+ * Sends through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ */
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      // Port 465 is TLS from the start; others upgrade with STARTTLS
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async (message) => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,86 @@
+/**
+ * Mailer
+ * Sends templated account emails through the configured transport
+ * (services/mailTransports) in the reader's language.
+ */
+const languageCache = require('../utils/languageCache');
+const { translateText } = require('./translation');
+const { getTransport } = require('./mailTransports');
+const { templates, FIELDS, render } = require('./mailTemplates');
+
+const SOURCE_LANG = 'en';
+
+// `${template}:${language}` -> translated wording
+const translatedWording = new Map();
+
+const getFrom = () => process.env.MAIL_FROM || 'Taaja News <no-reply@taajanews.com>';
+
+/**
+ * Translate a template's English wording once per language
+ */
+const translateWording = async (templateName, language) => {
+  const key = `${templateName}:${language}`;
+  if (translatedWording.has(key)) return translatedWording.get(key);
+
+  const source = templates[templateName][SOURCE_LANG];
+  const translated = await translateText(FIELDS.map(field => source[field]).join('\n\n'), SOURCE_LANG, language);
+  const paragraphs = translated.split(/\n\s*\n/).map(p => p.trim());
+  if (paragraphs.length !== FIELDS.length) {
+    throw new Error(`Translated ${templateName} template has ${paragraphs.length} paragraphs`);
+  }
+
+  const wording = Object.fromEntries(FIELDS.map((field, i) => [field, paragraphs[i]]));
+  translatedWording.set(key, wording);
+  return wording;
+};
+
+/**
+ * Wording for a template in a language: built in, else translated for an
+ * active language, else the default language, else English
+ * @returns {Object} { wording, language }
+ */
+const getWording = async (templateName, language) => {
+  const template = templates[templateName];
+  if (!template) throw new Error(`Unknown mail template: ${templateName}`);
+
+  const activeCodes = await languageCache.getActiveLanguageCodes();
+  const defaultCode = await languageCache.getDefaultLanguageCode();
+
+  if (template[language]) return { wording: template[language], language };
+
+  if (language && activeCodes.includes(language)) {
+    try {
+      return { wording: await translateWording(templateName, language), language };
+    } catch (error) {
+      console.error('Mail template translation error:', error);
+    }
+  }
+
+  const fallback = template[defaultCode] ? defaultCode : SOURCE_LANG;
+  return { wording: template[fallback], language: fallback };
+};
+
+/**
+ * Send a message as-is
+ * @param {Object} message - { to, subject, text, html }
+ */
+const sendMail = (message) => getTransport().send({ from: getFrom(), ...message });
+
+/**
+ * Send a templated email
+ * @param {string} templateName - Key in services/mailTemplates.js
+ * @param {Object} options - { to, language, data: { name, link } }
+ */
+const sendTemplate = async (templateName, { to, language, data }) => {
+  const { wording, language: used } = await getWording(templateName, language);
+  const languages = await languageCache.getActiveLanguages();
+  const rtl = Boolean(languages.find(l => l.code === used)?.isRTL);
+
+  return sendMail({ to, ...render(wording, data, { rtl }) });
+};
+
+module.exports = {
+  getWording,
+  sendMail,
+  sendTemplate
+};
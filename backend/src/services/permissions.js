@@ -0,0 +1,181 @@
+/**
+ * Permissions
+ * Roles are named permission sets (models/RoleConfig.js). Admins may do
+ * everything; other accounts get the role named after their account role,
+ * plus any roles granted to them, each optionally limited to categories,
+ * cities and languages. Authors and assigned reviewers can always edit the
+ * articles they hold.
+ */
+const RoleConfig = require('../models/RoleConfig');
+
+// Role definitions are read on every check, so keep them briefly in memory
+const CACHE_TTL = 60 * 1000;
+let cachedRoles = null;
+let lastRefresh = 0;
+
+const getRoles = async () => {
+  if (!cachedRoles || Date.now() - lastRefresh > CACHE_TTL) {
+    cachedRoles = await RoleConfig.getRoles();
+    lastRefresh = Date.now();
+  }
+  return cachedRoles;
+};
+
+// Call after the roles change
+const clearCache = () => {
+  cachedRoles = null;
+};
+
+const idEquals = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+const includesId = (ids = [], id) => ids.some(item => idEquals(item, id));
+
+/**
+ * Permission sets a user holds, each with its scope
+ * @returns {Array} [{ role, permissions, categories, cities, languages }]
+ */
+const getGrants = async (user) => {
+  const roles = await getRoles();
+  const grants = [];
+
+  const base = roles.find(r => r.key === user.role);
+  if (base) {
+    grants.push({ role: base.key, permissions: base.permissions, categories: [], cities: [], languages: [] });
+  }
+
+  (user.grants || []).forEach(grant => {
+    const role = roles.find(r => r.key === grant.role);
+    if (!role) return;
+    grants.push({
+      role: role.key,
+      permissions: role.permissions,
+      categories: grant.categories || [],
+      cities: grant.cities || [],
+      languages: grant.languages || []
+    });
+  });
+
+  return grants;
+};
+
+/**
+ * Whether a grant's scope covers a resource. Each scoped dimension must
+ * match; a resource without a value for it (e.g. creating a city) only
+ * matches unscoped grants. Languages are the ones being changed.
+ */
+const scopeCovers = (grant, resource) => {
+  if (!resource) return true;
+
+  if (grant.categories.length > 0 && !(resource.categories || []).some(id => includesId(grant.categories, id))) {
+    return false;
+  }
+  if (grant.cities.length > 0 && !includesId(grant.cities, resource.city)) {
+    return false;
+  }
+  if (grant.languages.length > 0 &&
+    (!resource.languages || !resource.languages.every(code => grant.languages.includes(code)))) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check a permission
+ * @param {Object} user - User document
+ * @param {string} permission - Key from RoleConfig.getPermissions()
+ * @param {Object} resource - { categories, city, languages, owners }; leave
+ *   out to ask whether the user has the permission anywhere
+ */
+const hasPermission = async (user, permission, resource) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  if (permission === 'articles.edit' && resource && includesId(resource.owners, user._id)) {
+    return true;
+  }
+
+  const grants = await getGrants(user);
+  return grants.some(grant => grant.permissions.includes(permission) && scopeCovers(grant, resource));
+};
+
+/**
+ * Every permission the user holds somewhere (for the dashboard to show or
+ * hide actions; the API still checks each resource)
+ */
+const listPermissions = async (user) => {
+  if (user.role === 'admin') {
+    return RoleConfig.getPermissions().map(p => p.key);
+  }
+  const grants = await getGrants(user);
+  return [...new Set(grants.flatMap(grant => grant.permissions))];
+};
+
+/**
+ * Article query conditions for the articles a permission covers
+ * @returns {Array|null} null when it covers every article, otherwise
+ *   conditions to $or together (empty when it covers none)
+ */
+const articleConditions = async (user, permission) => {
+  if (user.role === 'admin') return null;
+
+  const conditions = [];
+  const grants = (await getGrants(user)).filter(grant => grant.permissions.includes(permission));
+
+  for (const grant of grants) {
+    const parts = [];
+    if (grant.categories.length > 0) {
+      parts.push({ $or: [{ category: { $in: grant.categories } }, { categoryAncestors: { $in: grant.categories } }] });
+    }
+    if (grant.cities.length > 0) {
+      parts.push({ city: { $in: grant.cities } });
+    }
+    if (grant.languages.length > 0) {
+      parts.push({ $or: grant.languages.map(code => ({ [`title.${code}`]: { $exists: true } })) });
+    }
+
+    if (parts.length === 0) return null;
+    conditions.push({ $and: parts });
+  }
+
+  return conditions;
+};
+
+/**
+ * Scope of an article
+ * @param {Object} article - Article (document or lean)
+ * @param {Array} languages - Languages being changed
+ */
+const articleResource = (article, languages = []) => ({
+  categories: [article.category, ...(article.categoryAncestors || [])].filter(Boolean),
+  city: article.city || null,
+  languages,
+  owners: [article.author, article.workflow?.assignedTo].filter(Boolean)
+});
+
+/**
+ * Name a resource loader for can(), so a missing resource gets a proper 404
+ */
+const resourceLoader = (label, load) => Object.assign(load, { label });
+
+// For actions outside any scope (e.g. adding a city): only unscoped grants cover it
+const unscoped = resourceLoader('Resource', async () => ({}));
+
+/**
+ * Scope of a category (it and its ancestors, so a grant for a section
+ * covers its subcategories)
+ */
+const categoryResource = (category) => ({
+  categories: [category._id, ...(category.ancestors || []).map(a => a._id || a)]
+});
+
+module.exports = {
+  getRoles,
+  clearCache,
+  getGrants,
+  hasPermission,
+  listPermissions,
+  articleConditions,
+  articleResource,
+  categoryResource,
+  resourceLoader,
+  unscoped
+};
@@ -0,0 +1,143 @@
+/**
+ * Phone OTP
+ * Sends one-time codes by SMS (services/smsProviders) and checks them,
+ * with limits on how often codes are sent and a lockout after too many
+ * wrong guesses.
+ */
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const { getProvider } = require('./smsProviders');
+const { maskPhone } = require('../utils/phone');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 5 * 60 * 1000;
+// Between two codes to the same number
+const RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_SENDS_PER_HOUR = 5;
+// Wrong guesses before the number is locked
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MS = 30 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const SMS_TEXT = {
+  te: (code) => `మీ తాజా న్యూస్ కోడ్ ${code}. ఇది 5 నిమిషాల్లో గడువు ముగుస్తుంది. ఎవరితోనూ పంచుకోవద్దు.`,
+  en: (code) => `Your Taaja News code is ${code}. It expires in 5 minutes. Do not share it with anyone.`,
+  hi: (code) => `आपका ताज़ा न्यूज़ कोड ${code} है। यह 5 मिनट में समाप्त हो जाएगा। इसे किसी से साझा न करें।`
+};
+
+// Codes are short, so hash them with the server secret and the number
+const hashCode = (phone, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${phone}:${code}`)
+  .digest('hex');
+
+const secondsUntil = (date) => Math.max(Math.ceil((date - Date.now()) / 1000), 1);
+
+/**
+ * Send a code to a phone number
+ * @param {string} phone - E.164 number
+ * @param {Object} options - { purpose: 'login' | 'link', userId, language }
+ * @returns {Object} { expiresIn, resendIn } or { error: 'locked' | 'too_soon' | 'too_many', retryAfter }
+ */
+const requestCode = async (phone, { purpose = 'login', userId = null, language } = {}) => {
+  const now = new Date();
+  const existing = await PhoneOtp.findOne({ phone });
+
+  if (existing?.lockedUntil > now) {
+    return { error: 'locked', retryAfter: secondsUntil(existing.lockedUntil) };
+  }
+
+  const recent = (existing?.sentAt || []).filter(sent => now - sent < HOUR_MS);
+  const last = recent[recent.length - 1];
+  if (last && now - last < RESEND_INTERVAL_MS) {
+    return { error: 'too_soon', retryAfter: secondsUntil(new Date(last.getTime() + RESEND_INTERVAL_MS)) };
+  }
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    return { error: 'too_many', retryAfter: secondsUntil(new Date(recent[0].getTime() + HOUR_MS)) };
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+  await PhoneOtp.findOneAndUpdate(
+    { phone },
+    {
+      $set: {
+        purpose,
+        user: userId,
+        codeHash: hashCode(phone, code),
+        codeExpiresAt: new Date(now.getTime() + CODE_TTL_MS),
+        attempts: 0,
+        sentAt: [...recent, now],
+        lockedUntil: null,
+        expiresAt: new Date(now.getTime() + HOUR_MS)
+      }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const text = (SMS_TEXT[language] || SMS_TEXT.en)(code);
+  await getProvider().send(phone, text);
+  console.log(`📱 OTP sent to ${maskPhone(phone)} (${purpose})`);
+
+  return { expiresIn: CODE_TTL_MS / 1000, resendIn: RESEND_INTERVAL_MS / 1000 };
+};
+
+/**
+ * Check a code; a correct code works once
+ * @param {string} phone - E.164 number
+ * @param {string} code - Code the reader typed
+ * @param {Object} options - { purpose, userId } must match the request
+ * @returns {Object} { ok: true } or { error: 'invalid' | 'expired' | 'locked', attemptsLeft, retryAfter }
+ */
+const verifyCode = async (phone, code, { purpose = 'login', userId = null } = {}) => {
+  const now = new Date();
+  const otp = await PhoneOtp.findOne({ phone });
+
+  if (otp?.lockedUntil > now) {
+    return { error: 'locked', retryAfter: secondsUntil(otp.lockedUntil) };
+  }
+  if (!otp || !otp.codeHash || otp.purpose !== purpose ||
+      String(otp.user || '') !== String(userId || '')) {
+    return { error: 'invalid' };
+  }
+  if (otp.codeExpiresAt < now) {
+    return { error: 'expired' };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const given = Buffer.from(hashCode(phone, String(code)), 'hex');
+
+  if (crypto.timingSafeEqual(expected, given)) {
+    // Clearing the hash makes the code single-use, even under concurrent requests
+    const used = await PhoneOtp.findOneAndUpdate(
+      { _id: otp._id, codeHash: otp.codeHash },
+      { $set: { codeHash: null, attempts: 0 } }
+    );
+    return used ? { ok: true } : { error: 'invalid' };
+  }
+
+  const updated = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, codeHash: otp.codeHash },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!updated) return { error: 'invalid' };
+
+  if (updated.attempts >= MAX_ATTEMPTS) {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    await PhoneOtp.updateOne(
+      { _id: otp._id },
+      { $set: { codeHash: null, lockedUntil, expiresAt: new Date(Math.max(lockedUntil, otp.expiresAt)) } }
+    );
+    console.log(`📱 OTP locked for ${maskPhone(phone)} after ${MAX_ATTEMPTS} wrong codes`);
+    return { error: 'locked', retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  return { error: 'invalid', attemptsLeft: MAX_ATTEMPTS - updated.attempts };
+};
+
+module.exports = {
+  CODE_LENGTH,
+  requestCode,
+  verifyCode
+};
@@ -0,0 +1,121 @@
+/**
+ * Publish Scheduler
+ * Promotes scheduled articles once their embargo lifts and archives
+ * articles whose unpublish time has passed. Runs once on startup so
+ * windows missed while the server was down are recovered.
+ */
+const Article = require('../models/Article');
+const { recordTransition } = require('./workflow');
+
+const DEFAULT_INTERVAL = 30 * 1000; // 30 seconds
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish all pending articles whose publishAt has passed.
+ * Articles are claimed one at a time with an atomic update so that
+ * several backend instances never publish the same article twice.
+ * @param {Date} now - Reference time
+ * @returns {Array} Published articles
+ */
+const publishDueArticles = async (now = new Date()) => {
+  const published = [];
+
+  while (true) {
+    const article = await Article.findOneAndUpdate(
+      {
+        status: 'pending',
+        publishAt: { $ne: null, $lte: now },
+        // Articles still in (or sent back from) review wait for approval
+        'workflow.state': { $nin: ['in_review', 'rejected'] }
+      },
+      {
+        $set: {
+          status: 'published',
+          publishedAt: now,
+          publishAt: null
+        }
+      },
+      { new: true, sort: { publishAt: 1 } }
+    );
+
+    if (!article) break;
+    published.push(article);
+    await recordTransition(article, null, {
+      action: 'publish',
+      fromStatus: 'pending',
+      toStatus: 'published',
+      note: 'Scheduled publish'
+    });
+  }
+
+  return published;
+};
+
+/**
+ * Archive published articles whose unpublishAt has passed
+ * @param {Date} now - Reference time
+ * @returns {number} Number of archived articles
+ */
+const archiveExpiredArticles = async (now = new Date()) => {
+  const result = await Article.updateMany(
+    { status: 'published', unpublishAt: { $ne: null, $lte: now } },
+    { $set: { status: 'archived', unpublishAt: null } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Run a single scheduler pass
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    const published = await publishDueArticles(now);
+    const archived = await archiveExpiredArticles(now);
+
+    if (published.length > 0) {
+      console.log(`⏰ Published ${published.length} scheduled article(s)`);
+    }
+    if (archived > 0) {
+      console.log(`⏰ Archived ${archived} expired article(s)`);
+    }
+  } catch (error) {
+    console.error('Publish scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduler (first pass runs immediately to recover missed windows)
+ */
+const start = (intervalMs = Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  publishDueArticles,
+  archiveExpiredArticles,
+  tick,
+  start,
+  stop
+};
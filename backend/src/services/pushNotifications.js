@@ -0,0 +1,321 @@
+/**
+ * Breaking-News Push Notifications
+ * Sends a Web Push (VAPID) notification for every article published with
+ * `isBreaking: true`. Each article is claimed once with an atomic update,
+ * so restarts and several backend instances never notify twice.
+ *
+ * Readers are targeted by city/area, category and language - signed-in
+ * readers by their profile preferences, anonymous readers by what they
+ * chose when subscribing. Nobody is woken up during quiet hours in their
+ * city's timezone.
+ */
+const axios = require('axios');
+const webpush = require('web-push');
+const Article = require('../models/Article');
+const City = require('../models/City');
+const PushSubscription = require('../models/PushSubscription');
+const languageCache = require('../utils/languageCache');
+const { getZonedParts, isValidTimeZone } = require('../utils/timezone');
+
+const DEFAULT_INTERVAL = 15 * 1000; // 15 seconds
+// Breaking news older than this (e.g. published while the server was down) is not pushed
+const MAX_AGE = 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_QUIET_HOURS = '22-7';
+const CONCURRENCY = 10;
+const TTL_SECONDS = 60 * 60;
+const MAX_FAILURES = 5;
+const REQUEST_TIMEOUT = 10 * 1000;
+
+const BREAKING_LABELS = {
+  te: 'బ్రేకింగ్ న్యూస్',
+  en: 'Breaking news',
+  hi: 'ब्रेकिंग न्यूज़'
+};
+
+let timer = null;
+let running = false;
+let configured = null;
+
+// Helper to get value from Map or plain object
+const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
+  if (!field) return '';
+  if (field instanceof Map) {
+    return field.get(lang) || field.get(fallbackLang) || [...field.values()][0] || '';
+  }
+  // Plain object (from lean query)
+  return field[lang] || field[fallbackLang] || Object.values(field)[0] || '';
+};
+
+/**
+ * Set up VAPID details once; push is disabled without keys
+ * @returns {boolean} Whether push is enabled
+ */
+const configure = () => {
+  if (configured !== null) return configured;
+
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  configured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+  if (configured) {
+    webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:admin@example.com', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  }
+  return configured;
+};
+
+/**
+ * Public VAPID key browsers subscribe with (null when push is disabled)
+ */
+const getPublicKey = () => (configure() ? process.env.VAPID_PUBLIC_KEY : null);
+
+/**
+ * Quiet hours as local start/end hours ('22-7' means 22:00 to 07:00);
+ * 'off' disables them
+ */
+const getQuietHours = () => {
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(process.env.PUSH_QUIET_HOURS || DEFAULT_QUIET_HOURS);
+  return match ? { start: Number(match[1]) % 24, end: Number(match[2]) % 24 } : null;
+};
+
+/**
+ * Whether an instant falls inside quiet hours in a timezone
+ */
+const isQuietTime = (date, timeZone, quietHours = getQuietHours()) => {
+  if (!quietHours || quietHours.start === quietHours.end) return false;
+  const { hour } = getZonedParts(date, isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+  const { start, end } = quietHours;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+};
+
+/**
+ * Who a subscription belongs to: the profile of a signed-in reader, or
+ * the targeting saved with an anonymous subscription
+ */
+const getTarget = (subscription) => {
+  const source = subscription.user ? subscription.user.preferences || {} : subscription;
+  return {
+    language: source.language || null,
+    city: source.city || null,
+    area: source.area || null,
+    categories: source.categories || []
+  };
+};
+
+/**
+ * Whether a breaking article is relevant to a reader
+ */
+const matchesTarget = (article, target) => {
+  if (target.categories.length > 0) {
+    const articleCategories = [article.category, ...(article.categoryAncestors || [])].filter(Boolean).map(String);
+    if (!target.categories.some(id => articleCategories.includes(String(id)))) return false;
+  }
+
+  // Stories without a resolved city, and readers without a saved
+  // location, are not filtered by place
+  if (!article.city || (!target.city && !target.area)) return true;
+  if (target.area && article.area && String(target.area) === String(article.area)) return true;
+  return Boolean(target.city) && String(target.city) === String(article.city);
+};
+
+/**
+ * Notification shown by the service worker, in the reader's language
+ */
+const buildPayload = (article, lang, defaultLang) => ({
+  title: BREAKING_LABELS[lang] || BREAKING_LABELS.en,
+  body: getLocalizedValue(article.title, lang, defaultLang),
+  url: `/site/article/${article.slug}`,
+  image: article.featuredImage?.url || null,
+  tag: `breaking-${article._id}`,
+  lang
+});
+
+/**
+ * Push one notification; drops subscriptions the push service says are gone
+ * @param {string} topic - Replaces an undelivered notification with the same topic
+ * @returns {boolean} Whether it was delivered
+ */
+const deliver = async (subscription, payload, topic) => {
+  try {
+    // web-push encrypts and signs; the request itself goes through axios
+    // so plain-http endpoints (the local fake push service) work too
+    const request = webpush.generateRequestDetails(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      JSON.stringify(payload),
+      { TTL: TTL_SECONDS, urgency: 'high', topic }
+    );
+    await axios({
+      method: request.method,
+      url: request.endpoint,
+      headers: request.headers,
+      data: request.body,
+      timeout: REQUEST_TIMEOUT
+    });
+    await PushSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastSentAt: new Date(), failures: 0 } }
+    );
+    return true;
+  } catch (error) {
+    const statusCode = error.response?.status;
+    if (statusCode === 404 || statusCode === 410 || subscription.failures + 1 >= MAX_FAILURES) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+    } else {
+      await PushSubscription.updateOne({ _id: subscription._id }, { $inc: { failures: 1 } });
+    }
+    console.error(`Push delivery failed (${statusCode || error.message})`);
+    return false;
+  }
+};
+
+/**
+ * Notify every matching subscriber about a breaking article
+ * @param {Object} article - Lean article
+ * @returns {Object} { delivered, quiet, failed }
+ */
+const sendBreaking = async (article, now = new Date()) => {
+  const defaultLang = await languageCache.getDefaultLanguageCode();
+  const quietHours = getQuietHours();
+  const timezones = new Map();
+  const stats = { delivered: 0, quiet: 0, failed: 0 };
+
+  const cityTimezone = async (cityId) => {
+    if (!cityId) return DEFAULT_TIMEZONE;
+    const key = String(cityId);
+    if (!timezones.has(key)) {
+      const city = await City.findById(cityId).select('timezone').lean();
+      timezones.set(key, city?.timezone || DEFAULT_TIMEZONE);
+    }
+    return timezones.get(key);
+  };
+
+  const send = async (subscription) => {
+    if (subscription.user && !subscription.user.isActive) return;
+
+    const target = getTarget(subscription);
+    if (!matchesTarget(article, target)) return;
+
+    if (isQuietTime(now, await cityTimezone(target.city), quietHours)) {
+      stats.quiet++;
+      return;
+    }
+
+    const payload = buildPayload(article, target.language || defaultLang, defaultLang);
+    if (await deliver(subscription, payload, String(article._id))) stats.delivered++;
+    else stats.failed++;
+  };
+
+  const cursor = PushSubscription.find()
+    .populate('user', 'preferences isActive')
+    .lean()
+    .cursor({ batchSize: 100 });
+
+  let batch = [];
+  for await (const subscription of cursor) {
+    batch.push(subscription);
+    if (batch.length >= CONCURRENCY) {
+      await Promise.all(batch.map(send));
+      batch = [];
+    }
+  }
+  await Promise.all(batch.map(send));
+
+  return stats;
+};
+
+/**
+ * Atomically claim the next published breaking article not yet pushed
+ */
+const claimNext = (now) => Article.findOneAndUpdate(
+  {
+    isBreaking: true,
+    status: 'published',
+    'breakingPush.sentAt': null,
+    publishedAt: { $gte: new Date(now.getTime() - MAX_AGE), $lte: now }
+  },
+  { $set: { 'breakingPush.sentAt': now } },
+  { new: true, sort: { publishedAt: 1 } }
+)
+  .select('title slug featuredImage category categoryAncestors area city')
+  .lean();
+
+/**
+ * Push all breaking articles waiting to be announced
+ * @returns {number} Number of articles announced
+ */
+const processBreaking = async () => {
+  let count = 0;
+
+  while (true) {
+    const now = new Date();
+    const article = await claimNext(now);
+    if (!article) break;
+
+    const stats = await sendBreaking(article, now);
+    await Article.updateOne(
+      { _id: article._id },
+      {
+        $set: {
+          'breakingPush.delivered': stats.delivered,
+          'breakingPush.quiet': stats.quiet,
+          'breakingPush.failed': stats.failed
+        }
+      },
+      { timestamps: false }
+    );
+    console.log(`🔔 Breaking push for ${article.slug}: ${stats.delivered} delivered, ${stats.quiet} in quiet hours, ${stats.failed} failed`);
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Run a single pass (also called right after an article is published)
+ */
+const tick = async () => {
+  if (running || !configure()) return;
+  running = true;
+
+  try {
+    await processBreaking();
+  } catch (error) {
+    console.error('Breaking push error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start watching for breaking articles
+ */
+const start = (intervalMs = Number(process.env.PUSH_INTERVAL_MS) || DEFAULT_INTERVAL) => {
+  if (timer) return;
+  if (!configure()) {
+    console.log('🔕 Push notifications disabled (VAPID keys not set)');
+    return;
+  }
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop watching
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  getPublicKey,
+  isQuietTime,
+  matchesTarget,
+  sendBreaking,
+  processBreaking,
+  tick,
+  start,
+  stop
+};
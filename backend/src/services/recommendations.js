@@ -0,0 +1,296 @@
+/**
+ * Personalized "For You" Feed
+ * Ranks recent published articles for a signed-in reader using their
+ * stored preferences (categories, city, area) and engagement history.
+ * Every article carries the reasons that contributed most to its score so
+ * readers can see why it was picked.
+ */
+const Article = require('../models/Article');
+const Area = require('../models/Area');
+const Category = require('../models/Category');
+const City = require('../models/City');
+const Engagement = require('../models/Engagement');
+const { EARTH_RADIUS_KM, isValidPoint, distanceKm } = require('../utils/geo');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CANDIDATE_DAYS = 7;
+const HISTORY_DAYS = 90;
+const HISTORY_LIMIT = 500;
+const NEARBY_KM = 25;
+
+// How much each signal contributes to the score
+const WEIGHTS = {
+  category: 1.0,
+  affinity: 0.8,
+  proximity: 1.0,
+  recency: 1.5,
+  popularity: 0.2,
+  breaking: 0.3
+};
+
+// Category affinity learned from engagement (dislikes push a category down)
+const ENGAGEMENT_WEIGHTS = {
+  view: 1,
+  share: 2,
+  like: 3,
+  bookmark: 3,
+  dislike: -4
+};
+
+const RECENCY_HALF_LIFE_HOURS = 12;
+const PROXIMITY_SCALE_KM = 10;
+// Already-read stories sink but stay reachable
+const SEEN_FACTOR = 0.35;
+// Each further story from the same category in a row is worth a bit less
+const DIVERSITY_DECAY = 0.85;
+const MAX_REASONS = 3;
+const GENERIC_REASONS = ['recent', 'popular'];
+
+// Helper to get value from Map or plain object
+const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
+  if (!field) return '';
+  if (field instanceof Map) {
+    return field.get(lang) || field.get(fallbackLang) || [...field.values()][0] || '';
+  }
+  // Plain object (from lean query)
+  return field[lang] || field[fallbackLang] || Object.values(field)[0] || '';
+};
+
+/**
+ * Gather everything the ranking needs to know about a reader
+ * @param {Object} user - Authenticated user
+ * @returns {Object} { preferred, anchor, affinity, seen, disliked }
+ */
+const buildProfile = async (user, now = new Date()) => {
+  const prefs = user.preferences || {};
+
+  const [preferred, area, city, history] = await Promise.all([
+    prefs.categories?.length
+      ? Category.find({ _id: { $in: prefs.categories } }).select('name').lean()
+      : [],
+    prefs.area ? Area.findById(prefs.area).select('name center').lean() : null,
+    prefs.city ? City.findById(prefs.city).select('name center').lean() : null,
+    Engagement.find({
+      user: user._id,
+      createdAt: { $gte: new Date(now.getTime() - HISTORY_DAYS * DAY) }
+    })
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_LIMIT)
+      .select('article type')
+      .lean()
+  ]);
+
+  // Learn category affinity from the categories of engaged articles
+  const engagedArticles = await Article.find({ _id: { $in: [...new Set(history.map(e => e.article.toString()))] } })
+    .select('category')
+    .lean();
+  const categoryOf = new Map(engagedArticles.map(a => [a._id.toString(), a.category?.toString()]));
+
+  const totals = new Map();
+  const seen = new Set();
+  const disliked = new Set();
+
+  history.forEach(({ article, type }) => {
+    const id = article.toString();
+    if (type === 'view') seen.add(id);
+    if (type === 'dislike') disliked.add(id);
+
+    const category = categoryOf.get(id);
+    if (category) totals.set(category, (totals.get(category) || 0) + (ENGAGEMENT_WEIGHTS[type] || 0));
+  });
+
+  // Scale to -1..1 so heavy readers and new readers rank alike
+  const maxAbs = Math.max(1, ...[...totals.values()].map(Math.abs));
+  const affinity = new Map([...totals].map(([category, total]) => [category, total / maxAbs]));
+
+  // Area is the finer location; fall back to the city
+  const place = [area, city].find(p => isValidPoint(p?.center?.coordinates));
+
+  return {
+    preferred: new Map(preferred.map(c => [c._id.toString(), c])),
+    anchor: place ? { coordinates: place.center.coordinates, name: place.name } : null,
+    affinity,
+    seen,
+    disliked
+  };
+};
+
+/**
+ * Recent published articles worth ranking: the latest overall plus the
+ * latest in preferred categories and near the reader
+ */
+const fetchCandidates = async (profile, now) => {
+  const base = {
+    status: 'published',
+    publishedAt: { $gte: new Date(now.getTime() - CANDIDATE_DAYS * DAY), $lte: now }
+  };
+  const preferredIds = [...profile.preferred.keys()];
+
+  const find = (query, limit) => Article.find(query)
+    .select('-content')
+    .populate('author', 'name avatar')
+    .populate('category', 'name slug')
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  const batches = await Promise.all([
+    find(base, 200),
+    preferredIds.length
+      ? find({ ...base, $or: [{ category: { $in: preferredIds } }, { categoryAncestors: { $in: preferredIds } }] }, 100)
+      : [],
+    profile.anchor
+      ? find({
+        ...base,
+        location: { $geoWithin: { $centerSphere: [profile.anchor.coordinates, NEARBY_KM / EARTH_RADIUS_KM] } }
+      }, 100)
+      : []
+  ]);
+
+  const unique = new Map();
+  batches.flat().forEach(article => unique.set(article._id.toString(), article));
+  return [...unique.values()];
+};
+
+/**
+ * Score one article and explain the score
+ * @returns {Object} { score, reasons: [{ type, label }] }
+ */
+const scoreArticle = (article, profile, { lang, defaultLang, now }) => {
+  const contributions = [];
+  const categoryId = article.category?._id?.toString();
+  const categoryName = article.category ? getLocalizedValue(article.category.name, lang, defaultLang) : '';
+
+  // Preferred category (directly or through a parent)
+  const followed = [categoryId, ...(article.categoryAncestors || []).map(String)]
+    .map(id => profile.preferred.get(id))
+    .find(Boolean);
+  if (followed) {
+    contributions.push({
+      type: 'category',
+      value: WEIGHTS.category,
+      label: `Because you follow ${getLocalizedValue(followed.name, lang, defaultLang)}`
+    });
+  }
+
+  // Learned category affinity
+  const affinity = profile.affinity.get(categoryId) || 0;
+  if (affinity !== 0) {
+    contributions.push({
+      type: affinity > 0 ? 'engagement' : 'disliked',
+      value: WEIGHTS.affinity * affinity,
+      label: affinity > 0
+        ? `You often read ${categoryName}`
+        : `Shown less because you disliked ${categoryName} stories`
+    });
+  }
+
+  // Proximity to the preferred area/city
+  if (profile.anchor && isValidPoint(article.location?.coordinates)) {
+    const km = distanceKm(profile.anchor.coordinates, article.location.coordinates);
+    if (km <= NEARBY_KM) {
+      const placeName = getLocalizedValue(profile.anchor.name, lang, defaultLang);
+      contributions.push({
+        type: 'nearby',
+        value: WEIGHTS.proximity / (1 + km / PROXIMITY_SCALE_KM),
+        label: km < 1 ? `In ${placeName}` : `${Math.round(km)} km from ${placeName}`
+      });
+    }
+  }
+
+  // Recency decay
+  const ageHours = Math.max(0, (now - new Date(article.publishedAt)) / (60 * 60 * 1000));
+  const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+  contributions.push({
+    type: 'recent',
+    value: WEIGHTS.recency * recency,
+    label: ageHours < 3 ? 'Just published' : 'Recent news'
+  });
+
+  // A little popularity so strong stories surface
+  const views = article.engagement?.views || 0;
+  if (views > 0) {
+    contributions.push({
+      type: 'popular',
+      value: WEIGHTS.popularity * Math.min(1, Math.log10(1 + views) / 4),
+      label: 'Popular with readers'
+    });
+  }
+
+  if (article.isBreaking) {
+    contributions.push({ type: 'breaking', value: WEIGHTS.breaking, label: 'Breaking news' });
+  }
+
+  let score = contributions.reduce((sum, c) => sum + c.value, 0);
+  if (profile.seen.has(article._id.toString())) score *= SEEN_FACTOR;
+
+  // Personal reasons explain the pick better than freshness or popularity
+  const generic = (c) => (GENERIC_REASONS.includes(c.type) ? 1 : 0);
+  const reasons = contributions
+    .filter(c => c.value > 0.05 || c.type === 'disliked')
+    .sort((a, b) => generic(a) - generic(b) || Math.abs(b.value) - Math.abs(a.value))
+    .slice(0, MAX_REASONS)
+    .map(({ type, label }) => ({ type, label }));
+
+  return { score, reasons };
+};
+
+/**
+ * Re-rank so one category does not fill the whole page
+ */
+const diversify = (scored) => {
+  const remaining = [...scored];
+  const ranked = [];
+  const shown = new Map();
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((item, index) => {
+      const category = item.article.category?._id?.toString() || '';
+      const adjusted = item.score * Math.pow(DIVERSITY_DECAY, shown.get(category) || 0);
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    const category = best.article.category?._id?.toString() || '';
+    shown.set(category, (shown.get(category) || 0) + 1);
+    ranked.push(best);
+  }
+
+  return ranked;
+};
+
+/**
+ * Personalized feed for a reader
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { lang, defaultLang, page, limit }
+ * @returns {Object} { articles: [{ article, score, reasons }], total }
+ */
+const getFeed = async (user, { lang, defaultLang, page = 1, limit = 20 }) => {
+  const now = new Date();
+  const profile = await buildProfile(user, now);
+  const candidates = await fetchCandidates(profile, now);
+
+  const scored = candidates
+    .filter(article => !profile.disliked.has(article._id.toString()))
+    .map(article => ({ article, ...scoreArticle(article, profile, { lang, defaultLang, now }) }));
+
+  const ranked = diversify(scored.sort((a, b) => b.score - a.score));
+  const start = (page - 1) * limit;
+
+  return {
+    articles: ranked.slice(start, start + limit),
+    total: ranked.length
+  };
+};
+
+module.exports = {
+  buildProfile,
+  scoreArticle,
+  getFeed
+};
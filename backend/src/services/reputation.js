@@ -0,0 +1,99 @@
+/**
+ * Commenter Reputation and Restrictions
+ * A reader's reputation (0-100) comes from how their comments fared:
+ * approved ones raise it, flagged and moderator-rejected ones lower it three
+ * times as much. Newcomers start at 50. Screening holds comments from
+ * readers with a poor record, and reports from trusted readers count double.
+ */
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+
+const LOW_SCORE = 25;
+const TRUSTED_SCORE = 80;
+const PENALTY = 3;
+
+/**
+ * Score for a comment history
+ * @param {Object} counts - { approved, flagged, rejected }
+ */
+const score = ({ approved = 0, flagged = 0, rejected = 0 }) => {
+  // Smoothed so a newcomer sits at 50 and a single comment moves it little
+  const good = approved + 2;
+  const bad = PENALTY * (flagged + rejected) + 2;
+  return Math.round((good / (good + bad)) * 100);
+};
+
+/**
+ * Rebuild the reputation of some users from their comments
+ * @param {Array} userIds - User ids (duplicates are fine)
+ */
+const recompute = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))]
+    .map(id => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return;
+
+  const rows = await Comment.aggregate([
+    { $match: { user: { $in: ids } } },
+    {
+      $group: {
+        _id: '$user',
+        approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+        flagged: { $sum: { $cond: [{ $eq: ['$status', 'flagged'] }, 1, 0] } },
+        // Deleted by a moderator, not by the reader
+        rejected: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'deleted'] }, { $gt: ['$moderatedBy', null] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const updatedAt = new Date();
+  await User.bulkWrite(ids.map(id => {
+    const counts = rows.find(row => row._id.equals(id)) || { approved: 0, flagged: 0, rejected: 0 };
+    return {
+      updateOne: {
+        filter: { _id: id },
+        update: {
+          reputation: {
+            score: score(counts),
+            approved: counts.approved,
+            flagged: counts.flagged,
+            rejected: counts.rejected,
+            updatedAt
+          }
+        }
+      }
+    };
+  }));
+};
+
+/**
+ * How much a reader's report counts toward hiding a comment
+ */
+const reportWeight = (user) => {
+  const value = user?.reputation?.score ?? 50;
+  if (value >= TRUSTED_SCORE) return 2;
+  if (value < LOW_SCORE) return 0.5;
+  return 1;
+};
+
+/**
+ * The user's mute or ban, if it is still in force
+ * @returns {Object|null} { kind, until, reason }
+ */
+const activeRestriction = (user) => {
+  const restriction = user?.commentRestriction;
+  if (!restriction?.kind) return null;
+  if (restriction.until && new Date(restriction.until) <= new Date()) return null;
+  return { kind: restriction.kind, until: restriction.until || null, reason: restriction.reason || '' };
+};
+
+module.exports = {
+  LOW_SCORE,
+  TRUSTED_SCORE,
+  score,
+  recompute,
+  reportWeight,
+  activeRestriction
+};
@@ -0,0 +1,280 @@
+/**
+ * Scraped Article Conversion
+ * Turns queued scraped articles into draft Articles: cleans the body,
+ * detects its language, translates it into every language and creates a
+ * draft attributed to the selected reporter and category.
+ *
+ * The queue lives in the ScrapedArticle collection itself (articleStatus
+ * 'processing' with conversion.startedAt unset), so jobs survive restarts
+ * and items left half-done by a crash are picked up again.
+ */
+const ScrapedArticle = require('../models/ScrapedArticle');
+const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const languageCache = require('../utils/languageCache');
+const { stripHtml, cleanScrapedBody, detectLanguage, summarize } = require('../utils/textCleaner');
+const { translateArticleFields } = require('./translation');
+
+const DEFAULT_INTERVAL = 15 * 1000; // 15 seconds
+const STALE_AFTER = 10 * 60 * 1000; // 10 minutes
+
+let timer = null;
+let running = false;
+
+/**
+ * Queue scraped articles for conversion. Only unconverted ('draft')
+ * articles are queued; items that failed before are back in 'draft'.
+ * @param {string[]} ids - Scraped article ids
+ * @param {Object} options - { reporter, category, generateAudio }
+ * @param {Object} user - Admin requesting the conversion
+ * @returns {Object} { queued, skipped }
+ */
+const enqueue = async (ids, { reporter, category, generateAudio = false }, user) => {
+  const result = await ScrapedArticle.updateMany(
+    { _id: { $in: ids }, articleStatus: 'draft' },
+    {
+      $set: {
+        articleStatus: 'processing',
+        processingError: null,
+        'conversion.reporter': reporter,
+        'conversion.category': category,
+        'conversion.requestedBy': user._id,
+        'conversion.generateAudio': generateAudio,
+        'conversion.step': 'queued',
+        'conversion.queuedAt': new Date(),
+        'conversion.startedAt': null,
+        'conversion.finishedAt': null
+      }
+    }
+  );
+
+  const queued = result.modifiedCount || 0;
+
+  // Start right away instead of waiting for the next interval
+  if (queued > 0) setImmediate(tick);
+
+  return { queued, skipped: ids.length - queued };
+};
+
+/**
+ * Put items whose worker died mid-conversion back in the queue
+ * @param {Date} now - Reference time
+ * @returns {number} Number of recovered items
+ */
+const recoverStale = async (now = new Date()) => {
+  const result = await ScrapedArticle.updateMany(
+    {
+      articleStatus: 'processing',
+      'conversion.startedAt': { $ne: null, $lte: new Date(now.getTime() - STALE_AFTER) }
+    },
+    { $set: { 'conversion.startedAt': null, 'conversion.step': 'queued' } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Claim the oldest queued item with an atomic update so that several
+ * backend instances never convert the same article twice
+ */
+const claimNext = () => ScrapedArticle.findOneAndUpdate(
+  { articleStatus: 'processing', 'conversion.startedAt': null },
+  {
+    $set: { 'conversion.startedAt': new Date(), 'conversion.step': 'clean' },
+    $inc: { 'conversion.attempts': 1 }
+  },
+  { new: true, sort: { 'conversion.queuedAt': 1 } }
+);
+
+const setStep = (scraped, step) => ScrapedArticle.updateOne(
+  { _id: scraped._id },
+  { $set: { 'conversion.step': step } }
+);
+
+/**
+ * Run one claimed item through clean → detect → translate → create
+ * @param {Object} scraped - Claimed ScrapedArticle
+ * @returns {Object} Created (or previously created) Article
+ */
+const convert = async (scraped) => {
+  const { conversion } = scraped;
+
+  // A crash after the draft was created must not create a second one
+  if (scraped.articleId) {
+    const existing = await Article.findById(scraped.articleId);
+    if (existing) return existing;
+  }
+
+  const [reporter, category] = await Promise.all([
+    User.findById(conversion.reporter),
+    Category.findById(conversion.category)
+  ]);
+  if (!reporter || !reporter.isActive || !['reporter', 'admin'].includes(reporter.role)) {
+    throw new Error('Selected reporter is no longer active');
+  }
+  if (!category) {
+    throw new Error('Selected category no longer exists');
+  }
+
+  // Clean
+  const title = stripHtml(scraped.title).replace(/\s+/g, ' ').trim();
+  const body = cleanScrapedBody(scraped.body);
+  if (!title || !body) {
+    throw new Error('Nothing left to convert after cleaning the title and body');
+  }
+
+  // Detect
+  await setStep(scraped, 'detect');
+  const [activeLangs, defaultLang] = await Promise.all([
+    languageCache.getActiveLanguageCodes(),
+    languageCache.getDefaultLanguageCode()
+  ]);
+  const sourceLang = detectLanguage(`${title}\n${body}`, activeLangs) || defaultLang;
+  await ScrapedArticle.updateOne(
+    { _id: scraped._id },
+    { $set: { 'conversion.detectedLanguage': sourceLang, 'conversion.step': 'translate' } }
+  );
+
+  // Translate
+  const translated = await translateArticleFields({
+    title: { [sourceLang]: title },
+    summary: { [sourceLang]: summarize(body) },
+    content: { [sourceLang]: body }
+  }, { generateAudio: conversion.generateAudio });
+
+  const toMap = (field) => new Map(
+    Object.entries(field || {}).filter(([lang, text]) => text && activeLangs.includes(lang))
+  );
+
+  // Create
+  await setStep(scraped, 'create');
+  const article = await Article.create({
+    title: toMap(translated.title),
+    summary: toMap(translated.summary),
+    content: toMap(translated.content),
+    audio: toMap(translated.audio),
+    audioMeta: new Map(Object.entries(translated.audioMeta || {})),
+    author: reporter._id,
+    category: category._id,
+    categoryAncestors: category.ancestors.map(a => a._id),
+    status: 'draft',
+    source: {
+      url: scraped.url,
+      scrapedArticle: scraped._id
+    }
+  });
+
+  // Link right away so a retry after a crash finds the draft
+  await ScrapedArticle.updateOne({ _id: scraped._id }, { $set: { articleId: article._id.toString() } });
+
+  try {
+    await ArticleRevision.record(article, { editor: conversion.requestedBy, action: 'create' });
+  } catch (error) {
+    console.error('Record revision error:', error);
+  }
+
+  await Promise.all([
+    Category.findByIdAndUpdate(category._id, { $inc: { articleCount: 1 } }),
+    User.findByIdAndUpdate(reporter._id, { $inc: { articlesCount: 1 } })
+  ]);
+
+  return article;
+};
+
+/**
+ * Convert queued items until the queue is empty
+ * @returns {Object} { converted, failed }
+ */
+const processQueue = async () => {
+  let converted = 0;
+  let failed = 0;
+
+  let scraped;
+  while ((scraped = await claimNext())) {
+    try {
+      const article = await convert(scraped);
+      await ScrapedArticle.updateOne({ _id: scraped._id }, {
+        $set: {
+          articleStatus: 'processed',
+          articleId: article._id.toString(),
+          processingError: null,
+          'conversion.step': null,
+          'conversion.finishedAt': new Date()
+        }
+      });
+      converted++;
+    } catch (error) {
+      console.error(`Scraped conversion error (${scraped._id}):`, error?.response?.data || error.message || error);
+
+      // Back to 'draft' so the item can be queued again after fixing the cause
+      const current = await ScrapedArticle.findById(scraped._id).select('conversion.step');
+      const step = current?.conversion?.step || 'clean';
+      await ScrapedArticle.updateOne({ _id: scraped._id }, {
+        $set: {
+          articleStatus: 'draft',
+          processingError: `${step}: ${error.message || 'Conversion failed'}`,
+          'conversion.step': null,
+          'conversion.finishedAt': new Date()
+        }
+      });
+      failed++;
+    }
+  }
+
+  return { converted, failed };
+};
+
+/**
+ * Run a single runner pass
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const recovered = await recoverStale();
+    if (recovered > 0) {
+      console.log(`📥 Re-queued ${recovered} stalled scraped conversion(s)`);
+    }
+
+    const { converted, failed } = await processQueue();
+    if (converted > 0 || failed > 0) {
+      console.log(`📥 Converted ${converted} scraped article(s) to drafts, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Scraped conversion runner error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the runner (first pass runs immediately to resume queued items)
+ */
+const start = (intervalMs = Number(process.env.SCRAPED_CONVERSION_INTERVAL_MS) || DEFAULT_INTERVAL) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop the runner
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  enqueue,
+  recoverStale,
+  processQueue,
+  tick,
+  start,
+  stop
+};
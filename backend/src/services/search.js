@@ -0,0 +1,253 @@
+/**
+ * Article Search Service
+ * Relevance-ranked full-text search over the per-language search documents,
+ * with highlighted snippets and facets (category, city, author, date)
+ */
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { toQueryText, highlight } = require('../utils/searchText');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SNIPPET_LENGTH = 220;
+const FACET_LIMIT = 20;
+
+// Date facet ranges, newest first
+const DATE_RANGES = [
+  { key: 'day', days: 1 },
+  { key: 'week', days: 7 },
+  { key: 'month', days: 30 },
+  { key: 'year', days: 365 }
+];
+
+// Helper to get value from Map or plain object
+const getLocalizedValue = (field, lang, fallbackLang = 'en') => {
+  if (!field) return '';
+  if (field instanceof Map) {
+    return field.get(lang) || field.get(fallbackLang) || [...field.values()][0] || '';
+  }
+  // Plain object (from lean query)
+  return field[lang] || field[fallbackLang] || Object.values(field)[0] || '';
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+/**
+ * Build the $match stage shared by results and facets
+ */
+const buildMatch = ({ queryText, category, city, author, from, to }) => {
+  const match = { status: 'published' };
+
+  // $text must be part of the first $match of the pipeline
+  if (queryText) match.$text = { $search: queryText };
+
+  if (category) {
+    const id = toObjectId(category);
+    match.$or = [{ category: id }, { categoryAncestors: id }];
+  }
+  if (city) match['location.city'] = city;
+  if (author) match.author = toObjectId(author);
+  if (from || to) {
+    match.publishedAt = {};
+    if (from) match.publishedAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      // Date-only values include the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setHours(23, 59, 59, 999);
+      match.publishedAt.$lte = end;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Turn $bucket output into cumulative "since" ranges
+ */
+const toDateFacets = (buckets, now) => {
+  const counts = {};
+  buckets.forEach(b => { counts[b._id instanceof Date ? b._id.getTime() : b._id] = b.count; });
+
+  let running = 0;
+  return DATE_RANGES.map(range => {
+    const since = new Date(now.getTime() - range.days * DAY);
+    running += counts[since.getTime()] || 0;
+    return { key: range.key, from: since.toISOString(), count: running };
+  });
+};
+
+/**
+ * Search published articles
+ * @param {Object} options
+ * @param {string} options.q - User query (any supported script); empty lists latest,
+ *   stopwords alone match nothing
+ * @param {string} options.lang - Response language
+ * @param {string} options.defaultLang - Fallback language
+ * @param {string} options.category - Category id (includes descendants)
+ * @param {string} options.city - City name as stored on articles
+ * @param {string} options.author - Author id
+ * @param {string} options.within - Date facet key (day | week | month | year)
+ * @param {string} options.from - Published on or after (ISO date)
+ * @param {string} options.to - Published on or before (ISO date)
+ * @returns {Object} { articles, facets, total }
+ */
+const searchArticles = async ({ q = '', lang, defaultLang, category, city, author, within, from, to, page = 1, limit = 20 }) => {
+  const queryText = toQueryText(q);
+  const now = new Date();
+
+  // A query of stopwords only matches nothing (not every article)
+  if (q.trim() && !queryText) {
+    return {
+      articles: [],
+      facets: { categories: [], cities: [], authors: [], dates: toDateFacets([], now) },
+      total: 0
+    };
+  }
+
+  const range = DATE_RANGES.find(r => r.key === within);
+  if (range) {
+    const since = new Date(now.getTime() - range.days * DAY);
+    if (!from || since > new Date(from)) from = since.toISOString();
+  }
+
+  const match = buildMatch({ queryText, category, city, author, from, to });
+
+  const sort = queryText
+    ? { score: -1, publishedAt: -1 }
+    : { publishedAt: -1 };
+
+  // $bucket boundaries must ascend: oldest range first, far future last
+  const boundaries = [...DATE_RANGES]
+    .reverse()
+    .map(range => new Date(now.getTime() - range.days * DAY));
+  boundaries.push(new Date(8640000000000000));
+
+  const [result] = await Article.aggregate([
+    { $match: match },
+    ...(queryText ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    {
+      $facet: {
+        results: [
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              title: 1,
+              summary: 1,
+              content: 1,
+              slug: 1,
+              featuredImage: 1,
+              category: 1,
+              author: 1,
+              tags: 1,
+              location: 1,
+              publishedAt: 1,
+              readingTime: 1,
+              engagement: 1,
+              isBreaking: 1,
+              score: 1
+            }
+          }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $match: { category: { $ne: null } } },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_LIMIT }
+        ],
+        cities: [
+          { $match: { 'location.city': { $nin: [null, ''] } } },
+          { $group: { _id: '$location.city', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_LIMIT }
+        ],
+        authors: [
+          { $group: { _id: '$author', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_LIMIT }
+        ],
+        dates: [
+          { $match: { publishedAt: { $type: 'date' } } },
+          { $bucket: { groupBy: '$publishedAt', boundaries, default: 'older', output: { count: { $sum: 1 } } } }
+        ]
+      }
+    }
+  ]);
+
+  // Resolve names for the ids used in results and facets
+  const categoryIds = new Set([
+    ...result.categories.map(c => c._id.toString()),
+    ...result.results.filter(a => a.category).map(a => a.category.toString())
+  ]);
+  const authorIds = new Set([
+    ...result.authors.map(a => a._id.toString()),
+    ...result.results.map(a => a.author.toString())
+  ]);
+
+  const [categories, authors] = await Promise.all([
+    Category.find({ _id: { $in: [...categoryIds] } }).select('name slug').lean(),
+    User.find({ _id: { $in: [...authorIds] } }).select('name avatar').lean()
+  ]);
+  const categoryMap = new Map(categories.map(c => [c._id.toString(), c]));
+  const authorMap = new Map(authors.map(a => [a._id.toString(), a]));
+
+  const localizeCategory = (id) => {
+    const category = id && categoryMap.get(id.toString());
+    return category
+      ? { _id: category._id, slug: category.slug, name: getLocalizedValue(category.name, lang, defaultLang) }
+      : null;
+  };
+
+  const articles = result.results.map(article => {
+    const title = getLocalizedValue(article.title, lang, defaultLang);
+    const summary = getLocalizedValue(article.summary, lang, defaultLang);
+    const content = getLocalizedValue(article.content, lang, defaultLang);
+
+    // Prefer a snippet from the summary when it contains a match
+    const summaryHighlight = highlight(summary, q, SNIPPET_LENGTH);
+    const snippet = summaryHighlight.some(s => s.match) || !content
+      ? summaryHighlight
+      : highlight(content, q, SNIPPET_LENGTH);
+
+    const { score, ...rest } = article;
+    delete rest.content;
+    return {
+      ...rest,
+      title,
+      summary,
+      category: localizeCategory(article.category),
+      author: authorMap.get(article.author.toString()) || null,
+      relevance: score || null,
+      highlights: {
+        title: highlight(title, q),
+        snippet
+      }
+    };
+  });
+
+  const facets = {
+    categories: result.categories
+      .map(c => ({ ...localizeCategory(c._id), count: c.count }))
+      .filter(c => c._id),
+    cities: result.cities.map(c => ({ name: c._id, count: c.count })),
+    authors: result.authors.map(a => ({
+      _id: a._id,
+      name: authorMap.get(a._id.toString())?.name || 'Unknown',
+      count: a.count
+    })),
+    dates: toDateFacets(result.dates, now)
+  };
+
+  return {
+    articles,
+    facets,
+    total: result.total[0]?.count || 0
+  };
+};
+
+module.exports = {
+  searchArticles
+};
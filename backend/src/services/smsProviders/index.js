@@ -0,0 +1,41 @@
+/**
+ * SMS Providers
+ * Every provider exposes the same interface:
+ *
+ *   name                 - Provider key
+ *   send(to, text)       - Resolves to { messageId }; `to` is E.164
+ *
+ * The active provider comes from SMS_PROVIDER (twilio | stub), defaulting
+ * to the logging stub.
+ */
+const twilio = require('./twilio');
+const stub = require('./stub');
+
+const providers = { twilio, stub };
+
+/**
+ * Get a provider by name (defaults to the configured one)
+ * @param {string} name - Provider key
+ */
+const getProvider = (name = process.env.SMS_PROVIDER) => {
+  return providers[name] || stub;
+};
+
+/**
+ * Register an additional provider (e.g. a local SMS gateway)
+ * @param {Object} provider - { name, send }
+ */
+const registerProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('An SMS provider needs a name and send()');
+  }
+  providers[provider.name] = provider;
+};
+
+const listProviders = () => Object.keys(providers);
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  listProviders
+};
@@ -0,0 +1,17 @@
+/**
+ * Stub SMS Provider
+ * For development and tests: messages are logged instead of sent, so OTP
+ * codes can be read from the server output
+ */
+const crypto = require('crypto');
+
+const send = async (to, text) => {
+  const messageId = `stub-${crypto.randomUUID()}`;
+  console.log(`📱 SMS to ${to}: ${text}`);
+  return { messageId };
+};
+
+module.exports = {
+  name: 'stub',
+  send
+};
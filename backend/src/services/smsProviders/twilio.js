@@ -0,0 +1,37 @@
+/**
+ * Twilio SMS Provider
+ * Sends through the Twilio Messages API (TWILIO_ACCOUNT_SID,
+ * TWILIO_AUTH_TOKEN and TWILIO_FROM, a number or messaging service SID)
+ */
+const axios = require('axios');
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+const send = async (to, text) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const from = process.env.TWILIO_FROM;
+  if (!accountSid || !process.env.TWILIO_AUTH_TOKEN || !from) {
+    throw new Error('Twilio is not configured');
+  }
+
+  const body = new URLSearchParams({ To: to, Body: text });
+  // Messaging service SIDs start with MG; anything else is a sender number
+  body.append(from.startsWith('MG') ? 'MessagingServiceSid' : 'From', from);
+
+  const response = await axios.post(
+    `${TWILIO_API_URL}/Accounts/${accountSid}/Messages.json`,
+    body.toString(),
+    {
+      auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    }
+  );
+
+  return { messageId: response.data.sid };
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
@@ -0,0 +1,194 @@
+/**
+ * Translation Service
+ * Machine translation through the configured provider (see
+ * translationProviders), backed by the translation memory and glossary,
+ * plus article narration (see audio). Shared by the translate endpoint and the
+ * scraped-article conversion pipeline.
+ */
+const TranslationMemory = require('../models/TranslationMemory');
+const languageCache = require('../utils/languageCache');
+const glossary = require('./glossary');
+const { getProvider } = require('./translationProviders');
+const sarvam = require('./translationProviders/sarvam');
+const { generateTTSForLanguage } = require('./audio');
+
+// Language names for providers that prompt in natural language
+async function languageNames(sourceLang, targetLang) {
+  const languages = await languageCache.getActiveLanguages();
+  const nameOf = (code) => languages.find(l => l.code === code)?.name || code;
+  return { sourceName: nameOf(sourceLang), targetName: nameOf(targetLang) };
+}
+
+// Memory problems must never stop a translation
+async function lookupMemory(hashes, options) {
+  try {
+    return await TranslationMemory.lookup(hashes, options);
+  } catch (error) {
+    console.error('Translation memory lookup error:', error);
+    return new Map();
+  }
+}
+
+async function storeMemory(entries, options) {
+  try {
+    await TranslationMemory.store(entries, options);
+  } catch (error) {
+    console.error('Translation memory store error:', error);
+  }
+}
+
+/**
+ * Translate text paragraph by paragraph. Paragraphs found in the
+ * translation memory are reused; the rest go to the provider with
+ * glossary terms protected, and are remembered afterwards.
+ * @param {string} text - Source text (paragraphs separated by blank lines)
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @param {Object} provider - Translation provider (defaults to the configured one)
+ * @param {Object} options - { onProgress(done, total) } called as paragraphs finish
+ * @returns {string} Translated text
+ */
+async function translateText(text, sourceLang, targetLang, provider = getProvider(), { onProgress } = {}) {
+  if (!text || !text.trim()) return '';
+  if (sourceLang === targetLang) return text;
+
+  const { terms, version } = await glossary.getGlossary();
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const hashes = paragraphs.map(p => TranslationMemory.hashText(p));
+
+  const memoryOptions = { sourceLang, targetLang, provider: provider.name, glossaryVersion: version };
+  const memory = await lookupMemory([...new Set(hashes)], memoryOptions);
+  const names = await languageNames(sourceLang, targetLang);
+  const fresh = [];
+
+  let done = hashes.filter(hash => memory.has(hash)).length;
+  if (onProgress) await onProgress(done, paragraphs.length);
+
+  for (let i = 0; i < paragraphs.length; i++) {
+    if (memory.has(hashes[i])) continue;
+
+    const { text: protectedText, slots } = glossary.protectTerms(paragraphs[i], sourceLang, terms);
+    const translated = await provider.translate(protectedText, sourceLang, targetLang, names);
+    const restored = glossary.restoreTerms(translated, slots, targetLang);
+
+    memory.set(hashes[i], restored);
+    fresh.push({ hash: hashes[i], sourceText: paragraphs[i], translatedText: restored });
+
+    done++;
+    if (onProgress) await onProgress(done, paragraphs.length);
+  }
+
+  await storeMemory(fresh, memoryOptions);
+
+  return hashes.map(hash => memory.get(hash)).join('\n\n');
+}
+
+async function translateField(text, sourceLang, targetLang, provider = getProvider(), options = {}) {
+  return translateText(text, sourceLang, targetLang, provider, options);
+}
+
+async function twoStepTranslateField(text, sourceLang, allLangs, provider = getProvider()) {
+  const result = {};
+  result[sourceLang] = text;
+
+  const targetLangs = allLangs.filter(l => l !== sourceLang);
+
+  // Pivot through English, which every provider translates best from
+  if (sourceLang !== 'en' && provider.supports('en')) {
+    const englishText = await translateField(text, sourceLang, 'en', provider);
+    if (allLangs.includes('en')) result['en'] = englishText;
+
+    const otherLangs = targetLangs.filter(l => l !== 'en');
+    for (const lang of otherLangs) {
+      result[lang] = await translateField(englishText, 'en', lang, provider);
+    }
+  } else {
+    for (const lang of targetLangs) {
+      result[lang] = await translateField(text, sourceLang, lang, provider);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Keep only the languages that have text
+ */
+const getFilledLangs = (obj) => {
+  if (!obj) return {};
+  const filled = {};
+  for (const [lang, text] of Object.entries(obj)) {
+    if (text && text.trim()) filled[lang] = text.trim();
+  }
+  return filled;
+};
+
+/**
+ * Fill every active language (that the provider supports) of
+ * title/summary/content from whichever language was provided, optionally
+ * generating audio for the content
+ * @param {Object} fields - { title, summary, content } as { lang: text } objects
+ * @param {Object} options - { generateAudio, languages }
+ * @returns {Object} { title, summary, content, audio, audioMeta } (only translated fields)
+ */
+async function translateArticleFields({ title, summary, content }, { generateAudio = false, languages = null } = {}) {
+  const provider = getProvider();
+  const allLangs = (languages || await languageCache.getActiveLanguageCodes())
+    .filter(code => provider.supports(code));
+  const result = {};
+
+  const translateMultilingual = async (filled, fieldName) => {
+    if (!Object.keys(filled).length) return;
+
+    const sourceLang = Object.keys(filled)[0];
+    const sourceText = filled[sourceLang];
+
+    const translated = await twoStepTranslateField(sourceText, sourceLang, allLangs, provider);
+
+    result[fieldName] = {};
+    for (const lang of allLangs) {
+      result[fieldName][lang] = filled[lang] || translated[lang] || '';
+    }
+  };
+
+  await translateMultilingual(getFilledLangs(title), 'title');
+  await translateMultilingual(getFilledLangs(summary), 'summary');
+  await translateMultilingual(getFilledLangs(content), 'content');
+
+  if (generateAudio && result.content) {
+    const audio = {};
+    const audioMeta = {};
+
+    for (const lang of allLangs) {
+      const text = result.content[lang];
+      if (!text || !sarvam.supports(lang)) continue;
+
+      try {
+        const narration = await generateTTSForLanguage(text, lang);
+        if (narration) {
+          const { url, ...meta } = narration;
+          audio[lang] = url;
+          audioMeta[lang] = meta;
+        }
+      } catch (ttsErr) {
+        console.error(`TTS failed for ${lang}:`, ttsErr.message, ttsErr.response?.data || '');
+      }
+    }
+
+    if (Object.keys(audio).length > 0) {
+      result.audio = audio;
+      result.audioMeta = audioMeta;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  translateText,
+  translateField,
+  twoStepTranslateField,
+  generateTTSForLanguage,
+  getFilledLangs,
+  translateArticleFields
+};
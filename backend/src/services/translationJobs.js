@@ -0,0 +1,333 @@
+/**
+ * Translation Jobs
+ * Runs editor translation requests in the background. A job is split into
+ * tasks - one per field and target language, plus one TTS task per
+ * language when audio is requested - so progress can be reported piece by
+ * piece and only the failed pieces need to run again on retry.
+ *
+ * Jobs live in MongoDB (status 'queued'), so they survive restarts and
+ * jobs left half-done by a crash are picked up again.
+ */
+const TranslationJob = require('../models/TranslationJob');
+const languageCache = require('../utils/languageCache');
+const { getProvider } = require('./translationProviders');
+const sarvam = require('./translationProviders/sarvam');
+const { translateField, generateTTSForLanguage, getFilledLangs } = require('./translation');
+
+const DEFAULT_INTERVAL = 5 * 1000; // 5 seconds
+const STALE_AFTER = 10 * 60 * 1000; // 10 minutes
+const PIVOT_LANG = 'en';
+const FIELDS = ['title', 'summary', 'content'];
+
+let timer = null;
+let running = false;
+
+/**
+ * Split a request into tasks. Each missing language is translated from
+ * the first filled language, pivoting through English when the source is
+ * not English (the same order as the synchronous translation).
+ * @returns {Object} { tasks, result }
+ */
+const planTasks = (fields, languages, provider, generateAudio) => {
+  const tasks = [];
+  const result = { title: {}, summary: {}, content: {}, audio: {}, audioMeta: {} };
+
+  FIELDS.forEach(field => {
+    const filled = getFilledLangs(fields[field]);
+    const sourceLangs = Object.keys(filled);
+    if (sourceLangs.length === 0) return;
+
+    result[field] = { ...filled };
+
+    const sourceLang = sourceLangs[0];
+    const missing = languages.filter(lang => !filled[lang]);
+    const pivot = sourceLang !== PIVOT_LANG && provider.supports(PIVOT_LANG) && missing.some(lang => lang !== PIVOT_LANG);
+
+    let from = sourceLang;
+    if (pivot) {
+      if (!filled[PIVOT_LANG]) {
+        tasks.push({ kind: 'translate', field, lang: PIVOT_LANG, from: sourceLang });
+      }
+      from = PIVOT_LANG;
+    }
+
+    missing
+      .filter(lang => !(pivot && lang === PIVOT_LANG))
+      .forEach(lang => {
+        tasks.push({ kind: 'translate', field, lang, from });
+      });
+  });
+
+  if (generateAudio && Object.keys(result.content).length > 0) {
+    languages
+      .filter(lang => sarvam.supports(lang))
+      .forEach(lang => tasks.push({ kind: 'tts', field: 'content', lang, from: lang }));
+  }
+
+  return { tasks, result };
+};
+
+/**
+ * Create a job for a translation request
+ * @param {Object} fields - { title, summary, content } as { lang: text } objects
+ * @param {Object} options - { generateAudio }
+ * @param {Object} user - User requesting the translation
+ * @returns {Object} TranslationJob
+ */
+const enqueue = async (fields, { generateAudio = false } = {}, user) => {
+  const provider = getProvider();
+  const languages = (await languageCache.getActiveLanguageCodes())
+    .filter(code => provider.supports(code));
+
+  const { tasks, result } = planTasks(fields, languages, provider, generateAudio);
+
+  const job = await TranslationJob.create({
+    createdBy: user._id,
+    provider: provider.name,
+    languages,
+    generateAudio,
+    tasks,
+    result,
+    // Nothing to translate (every language already filled)
+    status: tasks.length > 0 ? 'queued' : 'completed',
+    finishedAt: tasks.length > 0 ? undefined : new Date()
+  });
+
+  // Start right away instead of waiting for the next interval
+  if (tasks.length > 0) setImmediate(tick);
+
+  return job;
+};
+
+/**
+ * Queue the failed tasks of a finished job again
+ * @param {Object} job - TranslationJob
+ * @returns {Object} Updated job, or null when it is not in a retryable state
+ */
+const retry = async (job) => {
+  const failed = job.tasks
+    .map((task, index) => (task.status === 'failed' ? index : -1))
+    .filter(index => index !== -1);
+
+  if (job.status !== 'failed' || failed.length === 0) return null;
+
+  const $set = { status: 'queued', queuedAt: new Date(), startedAt: null, heartbeatAt: null, finishedAt: null };
+  failed.forEach(index => {
+    $set[`tasks.${index}.status`] = 'pending';
+    $set[`tasks.${index}.error`] = null;
+    $set[`tasks.${index}.chunks`] = { total: 0, done: 0 };
+  });
+
+  // Guard on status so two retries cannot both queue the job
+  const updated = await TranslationJob.findOneAndUpdate(
+    { _id: job._id, status: 'failed' },
+    { $set },
+    { new: true }
+  );
+
+  if (updated) setImmediate(tick);
+
+  return updated;
+};
+
+/**
+ * Put jobs whose worker died mid-run back in the queue
+ * @param {Date} now - Reference time
+ * @returns {number} Number of recovered jobs
+ */
+const recoverStale = async (now = new Date()) => {
+  const result = await TranslationJob.updateMany(
+    { status: 'running', heartbeatAt: { $lte: new Date(now.getTime() - STALE_AFTER) } },
+    { $set: { status: 'queued', startedAt: null, heartbeatAt: null } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Claim the oldest queued job with an atomic update so that several
+ * backend instances never run the same job twice
+ */
+const claimNext = () => TranslationJob.findOneAndUpdate(
+  { status: 'queued' },
+  { $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date() }, $inc: { attempts: 1 } },
+  { new: true, sort: { queuedAt: 1 } }
+);
+
+/**
+ * Apply changes to one task, in memory and in the database. Every update
+ * doubles as a heartbeat so long jobs are not mistaken for stalled ones.
+ */
+const updateTask = async (job, index, changes, extra = {}) => {
+  const $set = { ...extra, heartbeatAt: new Date() };
+  Object.entries(changes).forEach(([key, value]) => {
+    job.tasks[index][key] = value;
+    $set[`tasks.${index}.${key}`] = value;
+  });
+  await TranslationJob.updateOne({ _id: job._id }, { $set });
+};
+
+/**
+ * Run one task and store its output in the job result
+ */
+const runTask = async (job, index, provider) => {
+  const task = job.tasks[index];
+  const text = job.result?.[task.field]?.[task.from];
+
+  if (!text || !text.trim()) {
+    throw new Error(task.kind === 'tts'
+      ? `No ${task.lang} content to narrate`
+      : `No ${task.from} ${task.field} to translate from`);
+  }
+
+  const onProgress = (done, total) => updateTask(job, index, { chunks: { total, done } });
+
+  const output = task.kind === 'tts'
+    ? await generateTTSForLanguage(text, task.lang, { onProgress })
+    : await translateField(text, task.from, task.lang, provider, { onProgress });
+
+  if (!output) {
+    throw new Error(task.kind === 'tts' ? 'No audio was generated' : 'Empty translation');
+  }
+
+  const results = {};
+  if (task.kind === 'tts') {
+    const { url, ...meta } = output;
+    results.audio = url;
+    results.audioMeta = meta;
+  } else {
+    results[task.field] = output;
+  }
+
+  const $set = {};
+  Object.entries(results).forEach(([key, value]) => {
+    job.result[key] = { ...job.result[key], [task.lang]: value };
+    $set[`result.${key}.${task.lang}`] = value;
+  });
+  await updateTask(job, index, { status: 'done', error: null, finishedAt: new Date() }, $set);
+};
+
+/**
+ * Run the unfinished tasks of a claimed job in order
+ * @param {Object} job - Claimed TranslationJob
+ * @returns {Object} { done, failed } task counts for this run
+ */
+const processJob = async (job) => {
+  const provider = getProvider(job.provider);
+  let done = 0;
+  let failed = 0;
+
+  for (let index = 0; index < job.tasks.length; index++) {
+    // 'running' tasks were interrupted by a crash
+    if (!['pending', 'running'].includes(job.tasks[index].status)) continue;
+
+    await updateTask(job, index, {
+      status: 'running',
+      attempts: (job.tasks[index].attempts || 0) + 1,
+      startedAt: new Date()
+    });
+
+    try {
+      await runTask(job, index, provider);
+      done++;
+    } catch (error) {
+      const task = job.tasks[index];
+      console.error(`Translation job ${job._id} ${task.kind} ${task.field}/${task.lang} error:`,
+        error?.response?.data || error.message || error);
+
+      await updateTask(job, index, {
+        status: 'failed',
+        error: error.message || 'Task failed',
+        finishedAt: new Date()
+      });
+      failed++;
+    }
+  }
+
+  const anyFailed = job.tasks.some(task => task.status === 'failed');
+  await TranslationJob.updateOne({ _id: job._id }, {
+    $set: { status: anyFailed ? 'failed' : 'completed', finishedAt: new Date() }
+  });
+
+  return { done, failed };
+};
+
+/**
+ * Run queued jobs until the queue is empty
+ * @returns {Object} { completed, failed } job counts
+ */
+const processQueue = async () => {
+  let completed = 0;
+  let failed = 0;
+
+  let job;
+  while ((job = await claimNext())) {
+    try {
+      const result = await processJob(job);
+      if (result.failed > 0) failed++;
+      else completed++;
+    } catch (error) {
+      console.error(`Translation job ${job._id} error:`, error);
+      await TranslationJob.updateOne({ _id: job._id }, {
+        $set: { status: 'failed', finishedAt: new Date() }
+      });
+      failed++;
+    }
+  }
+
+  return { completed, failed };
+};
+
+/**
+ * Run a single worker pass
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const recovered = await recoverStale();
+    if (recovered > 0) {
+      console.log(`🌐 Re-queued ${recovered} stalled translation job(s)`);
+    }
+
+    const { completed, failed } = await processQueue();
+    if (completed > 0 || failed > 0) {
+      console.log(`🌐 Finished ${completed} translation job(s), ${failed} with failures`);
+    }
+  } catch (error) {
+    console.error('Translation job worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the worker (first pass runs immediately to resume queued jobs)
+ */
+const start = (intervalMs = Number(process.env.TRANSLATION_JOB_INTERVAL_MS) || DEFAULT_INTERVAL) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop the worker
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  enqueue,
+  retry,
+  recoverStale,
+  processQueue,
+  tick,
+  start,
+  stop
+};
@@ -0,0 +1,44 @@
+/**
+ * Translation Providers
+ * Every provider exposes the same interface:
+ *
+ *   name                                   - Provider key
+ *   supports(code)                         - Whether it can translate a language
+ *   translate(text, sourceLang, targetLang, { sourceName, targetName })
+ *                                          - Resolves to the translated text
+ *
+ * The active provider comes from TRANSLATE_PROVIDER (sarvam | openai | stub),
+ * falling back to the older TRANSLATE_TYPE switch and then OpenAI.
+ */
+const sarvam = require('./sarvam');
+const openai = require('./openai');
+const stub = require('./stub');
+
+const providers = { sarvam, openai, stub };
+
+/**
+ * Get a provider by name (defaults to the configured one)
+ * @param {string} name - Provider key
+ */
+const getProvider = (name = process.env.TRANSLATE_PROVIDER || process.env.TRANSLATE_TYPE) => {
+  return providers[name] || openai;
+};
+
+/**
+ * Register an additional provider (e.g. a new vendor)
+ * @param {Object} provider - { name, supports, translate }
+ */
+const registerProvider = (provider) => {
+  if (!provider?.name || typeof provider.translate !== 'function' || typeof provider.supports !== 'function') {
+    throw new Error('A translation provider needs a name, supports() and translate()');
+  }
+  providers[provider.name] = provider;
+};
+
+const listProviders = () => Object.keys(providers);
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  listProviders
+};
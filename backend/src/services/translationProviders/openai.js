@@ -0,0 +1,45 @@
+/**
+ * OpenAI Translation Provider
+ * General-purpose translation through a chat model; works for any language
+ * with a name in the Language collection
+ */
+const OpenAI = require('openai');
+
+let client = null;
+
+// Created on first use so other providers work without an OpenAI key
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPEN_API_KEY });
+  }
+  return client;
+};
+
+const supports = () => true;
+
+const translate = async (text, sourceLang, targetLang, { targetName } = {}) => {
+  if (!text || !text.trim()) return '';
+
+  const completion = await getClient().chat.completions.create({
+    model: process.env.OPENAI_TRANSLATE_MODEL || 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a professional translator. Translate the given text accurately while preserving meaning, tone, and formatting. Keep placeholders like [[G0]] exactly as they are. Return ONLY the translated text, nothing else.'
+      },
+      {
+        role: 'user',
+        content: `Translate the following text to ${targetName || targetLang}:\n\n${text}`
+      }
+    ],
+    temperature: 0.3
+  });
+
+  return completion.choices[0]?.message?.content?.trim() || '';
+};
+
+module.exports = {
+  name: 'openai',
+  supports,
+  translate
+};
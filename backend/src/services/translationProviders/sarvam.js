@@ -0,0 +1,52 @@
+/**
+ * Sarvam Translation Provider
+ * Indian-language translation through the Sarvam `mayura` model
+ */
+const axios = require('axios');
+const { chunkText } = require('../../utils/textCleaner');
+
+const SARVAM_API_URL = 'https://api.sarvam.ai';
+const SARVAM_TRANSLATE_LIMIT = 1000;
+
+// Languages Sarvam translates; our codes that differ map to Sarvam's
+const SARVAM_LANGUAGES = ['bn', 'en', 'gu', 'hi', 'kn', 'ml', 'mr', 'od', 'pa', 'ta', 'te'];
+const CODE_ALIASES = { or: 'od' };
+
+/**
+ * Sarvam locale for a language code (e.g. te -> te-IN)
+ */
+const sarvamLanguageCode = (code) => `${CODE_ALIASES[code] || code}-IN`;
+
+const supports = (code) => SARVAM_LANGUAGES.includes(CODE_ALIASES[code] || code);
+
+const translate = async (text, sourceLang, targetLang) => {
+  if (!text || !text.trim()) return '';
+
+  const chunks = chunkText(text, SARVAM_TRANSLATE_LIMIT);
+  const translated = [];
+
+  for (const chunk of chunks) {
+    if (!chunk || !chunk.trim()) { translated.push(''); continue; }
+
+    const { data } = await axios.post(`${SARVAM_API_URL}/translate`, {
+      input: chunk,
+      source_language_code: sarvamLanguageCode(sourceLang),
+      target_language_code: sarvamLanguageCode(targetLang),
+      model: 'mayura:v1'
+    }, {
+      headers: { 'api-subscription-key': process.env.SARVAM_API_KEY }
+    });
+
+    translated.push(data.translated_text || '');
+  }
+
+  return translated.join(' ');
+};
+
+module.exports = {
+  name: 'sarvam',
+  supports,
+  translate,
+  SARVAM_API_URL,
+  sarvamLanguageCode
+};
@@ -0,0 +1,18 @@
+/**
+ * Stub Translation Provider
+ * Deterministic, offline "translation" for development and tests: the text
+ * comes back unchanged with a target-language tag, so results are stable
+ * and no API key or network access is needed.
+ */
+const supports = () => true;
+
+const translate = async (text, sourceLang, targetLang) => {
+  if (!text || !text.trim()) return '';
+  return `[${targetLang}] ${text}`;
+};
+
+module.exports = {
+  name: 'stub',
+  supports,
+  translate
+};
@@ -0,0 +1,286 @@
+/**
+ * Trending
+ * Scores articles by how fast they are gathering attention rather than by
+ * their lifetime totals. Views, likes, shares and comments inside a window
+ * are weighted by type and by how recent each one is (velocity), then
+ * divided by a gravity term on the article's age so a story published
+ * early in the day cannot hold the top spot on stale traffic.
+ *
+ * Scores are materialized into TrendingScore per window on a timer, so
+ * the trending endpoint is a single indexed read.
+ */
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const City = require('../models/City');
+const Comment = require('../models/Comment');
+const Engagement = require('../models/Engagement');
+const TrendingScore = require('../models/TrendingScore');
+const languageCache = require('../utils/languageCache');
+
+const DEFAULT_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const HOUR = 60 * 60 * 1000;
+
+// Supported windows in hours
+const WINDOWS = {
+  '1h': 1,
+  '6h': 6,
+  '24h': 24,
+  '7d': 7 * 24
+};
+const DEFAULT_WINDOW = '24h';
+
+// How much one event of each kind is worth
+const EVENT_WEIGHTS = {
+  view: 1,
+  like: 3,
+  comment: 4,
+  share: 5
+};
+
+// An event loses half its weight after a quarter of the window
+const HALF_LIFE_FRACTION = 0.25;
+// Age penalty: score / (age + 2) ^ GRAVITY, with age measured in
+// 1/24ths of the window so every window decays at the same pace
+const GRAVITY = 1.5;
+
+let timer = null;
+let running = false;
+
+// Escape user input for use in a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const COUNT_FIELDS = {
+  view: 'views',
+  like: 'likes',
+  share: 'shares',
+  comment: 'comments'
+};
+
+/**
+ * Time-decayed event totals per article inside a window
+ * @returns {Map} articleId -> { points, counts }
+ */
+const collectActivity = async (windowHours, now) => {
+  const since = new Date(now.getTime() - windowHours * HOUR);
+  const halfLife = windowHours * HALF_LIFE_FRACTION * HOUR;
+  const decayed = { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLife] }] };
+
+  const [engagements, comments] = await Promise.all([
+    Engagement.aggregate([
+      { $match: { type: { $in: ['view', 'like', 'share'] }, createdAt: { $gte: since, $lte: now } } },
+      {
+        $group: {
+          _id: { article: '$article', type: '$type' },
+          count: { $sum: 1 },
+          decayed: { $sum: decayed }
+        }
+      }
+    ]),
+    Comment.aggregate([
+      { $match: { status: 'approved', createdAt: { $gte: since, $lte: now } } },
+      {
+        $group: {
+          _id: { article: '$article', type: 'comment' },
+          count: { $sum: 1 },
+          decayed: { $sum: decayed }
+        }
+      }
+    ])
+  ]);
+
+  const activity = new Map();
+  [...engagements, ...comments].forEach(({ _id, count, decayed: weight }) => {
+    const id = _id.article.toString();
+    if (!activity.has(id)) {
+      activity.set(id, { points: 0, counts: { views: 0, likes: 0, shares: 0, comments: 0 } });
+    }
+    const entry = activity.get(id);
+    entry.points += EVENT_WEIGHTS[_id.type] * weight;
+    entry.counts[COUNT_FIELDS[_id.type]] += count;
+  });
+
+  return activity;
+};
+
+/**
+ * Trending score from decayed activity points and article age
+ * @param {number} points - Weighted, time-decayed activity
+ * @param {number} ageHours - Hours since the article was published
+ * @param {number} windowHours - Window length
+ */
+const computeScore = (points, ageHours, windowHours) => {
+  const age = Math.max(0, ageHours) * (24 / windowHours);
+  return points / Math.pow(age + 2, GRAVITY);
+};
+
+/**
+ * Recompute and store the scores of one window
+ * @returns {number} Number of scored articles
+ */
+const refreshWindow = async (window, now = new Date()) => {
+  const windowHours = WINDOWS[window];
+  const activity = await collectActivity(windowHours, now);
+
+  const articles = await Article.find({
+    _id: { $in: [...activity.keys()] },
+    status: 'published',
+    publishedAt: { $lte: now }
+  })
+    .select('publishedAt city location.city category categoryAncestors')
+    .lean();
+
+  const operations = articles.map(article => {
+    const { points, counts } = activity.get(article._id.toString());
+    const ageHours = (now - new Date(article.publishedAt)) / HOUR;
+    const cityName = article.location?.city?.trim().toLowerCase() || null;
+
+    return {
+      updateOne: {
+        filter: { article: article._id, window },
+        update: {
+          $set: {
+            score: computeScore(points, ageHours, windowHours),
+            counts,
+            city: article.city || null,
+            cityName,
+            categories: [article.category, ...(article.categoryAncestors || [])].filter(Boolean),
+            publishedAt: article.publishedAt,
+            computedAt: now
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await TrendingScore.bulkWrite(operations, { ordered: false });
+  }
+
+  // Articles with no activity left in the window (or unpublished) drop out
+  await TrendingScore.deleteMany({ window, computedAt: { $lt: now } });
+
+  return operations.length;
+};
+
+/**
+ * Recompute every window
+ */
+const refreshAll = async (now = new Date()) => {
+  const counts = {};
+  for (const window of Object.keys(WINDOWS)) {
+    counts[window] = await refreshWindow(window, now);
+  }
+  return counts;
+};
+
+/**
+ * Score filter for a city given by id or by any of its localized names.
+ * Articles resolved to the city match by id; articles that were not
+ * resolved to any city fall back to their free-text city name.
+ */
+const cityFilter = async (city) => {
+  const name = String(city).trim();
+  let doc = null;
+  if (mongoose.isValidObjectId(city)) {
+    doc = await City.findById(city).select('name').lean();
+  } else {
+    const codes = await languageCache.getActiveLanguageCodes();
+    const nameRegex = new RegExp(`^${escapeRegex(name)}$`, 'i');
+    doc = await City.findOne({
+      $or: codes.map(code => ({ [`name.${code}`]: nameRegex }))
+    }).select('name').lean();
+  }
+
+  if (!doc) return { cityName: name.toLowerCase() };
+  const names = Object.values(doc.name || {}).map(n => n.trim().toLowerCase());
+  return {
+    $or: [
+      { city: doc._id },
+      { city: null, cityName: { $in: names } }
+    ]
+  };
+};
+
+/**
+ * Trending articles from the materialized scores
+ * @param {Object} options - { window, city, category, limit }
+ * @returns {Array} Lean articles with a `trending` { score, counts } field
+ */
+const getTrending = async ({ window = DEFAULT_WINDOW, city, category, limit = 10 }) => {
+  const query = { window };
+  if (city) Object.assign(query, await cityFilter(city));
+  if (category) query.categories = category;
+
+  const scores = await TrendingScore.find(query)
+    .sort({ score: -1 })
+    .limit(limit)
+    .lean();
+
+  const articles = await Article.find({
+    _id: { $in: scores.map(s => s.article) },
+    status: 'published'
+  })
+    .select('title slug featuredImage engagement publishedAt author category location.city')
+    .populate('author', 'name avatar')
+    .populate('category', 'name slug')
+    .lean();
+
+  const byId = new Map(articles.map(a => [a._id.toString(), a]));
+
+  return scores
+    .filter(s => byId.has(s.article.toString()))
+    .map(s => ({
+      ...byId.get(s.article.toString()),
+      trending: { score: s.score, counts: s.counts }
+    }));
+};
+
+/**
+ * Run a single refresh pass
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await refreshAll();
+  } catch (error) {
+    console.error('Trending refresh error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start refreshing scores (first pass runs immediately)
+ */
+const start = (intervalMs = Number(process.env.TRENDING_INTERVAL_MS) || DEFAULT_INTERVAL) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop refreshing scores
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  WINDOWS,
+  DEFAULT_WINDOW,
+  computeScore,
+  refreshWindow,
+  refreshAll,
+  getTrending,
+  tick,
+  start,
+  stop
+};
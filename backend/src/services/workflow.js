@@ -0,0 +1,250 @@
+/**
+ * Editorial Workflow Service
+ * Moves pending articles through the configured review steps, assigns
+ * reviewers scoped by their assigned categories and records every
+ * transition in the audit trail
+ */
+const Article = require('../models/Article');
+const User = require('../models/User');
+const Workflow = require('../models/Workflow');
+const ArticleTransition = require('../models/ArticleTransition');
+
+/**
+ * Record a transition in the audit trail
+ */
+const recordTransition = async (article, actor, data) => {
+  return ArticleTransition.create({
+    article: article._id,
+    actor: actor?._id || null,
+    ...data
+  });
+};
+
+const idEquals = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Pick a reviewer for a step: reviewers whose assigned categories cover the
+ * article are preferred over general reviewers (no assigned categories).
+ * Among the pool, the one with the fewest open reviews wins.
+ * @returns {ObjectId|null}
+ */
+const findReviewer = async (article, stepKey) => {
+  const categoryIds = [article.category, ...(article.categoryAncestors || [])].filter(Boolean);
+
+  const candidates = await User.find({
+    isActive: true,
+    role: { $in: ['reporter', 'admin'] },
+    reviewSteps: stepKey,
+    _id: { $ne: article.author }
+  })
+    .select('_id assignedCategories')
+    .lean();
+
+  const scoped = candidates.filter(u =>
+    (u.assignedCategories || []).some(c => categoryIds.some(id => idEquals(id, c)))
+  );
+  const general = candidates.filter(u => !u.assignedCategories || u.assignedCategories.length === 0);
+  const pool = scoped.length > 0 ? scoped : general;
+
+  if (pool.length === 0) return null;
+
+  const loads = await Article.aggregate([
+    {
+      $match: {
+        'workflow.state': 'in_review',
+        'workflow.assignedTo': { $in: pool.map(u => u._id) }
+      }
+    },
+    { $group: { _id: '$workflow.assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  const loadMap = {};
+  loads.forEach(l => { loadMap[l._id.toString()] = l.count; });
+
+  pool.sort((a, b) => (loadMap[a._id.toString()] || 0) - (loadMap[b._id.toString()] || 0));
+  return pool[0]._id;
+};
+
+/**
+ * Check whether a user may act on the article's current review step
+ */
+const canReview = (user, article) => {
+  if (!user || article.workflow?.state !== 'in_review') return false;
+  if (user.role === 'admin') return true;
+  return idEquals(article.workflow.assignedTo, user._id);
+};
+
+/**
+ * Start review for an article that has just become pending
+ * @param {Document} article - Article document (status already 'pending')
+ * @param {Object} actor - User submitting
+ * @param {string} fromStatus - Status before submission
+ */
+const startReview = async (article, actor, fromStatus = 'draft') => {
+  const steps = await Workflow.getSteps();
+  const firstStep = steps[0];
+  const assignedTo = await findReviewer(article, firstStep.key);
+
+  article.workflow.state = 'in_review';
+  article.workflow.step = firstStep.key;
+  article.workflow.assignedTo = assignedTo;
+  await article.save();
+
+  await recordTransition(article, actor, {
+    action: 'submit',
+    fromStatus,
+    toStatus: 'pending',
+    toStep: firstStep.key,
+    assignedTo
+  });
+
+  return article;
+};
+
+/**
+ * Approve the current step - advances to the next step, or completes
+ * the workflow and publishes (unless a future publish time is scheduled)
+ */
+const approveStep = async (article, actor, { note } = {}) => {
+  const steps = await Workflow.getSteps();
+  const currentIndex = steps.findIndex(s => s.key === article.workflow.step);
+  const nextStep = currentIndex >= 0 ? steps[currentIndex + 1] : null;
+  const fromStep = article.workflow.step;
+
+  if (nextStep) {
+    const assignedTo = await findReviewer(article, nextStep.key);
+    article.workflow.step = nextStep.key;
+    article.workflow.assignedTo = assignedTo;
+    await article.save();
+
+    await recordTransition(article, actor, {
+      action: 'approve',
+      fromStatus: 'pending',
+      toStatus: 'pending',
+      fromStep,
+      toStep: nextStep.key,
+      assignedTo,
+      note
+    });
+
+    return article;
+  }
+
+  // Final step approved
+  article.workflow.state = 'approved';
+  article.workflow.step = null;
+  article.workflow.assignedTo = null;
+
+  const scheduled = article.publishAt && article.publishAt > new Date();
+  if (!scheduled) {
+    article.status = 'published';
+    article.publishedAt = new Date();
+    article.publishAt = null;
+  }
+  await article.save();
+
+  await recordTransition(article, actor, {
+    action: 'approve',
+    fromStatus: 'pending',
+    toStatus: article.status,
+    fromStep,
+    note
+  });
+
+  if (!scheduled) {
+    await recordTransition(article, actor, {
+      action: 'publish',
+      fromStatus: 'pending',
+      toStatus: 'published'
+    });
+  }
+
+  return article;
+};
+
+/**
+ * Reject the current step - sends the article back to the reporter
+ * as a draft with the reason and inline notes
+ */
+const rejectStep = async (article, actor, { reason, notes = [] }) => {
+  const fromStep = article.workflow.step;
+
+  article.status = 'draft';
+  article.workflow.state = 'rejected';
+  article.workflow.step = null;
+  article.workflow.assignedTo = null;
+  article.workflow.lastRejection = {
+    reason,
+    step: fromStep,
+    by: actor._id,
+    at: new Date(),
+    notes
+  };
+  await article.save();
+
+  await recordTransition(article, actor, {
+    action: 'reject',
+    fromStatus: 'pending',
+    toStatus: 'draft',
+    fromStep,
+    note: reason,
+    notes
+  });
+
+  return article;
+};
+
+/**
+ * Manually (re)assign the current step to a reviewer
+ */
+const assignReviewer = async (article, actor, reviewerId) => {
+  article.workflow.assignedTo = reviewerId;
+  await article.save();
+
+  await recordTransition(article, actor, {
+    action: 'assign',
+    fromStatus: article.status,
+    toStatus: article.status,
+    fromStep: article.workflow.step,
+    toStep: article.workflow.step,
+    assignedTo: reviewerId
+  });
+
+  return article;
+};
+
+/**
+ * Handle a direct status change outside the review steps (admin override,
+ * archive, restore to draft). Pending restarts the review.
+ */
+const applyStatusChange = async (article, actor, fromStatus) => {
+  if (article.status === 'pending' && fromStatus !== 'pending') {
+    return startReview(article, actor, fromStatus);
+  }
+
+  if (article.status !== 'pending') {
+    article.workflow.state = article.status === 'published' ? 'approved' : null;
+    article.workflow.step = null;
+    article.workflow.assignedTo = null;
+    await article.save();
+  }
+
+  await recordTransition(article, actor, {
+    action: article.status === 'published' ? 'publish' : 'status',
+    fromStatus,
+    toStatus: article.status
+  });
+
+  return article;
+};
+
+module.exports = {
+  recordTransition,
+  findReviewer,
+  canReview,
+  startReview,
+  approveStep,
+  rejectStep,
+  assignReviewer,
+  applyStatusChange
+};
@@ -0,0 +1,207 @@
+/**
+ * Feed Formats
+ * Serializes a normalized feed into RSS 2.0, Atom 1.0 and JSON Feed 1.1
+ *
+ * Feed shape:
+ * {
+ *   title, description, link, feedUrl, language, updated, generator,
+ *   items: [{ id, url, title, summary, contentHtml, published, updated,
+ *             author, categories, image, enclosures: [{ url, type, length }] }]
+ * }
+ */
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+/**
+ * Guess a MIME type from a URL's file extension
+ * @param {string} url - Media URL
+ * @param {string} fallback - Type used when the extension is unknown
+ */
+const guessMimeType = (url, fallback = 'application/octet-stream') => {
+  const match = (url || '').split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+  return (match && MIME_TYPES[match[1].toLowerCase()]) || fallback;
+};
+
+const escapeXml = (value) => String(value ?? '')
+  // Strip characters that are not allowed in XML 1.0
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA sections cannot contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/**
+ * Convert plain-text article content into simple HTML paragraphs
+ */
+const textToHtml = (text) => {
+  if (!text) return '';
+  return text
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeXml(paragraph).replace(/\n/g, '<br/>')}</p>`)
+    .join('\n');
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+/**
+ * Render an RSS 2.0 document. RSS allows one enclosure per item, so the
+ * audio edition wins; images are also exposed through Media RSS.
+ */
+const renderRss = (feed) => {
+  const items = feed.items.map(item => {
+    const audio = item.enclosures.find(e => e.type.startsWith('audio/'));
+    const enclosure = audio || item.enclosures[0];
+
+    return [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <pubDate>${toDate(item.published).toUTCString()}</pubDate>`,
+      item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+      ...item.categories.map(c => `      <category>${escapeXml(c)}</category>`),
+      `      <description>${cdata(item.summary)}</description>`,
+      item.contentHtml ? `      <content:encoded>${cdata(item.contentHtml)}</content:encoded>` : null,
+      enclosure
+        ? `      <enclosure url="${escapeXml(enclosure.url)}" length="${enclosure.length || 0}" type="${escapeXml(enclosure.type)}"/>`
+        : null,
+      item.image
+        ? `      <media:content url="${escapeXml(item.image)}" medium="image" type="${escapeXml(guessMimeType(item.image, 'image/jpeg'))}"/>`
+        : null,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <language>${escapeXml(feed.language)}</language>`,
+    `    <lastBuildDate>${toDate(feed.updated).toUTCString()}</lastBuildDate>`,
+    `    <generator>${escapeXml(feed.generator)}</generator>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Render an Atom 1.0 document (multiple enclosure links per entry)
+ */
+const renderAtom = (feed) => {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title type="text">${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <published>${toDate(item.published).toISOString()}</published>`,
+    `    <updated>${toDate(item.updated || item.published).toISOString()}</updated>`,
+    item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+    ...item.categories.map(c => `    <category term="${escapeXml(c)}"/>`),
+    `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+    item.contentHtml ? `    <content type="html">${escapeXml(item.contentHtml)}</content>` : null,
+    ...item.enclosures.map(e =>
+      `    <link rel="enclosure" type="${escapeXml(e.type)}" href="${escapeXml(e.url)}"${e.length ? ` length="${e.length}"` : ''}/>`
+    ),
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${toDate(feed.updated).toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <generator>${escapeXml(feed.generator)}</generator>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Render a JSON Feed 1.1 document
+ */
+const renderJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.link,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  language: feed.language,
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary || undefined,
+    content_html: item.contentHtml || undefined,
+    image: item.image || undefined,
+    date_published: toDate(item.published).toISOString(),
+    date_modified: toDate(item.updated || item.published).toISOString(),
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories.length > 0 ? item.categories : undefined,
+    attachments: item.enclosures.length > 0
+      ? item.enclosures.map(e => ({
+        url: e.url,
+        mime_type: e.type,
+        size_in_bytes: e.length || undefined
+      }))
+      : undefined
+  }))
+});
+
+const renderers = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+/**
+ * Render a feed in the requested format
+ * @param {string} format - rss | atom | json
+ * @param {Object} feed - Normalized feed
+ */
+const renderFeed = (format, feed) => renderers[format](feed);
+
+module.exports = {
+  FORMATS,
+  guessMimeType,
+  textToHtml,
+  renderFeed,
+  renderRss,
+  renderAtom,
+  renderJsonFeed
+};
@@ -0,0 +1,37 @@
+/**
+ * Geo Helpers
+ * Distances between GeoJSON [longitude, latitude] points
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Whether a value is a usable [lng, lat] pair ([0, 0] is the schema default,
+ * not a real location)
+ */
+const isValidPoint = (coordinates) => Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every(Number.isFinite) &&
+  !(coordinates[0] === 0 && coordinates[1] === 0);
+
+/**
+ * Great-circle (haversine) distance in kilometres
+ * @param {number[]} a - [lng, lat]
+ * @param {number[]} b - [lng, lat]
+ * @returns {number}
+ */
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  isValidPoint,
+  distanceKm
+};
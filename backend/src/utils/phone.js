@@ -0,0 +1,46 @@
+/**
+ * Phone Number Utilities
+ * Numbers are stored in E.164 form (+<country code><number>). Readers type
+ * them however they like, so local Indian formats are accepted too.
+ */
+
+// Country code for numbers typed without one
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || '91';
+
+/**
+ * Normalize a phone number to E.164
+ * "98765 43210", "098765-43210", "+91 98765 43210" -> "+919876543210"
+ * @param {string} input - Phone number as typed
+ * @returns {string|null} E.164 number, or null when it is not a phone number
+ */
+const normalizePhone = (input) => {
+  if (!input) return null;
+  const raw = String(input).trim();
+  if (!/^[+\d\s().-]+$/.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.length === 11 && digits.startsWith('0')) {
+    digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+  } else if (digits.length === 10) {
+    digits = DEFAULT_COUNTRY_CODE + digits;
+  }
+
+  return /^\d{8,15}$/.test(digits) ? `+${digits}` : null;
+};
+
+/**
+ * Mask a phone number for display and logs (+91******3210)
+ */
+const maskPhone = (phone) => {
+  if (!phone) return '';
+  return phone.slice(0, 3) + '*'.repeat(Math.max(phone.length - 7, 0)) + phone.slice(-4);
+};
+
+module.exports = {
+  normalizePhone,
+  maskPhone
+};
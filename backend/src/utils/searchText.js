@@ -0,0 +1,199 @@
+/**
+ * Search Text Analysis
+ * Unicode-aware tokenization, stopwords and light stemming for English,
+ * Hindi and Telugu, plus snippet highlighting.
+ *
+ * MongoDB's text search has no Hindi or Telugu analyzer, so articles are
+ * indexed with pre-analyzed terms (see Article `search`) and queries go
+ * through the same analysis before reaching `$text`.
+ */
+
+// Letters plus combining marks keep Indic syllables (matras, virama) intact
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Zero-width joiners only affect rendering of Indic conjuncts
+const ZERO_WIDTH = /[\u200B-\u200D\uFEFF]/g;
+
+const STOPWORDS = {
+  en: new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+    'he', 'her', 'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that',
+    'the', 'their', 'they', 'this', 'to', 'was', 'were', 'will', 'with'
+  ]),
+  hi: new Set([
+    'का', 'के', 'की', 'है', 'हैं', 'में', 'से', 'को', 'और', 'पर', 'यह', 'वह', 'था', 'थे',
+    'थी', 'एक', 'भी', 'तो', 'ही', 'लिए', 'ने', 'कि', 'जो', 'हो', 'गया', 'गई', 'किया',
+    'कर', 'इस', 'उस', 'नहीं', 'या', 'तक'
+  ]),
+  te: new Set([
+    'మరియు', 'ఈ', 'ఆ', 'ఒక', 'కూడా', 'అని', 'మీద', 'కోసం', 'వారు', 'ఇది', 'అది',
+    'నుంచి', 'నుండి', 'చేసి', 'ఉంది', 'ఉన్న', 'అయితే', 'కానీ', 'లేదా', 'వరకు'
+  ])
+};
+
+// Inflectional suffixes, longest first (light stemming, no dictionary)
+const HINDI_SUFFIXES = [
+  'ाएंगी', 'ाएंगे', 'ाऊंगी', 'ाऊंगा', 'ाइयाँ', 'ाइयों', 'ाइयां',
+  'ाएगी', 'ाएगा', 'ाओगी', 'ाओगे', 'एंगी', 'ेंगी', 'एंगे', 'ेंगे', 'ूंगी', 'ूंगा',
+  'ातीं', 'नाओं', 'नाएं', 'ताओं', 'ताएं', 'ियाँ', 'ियों', 'ियां',
+  'ाकर', 'ाइए', 'ाईं', 'ाया', 'ेगी', 'ेगा', 'ोगी', 'ोगे', 'ाने', 'ाना', 'ाते',
+  'ाती', 'ाता', 'तीं', 'ाओं', 'ाएं', 'ुओं', 'ुएं', 'ुआं',
+  'कर', 'ाओ', 'िए', 'ाई', 'ाए', 'ने', 'नी', 'ना', 'ते', 'ीं', 'ती', 'ता', 'ाँ',
+  'ां', 'ों', 'ें',
+  'ो', 'े', 'ू', 'ु', 'ी', 'ि', 'ा'
+];
+
+const TELUGU_SUFFIXES = [
+  'ాలలో', 'ాలకు', 'ాలను', 'ానికి', 'లతో', 'లలో', 'లకు', 'లను', 'ల్లో', 'నికి', 'ంలో',
+  'ాలు', 'లు', 'ను', 'ని', 'కు', 'కి', 'లో', 'తో', 'గా', 'పై', 'ము', 'ాల', 'ం'
+];
+
+const MIN_STEM_LENGTH = 2;
+
+const stripSuffix = (token, suffixes) => {
+  for (const suffix of suffixes) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= MIN_STEM_LENGTH) {
+      return token.slice(0, -suffix.length);
+    }
+  }
+  return token;
+};
+
+const stemEnglish = (token) => {
+  if (token.length <= 3) return token;
+  if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('sses')) return token.slice(0, -2);
+  if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+  if (token.endsWith('ed') && token.length > 4) return token.slice(0, -2);
+  if (token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+};
+
+/**
+ * Detect the language of a token from its script
+ * @returns {'te'|'hi'|'en'|null}
+ */
+const detectScript = (token) => {
+  if (/[\u0C00-\u0C7F]/.test(token)) return 'te';
+  if (/[\u0900-\u097F]/.test(token)) return 'hi';
+  if (/\p{Script=Latin}/u.test(token)) return 'en';
+  return null;
+};
+
+const normalize = (text) => String(text || '').normalize('NFC').replace(ZERO_WIDTH, '').toLowerCase();
+
+/**
+ * Reduce a single (normalized) token to its search term
+ * @returns {string|null} Term, or null for stopwords
+ */
+const termFor = (token) => {
+  const script = detectScript(token);
+  if (script && STOPWORDS[script].has(token)) return null;
+
+  switch (script) {
+    case 'en': return stemEnglish(token);
+    case 'hi': return stripSuffix(token, HINDI_SUFFIXES);
+    case 'te': return stripSuffix(token, TELUGU_SUFFIXES);
+    default: return token;
+  }
+};
+
+/**
+ * Analyze text into search terms
+ * @param {string} text - Raw text in any supported script
+ * @returns {string[]} Terms (may contain duplicates, in text order)
+ */
+const analyze = (text) => {
+  const tokens = normalize(text).match(TOKEN_PATTERN) || [];
+  return tokens.map(termFor).filter(Boolean);
+};
+
+/**
+ * Analyzed representation stored in the text index
+ */
+const toIndexText = (text) => analyze(text).join(' ');
+
+/**
+ * Build the `$text` search string for a user query
+ * @returns {string} Space-separated unique terms ('' when nothing searchable)
+ */
+const toQueryText = (query) => [...new Set(analyze(query))].join(' ');
+
+/**
+ * Split text into segments, marking tokens whose term matches the query
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Query terms
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+const markMatches = (text, terms) => {
+  const segments = [];
+  let last = 0;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const term = termFor(normalize(match[0]));
+    if (!term || !terms.has(term)) continue;
+
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), match: false });
+  }
+  return segments;
+};
+
+/**
+ * Highlight query matches in text. Long text is cut to a snippet around
+ * the first match.
+ * @param {string} text - Original text
+ * @param {string} query - User query
+ * @param {number} maxLength - Snippet length (0 keeps the full text)
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+const highlight = (text, query, maxLength = 0) => {
+  if (!text) return [];
+
+  const terms = new Set(analyze(query));
+  let snippet = text;
+  let prefix = '';
+  let suffix = '';
+
+  if (maxLength > 0 && text.length > maxLength) {
+    const segments = markMatches(text, terms);
+    const first = segments.findIndex(s => s.match);
+    let start = 0;
+
+    if (first > 0) {
+      const offset = segments.slice(0, first).reduce((sum, s) => sum + s.text.length, 0);
+      start = Math.max(0, offset - Math.floor(maxLength / 3));
+      // Start at a word boundary
+      const space = text.lastIndexOf(' ', start);
+      start = space > 0 ? space + 1 : 0;
+    }
+
+    let end = Math.min(text.length, start + maxLength);
+    const space = text.indexOf(' ', end);
+    end = space > 0 && space - end < 20 ? space : end;
+
+    snippet = text.slice(start, end);
+    prefix = start > 0 ? '…' : '';
+    suffix = end < text.length ? '…' : '';
+  }
+
+  const segments = terms.size > 0 ? markMatches(snippet, terms) : [{ text: snippet, match: false }];
+  if (prefix) segments.unshift({ text: prefix, match: false });
+  if (suffix) segments.push({ text: suffix, match: false });
+  return segments;
+};
+
+module.exports = {
+  detectScript,
+  analyze,
+  toIndexText,
+  toQueryText,
+  highlight
+};
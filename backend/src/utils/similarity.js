@@ -0,0 +1,127 @@
+/**
+ * Near-Duplicate Fingerprints
+ * MinHash signatures over word shingles, with locality-sensitive hashing
+ * (LSH) band keys so candidate duplicates can be found with an indexed
+ * `$in` query instead of comparing against every stored article.
+ *
+ * Text goes through the search analyzer first, so stopwords, case,
+ * zero-width joiners and light inflections do not affect similarity.
+ */
+const { analyze } = require('./searchText');
+
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 64;
+// 32 bands x 2 rows: pairs above ~0.3 similarity almost always share a band
+const BANDS = 32;
+const ROWS_PER_BAND = NUM_HASHES / BANDS;
+
+// Fixed seeds keep signatures comparable across processes and restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9E3779B1) >>> 0);
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+const fnv1a = (str) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * MurmurHash3 finalizer - spreads a seeded value into an independent hash
+ */
+const mix32 = (value) => {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85EBCA6B);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xC2B2AE35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+/**
+ * Word shingles of the analyzed text
+ * @param {string} text - Raw text in any supported script
+ * @returns {Set<string>}
+ */
+const shingles = (text) => {
+  const terms = analyze(text);
+  if (terms.length < SHINGLE_SIZE) return new Set(terms.length ? [terms.join(' ')] : []);
+
+  const result = new Set();
+  for (let i = 0; i <= terms.length - SHINGLE_SIZE; i++) {
+    result.add(terms.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+};
+
+/**
+ * MinHash signature of a text
+ * @param {string} text - Raw text
+ * @returns {number[]} NUM_HASHES values, or [] when the text has no terms
+ */
+const minhash = (text) => {
+  const set = shingles(text);
+  if (set.size === 0) return [];
+
+  const signature = new Array(NUM_HASHES).fill(0xFFFFFFFF);
+  for (const shingle of set) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix32(base ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+};
+
+/**
+ * LSH band keys for a signature - two texts sharing any key are candidates
+ * @param {number[]} signature
+ * @returns {string[]}
+ */
+const bandKeys = (signature) => {
+  if (!signature || signature.length !== NUM_HASHES) return [];
+
+  const keys = [];
+  for (let band = 0; band < BANDS; band++) {
+    const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+    keys.push(`${band}:${fnv1a(rows.join(',')).toString(36)}`);
+  }
+  return keys;
+};
+
+/**
+ * Estimated Jaccard similarity of two signatures (0-1)
+ */
+const similarity = (a, b) => {
+  if (!a || !b || a.length !== NUM_HASHES || b.length !== NUM_HASHES) return 0;
+
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / NUM_HASHES;
+};
+
+/**
+ * Fingerprint stored on documents
+ * @param {string} text - Raw text
+ * @returns {Object} { signature, bands }
+ */
+const fingerprint = (text) => {
+  const signature = minhash(text);
+  return { signature, bands: bandKeys(signature) };
+};
+
+module.exports = {
+  shingles,
+  minhash,
+  bandKeys,
+  similarity,
+  fingerprint
+};
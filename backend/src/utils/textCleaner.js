@@ -0,0 +1,157 @@
+/**
+ * Text Cleaner
+ * Turns scraped page bodies into plain-text article paragraphs and guesses
+ * their language from the script they are written in.
+ */
+const { detectScript } = require('./searchText');
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  rupee: '₹'
+};
+
+// Lines that are site chrome rather than story text
+const BOILERPLATE_PATTERNS = [
+  /^(also read|read also|read more|related|recommended|trending|must read)\b/i,
+  /^(advertisement|sponsored|promoted)$/i,
+  /^(share|share this|follow us|subscribe|download (our|the) app|click here)\b/i,
+  /^(photo|image|video|file photo)\s*(credit|courtesy)?\s*:/i,
+  /^(tags?|topics?)\s*:/i,
+  /^(ఇవి కూడా చదవండి|ఇది కూడా చదవండి|మరిన్ని వార్తలు)/,
+  /^(यह भी पढ़ें|ये भी पढ़ें|और पढ़ें|विज्ञापन)/
+];
+
+const MIN_PARAGRAPH_LENGTH = 2;
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Strip markup, keeping block boundaries as line breaks
+ * @param {string} html - HTML or plain text
+ * @returns {string} Plain text
+ */
+const stripHtml = (html) => decodeEntities(String(html || '')
+  .replace(/<(script|style|noscript|iframe|svg|figure|aside|nav|form)\b[\s\S]*?<\/\1>/gi, '')
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|li|blockquote|section|article|tr)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, ''));
+
+const isBoilerplate = (line) => BOILERPLATE_PATTERNS.some(pattern => pattern.test(line));
+
+/**
+ * Clean a scraped body into paragraphs separated by blank lines
+ * @param {string} body - Raw scraped body (HTML or text)
+ * @returns {string} Cleaned text
+ */
+const cleanScrapedBody = (body) => {
+  const paragraphs = stripHtml(body)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .split(/\n\s*\n/)
+    .map(block => block
+      .split('\n')
+      .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+      .filter(line => line && !isBoilerplate(line))
+      .join(' '))
+    .filter(paragraph => paragraph.length >= MIN_PARAGRAPH_LENGTH);
+
+  // Scrapers often repeat the lead or a pull quote
+  return [...new Set(paragraphs)].join('\n\n');
+};
+
+/**
+ * Guess the language of a text from the script most of its words use
+ * @param {string} text - Text to inspect
+ * @param {string[]} candidates - Allowed language codes (e.g. active languages)
+ * @returns {string|null} Language code, or null when nothing matched
+ */
+const detectLanguage = (text, candidates = ['te', 'hi', 'en']) => {
+  const counts = {};
+  for (const word of String(text || '').split(/\s+/)) {
+    const script = detectScript(word);
+    if (script && candidates.includes(script)) {
+      counts[script] = (counts[script] || 0) + 1;
+    }
+  }
+
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : null;
+};
+
+/**
+ * Build a short summary from the opening paragraph, cut at a sentence or
+ * word boundary
+ * @param {string} text - Cleaned text
+ * @param {number} maxLength - Maximum summary length
+ */
+const summarize = (text, maxLength = 300) => {
+  const lead = String(text || '').split('\n\n')[0] || '';
+  if (lead.length <= maxLength) return lead;
+
+  const cut = lead.slice(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('। '));
+  if (sentenceEnd > maxLength / 2) return cut.slice(0, sentenceEnd + 1);
+
+  const space = cut.lastIndexOf(' ');
+  return `${space > 0 ? cut.slice(0, space) : cut}…`;
+};
+
+/**
+ * Split text into chunks of at most maxLen characters, preferring
+ * sentence boundaries (used for provider request size limits)
+ * @param {string} text - Text to split
+ * @param {number} maxLen - Maximum chunk length
+ * @returns {string[]}
+ */
+const chunkText = (text, maxLen) => {
+  if (!text || text.length <= maxLen) return [text];
+
+  const chunks = [];
+  const sentences = text.split(/(?<=[.!?।\n])\s*/);
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (sentence.length > maxLen) {
+      if (current) { chunks.push(current); current = ''; }
+      for (let i = 0; i < sentence.length; i += maxLen) {
+        chunks.push(sentence.slice(i, i + maxLen));
+      }
+    } else if ((current + ' ' + sentence).trim().length > maxLen) {
+      if (current) chunks.push(current);
+      current = sentence;
+    } else {
+      current = current ? current + ' ' + sentence : sentence;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+module.exports = {
+  stripHtml,
+  cleanScrapedBody,
+  detectLanguage,
+  summarize,
+  chunkText
+};
@@ -0,0 +1,144 @@
+/**
+ * Word-level text diff
+ * Produces a list of equal/insert/delete operations between two strings
+ * using a longest-common-subsequence over word tokens
+ */
+
+// Largest LCS table built (4 bytes a cell, so 16 MB); bigger changes are
+// diffed line by line, and past that replaced as a whole
+const MAX_TABLE_CELLS = 4 * 1024 * 1024;
+
+/**
+ * Split text into word and whitespace tokens (whitespace is kept so the
+ * diff can be rendered back exactly)
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+  return text.match(/\s+|[^\s]+/g) || [];
+};
+
+/**
+ * Split text into lines, each keeping its line break
+ */
+const tokenizeLines = (text) => {
+  if (!text) return [];
+  return text.match(/[^\n]*\n|[^\n]+/g) || [];
+};
+
+/**
+ * Merge consecutive operations of the same type
+ */
+const compact = (ops) => {
+  const result = [];
+  ops.forEach(op => {
+    const last = result[result.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.text;
+    } else {
+      result.push({ ...op });
+    }
+  });
+  return result;
+};
+
+/**
+ * Diff two token lists
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @param {Function|null} fallback - (before, after) => ops, used when the
+ *   changed middle is too large for an LCS table
+ */
+const diffTokens = (a, b, fallback) => {
+
+  // Trim common prefix and suffix to keep the LCS table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  if (start > 0) ops.push({ type: 'equal', text: a.slice(0, start).join('') });
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_TABLE_CELLS) {
+    const before = midA.join('');
+    const after = midB.join('');
+    ops.push(...(fallback
+      ? fallback(before, after)
+      : [{ type: 'delete', text: before }, { type: 'insert', text: after }]));
+    if (endA < a.length) ops.push({ type: 'equal', text: a.slice(endA).join('') });
+    return compact(ops.filter(op => op.text));
+  }
+
+  // LCS lengths table, stored row-major in a flat typed array
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = midA[i] === midB[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: 'equal', text: midA[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push({ type: 'delete', text: midA[i] });
+      i++;
+    } else {
+      ops.push({ type: 'insert', text: midB[j] });
+      j++;
+    }
+  }
+  while (i < n) ops.push({ type: 'delete', text: midA[i++] });
+  while (j < m) ops.push({ type: 'insert', text: midB[j++] });
+
+  if (endA < a.length) ops.push({ type: 'equal', text: a.slice(endA).join('') });
+
+  return compact(ops);
+};
+
+/**
+ * Diff two strings line by line
+ */
+const diffLines = (before = '', after = '') => diffTokens(tokenizeLines(before), tokenizeLines(after), null);
+
+/**
+ * Diff two strings word by word (line by line for very large changes)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>}
+ */
+const diffWords = (before = '', after = '') => diffTokens(tokenize(before), tokenize(after), diffLines);
+
+/**
+ * Summarize a diff as counts of inserted and deleted words
+ */
+const diffStats = (ops) => {
+  const countWords = (text) => (text.match(/[^\s]+/g) || []).length;
+  return ops.reduce((stats, op) => {
+    if (op.type === 'insert') stats.added += countWords(op.text);
+    if (op.type === 'delete') stats.removed += countWords(op.text);
+    return stats;
+  }, { added: 0, removed: 0 });
+};
+
+module.exports = {
+  diffWords,
+  diffStats
+};
@@ -0,0 +1,99 @@
+/**
+ * Timezone Utility
+ * Converts between wall-clock times in an IANA timezone and UTC instants
+ * using the built-in Intl API (no external date library)
+ */
+
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Check if a timezone name is supported by the runtime
+ * @param {string} timeZone - IANA timezone (e.g. 'Asia/Kolkata')
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const result = {};
+  parts.forEach(part => {
+    if (part.type !== 'literal') result[part.type] = Number(part.value);
+  });
+  return result;
+};
+
+/**
+ * Get a timezone's offset from UTC at a given instant (in milliseconds)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock datetime in a timezone to a UTC Date
+ * @param {string} localDateTime - 'YYYY-MM-DDTHH:mm[:ss]' (strings with an explicit offset are parsed as-is)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} UTC instant, or null if the input is invalid
+ */
+const zonedTimeToUtc = (localDateTime, timeZone) => {
+  if (!localDateTime) return null;
+
+  const match = LOCAL_DATETIME_PATTERN.exec(localDateTime);
+  if (!match) {
+    const parsed = new Date(localDateTime);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const guess = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+  // Offset can differ on either side of a DST change, so correct once
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  let utc = guess - offset;
+  const correctedOffset = getTimeZoneOffset(new Date(utc), timeZone);
+  if (correctedOffset !== offset) {
+    utc = guess - correctedOffset;
+  }
+
+  return new Date(utc);
+};
+
+/**
+ * Format a UTC instant as a wall-clock 'YYYY-MM-DDTHH:mm' string in a timezone
+ */
+const formatInTimeZone = (date, timeZone) => {
+  if (!date) return null;
+  const p = getZonedParts(new Date(date), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatInTimeZone
+};
@@ -0,0 +1,133 @@
+/**
+ * WAV Helpers
+ * Reads the PCM samples out of RIFF/WAVE files and writes them back with a
+ * single header. TTS providers return one complete WAV file per request,
+ * so joining their output byte-for-byte leaves stray headers in the audio.
+ */
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Split a WAV file into its format and raw PCM samples
+ * @param {Buffer} buffer - WAV file
+ * @returns {Object} { format: { channels, sampleRate, bitsPerSample }, pcm }
+ */
+const parseWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let pcm = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    // Streamed files may carry a placeholder size; never read past the end
+    const size = Math.min(buffer.readUInt32LE(offset + 4), buffer.length - offset - 8);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      const audioFormat = buffer.readUInt16LE(body);
+      if (audioFormat !== WAVE_FORMAT_PCM && audioFormat !== WAVE_FORMAT_EXTENSIBLE) {
+        throw new Error(`Unsupported WAV encoding (${audioFormat})`);
+      }
+      format = {
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      pcm = buffer.subarray(body, body + size);
+    }
+
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || !pcm) {
+    throw new Error('WAV file has no format or data chunk');
+  }
+
+  return { format, pcm };
+};
+
+/**
+ * Bytes per second of audio in a format
+ */
+const byteRate = ({ channels, sampleRate, bitsPerSample }) => sampleRate * channels * (bitsPerSample / 8);
+
+/**
+ * Duration in seconds of PCM data
+ * @param {number} length - PCM byte length
+ * @param {Object} format - { channels, sampleRate, bitsPerSample }
+ */
+const pcmDuration = (length, format) => length / byteRate(format);
+
+/**
+ * PCM silence of a given length
+ * @param {number} seconds - Duration
+ * @param {Object} format - { channels, sampleRate, bitsPerSample }
+ */
+const silence = (seconds, format) => {
+  const blockAlign = format.channels * (format.bitsPerSample / 8);
+  const blocks = Math.round(seconds * format.sampleRate);
+  return Buffer.alloc(blocks * blockAlign);
+};
+
+const sameFormat = (a, b) => a.channels === b.channels &&
+  a.sampleRate === b.sampleRate &&
+  a.bitsPerSample === b.bitsPerSample;
+
+/**
+ * Join WAV files into one PCM stream
+ * @param {Buffer[]} buffers - WAV files in the same format
+ * @returns {Object} { format, pcm }
+ */
+const concatWav = (buffers) => {
+  const parsed = buffers.map(parseWav);
+  if (parsed.length === 0) throw new Error('No audio to join');
+
+  const { format } = parsed[0];
+  if (!parsed.every(part => sameFormat(part.format, format))) {
+    throw new Error('Cannot join WAV files with different formats');
+  }
+
+  return { format, pcm: Buffer.concat(parsed.map(part => part.pcm)) };
+};
+
+/**
+ * Wrap PCM samples in a single 44-byte WAV header
+ * @param {Buffer} pcm - Raw samples
+ * @param {Object} format - { channels, sampleRate, bitsPerSample }
+ * @returns {Buffer}
+ */
+const buildWav = (pcm, format) => {
+  const header = Buffer.alloc(44);
+  const blockAlign = format.channels * (format.bitsPerSample / 8);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+  header.writeUInt16LE(format.channels, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(byteRate(format), 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(format.bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+};
+
+module.exports = {
+  parseWav,
+  concatWav,
+  buildWav,
+  pcmDuration,
+  silence
+};
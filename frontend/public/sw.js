@@ -0,0 +1,160 @@
+/* Taaja News service worker - offline reading and breaking-news push */
+
+// Bump when the caching strategy changes; older caches are dropped on activate
+const SHELL_CACHE = 'taaja-shell-v1';
+// Shared with src/services/offlineService.js
+const DATA_CACHE = 'taaja-data-v1';
+const MEDIA_CACHE = 'taaja-media-v1';
+const CACHES = [SHELL_CACHE, DATA_CACHE, MEDIA_CACHE];
+
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/favicon.svg', '/logo.jpeg'];
+
+// Public API reads served from the cache when the network is down
+const CACHED_API = [
+  /\/api\/articles\/?$/,
+  /\/api\/articles\/slug\/[^/]+$/,
+  /\/api\/articles\/by-area\/[^/]+$/,
+  /\/api\/articles\/(trending|feed)$/,
+  /\/api\/categories\/?$/,
+  /\/api\/languages\/?$/,
+  /\/api\/engagement\/bookmarks$/
+];
+
+// Used when a push arrives without a title
+const BREAKING_LABELS = {
+  te: 'బ్రేకింగ్ న్యూస్',
+  en: 'Breaking news',
+  hi: 'ब्रेकिंग न्यूज़'
+};
+
+// The built index.html names the hashed bundles; cache them with it
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+
+  const html = await (await cache.match('/')).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+  await cache.addAll(assets);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !CACHES.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Fresh when online, cached copy when not
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Hashed bundles never change, so a cached copy is always right
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+// Images and audio saved for offline; audio players ask for byte ranges
+const savedMedia = async (request) => {
+  const cached = await caches.match(request.url, { cacheName: MEDIA_CACHE, ignoreVary: true });
+  if (!cached) return fetch(request);
+
+  const range = request.headers.get('range');
+  const match = range && /bytes=(\d*)-(\d*)/.exec(range);
+  if (!match || cached.type === 'opaque') return cached;
+
+  const blob = await cached.blob();
+  const start = match[1] ? Number(match[1]) : 0;
+  const end = match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cached.headers.get('content-type') || blob.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    // Every route is the single-page app
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (CACHED_API.some(pattern => pattern.test(url.pathname))) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (request.destination === 'image' || request.destination === 'audio') {
+    event.respondWith(savedMedia(request));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data ? event.data.text() : '' };
+  }
+
+  const lang = data.lang || 'en';
+  const title = data.title || BREAKING_LABELS[lang] || BREAKING_LABELS.en;
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: data.body || '',
+      lang,
+      icon: '/logo.jpeg',
+      badge: '/favicon.svg',
+      image: data.image || undefined,
+      // One notification per story, even if it is pushed twice
+      tag: data.tag || undefined,
+      renotify: Boolean(data.tag),
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      // Reuse an open tab when there is one
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (existing) {
+        return existing.navigate(url).then((client) => (client || existing).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -14,19 +14,28 @@ import ArticleView from './pages/ArticleView';
 import CategoryView from './pages/CategoryView';
 import FlipReader from './pages/FlipReader';
 import Search from './pages/Search';
+import Profile from './pages/Profile';
 
 // Auth pages
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
+import VerifyEmail from './pages/auth/VerifyEmail';
 
 // Dashboard pages
 import Dashboard from './pages/dashboard/Dashboard';
 import ArticlesList from './pages/dashboard/ArticlesList';
 import ArticleEditor from './pages/dashboard/ArticleEditor';
+import LiveBlogDesk from './pages/dashboard/LiveBlogDesk';
 import CategoriesManager from './pages/dashboard/CategoriesManager';
 import UsersManager from './pages/dashboard/UsersManager';
 import LocationsManager from './pages/dashboard/LocationsManager';
 import LanguagesManager from './pages/dashboard/LanguagesManager';
+import ScrapedQueue from './pages/dashboard/ScrapedQueue';
+import GlossaryManager from './pages/dashboard/GlossaryManager';
+import ApiKeysManager from './pages/dashboard/ApiKeysManager';
+import CommentModeration from './pages/dashboard/CommentModeration';
 
 // Loading screen
 const LoadingScreen = () => (
@@ -44,8 +53,8 @@ const LoadingScreen = () => (
 );
 
 // Protected route wrapper
-const ProtectedRoute = ({ children, requireAuth = false, requireReporter = false, requireAdmin = false }) => {
-  const { user, loading, isAuthenticated, isReporter, isAdmin } = useAuth();
+const ProtectedRoute = ({ children, requireAuth = false, requireReporter = false, requireAdmin = false, requirePermission = null }) => {
+  const { user, loading, isAuthenticated, isReporter, isAdmin, can } = useAuth();
   const { isOnboardingComplete } = useLocation();
 
   if (loading) {
@@ -64,6 +73,10 @@ const ProtectedRoute = ({ children, requireAuth = false, requireReporter = false
     return <Navigate to="/dashboard" replace />;
   }
 
+  if (requirePermission && !can(requirePermission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
@@ -99,6 +112,9 @@ function App() {
       {/* Auth routes */}
       <Route path="/auth/login" element={<Login />} />
       <Route path="/auth/register" element={<Register />} />
+      <Route path="/auth/forgot-password" element={<ForgotPassword />} />
+      <Route path="/auth/reset-password" element={<ResetPassword />} />
+      <Route path="/auth/verify-email" element={<VerifyEmail />} />
 
       {/* Default route - redirect to login */}
       <Route path="/" element={<Navigate to="/auth/login" replace />} />
@@ -121,6 +137,11 @@ function App() {
             <Search bookmarks />
           </ProtectedRoute>
         } />
+        <Route path="profile" element={
+          <ProtectedRoute requireAuth>
+            <Profile />
+          </ProtectedRoute>
+        } />
       </Route>
 
       {/* Flip reader (fullscreen) */}
@@ -146,14 +167,23 @@ function App() {
         <Route path="articles" element={<ArticlesList />} />
         <Route path="articles/new" element={<ArticleEditor />} />
         <Route path="articles/edit/:id" element={<ArticleEditor />} />
+        <Route path="articles/live/:id" element={<LiveBlogDesk />} />
         <Route
           path="categories"
           element={
-            <ProtectedRoute requireAdmin>
+            <ProtectedRoute requirePermission="categories.manage">
               <CategoriesManager />
             </ProtectedRoute>
           }
         />
+        <Route
+          path="comments"
+          element={
+            <ProtectedRoute requirePermission="comments.moderate">
+              <CommentModeration />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="users"
           element={
@@ -165,11 +195,19 @@ function App() {
         <Route
           path="locations"
           element={
-            <ProtectedRoute requireAdmin>
+            <ProtectedRoute requirePermission="locations.manage">
               <LocationsManager />
             </ProtectedRoute>
           }
         />
+        <Route
+          path="scraped"
+          element={
+            <ProtectedRoute requireAdmin>
+              <ScrapedQueue />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="languages"
           element={
@@ -178,6 +216,22 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="glossary"
+          element={
+            <ProtectedRoute requireAdmin>
+              <GlossaryManager />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="api-keys"
+          element={
+            <ProtectedRoute requireAdmin>
+              <ApiKeysManager />
+            </ProtectedRoute>
+          }
+        />
       </Route>
 
       {/* Catch all */}
@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import { engagementApi } from '../services/api';
+import { getLocalizedValue } from '../services/languageService';
+
+const STATUS_OPTIONS = [
+  { value: 'open', label: 'Open' },
+  { value: 'granted', label: 'Granted' },
+  { value: 'denied', label: 'Denied' }
+];
+
+// Appeals against held or removed comments and against mutes and bans
+const AppealsQueue = ({ lang, formatDate }) => {
+  const [status, setStatus] = useState('open');
+  const [appeals, setAppeals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [total, setTotal] = useState(0);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Decision dialog: { appeal, status }
+  const [decision, setDecision] = useState(null);
+  const [response, setResponse] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchAppeals = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await engagementApi.getAppeals({ status, page: page + 1, limit: rowsPerPage });
+      setAppeals(res.data.appeals);
+      setTotal(res.data.pagination.total);
+    } catch (err) {
+      console.error('Failed to fetch appeals:', err);
+      setError(err.response?.data?.error || 'Failed to load appeals');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchAppeals();
+  }, [fetchAppeals]);
+
+  const openDecision = (appeal, decisionStatus) => {
+    setResponse('');
+    setDecision({ appeal, status: decisionStatus });
+  };
+
+  const handleDecision = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await engagementApi.reviewAppeal(decision.appeal._id, { status: decision.status, response: response.trim() });
+      setSuccess(`Appeal ${decision.status}`);
+      setDecision(null);
+      fetchAppeals();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to review appeal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const describeRestriction = (restriction) => {
+    if (!restriction?.kind) return 'No longer restricted';
+    const label = restriction.kind === 'ban' ? 'Banned' : 'Muted';
+    return restriction.until ? `${label} until ${formatDate(restriction.until)}` : `${label} until lifted`;
+  };
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Status</InputLabel>
+          <Select
+            value={status}
+            label="Status"
+            onChange={(e) => { setStatus(e.target.value); setPage(0); }}
+          >
+            {STATUS_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      <Card>
+        {loading && <LinearProgress />}
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Reader</TableCell>
+                <TableCell>Appealing</TableCell>
+                <TableCell>Message</TableCell>
+                <TableCell>Submitted</TableCell>
+                <TableCell align="right">{status === 'open' ? 'Decision' : 'Outcome'}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {appeals.length === 0 && !loading ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    <Typography color="text.secondary" sx={{ py: 3 }}>
+                      No {status} appeals
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : appeals.map((appeal) => (
+                <TableRow key={appeal._id} hover>
+                  <TableCell>
+                    <Typography variant="body2">{appeal.user?.name || '-'}</Typography>
+                    {appeal.user?.reputation && (
+                      <Typography variant="caption" color="text.secondary">
+                        Reputation {appeal.user.reputation.score}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    {appeal.kind === 'comment' ? (
+                      <>
+                        <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                          {appeal.comment?.content || '-'}
+                        </Typography>
+                        {appeal.comment?.article && (
+                          <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                            On {getLocalizedValue(appeal.comment.article.title, lang)}
+                          </Typography>
+                        )}
+                        {appeal.comment?.moderationReason && (
+                          <Chip label={appeal.comment.moderationReason} size="small" variant="outlined" sx={{ mt: 0.5 }} />
+                        )}
+                      </>
+                    ) : (
+                      <>
+                        <Typography variant="body2">{describeRestriction(appeal.user?.commentRestriction)}</Typography>
+                        {appeal.user?.commentRestriction?.reason && (
+                          <Typography variant="caption" color="text.secondary">
+                            {appeal.user.commentRestriction.reason}
+                          </Typography>
+                        )}
+                      </>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                      {appeal.message}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{formatDate(appeal.createdAt)}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {appeal.status === 'open' ? (
+                      <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+                        <Button size="small" color="success" variant="outlined" onClick={() => openDecision(appeal, 'granted')}>
+                          Grant
+                        </Button>
+                        <Button size="small" color="error" variant="outlined" onClick={() => openDecision(appeal, 'denied')}>
+                          Deny
+                        </Button>
+                      </Box>
+                    ) : (
+                      <>
+                        <Chip
+                          label={appeal.status}
+                          size="small"
+                          color={appeal.status === 'granted' ? 'success' : 'error'}
+                        />
+                        {appeal.reviewedBy?.name && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            by {appeal.reviewedBy.name}
+                          </Typography>
+                        )}
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(_, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[10, 20, 50]}
+        />
+      </Card>
+
+      {/* Decision Dialog */}
+      <Dialog open={Boolean(decision)} onClose={() => setDecision(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {decision?.status === 'granted' ? 'Grant appeal' : 'Deny appeal'}
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            {decision?.status === 'granted'
+              ? (decision.appeal.kind === 'comment'
+                ? 'The comment will be published.'
+                : 'The mute or ban will be lifted.')
+              : 'Nothing changes; the reader sees your response on their profile.'}
+          </Typography>
+          <TextField
+            fullWidth
+            label="Response to the reader"
+            value={response}
+            onChange={(e) => setResponse(e.target.value)}
+            margin="normal"
+            multiline
+            rows={3}
+            inputProps={{ maxLength: 1000 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDecision(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={decision?.status === 'granted' ? 'success' : 'error'}
+            disabled={saving}
+            onClick={handleDecision}
+          >
+            {decision?.status === 'granted' ? 'Grant' : 'Deny'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AppealsQueue;
@@ -0,0 +1,39 @@
+import {
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormHelperText
+} from '@mui/material';
+
+export const COMMENT_POLICIES = [
+  { value: 'inherit', label: 'Inherit', help: 'Follow the parent category (screened when none is set)' },
+  { value: 'screened', label: 'Screened', help: 'Publish comments unless automated checks object' },
+  { value: 'pre', label: 'Pre-moderated', help: 'Hold every reader comment for a moderator' },
+  { value: 'closed', label: 'Closed', help: 'No new comments' }
+];
+
+// Comment moderation policy of a category or an article
+const CommentPolicySelect = ({ value = 'inherit', onChange, inheritHelp, size, margin = 'normal' }) => {
+  const selected = COMMENT_POLICIES.find(p => p.value === value);
+
+  return (
+    <FormControl fullWidth size={size} margin={margin}>
+      <InputLabel>Comment moderation</InputLabel>
+      <Select
+        value={value}
+        label="Comment moderation"
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {COMMENT_POLICIES.map(policy => (
+          <MenuItem key={policy.value} value={policy.value}>{policy.label}</MenuItem>
+        ))}
+      </Select>
+      <FormHelperText>
+        {value === 'inherit' && inheritHelp ? inheritHelp : selected?.help}
+      </FormHelperText>
+    </FormControl>
+  );
+};
+
+export default CommentPolicySelect;
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Typography,
+  Avatar,
+  Chip,
+  Button,
+  IconButton,
+  TextField
+} from '@mui/material';
+import {
+  ThumbUp as LikeIcon,
+  ThumbUpOutlined as LikeOutlinedIcon,
+  Reply as ReplyIcon,
+  OutlinedFlag as ReportIcon,
+  Send as SendIcon
+} from '@mui/icons-material';
+
+// Deeper replies line up with their parent instead of shrinking further
+const MAX_INDENT_DEPTH = 5;
+
+/**
+ * Apply an update to one comment anywhere in a thread
+ * @param {Array} comments - Comment tree
+ * @param {string} id - Comment id
+ * @param {Function} update - (comment) => updated comment
+ */
+export const updateComment = (comments, id, update) => comments.map(comment => {
+  if (comment._id === id) return update(comment);
+  if (!comment.replies?.length) return comment;
+  return { ...comment, replies: updateComment(comment.replies, id, update) };
+});
+
+/**
+ * Find a comment anywhere in a thread
+ * @param {Array} comments - Comment tree
+ * @param {string} id - Comment id
+ */
+export const findComment = (comments, id) => {
+  for (const comment of comments) {
+    if (comment._id === id) return comment;
+    const found = findComment(comment.replies || [], id);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Add a newly published comment to a thread, or refresh it if already shown
+ * (its loaded replies are kept)
+ * @param {Array} comments - Comment tree
+ * @param {Object} comment - Comment as the thread API returns it
+ * @param {string|null} placement - Where a new top-level comment goes: 'start',
+ *   'end', or null to leave it for a later page
+ */
+export const upsertComment = (comments, comment, placement) => {
+  if (findComment(comments, comment._id)) {
+    return updateComment(comments, comment._id, c => ({
+      ...c,
+      ...comment,
+      replies: c.replies,
+      hasMoreReplies: c.hasMoreReplies,
+      repliesCursor: c.repliesCursor
+    }));
+  }
+  if (!comment.parent) {
+    if (placement === 'start') return [comment, ...comments];
+    if (placement === 'end') return [...comments, comment];
+    return comments;
+  }
+  // Unloaded replies are fetched with the rest of the branch
+  return updateComment(comments, comment.parent, c => (c.hasMoreReplies
+    ? { ...c, replyCount: (c.replyCount || 0) + 1 }
+    : { ...c, replyCount: (c.replyCount || 0) + 1, replies: [...(c.replies || []), comment] }));
+};
+
+const CommentItem = ({ comment, depth, currentUserId, canReply, onReply, onLike, onReport, onLoadReplies, formatDate }) => {
+  const { t } = useTranslation();
+  const [replying, setReplying] = useState(false);
+  const [replyText, setReplyText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+
+  const removed = comment.status === 'removed';
+  const own = comment.user?._id === currentUserId;
+  const liked = Boolean(currentUserId) && (comment.likedBy || []).includes(currentUserId);
+
+  const handleReply = async () => {
+    setSubmitting(true);
+    try {
+      // Kept open when posting fails, so the text is not lost
+      if (await onReply(comment, replyText)) {
+        setReplyText('');
+        setReplying(false);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLoadReplies = async () => {
+    setLoadingReplies(true);
+    try {
+      await onLoadReplies(comment);
+    } finally {
+      setLoadingReplies(false);
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Box sx={{ display: 'flex', gap: 1.5 }}>
+        <Avatar src={comment.user?.avatar} sx={{ width: depth > 0 ? 28 : 36, height: depth > 0 ? 28 : 36 }}>
+          {comment.user?.name?.[0]}
+        </Avatar>
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          {removed ? (
+            <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+              {t('commentRemoved')}
+            </Typography>
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="subtitle2">{comment.user?.name}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {formatDate(comment.createdAt)}
+                </Typography>
+                {comment.status === 'pending' && (
+                  <Chip label={t('awaitingModeration')} size="small" variant="outlined" />
+                )}
+              </Box>
+              <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                {comment.content}
+              </Typography>
+              {comment.status === 'approved' && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.5 }}>
+                  <IconButton size="small" onClick={() => onLike(comment)} color={liked ? 'primary' : 'default'}>
+                    {liked ? <LikeIcon fontSize="inherit" /> : <LikeOutlinedIcon fontSize="inherit" />}
+                  </IconButton>
+                  {comment.likes > 0 && (
+                    <Typography variant="caption" color="text.secondary">{comment.likes}</Typography>
+                  )}
+                  {canReply && (
+                    <Button size="small" startIcon={<ReplyIcon />} onClick={() => setReplying(!replying)}>
+                      {t('reply')}
+                    </Button>
+                  )}
+                  {currentUserId && !own && (
+                    <IconButton size="small" title={t('reportComment')} onClick={() => onReport(comment)}>
+                      <ReportIcon fontSize="inherit" />
+                    </IconButton>
+                  )}
+                </Box>
+              )}
+            </>
+          )}
+
+          {replying && (
+            <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+              <TextField
+                fullWidth
+                autoFocus
+                placeholder={t('addComment')}
+                value={replyText}
+                onChange={(e) => setReplyText(e.target.value)}
+                multiline
+                maxRows={4}
+                size="small"
+              />
+              <IconButton color="primary" onClick={handleReply} disabled={submitting || !replyText.trim()}>
+                <SendIcon />
+              </IconButton>
+            </Box>
+          )}
+        </Box>
+      </Box>
+
+      {(comment.replies?.length > 0 || comment.hasMoreReplies) && (
+        <Box
+          sx={{
+            pl: depth < MAX_INDENT_DEPTH ? 2.5 : 0,
+            ml: depth < MAX_INDENT_DEPTH ? 2 : 0,
+            borderLeft: depth < MAX_INDENT_DEPTH ? 1 : 0,
+            borderColor: 'divider'
+          }}
+        >
+          {(comment.replies || []).map(reply => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              depth={depth + 1}
+              currentUserId={currentUserId}
+              canReply={canReply}
+              onReply={onReply}
+              onLike={onLike}
+              onReport={onReport}
+              onLoadReplies={onLoadReplies}
+              formatDate={formatDate}
+            />
+          ))}
+          {comment.hasMoreReplies && (
+            <Button size="small" sx={{ mt: 1 }} onClick={handleLoadReplies} disabled={loadingReplies}>
+              {!comment.replies?.length && comment.replyCount > 0
+                ? t('viewReplies', { count: comment.replyCount })
+                : t('moreReplies')}
+            </Button>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+// Nested comment threads; replies are loaded a branch at a time
+const CommentThread = ({ comments, ...props }) => (
+  <Box>
+    {comments.map(comment => (
+      <CommentItem key={comment._id} comment={comment} depth={0} {...props} />
+    ))}
+  </Box>
+);
+
+export default CommentThread;
@@ -0,0 +1,75 @@
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Link
+} from '@mui/material';
+
+const STATUS_COLORS = {
+  published: 'success',
+  pending: 'warning',
+  draft: 'default'
+};
+
+// Warns that the content being saved looks like an existing story
+const DuplicateWarningDialog = ({ open, matches = [], saving = false, onCancel, onConfirm }) => (
+  <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+    <DialogTitle>Possible duplicate</DialogTitle>
+    <DialogContent dividers>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        This story looks very similar to the following. Check them before saving another copy.
+      </Typography>
+      <List dense>
+        {matches.map((match) => (
+          <ListItem
+            key={`${match.kind}-${match.id}`}
+            disableGutters
+            secondaryAction={
+              <Chip label={`${Math.round(match.similarity * 100)}% similar`} size="small" color="warning" />
+            }
+          >
+            <ListItemText
+              primary={match.kind === 'article' ? (
+                <Link href={`/dashboard/articles/edit/${match.id}`} target="_blank" rel="noopener noreferrer">
+                  {match.title}
+                </Link>
+              ) : (
+                <Link href={match.url} target="_blank" rel="noopener noreferrer">
+                  {match.title}
+                </Link>
+              )}
+              secondary={match.kind === 'article' ? (
+                <>
+                  <Chip
+                    label={match.status}
+                    size="small"
+                    color={STATUS_COLORS[match.status] || 'default'}
+                    sx={{ mr: 1, height: 18 }}
+                  />
+                  {match.author && `by ${match.author}`}
+                </>
+              ) : `Scraped from ${match.source}`}
+              secondaryTypographyProps={{ component: 'div' }}
+              sx={{ pr: 14 }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onCancel}>Cancel</Button>
+      <Button variant="contained" color="warning" onClick={onConfirm} disabled={saving}>
+        Save Anyway
+      </Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default DuplicateWarningDialog;
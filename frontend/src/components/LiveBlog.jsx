@@ -0,0 +1,201 @@
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Typography,
+  Avatar,
+  Chip,
+  Button,
+  Card,
+  CardContent,
+  List,
+  ListItemButton,
+  ListItemText
+} from '@mui/material';
+import {
+  PushPin as PinIcon,
+  Star as KeyEventIcon
+} from '@mui/icons-material';
+import { getLocalizedValue } from '../services/languageService';
+
+const byNewest = (a, b) => new Date(b.postedAt) - new Date(a.postedAt);
+
+const upsertInto = (list, item) => {
+  const rest = list.filter(i => i._id !== item._id);
+  return [...rest, item].sort(byNewest);
+};
+
+/**
+ * Add a posted entry to a live blog, or refresh it if already shown. New
+ * entries older than the loaded ones arrive with a later page.
+ * @param {Object} blog - { entries, nextCursor, pinned, keyEvents, ... }
+ * @param {Object} entry - Entry as the live blog API returns it
+ */
+export const upsertEntry = (blog, entry) => {
+  const shown = blog.entries.find(e => e._id === entry._id);
+  const oldest = blog.entries[blog.entries.length - 1];
+  const belowPage = blog.nextCursor && oldest && new Date(entry.postedAt) < new Date(oldest.postedAt);
+
+  let entries = blog.entries;
+  if (shown) {
+    entries = upsertInto(entries, { ...entry, fresh: shown.fresh });
+  } else if (!belowPage) {
+    entries = upsertInto(entries, { ...entry, fresh: true });
+  }
+
+  const { _id, headline, postedAt } = entry;
+  return {
+    ...blog,
+    entries,
+    pinned: entry.isPinned
+      ? upsertInto(blog.pinned, entry)
+      : blog.pinned.filter(e => e._id !== _id),
+    keyEvents: entry.isKeyEvent
+      ? upsertInto(blog.keyEvents, { _id, headline, postedAt })
+      : blog.keyEvents.filter(e => e._id !== _id)
+  };
+};
+
+/**
+ * Drop a deleted entry from a live blog
+ * @param {Object} blog - Live blog state
+ * @param {string} id - Entry id
+ */
+export const removeEntry = (blog, id) => ({
+  ...blog,
+  entries: blog.entries.filter(e => e._id !== id),
+  pinned: blog.pinned.filter(e => e._id !== id),
+  keyEvents: blog.keyEvents.filter(e => e._id !== id)
+});
+
+const LiveBlogEntry = ({ entry, lang, pinned = false }) => {
+  const { t } = useTranslation();
+  const headline = getLocalizedValue(entry.headline, lang);
+  const locale = lang === 'hi' ? 'hi-IN' : 'en-IN';
+  const postedAt = new Date(entry.postedAt);
+  const today = postedAt.toDateString() === new Date().toDateString();
+
+  return (
+    <Box
+      id={pinned ? undefined : `update-${entry._id}`}
+      sx={{
+        pl: 2,
+        py: 1.5,
+        borderLeft: 3,
+        borderColor: pinned ? 'warning.main' : entry.isKeyEvent ? 'error.main' : 'grey.300',
+        bgcolor: pinned ? 'grey.50' : 'transparent',
+        scrollMarginTop: 80
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle2" color="error.main" fontWeight="bold">
+          {postedAt.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })}
+        </Typography>
+        {!today && (
+          <Typography variant="caption" color="text.secondary">
+            {postedAt.toLocaleDateString(locale, { day: 'numeric', month: 'short' })}
+          </Typography>
+        )}
+        {pinned && <Chip icon={<PinIcon />} label={t('pinnedUpdate')} size="small" color="warning" />}
+        {!pinned && entry.fresh && <Chip label={t('newUpdate')} size="small" color="error" />}
+      </Box>
+      {headline && (
+        <Typography variant="h6" sx={{ mb: 0.5 }}>
+          {headline}
+        </Typography>
+      )}
+      <Typography variant="body1" sx={{ lineHeight: 1.8, whiteSpace: 'pre-wrap' }}>
+        {getLocalizedValue(entry.content, lang)}
+      </Typography>
+      {entry.author && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+          <Avatar src={entry.author.avatar} sx={{ width: 24, height: 24 }}>
+            {entry.author.name?.[0]}
+          </Avatar>
+          <Typography variant="caption" color="text.secondary">
+            {entry.author.name}
+          </Typography>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * A live blog's running updates: key events, pinned entries and the
+ * timeline, newest first
+ */
+const LiveBlog = ({ blog, lang, loadingMore, onLoadMore }) => {
+  const { t } = useTranslation();
+
+  const scrollTo = (id) => {
+    document.getElementById(`update-${id}`)?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        {blog.liveBlog?.state === 'live' ? (
+          <Chip label={t('liveNow')} color="error" size="small" />
+        ) : (
+          <Typography variant="subtitle2" color="text.secondary">
+            {t('liveBlogEnded')}
+          </Typography>
+        )}
+        <Typography variant="caption" color="text.secondary">
+          {t('updatesCount', { count: blog.liveBlog?.entriesCount || 0 })}
+        </Typography>
+      </Box>
+
+      {blog.keyEvents.length > 0 && (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+          <CardContent sx={{ pb: 1 }}>
+            <Typography variant="subtitle1" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <KeyEventIcon color="error" fontSize="small" /> {t('keyEvents')}
+            </Typography>
+            <List dense disablePadding>
+              {blog.keyEvents.map(event => (
+                <ListItemButton key={event._id} onClick={() => scrollTo(event._id)} sx={{ px: 0 }}>
+                  <ListItemText
+                    primary={getLocalizedValue(event.headline, lang)}
+                    secondary={new Date(event.postedAt).toLocaleTimeString(lang === 'hi' ? 'hi-IN' : 'en-IN', {
+                      hour: '2-digit',
+                      minute: '2-digit'
+                    })}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </CardContent>
+        </Card>
+      )}
+
+      {blog.pinned.map(entry => (
+        <Box key={entry._id} sx={{ mb: 2 }}>
+          <LiveBlogEntry entry={entry} lang={lang} pinned />
+        </Box>
+      ))}
+
+      {blog.entries.length === 0 ? (
+        <Typography color="text.secondary" sx={{ py: 2 }}>
+          {t('noUpdatesYet')}
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {blog.entries.map(entry => (
+            <LiveBlogEntry key={entry._id} entry={entry} lang={lang} />
+          ))}
+        </Box>
+      )}
+
+      {blog.nextCursor && (
+        <Box sx={{ textAlign: 'center', mt: 2 }}>
+          <Button variant="outlined" onClick={onLoadMore} disabled={loadingMore}>
+            {t('olderUpdates')}
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default LiveBlog;
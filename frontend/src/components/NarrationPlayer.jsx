@@ -0,0 +1,69 @@
+import { useRef, useEffect } from 'react';
+import { Box, Typography } from '@mui/material';
+import { Headphones as HeadphonesIcon } from '@mui/icons-material';
+
+// Seconds as m:ss
+export const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Paragraphs split the same way the narration was recorded
+export const splitParagraphs = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .map(p => p.trim())
+  .filter(Boolean);
+
+// Audio edition of an article; reports which paragraph is being spoken
+// and seeks when `seekTo` changes
+const NarrationPlayer = ({ src, meta, label = 'Listen', seekTo = null, onParagraphChange }) => {
+  const audioRef = useRef(null);
+  const current = useRef(null);
+
+  useEffect(() => {
+    const marker = meta?.markers?.find(m => m.paragraph === seekTo?.paragraph);
+    if (!marker || !audioRef.current) return;
+    audioRef.current.currentTime = marker.start;
+    audioRef.current.play().catch(() => {});
+  }, [seekTo, meta]);
+
+  const handleTimeUpdate = () => {
+    const time = audioRef.current?.currentTime || 0;
+    const marker = meta?.markers?.find(m => time >= m.start && time < m.end);
+    const paragraph = marker ? marker.paragraph : null;
+
+    if (paragraph !== current.current) {
+      current.current = paragraph;
+      onParagraphChange?.(paragraph);
+    }
+  };
+
+  const handleEnded = () => {
+    current.current = null;
+    onParagraphChange?.(null);
+  };
+
+  return (
+    <Box sx={{ mb: 3, p: 1.5, bgcolor: 'grey.50', borderRadius: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+        <HeadphonesIcon fontSize="small" color="action" />
+        <Typography variant="caption" color="text.secondary">
+          {label}{meta?.duration > 0 && ` · ${formatDuration(meta.duration)}`}
+        </Typography>
+      </Box>
+      <audio
+        ref={audioRef}
+        controls
+        preload="metadata"
+        style={{ width: '100%' }}
+        src={src}
+        onTimeUpdate={handleTimeUpdate}
+        onEnded={handleEnded}
+      >
+        Your browser does not support audio playback.
+      </audio>
+    </Box>
+  );
+};
+
+export default NarrationPlayer;
@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  Alert
+} from '@mui/material';
+import { engagementApi } from '../services/api';
+
+// Report reasons (the keys the API accepts) and their translation keys
+export const REPORT_REASONS = [
+  { value: 'spam', labelKey: 'reasonSpam' },
+  { value: 'abuse', labelKey: 'reasonAbuse' },
+  { value: 'hate', labelKey: 'reasonHate' },
+  { value: 'harassment', labelKey: 'reasonHarassment' },
+  { value: 'misinformation', labelKey: 'reasonMisinformation' },
+  { value: 'off-topic', labelKey: 'reasonOffTopic' },
+  { value: 'other', labelKey: 'reasonOther' }
+];
+
+// Lets a reader report a comment; onReported gets the API response
+const ReportCommentDialog = ({ comment, onClose, onReported }) => {
+  const { t } = useTranslation();
+  const [reason, setReason] = useState('spam');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (comment) {
+      setReason('spam');
+      setNote('');
+      setError(null);
+    }
+  }, [comment]);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await engagementApi.reportComment(comment._id, { reason, note });
+      onReported(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to report comment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(comment)} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>{t('reportComment')}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <RadioGroup value={reason} onChange={(e) => setReason(e.target.value)}>
+          {REPORT_REASONS.map(option => (
+            <FormControlLabel
+              key={option.value}
+              value={option.value}
+              control={<Radio size="small" />}
+              label={t(option.labelKey)}
+            />
+          ))}
+        </RadioGroup>
+        <TextField
+          fullWidth
+          margin="normal"
+          label={t('reportNote')}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          multiline
+          rows={2}
+          inputProps={{ maxLength: 500 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('cancel')}</Button>
+        <Button variant="contained" color="error" onClick={handleSubmit} disabled={submitting}>
+          {t('submit')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReportCommentDialog;
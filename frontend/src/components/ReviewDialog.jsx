@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  IconButton,
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { workflowApi, languagesApi } from '../services/api';
+
+const emptyNote = { field: 'content', language: '', excerpt: '', comment: '' };
+
+const ReviewDialog = ({ open, onClose, article, onReviewed }) => {
+  const [decision, setDecision] = useState('approve');
+  const [note, setNote] = useState('');
+  const [reason, setReason] = useState('');
+  const [notes, setNotes] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setDecision('approve');
+    setNote('');
+    setReason('');
+    setNotes([]);
+    setError(null);
+
+    if (languages.length === 0) {
+      languagesApi.getAll()
+        .then(response => setLanguages(response.data.languages || []))
+        .catch(err => console.error('Failed to fetch languages:', err));
+    }
+  }, [open]);
+
+  const updateNote = (index, key, value) => {
+    setNotes(prev => prev.map((n, i) => (i === index ? { ...n, [key]: value } : n)));
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      if (decision === 'approve') {
+        await workflowApi.approve(article._id, note);
+      } else {
+        await workflowApi.reject(article._id, {
+          reason,
+          notes: notes.filter(n => n.comment.trim() && n.language)
+        });
+      }
+      onReviewed?.();
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to submit review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Review: {article?.title}
+        {article?.stepName && (
+          <Typography variant="body2" color="text.secondary">
+            Step: {article.stepName}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <ToggleButtonGroup
+          value={decision}
+          exclusive
+          onChange={(_, value) => value && setDecision(value)}
+          size="small"
+          sx={{ mb: 2 }}
+        >
+          <ToggleButton value="approve" color="success">Approve</ToggleButton>
+          <ToggleButton value="reject" color="error">Send back</ToggleButton>
+        </ToggleButtonGroup>
+
+        {decision === 'approve' ? (
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Note (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+        ) : (
+          <Box>
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              required
+              label="Reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+
+            <Typography variant="subtitle2" fontWeight={600} gutterBottom>
+              Inline notes
+            </Typography>
+            {notes.map((n, index) => (
+              <Box key={index} sx={{ border: 1, borderColor: 'divider', borderRadius: 1, p: 1.5, mb: 1.5 }}>
+                <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                  <FormControl size="small" sx={{ minWidth: 110 }}>
+                    <InputLabel>Field</InputLabel>
+                    <Select
+                      value={n.field}
+                      label="Field"
+                      onChange={(e) => updateNote(index, 'field', e.target.value)}
+                    >
+                      <MenuItem value="title">Title</MenuItem>
+                      <MenuItem value="summary">Summary</MenuItem>
+                      <MenuItem value="content">Content</MenuItem>
+                    </Select>
+                  </FormControl>
+                  <FormControl size="small" sx={{ minWidth: 130 }}>
+                    <InputLabel>Language</InputLabel>
+                    <Select
+                      value={n.language}
+                      label="Language"
+                      onChange={(e) => updateNote(index, 'language', e.target.value)}
+                    >
+                      {languages.map(l => (
+                        <MenuItem key={l.code} value={l.code}>{l.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <Box sx={{ flexGrow: 1 }} />
+                  <IconButton size="small" onClick={() => setNotes(prev => prev.filter((_, i) => i !== index))}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Quoted text"
+                  value={n.excerpt}
+                  onChange={(e) => updateNote(index, 'excerpt', e.target.value)}
+                  sx={{ mb: 1 }}
+                />
+                <TextField
+                  fullWidth
+                  size="small"
+                  multiline
+                  label="Comment"
+                  value={n.comment}
+                  onChange={(e) => updateNote(index, 'comment', e.target.value)}
+                />
+              </Box>
+            ))}
+            <Button size="small" startIcon={<AddIcon />} onClick={() => setNotes(prev => [...prev, { ...emptyNote }])}>
+              Add note
+            </Button>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          color={decision === 'approve' ? 'success' : 'error'}
+          onClick={handleSubmit}
+          disabled={saving || (decision === 'reject' && reason.trim().length < 3)}
+        >
+          {decision === 'approve' ? 'Approve' : 'Send back'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReviewDialog;
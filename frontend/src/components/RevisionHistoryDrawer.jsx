@@ -0,0 +1,269 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Drawer,
+  Typography,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  Button,
+  Divider,
+  Alert,
+  CircularProgress,
+  Tabs,
+  Tab
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Restore as RestoreIcon,
+  CompareArrows as CompareIcon
+} from '@mui/icons-material';
+import { articlesApi } from '../services/api';
+
+const FIELDS = ['title', 'summary', 'content'];
+
+const actionColor = (action) => {
+  switch (action) {
+    case 'create': return 'success';
+    case 'restore': return 'warning';
+    default: return 'default';
+  }
+};
+
+// Render diff operations as inline highlighted text
+const DiffText = ({ ops }) => (
+  <Typography
+    component="div"
+    variant="body2"
+    sx={{ whiteSpace: 'pre-wrap', lineHeight: 1.7, p: 1.5, bgcolor: 'grey.50', borderRadius: 1 }}
+  >
+    {ops.map((op, index) => {
+      if (op.type === 'insert') {
+        return (
+          <Box key={index} component="ins" sx={{ bgcolor: 'success.light', textDecoration: 'none' }}>
+            {op.text}
+          </Box>
+        );
+      }
+      if (op.type === 'delete') {
+        return (
+          <Box key={index} component="del" sx={{ bgcolor: 'error.light', color: 'error.contrastText' }}>
+            {op.text}
+          </Box>
+        );
+      }
+      return <span key={index}>{op.text}</span>;
+    })}
+  </Typography>
+);
+
+const RevisionHistoryDrawer = ({ open, onClose, articleId, languages = [], onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [compareFrom, setCompareFrom] = useState(null);
+  const [compareTo, setCompareTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [fieldTab, setFieldTab] = useState(0);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    if (open && articleId) {
+      fetchRevisions();
+    }
+  }, [open, articleId]);
+
+  const fetchRevisions = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await articlesApi.getRevisions(articleId);
+      setRevisions(response.data.revisions);
+      setDiff(null);
+      setCompareFrom(null);
+      setCompareTo(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // First click picks the older revision, second picks the newer one
+  const handleSelect = (revision) => {
+    if (!compareFrom || compareTo) {
+      setCompareFrom(revision);
+      setCompareTo(null);
+      setDiff(null);
+      return;
+    }
+    if (revision._id === compareFrom._id) return;
+
+    const [older, newer] = revision.revision < compareFrom.revision
+      ? [revision, compareFrom]
+      : [compareFrom, revision];
+    setCompareFrom(older);
+    setCompareTo(newer);
+    loadDiff(older, newer);
+  };
+
+  const loadDiff = async (from, to) => {
+    setDiffLoading(true);
+    setError(null);
+    try {
+      const response = await articlesApi.diffRevisions(articleId, from._id, to?._id);
+      setDiff(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to compare revisions');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision.revision}? The current version stays in history.`)) return;
+
+    setRestoringId(revision._id);
+    setError(null);
+    try {
+      await articlesApi.restoreRevision(articleId, revision._id);
+      await fetchRevisions();
+      if (onRestored) onRestored(revision);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore revision');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const languageName = (code) => languages.find(l => l.code === code)?.name || code;
+  const currentField = FIELDS[fieldTab];
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 520 }, p: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6" fontWeight={700} sx={{ flexGrow: 1 }}>
+            Revision History
+          </Typography>
+          <IconButton onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+        <Typography variant="caption" color="text.secondary">
+          Select two revisions to compare them.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ my: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : revisions.length === 0 ? (
+          <Typography color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+            No revisions yet
+          </Typography>
+        ) : (
+          <List dense>
+            {revisions.map((revision) => {
+              const selected = revision._id === compareFrom?._id || revision._id === compareTo?._id;
+              return (
+                <ListItem
+                  key={revision._id}
+                  disablePadding
+                  secondaryAction={
+                    <IconButton
+                      edge="end"
+                      size="small"
+                      title="Restore this revision"
+                      onClick={() => handleRestore(revision)}
+                      disabled={!!restoringId}
+                    >
+                      {restoringId === revision._id ? <CircularProgress size={18} /> : <RestoreIcon fontSize="small" />}
+                    </IconButton>
+                  }
+                >
+                  <ListItemButton selected={selected} onClick={() => handleSelect(revision)}>
+                    <ListItemText
+                      primary={
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Typography variant="body2" fontWeight={600}>#{revision.revision}</Typography>
+                          <Chip label={revision.action} size="small" color={actionColor(revision.action)} sx={{ height: 18 }} />
+                          <Typography variant="caption" color="text.secondary">
+                            {revision.editor?.name || 'Unknown'}
+                          </Typography>
+                        </Box>
+                      }
+                      secondary={
+                        <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5, alignItems: 'center' }}>
+                          <Typography component="span" variant="caption" color="text.secondary" sx={{ mr: 1 }}>
+                            {new Date(revision.createdAt).toLocaleString()}
+                          </Typography>
+                          {revision.changedLanguages.map(code => (
+                            <Chip key={code} label={code} size="small" variant="outlined" sx={{ height: 18 }} />
+                          ))}
+                        </Box>
+                      }
+                    />
+                  </ListItemButton>
+                </ListItem>
+              );
+            })}
+          </List>
+        )}
+
+        {compareFrom && !compareTo && (
+          <Button
+            size="small"
+            startIcon={<CompareIcon />}
+            onClick={() => loadDiff(compareFrom, null)}
+            sx={{ mb: 1 }}
+          >
+            Compare #{compareFrom.revision} with latest
+          </Button>
+        )}
+
+        {(diffLoading || diff) && <Divider sx={{ my: 2 }} />}
+
+        {diffLoading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {diff && !diffLoading && (
+          <Box>
+            <Typography variant="subtitle2" fontWeight={600} gutterBottom>
+              #{diff.from.revision} → #{diff.to.revision}
+            </Typography>
+            <Tabs value={fieldTab} onChange={(_, v) => setFieldTab(v)} sx={{ mb: 1 }}>
+              {FIELDS.map(field => <Tab key={field} label={field} />)}
+            </Tabs>
+            {Object.entries(diff.fields[currentField] || {}).map(([code, langDiff]) => (
+              <Box key={code} sx={{ mb: 2 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                  <Typography variant="body2" fontWeight={600}>{languageName(code)}</Typography>
+                  {langDiff.changed ? (
+                    <Typography variant="caption" color="text.secondary">
+                      +{langDiff.stats.added} / -{langDiff.stats.removed} words
+                    </Typography>
+                  ) : (
+                    <Typography variant="caption" color="text.secondary">unchanged</Typography>
+                  )}
+                </Box>
+                {langDiff.changed && <DiffText ops={langDiff.ops} />}
+              </Box>
+            ))}
+          </Box>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default RevisionHistoryDrawer;
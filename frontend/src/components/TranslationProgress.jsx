@@ -0,0 +1,82 @@
+import {
+  Box,
+  Typography,
+  LinearProgress,
+  Chip,
+  Button,
+  Tooltip
+} from '@mui/material';
+import { Replay as RetryIcon } from '@mui/icons-material';
+
+const STATUS_COLORS = {
+  done: 'success',
+  running: 'primary',
+  failed: 'error',
+  pending: 'default'
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  summary: 'Summary',
+  content: 'Content'
+};
+
+// Label for one task, with chunk progress while it runs
+const taskLabel = (task) => {
+  const name = task.kind === 'tts' ? `Audio ${task.lang}` : `${FIELD_LABELS[task.field]} ${task.from} → ${task.lang}`;
+  if (task.status === 'running' && task.chunks?.total > 1) {
+    return `${name} (${task.chunks.done}/${task.chunks.total})`;
+  }
+  return name;
+};
+
+// Progress of a background translation job, per field/language and TTS chunk
+const TranslationProgress = ({ job, onRetry, retrying = false }) => {
+  if (!job) return null;
+
+  const { progress, tasks = [] } = job;
+  const finished = job.status === 'completed' || job.status === 'failed';
+
+  return (
+    <Box sx={{ mt: 2, p: 2, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="body2" color="text.secondary">
+          {job.status === 'queued' && 'Waiting to start...'}
+          {job.status === 'running' && `Translating... ${progress.done} of ${progress.total} done`}
+          {job.status === 'completed' && 'Translation finished'}
+          {job.status === 'failed' && `${progress.failed} of ${progress.total} failed`}
+        </Typography>
+        {job.status === 'failed' && onRetry && (
+          <Button
+            size="small"
+            startIcon={<RetryIcon />}
+            onClick={onRetry}
+            disabled={retrying}
+          >
+            Retry Failed
+          </Button>
+        )}
+      </Box>
+      <LinearProgress
+        variant={job.status === 'queued' ? 'indeterminate' : 'determinate'}
+        value={progress.percent}
+        color={job.status === 'failed' ? 'error' : 'primary'}
+        sx={{ mb: 1.5 }}
+      />
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+        {tasks.map((task) => (
+          <Tooltip key={`${task.kind}-${task.field}-${task.lang}`} title={task.error || ''}>
+            <Chip
+              label={taskLabel(task)}
+              size="small"
+              color={STATUS_COLORS[task.status]}
+              variant={task.status === 'pending' || (finished && task.status === 'done') ? 'outlined' : 'filled'}
+            />
+          </Tooltip>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default TranslationProgress;
@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert,
+  Divider
+} from '@mui/material';
+import { workflowApi } from '../services/api';
+
+const actionColor = (action) => {
+  switch (action) {
+    case 'approve': return 'success';
+    case 'publish': return 'success';
+    case 'reject': return 'error';
+    case 'submit': return 'primary';
+    case 'assign': return 'info';
+    default: return 'default';
+  }
+};
+
+const WorkflowHistoryDialog = ({ open, onClose, article }) => {
+  const [transitions, setTransitions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open && article?._id) {
+      fetchHistory();
+    }
+  }, [open, article?._id]);
+
+  const fetchHistory = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await workflowApi.getHistory(article._id);
+      setTransitions(response.data.transitions);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Workflow History</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : transitions.length === 0 ? (
+          <Typography color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            No history yet
+          </Typography>
+        ) : (
+          transitions.map((transition, index) => (
+            <Box key={transition._id}>
+              {index > 0 && <Divider sx={{ my: 1.5 }} />}
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                <Chip label={transition.action} size="small" color={actionColor(transition.action)} />
+                <Typography variant="body2" fontWeight={600}>
+                  {transition.actor?.name || 'System'}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {new Date(transition.createdAt).toLocaleString()}
+                </Typography>
+              </Box>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 0.5 }}>
+                {transition.fromStatus} → {transition.toStatus}
+                {transition.fromStep && ` · from ${transition.fromStep}`}
+                {transition.toStep && ` · to ${transition.toStep}`}
+                {transition.assignedTo && ` · assigned to ${transition.assignedTo.name}`}
+              </Typography>
+              {transition.note && (
+                <Typography variant="body2" sx={{ mt: 0.5 }}>{transition.note}</Typography>
+              )}
+              {transition.notes?.map((n, i) => (
+                <Box key={i} sx={{ mt: 0.5, pl: 1.5, borderLeft: 2, borderColor: 'divider' }}>
+                  <Typography variant="caption" color="text.secondary">
+                    {n.field} ({n.language}){n.excerpt && `: “${n.excerpt}”`}
+                  </Typography>
+                  <Typography variant="body2">{n.comment}</Typography>
+                </Box>
+              ))}
+            </Box>
+          ))
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WorkflowHistoryDialog;
@@ -1,6 +1,6 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import api from '../services/api';
-import Cookies from 'js-cookie';
+import api, { setAuthTokens, clearAuthTokens, hasAuthTokens } from '../services/api';
+import offlineService from '../services/offlineService';
 
 const AuthContext = createContext(null);
 
@@ -24,8 +24,7 @@ export const AuthProvider = ({ children }) => {
 
   const checkAuth = async () => {
     try {
-      const token = Cookies.get('taaja_token');
-      if (!token) {
+      if (!hasAuthTokens()) {
         setLoading(false);
         return;
       }
@@ -34,7 +33,11 @@ export const AuthProvider = ({ children }) => {
       setUser(response.data.user);
     } catch (err) {
       console.error('Auth check failed:', err);
-      Cookies.remove('taaja_token');
+      // Signed out elsewhere or the refresh token expired
+      if (err.response?.status === 401) {
+        clearAuthTokens();
+        offlineService.clear().catch(e => console.error('Failed to clear offline data:', e));
+      }
     } finally {
       setLoading(false);
     }
@@ -44,9 +47,9 @@ export const AuthProvider = ({ children }) => {
     try {
       setError(null);
       const response = await api.post('/auth/login', { email, password });
-      const { token, user: userData } = response.data;
+      const { token, refreshToken, user: userData } = response.data;
       
-      Cookies.set('taaja_token', token, { expires: 7 });
+      setAuthTokens({ token, refreshToken });
       setUser(userData);
       
       return { success: true };
@@ -57,13 +60,29 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  const loginWithPhone = useCallback(async (phone, code, name) => {
+    try {
+      setError(null);
+      const response = await api.post('/auth/phone/verify-otp', { phone, code, ...(name ? { name } : {}) });
+      const { token, refreshToken, user: userData } = response.data;
+
+      setAuthTokens({ token, refreshToken });
+      setUser(userData);
+
+      return { success: true, user: userData, isNewUser: response.data.isNewUser };
+    } catch (err) {
+      const message = err.response?.data?.error || 'Login failed';
+      return { success: false, error: message, code: err.response?.data?.code };
+    }
+  }, []);
+
   const register = useCallback(async (name, email, password) => {
     try {
       setError(null);
       const response = await api.post('/auth/register', { name, email, password });
-      const { token, user: userData } = response.data;
+      const { token, refreshToken, user: userData } = response.data;
       
-      Cookies.set('taaja_token', token, { expires: 7 });
+      setAuthTokens({ token, refreshToken });
       setUser(userData);
       
       return { success: true };
@@ -80,8 +99,9 @@ export const AuthProvider = ({ children }) => {
     } catch (err) {
       console.error('Logout error:', err);
     } finally {
-      Cookies.remove('taaja_token');
+      clearAuthTokens();
       setUser(null);
+      await offlineService.clear().catch(e => console.error('Failed to clear offline data:', e));
     }
   }, []);
 
@@ -110,6 +130,13 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Whether the user holds a permission somewhere; the API still checks
+  // each article, comment, category or location
+  const can = useCallback(
+    (permission) => user?.role === 'admin' || !!user?.permissions?.includes(permission),
+    [user]
+  );
+
   const value = {
     user,
     loading,
@@ -117,7 +144,9 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     isAdmin: user?.role === 'admin',
     isReporter: user?.role === 'reporter' || user?.role === 'admin',
+    can,
     login,
+    loginWithPhone,
     register,
     logout,
     updateProfile,
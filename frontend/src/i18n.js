@@ -38,9 +38,36 @@ const resources = {
       forgotPassword: 'పాస్‌వర్డ్ మర్చిపోయారా?',
       noAccount: 'ఖాతా లేదా?',
       hasAccount: 'ఇప్పటికే ఖాతా ఉందా?',
+      resetPassword: 'పాస్‌వర్డ్ రీసెట్',
+      forgotPasswordDesc: 'మీ ఇమెయిల్ నమోదు చేయండి, పాస్‌వర్డ్ రీసెట్ చేయడానికి లింక్ పంపుతాము.',
+      sendResetLink: 'రీసెట్ లింక్ పంపండి',
+      resetLinkSent: 'ఆ ఇమెయిల్‌తో ఖాతా ఉంటే, రీసెట్ లింక్ పంపబడింది.',
+      newPassword: 'కొత్త పాస్‌వర్డ్',
+      passwordsDontMatch: 'పాస్‌వర్డ్‌లు సరిపోలలేదు',
+      passwordResetDone: 'మీ పాస్‌వర్డ్ రీసెట్ చేయబడింది. దయచేసి లాగిన్ అవ్వండి.',
+      backToLogin: 'లాగిన్‌కు తిరిగి వెళ్ళండి',
+      verifyingEmail: 'మీ ఇమెయిల్ ధృవీకరిస్తోంది...',
+      emailVerified: 'మీ ఇమెయిల్ ధృవీకరించబడింది. ఇప్పుడు మీరు వార్తలపై వ్యాఖ్యానించవచ్చు.',
+      invalidLink: 'ఈ లింక్ చెల్లదు లేదా గడువు ముగిసింది.',
+      verifyToComment: 'చర్చలో పాల్గొనడానికి మీ ఇమెయిల్ చిరునామాను ధృవీకరించండి.',
+      resendVerification: 'ధృవీకరణ ఇమెయిల్ మళ్లీ పంపండి',
+      verificationSent: 'ధృవీకరణ ఇమెయిల్ పంపబడింది. మీ ఇన్‌బాక్స్ చూడండి.',
+      phone: 'ఫోన్',
+      phoneNumber: 'ఫోన్ నంబర్',
+      sendCode: 'కోడ్ పంపండి',
+      otpCode: 'ధృవీకరణ కోడ్',
+      codeSentTo: '6 అంకెల కోడ్ పంపాము',
+      resendCode: 'కోడ్ మళ్లీ పంపండి',
+      resendIn: '{{seconds}} సెకన్లలో మళ్లీ పంపవచ్చు',
+      nameForNewAccount: 'మీ పేరు (కొత్త ఖాతాకు)',
+      verifyAndLogin: 'ధృవీకరించి లాగిన్ అవ్వండి',
+      changeNumber: 'నంబర్ మార్చండి',
       
       // Articles
       latestNews: 'తాజా వార్తలు',
+      forYou: 'మీ కోసం',
+      breakingAlerts: 'బ్రేకింగ్ న్యూస్ హెచ్చరికలు',
+      savedOffline: 'ఆఫ్‌లైన్ కోసం సేవ్ చేయబడింది',
       breakingNews: 'బ్రేకింగ్ న్యూస్',
       trending: 'ట్రెండింగ్',
       featured: 'ఫీచర్డ్',
@@ -57,6 +84,42 @@ const resources = {
       addComment: 'వ్యాఖ్య రాయండి',
       submitComment: 'సబ్మిట్',
       noComments: 'ఇంకా వ్యాఖ్యలు లేవు. మొదట వ్యాఖ్యానించండి!',
+      commentsClosed: 'ఈ వార్తపై వ్యాఖ్యలు మూసివేయబడ్డాయి.',
+      commentHeld: 'మీ వ్యాఖ్య మోడరేటర్ సమీక్ష తర్వాత కనిపిస్తుంది.',
+      awaitingModeration: 'సమీక్షలో ఉంది',
+      reply: 'సమాధానం',
+      viewReplies: '{{count}} సమాధానాలు చూడండి',
+      moreReplies: 'మరిన్ని సమాధానాలు',
+      loadMoreComments: 'మరిన్ని వ్యాఖ్యలు',
+      commentRemoved: 'ఈ వ్యాఖ్య తొలగించబడింది.',
+      sortNewest: 'కొత్తవి',
+      sortOldest: 'పాతవి',
+      sortTop: 'ఎక్కువ ఇష్టపడినవి',
+      reportComment: 'వ్యాఖ్యను నివేదించండి',
+      reportReason: 'కారణం',
+      reportNote: 'మరిన్ని వివరాలు (ఐచ్ఛికం)',
+      reportSent: 'ధన్యవాదాలు, మోడరేటర్ దీనిని పరిశీలిస్తారు.',
+      reasonSpam: 'స్పామ్ లేదా ప్రకటన',
+      reasonAbuse: 'దూషణ',
+      reasonHate: 'ద్వేషపూరిత ప్రసంగం',
+      reasonHarassment: 'వేధింపు',
+      reasonMisinformation: 'తప్పుడు సమాచారం',
+      reasonOffTopic: 'విషయానికి సంబంధం లేదు',
+      reasonOther: 'ఇతర',
+      commentsMuted: 'మీరు {{until}} వరకు వ్యాఖ్యానించలేరు.',
+      commentsRestricted: 'మోడరేటర్ నిషేధాన్ని ఎత్తివేసే వరకు మీరు వ్యాఖ్యానించలేరు.',
+      commenterReputation: 'వ్యాఖ్యాత ఖ్యాతి',
+      reputationCounts: '{{approved}} ఆమోదించబడ్డాయి · {{flagged}} ఫ్లాగ్ చేయబడ్డాయి · {{rejected}} తొలగించబడ్డాయి',
+      moderationHistory: 'సమీక్షలో లేదా తొలగించబడిన వ్యాఖ్యలు',
+      noModerationHistory: 'మీ వ్యాఖ్యలన్నీ ప్రచురించబడ్డాయి.',
+      removedByModerator: 'మోడరేటర్ తొలగించారు',
+      appeal: 'అప్పీల్ చేయండి',
+      appealMessage: 'ఇది ఎందుకు పునఃపరిశీలించాలో చెప్పండి',
+      appealSent: 'మీ అప్పీల్ మోడరేటర్లకు పంపబడింది.',
+      appeals: 'అప్పీళ్లు',
+      appealOpen: 'పరిశీలనలో ఉంది',
+      appealGranted: 'ఆమోదించబడింది',
+      appealDenied: 'తిరస్కరించబడింది',
       
       // Categories
       politics: 'రాజకీయాలు',
@@ -106,7 +169,17 @@ const resources = {
       
       // Flip reader
       flipInstruction: 'పేజీలు తిప్పడానికి స్వైప్ చేయండి లేదా క్లిక్ చేయండి',
-      pageOf: 'పేజీ {{current}} / {{total}}'
+      pageOf: 'పేజీ {{current}} / {{total}}',
+      
+      // Live blogs
+      liveNow: 'లైవ్',
+      liveBlogEnded: 'లైవ్ కవరేజ్ ముగిసింది',
+      keyEvents: 'ముఖ్య ఘటనలు',
+      pinnedUpdate: 'పిన్ చేసిన అప్‌డేట్',
+      newUpdate: 'కొత్తది',
+      olderUpdates: 'పాత అప్‌డేట్లు',
+      updatesCount: '{{count}} అప్‌డేట్లు',
+      noUpdatesYet: 'ఇంకా అప్‌డేట్లు లేవు'
     }
   },
   en: {
@@ -145,9 +218,36 @@ const resources = {
       forgotPassword: 'Forgot Password?',
       noAccount: "Don't have an account?",
       hasAccount: 'Already have an account?',
+      resetPassword: 'Reset Password',
+      forgotPasswordDesc: 'Enter your email and we will send you a link to reset your password.',
+      sendResetLink: 'Send Reset Link',
+      resetLinkSent: 'If an account exists for that email, a reset link is on its way.',
+      newPassword: 'New Password',
+      passwordsDontMatch: 'Passwords do not match',
+      passwordResetDone: 'Your password has been reset. Please sign in.',
+      backToLogin: 'Back to Login',
+      verifyingEmail: 'Verifying your email...',
+      emailVerified: 'Your email is verified. You can now comment on stories.',
+      invalidLink: 'This link is invalid or has expired.',
+      verifyToComment: 'Verify your email address to join the conversation.',
+      resendVerification: 'Resend verification email',
+      verificationSent: 'Verification email sent. Check your inbox.',
+      phone: 'Phone',
+      phoneNumber: 'Phone Number',
+      sendCode: 'Send Code',
+      otpCode: 'Verification Code',
+      codeSentTo: 'We sent a 6-digit code to',
+      resendCode: 'Resend code',
+      resendIn: 'Resend in {{seconds}}s',
+      nameForNewAccount: 'Your name (for new accounts)',
+      verifyAndLogin: 'Verify & Login',
+      changeNumber: 'Change number',
       
       // Articles
       latestNews: 'Latest News',
+      forYou: 'For You',
+      breakingAlerts: 'Breaking news alerts',
+      savedOffline: 'Saved for offline',
       breakingNews: 'Breaking News',
       trending: 'Trending',
       featured: 'Featured',
@@ -164,6 +264,42 @@ const resources = {
       addComment: 'Add a comment',
       submitComment: 'Submit',
       noComments: 'No comments yet. Be the first to comment!',
+      commentsClosed: 'Comments are closed on this story.',
+      commentHeld: 'Your comment will appear once a moderator has reviewed it.',
+      awaitingModeration: 'Awaiting moderation',
+      reply: 'Reply',
+      viewReplies: 'View {{count}} replies',
+      moreReplies: 'More replies',
+      loadMoreComments: 'Load more comments',
+      commentRemoved: 'This comment was removed.',
+      sortNewest: 'Newest',
+      sortOldest: 'Oldest',
+      sortTop: 'Top',
+      reportComment: 'Report comment',
+      reportReason: 'Reason',
+      reportNote: 'Anything else (optional)',
+      reportSent: 'Thanks, a moderator will take a look.',
+      reasonSpam: 'Spam or advertising',
+      reasonAbuse: 'Abuse',
+      reasonHate: 'Hate speech',
+      reasonHarassment: 'Harassment',
+      reasonMisinformation: 'Misinformation',
+      reasonOffTopic: 'Off topic',
+      reasonOther: 'Other',
+      commentsMuted: 'You cannot comment until {{until}}.',
+      commentsRestricted: 'You cannot comment until a moderator lifts the restriction.',
+      commenterReputation: 'Commenter reputation',
+      reputationCounts: '{{approved}} approved · {{flagged}} flagged · {{rejected}} removed',
+      moderationHistory: 'Comments under review or removed',
+      noModerationHistory: 'All your comments are published.',
+      removedByModerator: 'Removed by a moderator',
+      appeal: 'Appeal',
+      appealMessage: 'Tell the moderators why they should look again',
+      appealSent: 'Your appeal has been sent to the moderators.',
+      appeals: 'Appeals',
+      appealOpen: 'Under review',
+      appealGranted: 'Granted',
+      appealDenied: 'Denied',
       
       // Categories
       politics: 'Politics',
@@ -213,7 +349,17 @@ const resources = {
       
       // Flip reader
       flipInstruction: 'Swipe or click to turn pages',
-      pageOf: 'Page {{current}} of {{total}}'
+      pageOf: 'Page {{current}} of {{total}}',
+      
+      // Live blogs
+      liveNow: 'Live',
+      liveBlogEnded: 'Live coverage has ended',
+      keyEvents: 'Key Events',
+      pinnedUpdate: 'Pinned update',
+      newUpdate: 'New',
+      olderUpdates: 'Older updates',
+      updatesCount: '{{count}} updates',
+      noUpdatesYet: 'No updates yet'
     }
   },
   hi: {
@@ -252,9 +398,36 @@ const resources = {
       forgotPassword: 'पासवर्ड भूल गए?',
       noAccount: 'खाता नहीं है?',
       hasAccount: 'पहले से खाता है?',
+      resetPassword: 'पासवर्ड रीसेट करें',
+      forgotPasswordDesc: 'अपना ईमेल दर्ज करें, हम पासवर्ड रीसेट करने का लिंक भेजेंगे।',
+      sendResetLink: 'रीसेट लिंक भेजें',
+      resetLinkSent: 'अगर उस ईमेल से कोई खाता है, तो रीसेट लिंक भेज दिया गया है।',
+      newPassword: 'नया पासवर्ड',
+      passwordsDontMatch: 'पासवर्ड मेल नहीं खाते',
+      passwordResetDone: 'आपका पासवर्ड रीसेट हो गया है। कृपया लॉगिन करें।',
+      backToLogin: 'लॉगिन पर वापस जाएं',
+      verifyingEmail: 'आपका ईमेल सत्यापित हो रहा है...',
+      emailVerified: 'आपका ईमेल सत्यापित हो गया है। अब आप ख़बरों पर टिप्पणी कर सकते हैं।',
+      invalidLink: 'यह लिंक अमान्य है या इसकी समय-सीमा समाप्त हो गई है।',
+      verifyToComment: 'चर्चा में शामिल होने के लिए अपना ईमेल पता सत्यापित करें।',
+      resendVerification: 'सत्यापन ईमेल दोबारा भेजें',
+      verificationSent: 'सत्यापन ईमेल भेज दिया गया है। अपना इनबॉक्स देखें।',
+      phone: 'फ़ोन',
+      phoneNumber: 'फ़ोन नंबर',
+      sendCode: 'कोड भेजें',
+      otpCode: 'सत्यापन कोड',
+      codeSentTo: 'हमने 6 अंकों का कोड भेजा है',
+      resendCode: 'कोड दोबारा भेजें',
+      resendIn: '{{seconds}} सेकंड में दोबारा भेजें',
+      nameForNewAccount: 'आपका नाम (नए खाते के लिए)',
+      verifyAndLogin: 'सत्यापित करें और लॉगिन करें',
+      changeNumber: 'नंबर बदलें',
       
       // Articles
       latestNews: 'ताज़ा खबर',
+      forYou: 'आपके लिए',
+      breakingAlerts: 'ब्रेकिंग न्यूज़ अलर्ट',
+      savedOffline: 'ऑफ़लाइन के लिए सहेजा गया',
       breakingNews: 'ब्रेकिंग न्यूज़',
       trending: 'ट्रेंडिंग',
       featured: 'फीचर्ड',
@@ -271,6 +444,42 @@ const resources = {
       addComment: 'टिप्पणी जोड़ें',
       submitComment: 'सबमिट करें',
       noComments: 'अभी तक कोई टिप्पणी नहीं। पहले टिप्पणी करें!',
+      commentsClosed: 'इस ख़बर पर टिप्पणियाँ बंद हैं।',
+      commentHeld: 'मॉडरेटर की समीक्षा के बाद आपकी टिप्पणी दिखाई देगी।',
+      awaitingModeration: 'समीक्षा में',
+      reply: 'जवाब दें',
+      viewReplies: '{{count}} जवाब देखें',
+      moreReplies: 'और जवाब',
+      loadMoreComments: 'और टिप्पणियाँ',
+      commentRemoved: 'यह टिप्पणी हटा दी गई।',
+      sortNewest: 'नई',
+      sortOldest: 'पुरानी',
+      sortTop: 'सबसे पसंदीदा',
+      reportComment: 'टिप्पणी की शिकायत करें',
+      reportReason: 'कारण',
+      reportNote: 'और कुछ (वैकल्पिक)',
+      reportSent: 'धन्यवाद, मॉडरेटर इसे देखेंगे।',
+      reasonSpam: 'स्पैम या विज्ञापन',
+      reasonAbuse: 'गाली-गलौज',
+      reasonHate: 'नफ़रत भरी बातें',
+      reasonHarassment: 'उत्पीड़न',
+      reasonMisinformation: 'ग़लत जानकारी',
+      reasonOffTopic: 'विषय से हटकर',
+      reasonOther: 'अन्य',
+      commentsMuted: 'आप {{until}} तक टिप्पणी नहीं कर सकते।',
+      commentsRestricted: 'मॉडरेटर के रोक हटाने तक आप टिप्पणी नहीं कर सकते।',
+      commenterReputation: 'टिप्पणीकार की साख',
+      reputationCounts: '{{approved}} स्वीकृत · {{flagged}} फ़्लैग · {{rejected}} हटाई गईं',
+      moderationHistory: 'समीक्षा में या हटाई गई टिप्पणियाँ',
+      noModerationHistory: 'आपकी सभी टिप्पणियाँ प्रकाशित हैं।',
+      removedByModerator: 'मॉडरेटर ने हटाई',
+      appeal: 'अपील करें',
+      appealMessage: 'मॉडरेटर को बताएँ कि इसे दोबारा क्यों देखा जाए',
+      appealSent: 'आपकी अपील मॉडरेटर को भेज दी गई है।',
+      appeals: 'अपीलें',
+      appealOpen: 'समीक्षा में',
+      appealGranted: 'स्वीकृत',
+      appealDenied: 'अस्वीकृत',
       
       // Categories
       politics: 'राजनीति',
@@ -320,7 +529,17 @@ const resources = {
       
       // Flip reader
       flipInstruction: 'पेज बदलने के लिए स्वाइप करें या क्लिक करें',
-      pageOf: 'पृष्ठ {{current}} में से {{total}}'
+      pageOf: 'पृष्ठ {{current}} में से {{total}}',
+      
+      // Live blogs
+      liveNow: 'लाइव',
+      liveBlogEnded: 'लाइव कवरेज समाप्त हो गई है',
+      keyEvents: 'मुख्य घटनाएं',
+      pinnedUpdate: 'पिन किया गया अपडेट',
+      newUpdate: 'नया',
+      olderUpdates: 'पुराने अपडेट',
+      updatesCount: '{{count}} अपडेट',
+      noUpdatesYet: 'अभी कोई अपडेट नहीं'
     }
   }
 };
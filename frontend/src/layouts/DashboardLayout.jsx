@@ -27,7 +27,11 @@ import {
   LocationOn as LocationIcon,
   Language as LanguageIcon,
   Logout as LogoutIcon,
-  Add as AddIcon
+  Add as AddIcon,
+  CloudDownload as ScrapedIcon,
+  Translate as GlossaryIcon,
+  VpnKey as ApiKeyIcon,
+  Forum as CommentsIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -40,7 +44,7 @@ const DashboardLayout = () => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
-  const { user, isAdmin, logout } = useAuth();
+  const { user, isAdmin, can, logout } = useAuth();
   const [mobileOpen, setMobileOpen] = useState(false);
 
   const menuItems = [
@@ -50,11 +54,18 @@ const DashboardLayout = () => {
   ];
 
   const adminMenuItems = [
-    { path: '/dashboard/categories', label: t('manageCategories'), icon: <CategoryIcon /> },
+    { path: '/dashboard/categories', label: t('manageCategories'), icon: <CategoryIcon />, permission: 'categories.manage' },
+    { path: '/dashboard/comments', label: 'Comments', icon: <CommentsIcon />, permission: 'comments.moderate' },
     { path: '/dashboard/users', label: t('manageUsers'), icon: <PeopleIcon /> },
+    { path: '/dashboard/scraped', label: 'Scraped Articles', icon: <ScrapedIcon /> },
     { path: '/dashboard/languages', label: 'Manage Languages', icon: <LanguageIcon /> },
+    { path: '/dashboard/glossary', label: 'Translation Glossary', icon: <GlossaryIcon /> },
+    { path: '/dashboard/api-keys', label: 'API Keys', icon: <ApiKeyIcon /> },
   ];
 
+  // Reporters see the admin pages their permissions open up
+  const visibleAdminItems = adminMenuItems.filter(item => isAdmin || (item.permission && can(item.permission)));
+
   const drawer = (
     <Box>
       <Box sx={{ p: 2, display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
@@ -104,14 +115,14 @@ const DashboardLayout = () => {
         ))}
       </List>
 
-      {isAdmin && (
+      {visibleAdminItems.length > 0 && (
         <>
           <Divider />
           <Typography variant="overline" sx={{ px: 2, py: 1, display: 'block' }}>
             Admin
           </Typography>
           <List>
-            {adminMenuItems.map((item) => (
+            {visibleAdminItems.map((item) => (
               <ListItem key={item.path} disablePadding>
                 <ListItemButton
                   selected={location.pathname === item.path}
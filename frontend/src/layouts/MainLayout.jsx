@@ -21,6 +21,7 @@ import {
   Menu,
   MenuItem,
   Chip,
+  Switch,
   useMediaQuery,
   useTheme
 } from '@mui/material';
@@ -35,11 +36,14 @@ import {
   Logout as LogoutIcon,
   Dashboard as DashboardIcon,
   LocationOn as LocationIcon,
-  Language as LanguageIcon
+  Language as LanguageIcon,
+  NotificationsActive as AlertsIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { useLocation } from '../contexts/LocationContext';
 import { languagesApi } from '../services/api';
+import pushService from '../services/pushService';
+import offlineService from '../services/offlineService';
 
 const MainLayout = () => {
   const { t, i18n } = useTranslation();
@@ -56,6 +60,8 @@ const MainLayout = () => {
   const [langMenuAnchor, setLangMenuAnchor] = useState(null);
   const [languages, setLanguages] = useState([]);
   const [currentLang, setCurrentLang] = useState(null);
+  const [pushAvailable, setPushAvailable] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(false);
 
   const currentPath = routerLocation.pathname;
 
@@ -88,6 +94,58 @@ const MainLayout = () => {
     setCurrentLang(current);
   }, [i18n.language, languages]);
 
+  // Breaking-news alerts are offered when both browser and server support them
+  useEffect(() => {
+    if (!pushService.isSupported()) return;
+    const loadPushState = async () => {
+      const publicKey = await pushService.getPublicKey();
+      setPushAvailable(Boolean(publicKey));
+      const subscription = await pushService.getSubscription();
+      setPushEnabled(Boolean(subscription) && Notification.permission === 'granted');
+    };
+    loadPushState();
+  }, []);
+
+  // Keep the subscription's language, location and owner up to date
+  useEffect(() => {
+    if (!pushEnabled) return;
+    pushService.subscribe(getPushTargeting()).catch(err => {
+      console.error('Failed to update push subscription:', err);
+    });
+  }, [pushEnabled, i18n.language, city?._id, area?._id, isAuthenticated]);
+
+  // Keep the city's latest feed and bookmarks readable offline
+  useEffect(() => {
+    const syncOffline = () => offlineService.sync({
+      lang: i18n.language,
+      city,
+      area,
+      isAuthenticated
+    });
+    syncOffline();
+    window.addEventListener('online', syncOffline);
+    return () => window.removeEventListener('online', syncOffline);
+  }, [i18n.language, city?._id, area?._id, isAuthenticated]);
+
+  const getPushTargeting = () => ({
+    language: i18n.language,
+    city: city?._id || null,
+    area: area?._id || null
+  });
+
+  const handlePushToggle = async () => {
+    try {
+      if (pushEnabled) {
+        await pushService.unsubscribe();
+        setPushEnabled(false);
+      } else {
+        setPushEnabled(await pushService.subscribe(getPushTargeting()));
+      }
+    } catch (err) {
+      console.error('Failed to change breaking news alerts:', err);
+    }
+  };
+
   // Helper to get display name from city/area
   const getDisplayName = (item) => {
     if (!item) return '';
@@ -236,6 +294,10 @@ const MainLayout = () => {
                     {t('dashboard')}
                   </MenuItem>
                 )}
+                <MenuItem onClick={() => { setUserMenuAnchor(null); navigate('/site/profile'); }}>
+                  <ListItemIcon><PersonIcon fontSize="small" /></ListItemIcon>
+                  {t('profile')}
+                </MenuItem>
                 <MenuItem onClick={() => { setUserMenuAnchor(null); navigate('/bookmarks'); }}>
                   <ListItemIcon><BookmarkIcon fontSize="small" /></ListItemIcon>
                   {t('bookmark')}
@@ -329,6 +391,21 @@ const MainLayout = () => {
             ))}
           </List>
 
+          {pushAvailable && (
+            <>
+              <Divider />
+              <List>
+                <ListItem disablePadding>
+                  <ListItemButton onClick={handlePushToggle}>
+                    <ListItemIcon><AlertsIcon /></ListItemIcon>
+                    <ListItemText primary={t('breakingAlerts')} />
+                    <Switch edge="end" checked={pushEnabled} tabIndex={-1} />
+                  </ListItemButton>
+                </ListItem>
+              </List>
+            </>
+          )}
+
           {isAuthenticated && (
             <>
               <Divider />
@@ -7,6 +7,7 @@ import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
 import { LocationProvider } from './contexts/LocationContext';
 import theme from './theme';
+import pushService from './services/pushService';
 import './i18n';
 import './index.css';
 
@@ -24,3 +25,6 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     </BrowserRouter>
   </React.StrictMode>
 );
+
+// Service worker shows breaking-news notifications
+pushService.register();
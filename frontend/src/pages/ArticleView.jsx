@@ -10,15 +10,14 @@ import {
   Divider,
   IconButton,
   Button,
+  Alert,
   Card,
   CardContent,
   Grid,
   Skeleton,
   TextField,
-  List,
-  ListItem,
-  ListItemAvatar,
-  ListItemText,
+  Select,
+  MenuItem,
   Breadcrumbs
 } from '@mui/material';
 import {
@@ -33,17 +32,23 @@ import {
   AccessTime as TimeIcon,
   Visibility as ViewIcon,
   Send as SendIcon,
-  NavigateNext as NavNextIcon
+  NavigateNext as NavNextIcon,
+  OfflinePin as OfflineIcon
 } from '@mui/icons-material';
-import { articlesApi, engagementApi } from '../services/api';
+import { articlesApi, engagementApi, authApi, liveBlogsApi } from '../services/api';
+import offlineService from '../services/offlineService';
 import { useAuth } from '../contexts/AuthContext';
 import { v4 as uuidv4 } from 'uuid';
+import NarrationPlayer, { splitParagraphs } from '../components/NarrationPlayer';
+import ReportCommentDialog from '../components/ReportCommentDialog';
+import CommentThread, { updateComment, findComment, upsertComment } from '../components/CommentThread';
+import LiveBlog, { upsertEntry, removeEntry } from '../components/LiveBlog';
 
 const ArticleView = () => {
   const { slug } = useParams();
   const navigate = useNavigate();
   const { t, i18n } = useTranslation();
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user } = useAuth();
   const lang = i18n.language;
 
   const [article, setArticle] = useState(null);
@@ -54,6 +59,19 @@ const ArticleView = () => {
   const [engagement, setEngagement] = useState({ liked: false, disliked: false, bookmarked: false });
   const [newComment, setNewComment] = useState('');
   const [submittingComment, setSubmittingComment] = useState(false);
+  const [spokenParagraph, setSpokenParagraph] = useState(null);
+  const [seekTo, setSeekTo] = useState(null);
+  const [savedOffline, setSavedOffline] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
+  const [commentPolicy, setCommentPolicy] = useState(null);
+  const [commentNotice, setCommentNotice] = useState(null);
+  const [reportingComment, setReportingComment] = useState(null);
+  const [commentSort, setCommentSort] = useState('newest');
+  const [commentsCursor, setCommentsCursor] = useState(null);
+  const [commentsTotal, setCommentsTotal] = useState(0);
+  const [loadingComments, setLoadingComments] = useState(false);
+  const [liveBlog, setLiveBlog] = useState(null);
+  const [loadingUpdates, setLoadingUpdates] = useState(false);
 
   const sessionId = useRef(uuidv4());
 
@@ -61,6 +79,51 @@ const ArticleView = () => {
     fetchArticle();
   }, [slug]);
 
+  // Read by the live stream, which outlives any one render
+  const commentOrder = useRef({});
+  commentOrder.current = { sort: commentSort, cursor: commentsCursor };
+
+  // New top-level comments go where the current sort puts them; with more
+  // pages to come under oldest or top, they arrive with a later page
+  const newCommentPlacement = () => {
+    const { sort, cursor } = commentOrder.current;
+    if (sort === 'newest') return 'start';
+    return cursor ? null : 'end';
+  };
+
+  // Live comments and counters while the article is open
+  useEffect(() => {
+    if (!article?._id || typeof EventSource === 'undefined') return undefined;
+
+    const source = new EventSource(engagementApi.liveUrl(article._id));
+    const on = (type, handler) => source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+
+    on('engagement', (counts) => {
+      setArticle(prev => ({ ...prev, engagement: { ...prev.engagement, ...counts } }));
+      setCommentsTotal(counts.commentsCount || 0);
+    });
+    on('comment', (comment) => {
+      setComments(prev => upsertComment(prev, comment, newCommentPlacement()));
+    });
+    on('comment-removed', ({ _id }) => {
+      setComments(prev => updateComment(prev, _id, c => ({ ...c, status: 'removed', content: '', user: null })));
+    });
+    on('comment-likes', ({ _id, likes }) => {
+      setComments(prev => updateComment(prev, _id, c => ({ ...c, likes })));
+    });
+    on('entry', (entry) => {
+      setLiveBlog(prev => prev && upsertEntry(prev, entry));
+    });
+    on('entry-removed', ({ _id }) => {
+      setLiveBlog(prev => prev && removeEntry(prev, _id));
+    });
+    on('live-blog', (state) => {
+      setLiveBlog(prev => prev && { ...prev, liveBlog: { ...prev.liveBlog, ...state } });
+    });
+
+    return () => source.close();
+  }, [article?._id]);
+
   const fetchArticle = async () => {
     setLoading(true);
     try {
@@ -68,13 +131,20 @@ const ArticleView = () => {
       setArticle(response.data.article);
       setRelatedArticles(response.data.relatedArticles || []);
       setBreadcrumb(response.data.breadcrumb || []);
+      offlineService.isSaved(slug, lang).then(setSavedOffline);
 
       // Record view
       engagementApi.recordView(response.data.article._id, sessionId.current);
 
+      // Running updates of a live blog
+      if (response.data.article.kind === 'live_blog') {
+        loadUpdates(response.data.article._id).catch(err => console.error('Failed to fetch live updates:', err));
+      } else {
+        setLiveBlog(null);
+      }
+
       // Fetch comments
-      const commentsRes = await engagementApi.getComments(response.data.article._id);
-      setComments(commentsRes.data.comments);
+      await loadComments(response.data.article._id, { sort: commentSort });
 
       // Get engagement status
       if (isAuthenticated) {
@@ -88,6 +158,109 @@ const ArticleView = () => {
     }
   };
 
+  // First page of threads, or the next one after `cursor`
+  const loadComments = async (articleId, { sort, cursor = null }) => {
+    setLoadingComments(true);
+    try {
+      const res = await engagementApi.getComments(articleId, { sort, ...(cursor ? { cursor } : {}) });
+      setComments(prev => (cursor ? [...prev, ...res.data.comments] : res.data.comments));
+      setCommentsCursor(res.data.nextCursor);
+      setCommentsTotal(res.data.total);
+      setCommentPolicy(res.data.policy);
+    } finally {
+      setLoadingComments(false);
+    }
+  };
+
+  // First page of a live blog's entries with its highlights, or the next
+  // page of entries after `cursor`
+  const loadUpdates = async (articleId, cursor = null) => {
+    setLoadingUpdates(true);
+    try {
+      const res = await liveBlogsApi.get(articleId, cursor ? { cursor } : {});
+      setLiveBlog(prev => (cursor ? {
+        ...prev,
+        entries: [...prev.entries, ...res.data.entries.filter(e => !prev.entries.some(p => p._id === e._id))],
+        nextCursor: res.data.nextCursor
+      } : {
+        liveBlog: res.data.liveBlog,
+        entries: res.data.entries,
+        nextCursor: res.data.nextCursor,
+        pinned: res.data.pinned || [],
+        keyEvents: res.data.keyEvents || []
+      }));
+    } finally {
+      setLoadingUpdates(false);
+    }
+  };
+
+  const handleCommentSort = (sort) => {
+    setCommentSort(sort);
+    loadComments(article._id, { sort }).catch(err => console.error('Failed to fetch comments:', err));
+  };
+
+  const handleLoadMoreComments = () => {
+    loadComments(article._id, { sort: commentSort, cursor: commentsCursor })
+      .catch(err => console.error('Failed to fetch comments:', err));
+  };
+
+  const handleLoadReplies = async (comment) => {
+    try {
+      const res = await engagementApi.getReplies(comment._id, {
+        sort: commentSort === 'top' ? 'top' : 'oldest',
+        ...(comment.repliesCursor ? { cursor: comment.repliesCursor } : {})
+      });
+      setComments(prev => updateComment(prev, comment._id, c => ({
+        ...c,
+        replies: [...(c.replies || []), ...res.data.replies],
+        hasMoreReplies: Boolean(res.data.nextCursor),
+        repliesCursor: res.data.nextCursor
+      })));
+    } catch (err) {
+      console.error('Failed to fetch replies:', err);
+    }
+  };
+
+  const handleReply = async (parent, content) => {
+    setCommentNotice(null);
+    try {
+      const response = await engagementApi.addComment(article._id, { content, parent: parent._id });
+      const reply = { ...response.data.comment, replies: [] };
+      if (reply.status !== 'approved') {
+        setCommentNotice({ severity: 'info', text: t('commentHeld') });
+      }
+      // The live stream may have delivered it already
+      setComments(prev => (findComment(prev, reply._id) ? prev : updateComment(prev, parent._id, c => ({
+        ...c,
+        replies: [...(c.replies || []), reply]
+      }))));
+      return true;
+    } catch (err) {
+      console.error('Failed to submit reply:', err);
+      setCommentNotice({ severity: 'error', text: err.response?.data?.error || 'Failed to post comment' });
+      return false;
+    }
+  };
+
+  const handleLikeComment = async (comment) => {
+    if (!isAuthenticated) {
+      navigate('/auth/login');
+      return;
+    }
+    try {
+      const res = await engagementApi.likeComment(comment._id);
+      setComments(prev => updateComment(prev, comment._id, c => ({
+        ...c,
+        likes: res.data.likes,
+        likedBy: res.data.action === 'liked'
+          ? [...(c.likedBy || []), user.id]
+          : (c.likedBy || []).filter(id => id !== user.id)
+      })));
+    } catch (err) {
+      console.error('Failed to like comment:', err);
+    }
+  };
+
   const handleLike = async () => {
     if (!isAuthenticated) {
       navigate('/auth/login');
@@ -109,7 +282,12 @@ const ArticleView = () => {
         }
       }));
     } catch (err) {
-      console.error('Like failed:', err);
+      if (err.queued) {
+        // Offline - sent when the connection is back
+        setEngagement(prev => ({ ...prev, liked: !prev.liked, disliked: false }));
+      } else {
+        console.error('Like failed:', err);
+      }
     }
   };
 
@@ -134,7 +312,11 @@ const ArticleView = () => {
         }
       }));
     } catch (err) {
-      console.error('Dislike failed:', err);
+      if (err.queued) {
+        setEngagement(prev => ({ ...prev, disliked: !prev.disliked, liked: false }));
+      } else {
+        console.error('Dislike failed:', err);
+      }
     }
   };
 
@@ -145,9 +327,22 @@ const ArticleView = () => {
     }
     try {
       const res = await engagementApi.bookmark(article._id);
-      setEngagement(prev => ({ ...prev, bookmarked: res.data.action === 'bookmarked' }));
+      const bookmarked = res.data.action === 'bookmarked';
+      setEngagement(prev => ({ ...prev, bookmarked }));
+
+      // Bookmarks are kept for offline reading
+      if (bookmarked) {
+        setSavedOffline(await offlineService.saveArticle(slug, { lang }));
+      } else {
+        await offlineService.removeArticle(slug);
+        setSavedOffline(false);
+      }
     } catch (err) {
-      console.error('Bookmark failed:', err);
+      if (err.queued) {
+        setEngagement(prev => ({ ...prev, bookmarked: !prev.bookmarked }));
+      } else {
+        console.error('Bookmark failed:', err);
+      }
     }
   };
 
@@ -180,19 +375,53 @@ const ArticleView = () => {
     }
 
     setSubmittingComment(true);
+    setCommentNotice(null);
     try {
-      await engagementApi.addComment(article._id, { content: newComment });
+      const response = await engagementApi.addComment(article._id, { content: newComment });
       setNewComment('');
-      // Refresh comments
-      const commentsRes = await engagementApi.getComments(article._id);
-      setComments(commentsRes.data.comments);
+      if (response.data.comment.status !== 'approved') {
+        setCommentNotice({ severity: 'info', text: t('commentHeld') });
+      }
+      setComments(prev => upsertComment(prev, { ...response.data.comment, replies: [] }, newCommentPlacement()));
     } catch (err) {
       console.error('Failed to submit comment:', err);
+      setCommentNotice({ severity: 'error', text: err.response?.data?.error || 'Failed to post comment' });
     } finally {
       setSubmittingComment(false);
     }
   };
 
+  const handleReported = ({ hidden }) => {
+    if (hidden) {
+      // Its replies stay in place
+      setComments(prev => updateComment(prev, reportingComment._id, c => ({
+        ...c,
+        status: 'removed',
+        content: '',
+        user: null
+      })));
+    }
+    setReportingComment(null);
+    setCommentNotice({ severity: 'success', text: t('reportSent') });
+  };
+
+  // A mute or ban that has not run out yet
+  const restriction = user?.commentRestriction &&
+    (!user.commentRestriction.until || new Date(user.commentRestriction.until) > new Date())
+    ? user.commentRestriction
+    : null;
+
+  const handleResendVerification = async () => {
+    try {
+      await authApi.resendVerification();
+      setVerificationSent(true);
+    } catch (err) {
+      // Sent a moment ago counts as sent
+      if (err.response?.status === 429) setVerificationSent(true);
+      else console.error('Failed to resend verification:', err);
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString(lang === 'hi' ? 'hi-IN' : 'en-IN', {
       day: 'numeric',
@@ -223,6 +452,15 @@ const ArticleView = () => {
     );
   }
 
+  // Audio edition in the reader's language; paragraphs follow along when
+  // the narration markers still match the text
+  const audioUrl = article.audio?.[lang] || null;
+  const audioMeta = article.audioMeta?.[lang] || null;
+  const paragraphs = splitParagraphs(article.content);
+  const markers = audioMeta?.markers || [];
+  const followAlong = Boolean(audioUrl && markers.length > 0 &&
+    markers[markers.length - 1].paragraph === paragraphs.length - 1);
+
   return (
     <Container maxWidth="md" sx={{ py: 4 }}>
       {/* Breadcrumb */}
@@ -263,7 +501,20 @@ const ArticleView = () => {
       {/* Article Header */}
       <Box sx={{ mb: 3 }}>
         {article.isBreaking && (
-          <Chip label={t('breakingNews')} color="error" size="small" sx={{ mb: 2 }} />
+          <Chip label={t('breakingNews')} color="error" size="small" sx={{ mb: 2, mr: 1 }} />
+        )}
+        {liveBlog?.liveBlog?.state === 'live' && (
+          <Chip label={t('liveNow')} color="error" variant="outlined" size="small" sx={{ mb: 2, mr: 1 }} />
+        )}
+        {savedOffline && (
+          <Chip
+            icon={<OfflineIcon />}
+            label={t('savedOffline')}
+            color="success"
+            variant="outlined"
+            size="small"
+            sx={{ mb: 2 }}
+          />
         )}
         
         <Typography variant="h4" component="h1" fontWeight={700} gutterBottom>
@@ -318,18 +569,66 @@ const ArticleView = () => {
 
       <Divider sx={{ mb: 3 }} />
 
+      {/* Audio Edition */}
+      {audioUrl && (
+        <NarrationPlayer
+          src={audioUrl}
+          meta={audioMeta}
+          label={lang === 'hi' ? 'सुनें' : 'Listen to this article'}
+          seekTo={seekTo}
+          onParagraphChange={setSpokenParagraph}
+        />
+      )}
+
       {/* Article Content */}
-      <Typography
-        variant="body1"
-        sx={{
-          lineHeight: 1.8,
-          '& p': { mb: 2 },
-          whiteSpace: 'pre-wrap',
-          fontSize: '1.1rem'
-        }}
-      >
-        {article.content}
-      </Typography>
+      {followAlong ? (
+        <Box sx={{ fontSize: '1.1rem' }}>
+          {paragraphs.map((paragraph, index) => (
+            <Typography
+              key={index}
+              variant="body1"
+              onClick={() => setSeekTo({ paragraph: index })}
+              sx={{
+                lineHeight: 1.8,
+                mb: 2,
+                mx: -1,
+                px: 1,
+                borderRadius: 1,
+                whiteSpace: 'pre-wrap',
+                fontSize: 'inherit',
+                cursor: 'pointer',
+                transition: 'background-color 0.2s',
+                bgcolor: spokenParagraph === index ? 'warning.light' : 'transparent'
+              }}
+            >
+              {paragraph}
+            </Typography>
+          ))}
+        </Box>
+      ) : (
+        <Typography
+          variant="body1"
+          sx={{
+            lineHeight: 1.8,
+            '& p': { mb: 2 },
+            whiteSpace: 'pre-wrap',
+            fontSize: '1.1rem'
+          }}
+        >
+          {article.content}
+        </Typography>
+      )}
+
+      {/* Live Blog Updates */}
+      {liveBlog && (
+        <LiveBlog
+          blog={liveBlog}
+          lang={lang}
+          loadingMore={loadingUpdates}
+          onLoadMore={() => loadUpdates(article._id, liveBlog.nextCursor)
+            .catch(err => console.error('Failed to fetch live updates:', err))}
+        />
+      )}
 
       {/* Tags */}
       {article.tags?.length > 0 && (
@@ -385,28 +684,66 @@ const ArticleView = () => {
       {/* Comments Section */}
       <Box sx={{ mt: 4 }}>
         <Typography variant="h6" fontWeight={600} gutterBottom>
-          {t('comments')} ({comments.length})
+          {t('comments')} ({commentsTotal})
         </Typography>
 
-        {/* Comment Input */}
-        <Box sx={{ display: 'flex', gap: 1, mb: 3 }}>
-          <TextField
-            fullWidth
-            placeholder={t('addComment')}
-            value={newComment}
-            onChange={(e) => setNewComment(e.target.value)}
-            multiline
-            maxRows={4}
-            size="small"
-          />
-          <IconButton
-            color="primary"
-            onClick={handleSubmitComment}
-            disabled={submittingComment || !newComment.trim()}
+        {commentNotice && (
+          <Alert severity={commentNotice.severity} sx={{ mb: 2 }} onClose={() => setCommentNotice(null)}>
+            {commentNotice.text}
+          </Alert>
+        )}
+
+        {/* Comment Input (signed-in readers need a verified email or phone) */}
+        {commentPolicy === 'closed' ? (
+          <Alert severity="info" sx={{ mb: 3 }}>
+            {t('commentsClosed')}
+          </Alert>
+        ) : restriction ? (
+          <Alert
+            severity="warning"
+            sx={{ mb: 3 }}
+            action={
+              <Button color="inherit" size="small" onClick={() => navigate('/site/profile')}>
+                {t('appeal')}
+              </Button>
+            }
           >
-            <SendIcon />
-          </IconButton>
-        </Box>
+            {restriction.until
+              ? t('commentsMuted', { until: formatDate(restriction.until) })
+              : t('commentsRestricted')}
+          </Alert>
+        ) : isAuthenticated && !(user?.emailVerified || user?.phoneVerified) ? (
+          <Alert
+            severity="info"
+            sx={{ mb: 3 }}
+            action={!verificationSent && (
+              <Button color="inherit" size="small" onClick={handleResendVerification}>
+                {t('resendVerification')}
+              </Button>
+            )}
+          >
+            {verificationSent ? t('verificationSent') : t('verifyToComment')}
+          </Alert>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 1, mb: 3 }}>
+            <TextField
+              fullWidth
+              placeholder={t('addComment')}
+              value={newComment}
+              onChange={(e) => setNewComment(e.target.value)}
+              multiline
+              maxRows={4}
+              size="small"
+            />
+            <IconButton
+              color="primary"
+              onClick={handleSubmitComment}
+              disabled={submittingComment || !newComment.trim()}
+            >
+              <SendIcon />
+            </IconButton>
+          </Box>
+        )}
 
         {/* Comments List */}
         {comments.length === 0 ? (
@@ -414,29 +751,45 @@ const ArticleView = () => {
             {t('noComments')}
           </Typography>
         ) : (
-          <List>
-            {comments.map((comment) => (
-              <ListItem key={comment._id} alignItems="flex-start" sx={{ px: 0 }}>
-                <ListItemAvatar>
-                  <Avatar src={comment.user?.avatar} sx={{ width: 36, height: 36 }}>
-                    {comment.user?.name?.[0]}
-                  </Avatar>
-                </ListItemAvatar>
-                <ListItemText
-                  primary={
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                      <Typography variant="subtitle2">{comment.user?.name}</Typography>
-                      <Typography variant="caption" color="text.secondary">
-                        {formatDate(comment.createdAt)}
-                      </Typography>
-                    </Box>
-                  }
-                  secondary={comment.content}
-                />
-              </ListItem>
-            ))}
-          </List>
+          <>
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+              <Select
+                size="small"
+                variant="standard"
+                value={commentSort}
+                onChange={(e) => handleCommentSort(e.target.value)}
+              >
+                <MenuItem value="newest">{t('sortNewest')}</MenuItem>
+                <MenuItem value="oldest">{t('sortOldest')}</MenuItem>
+                <MenuItem value="top">{t('sortTop')}</MenuItem>
+              </Select>
+            </Box>
+            <CommentThread
+              comments={comments}
+              currentUserId={user?.id}
+              canReply={isAuthenticated && commentPolicy !== 'closed' && !restriction &&
+                Boolean(user?.emailVerified || user?.phoneVerified)}
+              onReply={handleReply}
+              onLike={handleLikeComment}
+              onReport={setReportingComment}
+              onLoadReplies={handleLoadReplies}
+              formatDate={formatDate}
+            />
+            {commentsCursor && (
+              <Box sx={{ textAlign: 'center', mt: 2 }}>
+                <Button onClick={handleLoadMoreComments} disabled={loadingComments}>
+                  {t('loadMoreComments')}
+                </Button>
+              </Box>
+            )}
+          </>
         )}
+
+        <ReportCommentDialog
+          comment={reportingComment}
+          onClose={() => setReportingComment(null)}
+          onReported={handleReported}
+        />
       </Box>
 
       {/* Related Articles */}
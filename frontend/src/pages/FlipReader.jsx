@@ -24,9 +24,11 @@ import {
   NavigateBefore as PrevIcon,
   NavigateNext as NextIcon,
   Fullscreen as FullscreenIcon,
-  FullscreenExit as FullscreenExitIcon
+  FullscreenExit as FullscreenExitIcon,
+  OfflinePin as OfflineIcon
 } from '@mui/icons-material';
 import { articlesApi, engagementApi } from '../services/api';
+import offlineService from '../services/offlineService';
 import { useAuth } from '../contexts/AuthContext';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -67,6 +69,7 @@ const FlipReader = () => {
   const [totalPages, setTotalPages] = useState(0);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [engagement, setEngagement] = useState({ liked: false, bookmarked: false });
+  const [savedOffline, setSavedOffline] = useState(false);
 
   const lang = i18n.language;
   const sessionId = useRef(uuidv4());
@@ -81,6 +84,7 @@ const FlipReader = () => {
       const response = await articlesApi.getBySlug(slug, lang);
       setArticle(response.data.article);
       setRelatedArticles(response.data.relatedArticles || []);
+      offlineService.isSaved(slug, lang).then(setSavedOffline);
 
       // Record view
       engagementApi.recordView(response.data.article._id, sessionId.current);
@@ -111,7 +115,12 @@ const FlipReader = () => {
         engagement: { ...prev.engagement, likes: res.data.likes }
       }));
     } catch (err) {
-      console.error('Like failed:', err);
+      if (err.queued) {
+        // Offline - sent when the connection is back
+        setEngagement(prev => ({ ...prev, liked: !prev.liked }));
+      } else {
+        console.error('Like failed:', err);
+      }
     }
   };
 
@@ -122,9 +131,22 @@ const FlipReader = () => {
     }
     try {
       const res = await engagementApi.bookmark(article._id);
-      setEngagement(prev => ({ ...prev, bookmarked: res.data.action === 'bookmarked' }));
+      const bookmarked = res.data.action === 'bookmarked';
+      setEngagement(prev => ({ ...prev, bookmarked }));
+
+      // Bookmarks are kept for offline reading
+      if (bookmarked) {
+        setSavedOffline(await offlineService.saveArticle(slug, { lang }));
+      } else {
+        await offlineService.removeArticle(slug);
+        setSavedOffline(false);
+      }
     } catch (err) {
-      console.error('Bookmark failed:', err);
+      if (err.queued) {
+        setEngagement(prev => ({ ...prev, bookmarked: !prev.bookmarked }));
+      } else {
+        console.error('Bookmark failed:', err);
+      }
     }
   };
 
@@ -262,6 +284,18 @@ const FlipReader = () => {
           <Typography variant="h6" sx={{ flexGrow: 1, ml: 1 }} noWrap>
             {t('appName')}
           </Typography>
+          {savedOffline && (
+            isMobile ? (
+              <OfflineIcon titleAccess={t('savedOffline')} sx={{ mx: 1 }} />
+            ) : (
+              <Chip
+                icon={<OfflineIcon />}
+                label={t('savedOffline')}
+                size="small"
+                sx={{ mx: 1, color: 'white', bgcolor: 'rgba(255,255,255,0.15)', '& .MuiChip-icon': { color: 'white' } }}
+              />
+            )
+          )}
           <IconButton color="inherit" onClick={handleLike}>
             {engagement.liked ? <LikeIcon /> : <LikeOutlinedIcon />}
           </IconButton>
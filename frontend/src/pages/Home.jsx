@@ -16,29 +16,36 @@ import {
   Tab,
   IconButton,
   Button,
-  Divider
+  Divider,
+  Tooltip
 } from '@mui/material';
 import {
   TrendingUp as TrendingIcon,
   LocationOn as LocationIcon,
   AccessTime as TimeIcon,
   Visibility as ViewIcon,
-  AutoStories as ReadIcon
+  AutoStories as ReadIcon,
+  InfoOutlined as ReasonIcon
 } from '@mui/icons-material';
 import { articlesApi, categoriesApi } from '../services/api';
 import { useLocation } from '../contexts/LocationContext';
+import { useAuth } from '../contexts/AuthContext';
 
 const Home = () => {
   const { t, i18n } = useTranslation();
   const navigate = useNavigate();
   const { city, area } = useLocation();
+  const { isAuthenticated, loading: authLoading } = useAuth();
   const lang = i18n.language;
 
   const [articles, setArticles] = useState([]);
   const [trendingArticles, setTrendingArticles] = useState([]);
   const [categories, setCategories] = useState([]);
+  // Neighbouring areas mixed into a quiet area's feed
+  const [nearbyAreas, setNearbyAreas] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedCategory, setSelectedCategory] = useState('all');
+  // 'forYou' (signed-in default), 'all' or a category id; null until auth is known
+  const [selectedCategory, setSelectedCategory] = useState(null);
 
   // Helper to get localized name from API response
   const getDisplayName = (item) => {
@@ -53,6 +60,14 @@ const Home = () => {
   };
 
   useEffect(() => {
+    if (authLoading) return;
+    if (selectedCategory === null || (selectedCategory === 'forYou' && !isAuthenticated)) {
+      setSelectedCategory(isAuthenticated ? 'forYou' : 'all');
+    }
+  }, [authLoading, isAuthenticated]);
+
+  useEffect(() => {
+    if (selectedCategory === null) return;
     fetchData();
   }, [city, area, selectedCategory]);
 
@@ -64,13 +79,26 @@ const Home = () => {
       if (area) params.area = area._id;
       if (selectedCategory !== 'all') params.category = selectedCategory;
 
+      // Trending follows the selected city and category
+      const trendingParams = { limit: 5, lang };
+      if (city) trendingParams.city = city._id;
+      if (!['all', 'forYou'].includes(selectedCategory)) trendingParams.category = selectedCategory;
+
+      // The saved area gets its own hyperlocal feed
+      const areaFeed = selectedCategory === 'all' && area;
+
       const [articlesRes, trendingRes, categoriesRes] = await Promise.all([
-        articlesApi.getAll(params),
-        articlesApi.getTrending({ limit: 5, lang }),
+        selectedCategory === 'forYou'
+          ? articlesApi.getFeed({ lang, limit: 20 })
+          : areaFeed
+            ? articlesApi.getByArea(area._id, { lang, limit: 20 })
+            : articlesApi.getAll(params),
+        articlesApi.getTrending(trendingParams),
         categoriesApi.getAll({ parent: 'null', active: 'true' })
       ]);
 
       setArticles(articlesRes.data.articles);
+      setNearbyAreas(areaFeed && articlesRes.data.expanded ? articlesRes.data.neighbours : []);
       setTrendingArticles(trendingRes.data.articles);
       setCategories(categoriesRes.data.categories);
     } catch (err) {
@@ -154,6 +182,17 @@ const Home = () => {
               </Typography>
             </Box>
           </Box>
+          {/* Why this story is in the For You feed */}
+          {article.reasons?.length > 0 && (
+            <Tooltip title={article.reasons.map(r => r.label).join(' · ')}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 1 }}>
+                <ReasonIcon sx={{ fontSize: 14 }} color="action" />
+                <Typography variant="caption" color="text.secondary" noWrap>
+                  {article.reasons[0].label}
+                </Typography>
+              </Box>
+            </Tooltip>
+          )}
         </CardContent>
       </CardActionArea>
       <Box sx={{ p: 1, pt: 0, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -243,18 +282,26 @@ const Home = () => {
               <strong>
                 {area ? getDisplayName(area) : getDisplayName(city)}
               </strong>
+              {nearbyAreas.length > 0 && (
+                <>
+                  {' · '}
+                  {lang === 'hi' ? 'आस-पास के क्षेत्र भी' : lang === 'te' ? 'సమీప ప్రాంతాలు కూడా' : 'Also nearby'}:{' '}
+                  {nearbyAreas.map(getDisplayName).join(', ')}
+                </>
+              )}
             </Typography>
           </Box>
         )}
 
         {/* Category Tabs */}
         <Tabs
-          value={selectedCategory}
+          value={selectedCategory || 'all'}
           onChange={(_, value) => setSelectedCategory(value)}
           variant="scrollable"
           scrollButtons="auto"
           sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}
         >
+          {isAuthenticated && <Tab value="forYou" label={t('forYou')} />}
           <Tab value="all" label={lang === 'hi' ? 'सभी' : lang === 'te' ? 'అన్నీ' : 'All'} />
           {categories.map((category) => (
             <Tab
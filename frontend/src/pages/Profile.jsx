@@ -0,0 +1,294 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Container,
+  Typography,
+  Avatar,
+  Card,
+  CardContent,
+  Chip,
+  Button,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  LinearProgress,
+  Skeleton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import { engagementApi } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const APPEAL_STATUS = {
+  open: { labelKey: 'appealOpen', color: 'default' },
+  granted: { labelKey: 'appealGranted', color: 'success' },
+  denied: { labelKey: 'appealDenied', color: 'error' }
+};
+
+// Reputation bar colour: poor records are held for moderators
+const scoreColor = (score) => (score >= 80 ? 'success' : score < 25 ? 'error' : 'primary');
+
+const Profile = () => {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const lang = i18n.language;
+
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [appealing, setAppealing] = useState(null); // { kind, comment }
+  const [appealMessage, setAppealMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await engagementApi.getMyModeration();
+      setHistory(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load your comment history');
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString(lang === 'hi' ? 'hi-IN' : 'en-IN', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    });
+  };
+
+  const hasOpenAppeal = (kind, commentId) => history.appeals.some(appeal =>
+    appeal.status === 'open' && appeal.kind === kind && (kind === 'restriction' || appeal.comment === commentId)
+  );
+
+  const openAppeal = (kind, comment = null) => {
+    setAppealing({ kind, comment });
+    setAppealMessage('');
+  };
+
+  const handleAppeal = async () => {
+    setSubmitting(true);
+    try {
+      await engagementApi.createAppeal({
+        kind: appealing.kind,
+        ...(appealing.comment ? { comment: appealing.comment } : {}),
+        message: appealMessage
+      });
+      setAppealing(null);
+      setNotice({ severity: 'success', text: t('appealSent') });
+      fetchHistory();
+    } catch (err) {
+      setAppealing(null);
+      setNotice({ severity: 'error', text: err.response?.data?.error || 'Failed to send appeal' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const reputation = history?.reputation || user?.reputation;
+  const restriction = history?.restriction;
+
+  return (
+    <Container maxWidth="md" sx={{ py: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Avatar src={user?.avatar} sx={{ width: 56, height: 56 }}>
+          {user?.name?.[0]}
+        </Avatar>
+        <Box>
+          <Typography variant="h5" fontWeight={700}>{user?.name}</Typography>
+          <Typography variant="body2" color="text.secondary">{user?.email || user?.phone}</Typography>
+        </Box>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {notice && (
+        <Alert severity={notice.severity} sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+          {notice.text}
+        </Alert>
+      )}
+
+      {restriction && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={!hasOpenAppeal('restriction') && (
+            <Button color="inherit" size="small" onClick={() => openAppeal('restriction')}>
+              {t('appeal')}
+            </Button>
+          )}
+        >
+          {restriction.until
+            ? t('commentsMuted', { until: formatDate(restriction.until) })
+            : t('commentsRestricted')}
+          {restriction.reason && ` (${restriction.reason})`}
+        </Alert>
+      )}
+
+      {reputation && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="subtitle1" fontWeight={600}>{t('commenterReputation')}</Typography>
+              <Typography variant="subtitle1" fontWeight={700}>{reputation.score}</Typography>
+            </Box>
+            <LinearProgress
+              variant="determinate"
+              value={reputation.score}
+              color={scoreColor(reputation.score)}
+              sx={{ height: 8, borderRadius: 4, mb: 1 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {t('reputationCounts', {
+                approved: reputation.approved || 0,
+                flagged: reputation.flagged || 0,
+                rejected: reputation.rejected || 0
+              })}
+            </Typography>
+          </CardContent>
+        </Card>
+      )}
+
+      <Typography variant="h6" fontWeight={600} gutterBottom>
+        {t('moderationHistory')}
+      </Typography>
+      {!history ? (
+        <Skeleton variant="rounded" height={120} sx={{ mb: 3 }} />
+      ) : history.comments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          {t('noModerationHistory')}
+        </Typography>
+      ) : (
+        <List sx={{ mb: 3 }}>
+          {history.comments.map(comment => (
+            <ListItem
+              key={comment._id}
+              divider
+              alignItems="flex-start"
+              sx={{ px: 0 }}
+              secondaryAction={!hasOpenAppeal('comment', comment._id) && (
+                <Button size="small" onClick={() => openAppeal('comment', comment._id)}>
+                  {t('appeal')}
+                </Button>
+              )}
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, pr: 10 }}>
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      color={comment.status === 'pending' ? 'default' : 'error'}
+                      label={comment.status === 'deleted'
+                        ? t('removedByModerator')
+                        : t('awaitingModeration')}
+                    />
+                    {comment.article && (
+                      <Typography
+                        variant="caption"
+                        component={Link}
+                        to={`/site/article/${comment.article.slug}`}
+                        color="text.secondary"
+                        noWrap
+                      >
+                        {comment.article.title?.[lang] || comment.article.title?.en}
+                      </Typography>
+                    )}
+                  </Box>
+                }
+                secondary={
+                  <>
+                    <Typography variant="body2" color="text.primary" component="span" sx={{ display: 'block', pr: 10 }}>
+                      {comment.content}
+                    </Typography>
+                    {comment.moderationReason && (
+                      <Typography variant="caption" component="span">{comment.moderationReason}</Typography>
+                    )}
+                  </>
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {history?.appeals.length > 0 && (
+        <>
+          <Typography variant="h6" fontWeight={600} gutterBottom>
+            {t('appeals')}
+          </Typography>
+          <List>
+            {history.appeals.map(appeal => (
+              <ListItem key={appeal._id} divider alignItems="flex-start" sx={{ px: 0 }}>
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Chip
+                        size="small"
+                        label={t(APPEAL_STATUS[appeal.status].labelKey)}
+                        color={APPEAL_STATUS[appeal.status].color}
+                      />
+                      <Typography variant="caption" color="text.secondary">
+                        {formatDate(appeal.createdAt)}
+                      </Typography>
+                    </Box>
+                  }
+                  secondary={
+                    <>
+                      <Typography variant="body2" component="span" sx={{ display: 'block' }}>
+                        {appeal.message}
+                      </Typography>
+                      {appeal.response && (
+                        <Typography variant="body2" color="text.primary" component="span">
+                          {appeal.response}
+                        </Typography>
+                      )}
+                    </>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+
+      <Dialog open={Boolean(appealing)} onClose={() => setAppealing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('appeal')}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            autoFocus
+            margin="dense"
+            label={t('appealMessage')}
+            value={appealMessage}
+            onChange={(e) => setAppealMessage(e.target.value)}
+            multiline
+            rows={4}
+            inputProps={{ maxLength: 1000 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAppealing(null)}>{t('cancel')}</Button>
+          <Button
+            variant="contained"
+            onClick={handleAppeal}
+            disabled={submitting || appealMessage.trim().length < 10}
+          >
+            {t('submit')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default Profile;
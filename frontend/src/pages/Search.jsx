@@ -15,67 +15,111 @@ import {
   Chip,
   Skeleton,
   Pagination,
-  Tabs,
-  Tab
+  List,
+  ListItemButton,
+  ListItemText,
+  Divider
 } from '@mui/material';
 import {
   Search as SearchIcon,
   AccessTime as TimeIcon,
   Visibility as ViewIcon
 } from '@mui/icons-material';
-import { articlesApi, categoriesApi, engagementApi } from '../services/api';
-import { useLocation } from '../contexts/LocationContext';
+import { articlesApi, engagementApi } from '../services/api';
+
+const DATE_LABELS = {
+  day: 'Past 24 hours',
+  week: 'Past week',
+  month: 'Past month',
+  year: 'Past year'
+};
+
+// Render highlight segments from the search API, marking matched words
+const Highlighted = ({ segments, fallback }) => {
+  if (!segments || segments.length === 0) return fallback || null;
+  return segments.map((segment, index) => (
+    segment.match ? (
+      <Box
+        key={index}
+        component="mark"
+        sx={{ bgcolor: 'warning.light', color: 'inherit', borderRadius: 0.5, px: 0.25 }}
+      >
+        {segment.text}
+      </Box>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  ));
+};
+
+const FacetList = ({ title, items, selected, onSelect }) => {
+  if (!items || items.length === 0) return null;
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" fontWeight={700} sx={{ px: 1 }}>
+        {title}
+      </Typography>
+      <List dense disablePadding>
+        {items.map(item => (
+          <ListItemButton
+            key={item.value}
+            selected={selected === item.value}
+            onClick={() => onSelect(selected === item.value ? null : item.value)}
+            sx={{ borderRadius: 1 }}
+          >
+            <ListItemText primary={item.label} />
+            <Typography variant="caption" color="text.secondary">{item.count}</Typography>
+          </ListItemButton>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+const FILTER_KEYS = ['category', 'city', 'author', 'within'];
 
 const Search = ({ bookmarks = false }) => {
   const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
   const { t, i18n } = useTranslation();
-  const { city, area } = useLocation();
   const lang = i18n.language;
 
   const [query, setQuery] = useState(searchParams.get('q') || '');
   const [articles, setArticles] = useState([]);
-  const [categories, setCategories] = useState([]);
+  const [facets, setFacets] = useState(null);
   const [loading, setLoading] = useState(false);
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
-  const [selectedCategory, setSelectedCategory] = useState('all');
+  const [total, setTotal] = useState(0);
 
-  useEffect(() => {
-    fetchCategories();
-  }, []);
+  const submittedQuery = searchParams.get('q') || '';
+  const filters = {};
+  FILTER_KEYS.forEach(key => {
+    if (searchParams.get(key)) filters[key] = searchParams.get(key);
+  });
+  const filtersKey = FILTER_KEYS.map(key => filters[key] || '').join('|');
 
   useEffect(() => {
     if (bookmarks) {
       fetchBookmarks();
     } else {
-      fetchArticles();
-    }
-  }, [query, page, selectedCategory, city, area, bookmarks]);
-
-  const fetchCategories = async () => {
-    try {
-      const response = await categoriesApi.getAll({ parent: 'null', active: 'true' });
-      setCategories(response.data.categories);
-    } catch (err) {
-      console.error('Failed to fetch categories:', err);
+      fetchResults();
     }
-  };
+  }, [submittedQuery, filtersKey, page, lang, bookmarks]);
 
-  const fetchArticles = async () => {
+  const fetchResults = async () => {
     setLoading(true);
     try {
-      const params = { lang, page, limit: 12 };
-      if (query) params.search = query;
-      if (selectedCategory !== 'all') params.category = selectedCategory;
-      if (city) params.city = city._id;
-      if (area) params.area = area._id;
+      const params = { lang, page, limit: 12, ...filters };
+      if (submittedQuery) params.q = submittedQuery;
 
-      const response = await articlesApi.getAll(params);
+      const response = await articlesApi.search(params);
       setArticles(response.data.articles);
+      setFacets(response.data.facets);
+      setTotal(response.data.pagination.total);
       setTotalPages(response.data.pagination.pages);
     } catch (err) {
-      console.error('Failed to fetch articles:', err);
+      console.error('Failed to search articles:', err);
     } finally {
       setLoading(false);
     }
@@ -86,6 +130,7 @@ const Search = ({ bookmarks = false }) => {
     try {
       const response = await engagementApi.getBookmarks({ lang, page, limit: 12 });
       setArticles(response.data.articles);
+      setTotal(response.data.pagination.total);
       setTotalPages(response.data.pagination.pages);
     } catch (err) {
       console.error('Failed to fetch bookmarks:', err);
@@ -94,10 +139,19 @@ const Search = ({ bookmarks = false }) => {
     }
   };
 
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    setPage(1);
+    setSearchParams(next);
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
-    setPage(1);
-    setSearchParams(query ? { q: query } : {});
+    updateParams({ q: query.trim() });
   };
 
   const formatDate = (dateString) => {
@@ -108,6 +162,138 @@ const Search = ({ bookmarks = false }) => {
     });
   };
 
+  // Labels for the active filter chips
+  const filterLabel = (key, value) => {
+    switch (key) {
+      case 'category':
+        return facets?.categories.find(c => c._id === value)?.name || 'Category';
+      case 'author':
+        return facets?.authors.find(a => a._id === value)?.name || 'Author';
+      case 'within':
+        return DATE_LABELS[value] || value;
+      default:
+        return value;
+    }
+  };
+
+  const resultGrid = (
+    <Grid container spacing={3}>
+      {articles.map((article) => (
+        <Grid item xs={12} sm={6} md={bookmarks ? 4 : 6} key={article._id}>
+          <Card sx={{ height: '100%' }}>
+            <CardActionArea onClick={() => navigate(`/article/${article.slug}`)}>
+              {article.featuredImage?.url && (
+                <CardMedia
+                  component="img"
+                  height={180}
+                  image={article.featuredImage.url}
+                  alt={article.title}
+                />
+              )}
+              <CardContent>
+                {article.category && (
+                  <Chip
+                    label={typeof article.category.name === 'string'
+                      ? article.category.name
+                      : (article.category.name?.[lang] || article.category.name?.en)}
+                    size="small"
+                    sx={{ mb: 1 }}
+                  />
+                )}
+                <Typography
+                  variant="h6"
+                  fontWeight={600}
+                  sx={{
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    display: '-webkit-box',
+                    WebkitLineClamp: 2,
+                    WebkitBoxOrient: 'vertical',
+                    mb: 1
+                  }}
+                >
+                  <Highlighted segments={article.highlights?.title} fallback={article.title} />
+                </Typography>
+                {article.highlights?.snippet?.length > 0 && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    <Highlighted segments={article.highlights.snippet} />
+                  </Typography>
+                )}
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    <TimeIcon fontSize="small" color="action" />
+                    <Typography variant="caption" color="text.secondary">
+                      {formatDate(article.publishedAt)}
+                    </Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    <ViewIcon fontSize="small" color="action" />
+                    <Typography variant="caption" color="text.secondary">
+                      {article.engagement?.views || 0}
+                    </Typography>
+                  </Box>
+                </Box>
+              </CardContent>
+            </CardActionArea>
+          </Card>
+        </Grid>
+      ))}
+    </Grid>
+  );
+
+  const results = loading ? (
+    <Grid container spacing={3}>
+      {[1, 2, 3, 4, 5, 6].map((i) => (
+        <Grid item xs={12} sm={6} md={bookmarks ? 4 : 6} key={i}>
+          <Card>
+            <Skeleton variant="rectangular" height={180} />
+            <CardContent>
+              <Skeleton variant="text" height={32} />
+              <Skeleton variant="text" width="60%" />
+            </CardContent>
+          </Card>
+        </Grid>
+      ))}
+    </Grid>
+  ) : articles.length === 0 ? (
+    <Box sx={{ textAlign: 'center', py: 8 }}>
+      <Typography variant="h6" color="text.secondary">
+        {t('noResults')}
+      </Typography>
+      {submittedQuery && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          {lang === 'hi'
+            ? `"${submittedQuery}" के लिए कोई परिणाम नहीं मिला`
+            : `No results found for "${submittedQuery}"`}
+        </Typography>
+      )}
+    </Box>
+  ) : (
+    <>
+      {submittedQuery && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {lang === 'hi'
+            ? `"${submittedQuery}" के लिए ${total} परिणाम`
+            : `${total} results for "${submittedQuery}"`}
+        </Typography>
+      )}
+
+      {resultGrid}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <Pagination
+            count={totalPages}
+            page={page}
+            onChange={(_, value) => setPage(value)}
+            color="primary"
+          />
+        </Box>
+      )}
+    </>
+  );
+
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
       {/* Header */}
@@ -115,150 +301,81 @@ const Search = ({ bookmarks = false }) => {
         {bookmarks ? t('bookmark') : t('search')}
       </Typography>
 
-      {/* Search Input */}
-      {!bookmarks && (
-        <Box component="form" onSubmit={handleSearch} sx={{ mb: 4 }}>
-          <TextField
-            fullWidth
-            placeholder={lang === 'hi' ? 'समाचार खोजें...' : 'Search news...'}
-            value={query}
-            onChange={(e) => setQuery(e.target.value)}
-            InputProps={{
-              startAdornment: (
-                <InputAdornment position="start">
-                  <SearchIcon />
-                </InputAdornment>
-              )
-            }}
-          />
-        </Box>
-      )}
-
-      {/* Category Filter */}
-      {!bookmarks && (
-        <Tabs
-          value={selectedCategory}
-          onChange={(_, value) => { setSelectedCategory(value); setPage(1); }}
-          variant="scrollable"
-          scrollButtons="auto"
-          sx={{ mb: 4, borderBottom: 1, borderColor: 'divider' }}
-        >
-          <Tab value="all" label={lang === 'hi' ? 'सभी' : 'All'} />
-          {categories.map((category) => (
-            <Tab
-              key={category._id}
-              value={category._id}
-              label={category.name[lang] || category.name.en}
+      {bookmarks ? results : (
+        <>
+          {/* Search Input */}
+          <Box component="form" onSubmit={handleSearch} sx={{ mb: 2 }}>
+            <TextField
+              fullWidth
+              placeholder={lang === 'hi' ? 'समाचार खोजें...' : 'Search news...'}
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                )
+              }}
             />
-          ))}
-        </Tabs>
-      )}
+          </Box>
 
-      {/* Results */}
-      {loading ? (
-        <Grid container spacing={3}>
-          {[1, 2, 3, 4, 5, 6].map((i) => (
-            <Grid item xs={12} sm={6} md={4} key={i}>
-              <Card>
-                <Skeleton variant="rectangular" height={180} />
-                <CardContent>
-                  <Skeleton variant="text" height={32} />
-                  <Skeleton variant="text" width="60%" />
-                </CardContent>
-              </Card>
-            </Grid>
-          ))}
-        </Grid>
-      ) : articles.length === 0 ? (
-        <Box sx={{ textAlign: 'center', py: 8 }}>
-          <Typography variant="h6" color="text.secondary">
-            {t('noResults')}
-          </Typography>
-          {query && (
-            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-              {lang === 'hi' 
-                ? `"${query}" के लिए कोई परिणाम नहीं मिला` 
-                : `No results found for "${query}"`}
-            </Typography>
-          )}
-        </Box>
-      ) : (
-        <>
-          {query && (
-            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              {lang === 'hi' 
-                ? `"${query}" के लिए ${articles.length} परिणाम` 
-                : `${articles.length} results for "${query}"`}
-            </Typography>
+          {/* Active Filters */}
+          {Object.keys(filters).length > 0 && (
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              {Object.entries(filters).map(([key, value]) => (
+                <Chip
+                  key={key}
+                  label={filterLabel(key, value)}
+                  onDelete={() => updateParams({ [key]: null })}
+                  color="primary"
+                  variant="outlined"
+                />
+              ))}
+            </Box>
           )}
 
           <Grid container spacing={3}>
-            {articles.map((article) => (
-              <Grid item xs={12} sm={6} md={4} key={article._id}>
-                <Card sx={{ height: '100%' }}>
-                  <CardActionArea onClick={() => navigate(`/article/${article.slug}`)}>
-                    {article.featuredImage?.url && (
-                      <CardMedia
-                        component="img"
-                        height={180}
-                        image={article.featuredImage.url}
-                        alt={article.title}
-                      />
-                    )}
-                    <CardContent>
-                      {article.category && (
-                        <Chip
-                          label={article.category?.name?.[lang] || article.category?.name?.en}
-                          size="small"
-                          sx={{ mb: 1 }}
-                        />
-                      )}
-                      <Typography
-                        variant="h6"
-                        fontWeight={600}
-                        sx={{
-                          overflow: 'hidden',
-                          textOverflow: 'ellipsis',
-                          display: '-webkit-box',
-                          WebkitLineClamp: 2,
-                          WebkitBoxOrient: 'vertical',
-                          mb: 1
-                        }}
-                      >
-                        {article.title}
-                      </Typography>
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                          <TimeIcon fontSize="small" color="action" />
-                          <Typography variant="caption" color="text.secondary">
-                            {formatDate(article.publishedAt)}
-                          </Typography>
-                        </Box>
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                          <ViewIcon fontSize="small" color="action" />
-                          <Typography variant="caption" color="text.secondary">
-                            {article.engagement?.views || 0}
-                          </Typography>
-                        </Box>
-                      </Box>
-                    </CardContent>
-                  </CardActionArea>
+            {/* Facets */}
+            <Grid item xs={12} md={3}>
+              {facets && (
+                <Card variant="outlined" sx={{ p: 1 }}>
+                  <FacetList
+                    title={lang === 'hi' ? 'श्रेणी' : 'Category'}
+                    items={facets.categories.map(c => ({ value: c._id, label: c.name, count: c.count }))}
+                    selected={filters.category}
+                    onSelect={(value) => updateParams({ category: value })}
+                  />
+                  <FacetList
+                    title={lang === 'hi' ? 'शहर' : 'City'}
+                    items={facets.cities.map(c => ({ value: c.name, label: c.name, count: c.count }))}
+                    selected={filters.city}
+                    onSelect={(value) => updateParams({ city: value })}
+                  />
+                  <FacetList
+                    title={lang === 'hi' ? 'तारीख' : 'Date'}
+                    items={facets.dates
+                      .filter(d => d.count > 0)
+                      .map(d => ({ value: d.key, label: DATE_LABELS[d.key], count: d.count }))}
+                    selected={filters.within}
+                    onSelect={(value) => updateParams({ within: value })}
+                  />
+                  <Divider sx={{ mb: 1 }} />
+                  <FacetList
+                    title={lang === 'hi' ? 'लेखक' : 'Author'}
+                    items={facets.authors.map(a => ({ value: a._id, label: a.name, count: a.count }))}
+                    selected={filters.author}
+                    onSelect={(value) => updateParams({ author: value })}
+                  />
                 </Card>
-              </Grid>
-            ))}
-          </Grid>
+              )}
+            </Grid>
 
-          {/* Pagination */}
-          {totalPages > 1 && (
-            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
-              <Pagination
-                count={totalPages}
-                page={page}
-                onChange={(_, value) => setPage(value)}
-                color="primary"
-              />
-            </Box>
-          )}
+            {/* Results */}
+            <Grid item xs={12} md={9}>
+              {results}
+            </Grid>
+          </Grid>
         </>
       )}
     </Container>
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Container,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  InputAdornment,
+  Divider
+} from '@mui/material';
+import { Email as EmailIcon } from '@mui/icons-material';
+import { authApi } from '../../services/api';
+
+const ForgotPassword = () => {
+  const { t } = useTranslation();
+
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+
+    try {
+      await authApi.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        background: 'linear-gradient(135deg, #1976d2 0%, #42a5f5 100%)',
+        py: 4
+      }}
+    >
+      <Container maxWidth="sm">
+        <Box sx={{ textAlign: 'center', mb: 4, color: 'white' }}>
+          <Typography variant="h4" fontWeight={700} gutterBottom>
+            {t('appName')}
+          </Typography>
+        </Box>
+
+        <Card sx={{ borderRadius: 3 }}>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h5" fontWeight={600} textAlign="center" gutterBottom>
+              {t('resetPassword')}
+            </Typography>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 3 }}>
+                {error}
+              </Alert>
+            )}
+
+            {sent ? (
+              <Alert severity="success" sx={{ mt: 2 }}>
+                {t('resetLinkSent')}
+              </Alert>
+            ) : (
+              <Box component="form" onSubmit={handleSubmit}>
+                <Typography variant="body2" color="text.secondary" textAlign="center">
+                  {t('forgotPasswordDesc')}
+                </Typography>
+
+                <TextField
+                  fullWidth
+                  label={t('email')}
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  margin="normal"
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <EmailIcon color="action" />
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <Button
+                  fullWidth
+                  variant="contained"
+                  type="submit"
+                  size="large"
+                  disabled={loading}
+                  sx={{ mt: 3, mb: 2 }}
+                >
+                  {loading ? t('loading') : t('sendResetLink')}
+                </Button>
+              </Box>
+            )}
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography textAlign="center" variant="body2">
+              <Link to="/auth/login" style={{ color: '#1976d2' }}>
+                {t('backToLogin')}
+              </Link>
+            </Typography>
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
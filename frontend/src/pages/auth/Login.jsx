@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import {
@@ -12,27 +12,83 @@ import {
   Alert,
   InputAdornment,
   IconButton,
-  Divider
+  Divider,
+  Tabs,
+  Tab
 } from '@mui/material';
 import {
   Email as EmailIcon,
   Lock as LockIcon,
+  Phone as PhoneIcon,
+  Sms as SmsIcon,
+  Person as PersonIcon,
   Visibility,
   VisibilityOff
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { authApi } from '../../services/api';
 
 const Login = () => {
   const { t } = useTranslation();
   const navigate = useNavigate();
-  const { login, error: authError } = useAuth();
+  const { login, loginWithPhone, error: authError } = useAuth();
 
+  // Most readers sign in with their phone, so that comes first
+  const [method, setMethod] = useState('phone');
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const [codeSentTo, setCodeSentTo] = useState(null);
+  const [resendIn, setResendIn] = useState(0);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Count down until another code can be requested
+  useEffect(() => {
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const handleSendCode = async (e) => {
+    e?.preventDefault();
+    setError(null);
+    setLoading(true);
+
+    try {
+      const response = await authApi.requestPhoneOtp(phone);
+      setCodeSentTo(response.data.phone);
+      setResendIn(response.data.resendIn);
+      setCode('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send code');
+      if (err.response?.data?.retryAfter) setResendIn(err.response.data.retryAfter);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+
+    const result = await loginWithPhone(codeSentTo, code, name.trim());
+
+    if (result.success) {
+      navigate(result.user.role === 'user' ? '/site' : '/dashboard');
+    } else {
+      setError(result.error);
+      // A locked number needs a fresh code later
+      if (result.code === 'locked' || result.code === 'expired') setCodeSentTo(null);
+    }
+
+    setLoading(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -81,68 +137,180 @@ const Login = () => {
               {t('login')}
             </Typography>
 
+            <Tabs
+              value={method}
+              onChange={(e, value) => { setMethod(value); setError(null); }}
+              variant="fullWidth"
+              sx={{ mb: 2 }}
+            >
+              <Tab value="phone" icon={<PhoneIcon />} iconPosition="start" label={t('phone')} />
+              <Tab value="email" icon={<EmailIcon />} iconPosition="start" label={t('email')} />
+            </Tabs>
+
             {(error || authError) && (
               <Alert severity="error" sx={{ mb: 3 }}>
                 {error || authError}
               </Alert>
             )}
 
-            <Box component="form" onSubmit={handleSubmit}>
-              <TextField
-                fullWidth
-                label={t('email')}
-                type="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                required
-                margin="normal"
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <EmailIcon color="action" />
-                    </InputAdornment>
-                  )
-                }}
-              />
-
-              <TextField
-                fullWidth
-                label={t('password')}
-                type={showPassword ? 'text' : 'password'}
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                required
-                margin="normal"
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <LockIcon color="action" />
-                    </InputAdornment>
-                  ),
-                  endAdornment: (
-                    <InputAdornment position="end">
-                      <IconButton
-                        onClick={() => setShowPassword(!showPassword)}
-                        edge="end"
-                      >
-                        {showPassword ? <VisibilityOff /> : <Visibility />}
-                      </IconButton>
-                    </InputAdornment>
-                  )
-                }}
-              />
-
-              <Button
-                fullWidth
-                variant="contained"
-                type="submit"
-                size="large"
-                disabled={loading}
-                sx={{ mt: 3, mb: 2 }}
-              >
-                {loading ? t('loading') : t('login')}
-              </Button>
-            </Box>
+            {method === 'phone' && !codeSentTo && (
+              <Box component="form" onSubmit={handleSendCode}>
+                <TextField
+                  fullWidth
+                  label={t('phoneNumber')}
+                  type="tel"
+                  value={phone}
+                  onChange={(e) => setPhone(e.target.value)}
+                  required
+                  margin="normal"
+                  placeholder="98765 43210"
+                  inputProps={{ autoComplete: 'tel' }}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <PhoneIcon color="action" />
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <Button
+                  fullWidth
+                  variant="contained"
+                  type="submit"
+                  size="large"
+                  disabled={loading || resendIn > 0}
+                  sx={{ mt: 3, mb: 2 }}
+                >
+                  {loading ? t('loading') : resendIn > 0 ? t('resendIn', { seconds: resendIn }) : t('sendCode')}
+                </Button>
+              </Box>
+            )}
+
+            {method === 'phone' && codeSentTo && (
+              <Box component="form" onSubmit={handleVerifyCode}>
+                <Typography variant="body2" color="text.secondary" textAlign="center">
+                  {t('codeSentTo')} <strong>{codeSentTo}</strong>
+                </Typography>
+
+                <TextField
+                  fullWidth
+                  label={t('otpCode')}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  required
+                  margin="normal"
+                  inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code', pattern: '\\d{6}' }}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <SmsIcon color="action" />
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <TextField
+                  fullWidth
+                  label={t('nameForNewAccount')}
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  margin="normal"
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <PersonIcon color="action" />
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <Button
+                  fullWidth
+                  variant="contained"
+                  type="submit"
+                  size="large"
+                  disabled={loading || code.length !== 6}
+                  sx={{ mt: 3, mb: 1 }}
+                >
+                  {loading ? t('loading') : t('verifyAndLogin')}
+                </Button>
+
+                <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Button size="small" onClick={() => { setCodeSentTo(null); setError(null); }}>
+                    {t('changeNumber')}
+                  </Button>
+                  <Button size="small" onClick={handleSendCode} disabled={loading || resendIn > 0}>
+                    {resendIn > 0 ? t('resendIn', { seconds: resendIn }) : t('resendCode')}
+                  </Button>
+                </Box>
+              </Box>
+            )}
+
+            {method === 'email' && (
+              <Box component="form" onSubmit={handleSubmit}>
+                <TextField
+                  fullWidth
+                  label={t('email')}
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  margin="normal"
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <EmailIcon color="action" />
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <TextField
+                  fullWidth
+                  label={t('password')}
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  margin="normal"
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon color="action" />
+                      </InputAdornment>
+                    ),
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <IconButton
+                          onClick={() => setShowPassword(!showPassword)}
+                          edge="end"
+                        >
+                          {showPassword ? <VisibilityOff /> : <Visibility />}
+                        </IconButton>
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <Box sx={{ textAlign: 'right', mt: 1 }}>
+                  <Link to="/auth/forgot-password" style={{ color: '#1976d2', fontSize: 14 }}>
+                    {t('forgotPassword')}
+                  </Link>
+                </Box>
+
+                <Button
+                  fullWidth
+                  variant="contained"
+                  type="submit"
+                  size="large"
+                  disabled={loading}
+                  sx={{ mt: 3, mb: 2 }}
+                >
+                  {loading ? t('loading') : t('login')}
+                </Button>
+              </Box>
+            )}
 
             <Divider sx={{ my: 3 }} />
 
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Container,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  InputAdornment,
+  IconButton,
+  Divider
+} from '@mui/material';
+import {
+  Lock as LockIcon,
+  Visibility,
+  VisibilityOff
+} from '@mui/icons-material';
+import { authApi } from '../../services/api';
+
+const ResetPassword = () => {
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(token ? null : t('invalidLink'));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (password !== confirmPassword) {
+      setError(t('passwordsDontMatch'));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authApi.resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.status === 400 ? t('invalidLink') : (err.response?.data?.error || 'Failed to reset password'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        background: 'linear-gradient(135deg, #1976d2 0%, #42a5f5 100%)',
+        py: 4
+      }}
+    >
+      <Container maxWidth="sm">
+        <Box sx={{ textAlign: 'center', mb: 4, color: 'white' }}>
+          <Typography variant="h4" fontWeight={700} gutterBottom>
+            {t('appName')}
+          </Typography>
+        </Box>
+
+        <Card sx={{ borderRadius: 3 }}>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h5" fontWeight={600} textAlign="center" gutterBottom>
+              {t('resetPassword')}
+            </Typography>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 3 }}>
+                {error}
+              </Alert>
+            )}
+
+            {done ? (
+              <Alert severity="success" sx={{ mt: 2 }}>
+                {t('passwordResetDone')}
+              </Alert>
+            ) : token && (
+              <Box component="form" onSubmit={handleSubmit}>
+                <TextField
+                  fullWidth
+                  label={t('newPassword')}
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  margin="normal"
+                  inputProps={{ minLength: 6 }}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon color="action" />
+                      </InputAdornment>
+                    ),
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <IconButton
+                          onClick={() => setShowPassword(!showPassword)}
+                          edge="end"
+                        >
+                          {showPassword ? <VisibilityOff /> : <Visibility />}
+                        </IconButton>
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <TextField
+                  fullWidth
+                  label={t('confirmPassword')}
+                  type={showPassword ? 'text' : 'password'}
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  required
+                  margin="normal"
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon color="action" />
+                      </InputAdornment>
+                    )
+                  }}
+                />
+
+                <Button
+                  fullWidth
+                  variant="contained"
+                  type="submit"
+                  size="large"
+                  disabled={loading}
+                  sx={{ mt: 3, mb: 2 }}
+                >
+                  {loading ? t('loading') : t('resetPassword')}
+                </Button>
+              </Box>
+            )}
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography textAlign="center" variant="body2">
+              <Link to={token && !done ? '/auth/forgot-password' : '/auth/login'} style={{ color: '#1976d2' }}>
+                {token && !done ? t('forgotPassword') : t('backToLogin')}
+              </Link>
+            </Typography>
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,85 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Container,
+  Card,
+  CardContent,
+  Typography,
+  Alert,
+  CircularProgress,
+  Divider
+} from '@mui/material';
+import { authApi } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, checkAuth } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  // Links are single-use, so never send one twice (e.g. StrictMode double effects)
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    authApi.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        if (isAuthenticated) checkAuth();
+      })
+      .catch(() => setStatus('failed'));
+  }, [token]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        background: 'linear-gradient(135deg, #1976d2 0%, #42a5f5 100%)',
+        py: 4
+      }}
+    >
+      <Container maxWidth="sm">
+        <Box sx={{ textAlign: 'center', mb: 4, color: 'white' }}>
+          <Typography variant="h4" fontWeight={700} gutterBottom>
+            {t('appName')}
+          </Typography>
+        </Box>
+
+        <Card sx={{ borderRadius: 3 }}>
+          <CardContent sx={{ p: 4, textAlign: 'center' }}>
+            {status === 'verifying' && (
+              <Box sx={{ py: 2 }}>
+                <CircularProgress size={32} sx={{ mb: 2 }} />
+                <Typography>{t('verifyingEmail')}</Typography>
+              </Box>
+            )}
+            {status === 'verified' && (
+              <Alert severity="success">{t('emailVerified')}</Alert>
+            )}
+            {status === 'failed' && (
+              <Alert severity="error">{t('invalidLink')}</Alert>
+            )}
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography variant="body2">
+              <Link to={isAuthenticated ? '/site' : '/auth/login'} style={{ color: '#1976d2' }}>
+                {isAuthenticated ? t('home') : t('backToLogin')}
+              </Link>
+            </Typography>
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Checkbox,
+  FormGroup,
+  FormControlLabel,
+  Switch,
+  Chip,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  InputAdornment
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Block as RevokeIcon,
+  ContentCopy as CopyIcon
+} from '@mui/icons-material';
+import { apiKeysApi } from '../../services/api';
+
+const SCOPES = [
+  { value: 'scraped:write', label: 'Submit scraped articles' },
+  { value: 'scraped:read', label: 'List scraped articles' }
+];
+
+const emptyForm = {
+  name: '',
+  scopes: ['scraped:write'],
+  expiresAt: ''
+};
+
+const ApiKeysManager = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [showRevoked, setShowRevoked] = useState(false);
+
+  // Create dialog state
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  // The raw key, shown once after creation
+  const [newKey, setNewKey] = useState(null);
+
+  // Revoke confirmation
+  const [revokingKey, setRevokingKey] = useState(null);
+
+  const fetchKeys = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiKeysApi.getAll({ includeRevoked: showRevoked || undefined });
+      setApiKeys(response.data.apiKeys || []);
+    } catch (err) {
+      setError('Failed to load API keys');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [showRevoked]);
+
+  useEffect(() => {
+    fetchKeys();
+  }, [fetchKeys]);
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setFormData(emptyForm);
+  };
+
+  const handleScopeChange = (scope, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      scopes: checked ? [...prev.scopes, scope] : prev.scopes.filter(s => s !== scope)
+    }));
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await apiKeysApi.create({
+        name: formData.name,
+        scopes: formData.scopes,
+        expiresAt: formData.expiresAt ? new Date(`${formData.expiresAt}T23:59:59`).toISOString() : null
+      });
+
+      handleCloseDialog();
+      setNewKey(response.data.key);
+      fetchKeys();
+    } catch (err) {
+      setError(err.response?.data?.details?.join(', ') || err.response?.data?.error || 'Failed to create API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!revokingKey) return;
+
+    try {
+      setError(null);
+      await apiKeysApi.revoke(revokingKey._id);
+      setSuccess(`Revoked "${revokingKey.name}"`);
+      setRevokingKey(null);
+      fetchKeys();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      setSuccess('API key copied');
+    } catch (err) {
+      setError('Could not copy; select the key and copy it manually');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const keyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return { label: 'Revoked', color: 'default' };
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'Expired', color: 'warning' };
+    return { label: 'Active', color: 'success' };
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h5" fontWeight="bold">
+          API Keys
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => setDialogOpen(true)}
+        >
+          New Key
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Scrapers send their key in the <code>X-API-Key</code> header.
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={showRevoked} onChange={(e) => setShowRevoked(e.target.checked)} />}
+          label="Show revoked"
+        />
+      </Paper>
+
+      <Paper>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Scopes</TableCell>
+                <TableCell>Created</TableCell>
+                <TableCell>Last Used</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell align="center">Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <CircularProgress size={32} sx={{ my: 2 }} />
+                  </TableCell>
+                </TableRow>
+              ) : apiKeys.map((apiKey) => {
+                const status = keyStatus(apiKey);
+                return (
+                  <TableRow key={apiKey._id} hover>
+                    <TableCell>
+                      <Typography fontWeight={500}>{apiKey.name}</Typography>
+                      <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                        tn_{apiKey.prefix}_…
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {apiKey.scopes.map((scope) => (
+                          <Chip key={scope} label={scope} size="small" variant="outlined" />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{formatDate(apiKey.createdAt)}</Typography>
+                      {apiKey.createdBy?.name && (
+                        <Typography variant="caption" color="text.secondary">{apiKey.createdBy.name}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{apiKey.lastUsedAt ? formatDate(apiKey.lastUsedAt) : 'Never'}</Typography>
+                      {apiKey.lastUsedIp && (
+                        <Typography variant="caption" color="text.secondary">{apiKey.lastUsedIp}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never'}</TableCell>
+                    <TableCell align="center">
+                      <Chip label={status.label} size="small" color={status.color} />
+                    </TableCell>
+                    <TableCell align="right">
+                      {!apiKey.revokedAt && (
+                        <Tooltip title="Revoke">
+                          <IconButton onClick={() => setRevokingKey(apiKey)} color="error">
+                            <RevokeIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+              {!loading && apiKeys.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <Typography color="text.secondary" sx={{ py: 4 }}>
+                      No API keys yet. Create one for each scraper that submits articles.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Create Dialog */}
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>New API Key</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField
+              label="Name"
+              placeholder="e.g., Eenadu scraper"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              required
+              inputProps={{ maxLength: 100 }}
+            />
+            <Box>
+              <Typography variant="subtitle2" color="text.secondary">
+                Scopes
+              </Typography>
+              <FormGroup>
+                {SCOPES.map((scope) => (
+                  <FormControlLabel
+                    key={scope.value}
+                    control={
+                      <Checkbox
+                        checked={formData.scopes.includes(scope.value)}
+                        onChange={(e) => handleScopeChange(scope.value, e.target.checked)}
+                      />
+                    }
+                    label={`${scope.label} (${scope.value})`}
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+            <TextField
+              label="Expires on"
+              type="date"
+              value={formData.expiresAt}
+              onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              helperText="Leave empty for a key that does not expire"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={saving || !formData.name.trim() || formData.scopes.length === 0}
+          >
+            {saving ? <CircularProgress size={24} /> : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* New key, shown once */}
+      <Dialog open={!!newKey} onClose={() => setNewKey(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Copy Your API Key</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            This is the only time the key is shown. Store it with the scraper's configuration; if it is lost, revoke it and create a new one.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            value={newKey || ''}
+            InputProps={{
+              readOnly: true,
+              sx: { fontFamily: 'monospace' },
+              endAdornment: (
+                <InputAdornment position="end">
+                  <IconButton onClick={handleCopy}>
+                    <CopyIcon />
+                  </IconButton>
+                </InputAdornment>
+              )
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={() => setNewKey(null)}>Done</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Revoke Confirmation */}
+      <Dialog open={!!revokingKey} onClose={() => setRevokingKey(null)}>
+        <DialogTitle>Revoke API Key</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Revoke "{revokingKey?.name}"? Scrapers using it will be refused immediately. This cannot be undone.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevokingKey(null)}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleRevoke}>
+            Revoke
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ApiKeysManager;
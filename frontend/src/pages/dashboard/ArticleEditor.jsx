@@ -31,18 +31,47 @@ import {
   Star as StarIcon,
   Translate as TranslateIcon,
   LocationOn as LocationIcon,
-  Close as CloseIcon
+  Close as CloseIcon,
+  Schedule as ScheduleIcon,
+  History as HistoryIcon,
+  LiveTv as LiveIcon
 } from '@mui/icons-material';
 import { useLoadScript, Autocomplete } from '@react-google-maps/api';
-import { articlesApi, categoriesApi, uploadApi, translateApi } from '../../services/api';
+import { articlesApi, categoriesApi, uploadApi, translateApi, locationsApi } from '../../services/api';
 import languageService, { getLocalizedValue } from '../../services/languageService';
+import { useAuth } from '../../contexts/AuthContext';
+import RevisionHistoryDrawer from '../../components/RevisionHistoryDrawer';
+import DuplicateWarningDialog from '../../components/DuplicateWarningDialog';
+import TranslationProgress from '../../components/TranslationProgress';
+import CommentPolicySelect from '../../components/CommentPolicySelect';
+import { formatDuration } from '../../components/NarrationPlayer';
 
 const LIBRARIES = ['places'];
+const TRANSLATION_POLL_INTERVAL = 2000;
+
+// Format a UTC date as a datetime-local value in the given timezone
+const toZonedInputValue = (date, timeZone = 'Asia/Kolkata') => {
+  if (!date) return '';
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(date)).forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
 
 const ArticleEditor = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { t } = useTranslation();
+  const { can } = useAuth();
+  const canPublish = can('articles.publish');
+  const canModerate = can('comments.moderate');
   const isEditing = !!id;
 
   // Languages state
@@ -67,25 +96,42 @@ const ArticleEditor = () => {
     status: 'draft',
     isFeatured: false,
     isBreaking: false,
+    kind: 'standard',
+    commentPolicy: 'inherit',
     featuredImage: null,
-    audio: {}
+    audio: {},
+    audioMeta: {}
   });
   const [generateAudio, setGenerateAudio] = useState(false);
   
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [duplicateCheck, setDuplicateCheck] = useState(null);
+  // Content the user already chose to save despite the duplicate warning
+  const acknowledgedContent = useRef(null);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [langTab, setLangTab] = useState(0);
   const [tagInput, setTagInput] = useState('');
   const [uploading, setUploading] = useState(false);
   const [translating, setTranslating] = useState(false);
+  const [translationJob, setTranslationJob] = useState(null);
+  const translationPoll = useRef(null);
+
+  // Scheduled publishing
+  const [cities, setCities] = useState([]);
+  const [schedule, setSchedule] = useState({ publishAt: '', unpublishAt: '', city: '', timezone: null, active: false });
+  const [scheduling, setScheduling] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
 
   useEffect(() => {
     initializeEditor();
   }, [id]);
 
+  // Stop following a translation job when leaving the editor
+  useEffect(() => () => clearTimeout(translationPoll.current), []);
+
   const initializeEditor = async () => {
     setLoading(true);
     try {
@@ -115,6 +161,12 @@ const ArticleEditor = () => {
       const categoriesRes = await categoriesApi.getAll({ active: 'true', raw: 'true' });
       setCategories(categoriesRes.data.categories);
 
+      // Cities provide the timezone for scheduled publishing
+      if (canPublish) {
+        const citiesRes = await locationsApi.getCities();
+        setCities(citiesRes.data.cities);
+      }
+
       // Fetch article if editing
       if (isEditing) {
         const response = await articlesApi.getById(id);
@@ -149,14 +201,26 @@ const ArticleEditor = () => {
           status: articleData.status || 'draft',
           isFeatured: articleData.isFeatured || false,
           isBreaking: articleData.isBreaking || false,
+          kind: articleData.kind || 'standard',
+          commentPolicy: articleData.commentPolicy || 'inherit',
           featuredImage: articleData.featuredImage || null,
-          audio: audioObj
+          audio: audioObj,
+          audioMeta: articleData.audioMeta || {}
         });
 
         // Set the location input display text
         if (loc?.formattedAddress) {
           setLocationInput(loc.formattedAddress);
         }
+
+        const timezone = articleData.scheduleTimezone || 'Asia/Kolkata';
+        setSchedule({
+          publishAt: toZonedInputValue(articleData.publishAt, timezone),
+          unpublishAt: toZonedInputValue(articleData.unpublishAt, timezone),
+          city: '',
+          timezone: articleData.scheduleTimezone || null,
+          active: !!(articleData.publishAt || articleData.unpublishAt)
+        });
       }
     } catch (err) {
       setError('Failed to initialize editor');
@@ -266,6 +330,63 @@ const ArticleEditor = () => {
     }
   };
 
+  // Fill only the languages the editor has not written themselves
+  const mergeTranslations = (translated) => {
+    setArticle(prev => {
+      const updated = { ...prev };
+
+      ['title', 'summary', 'content'].forEach(field => {
+        if (!translated[field]) return;
+        updated[field] = { ...prev[field] };
+        Object.entries(translated[field]).forEach(([lang, text]) => {
+          if (!prev[field][lang] || !prev[field][lang].trim()) {
+            updated[field][lang] = text;
+          }
+        });
+      });
+
+      if (translated.audio) {
+        updated.audio = { ...prev.audio, ...translated.audio };
+        updated.audioMeta = { ...prev.audioMeta, ...translated.audioMeta };
+      }
+
+      return updated;
+    });
+  };
+
+  const finishTranslation = (job) => {
+    mergeTranslations(job.result || {});
+    setTranslating(false);
+
+    if (job.status === 'completed') {
+      setTranslationJob(null);
+      setSuccess(job.generateAudio ? 'Translation and audio generation completed' : 'Translation completed successfully');
+    } else {
+      setError(`${job.progress.failed} translation task(s) failed. Finished languages were filled in; retry to run only the failed ones.`);
+    }
+  };
+
+  const pollTranslationJob = (jobId) => {
+    clearTimeout(translationPoll.current);
+    translationPoll.current = setTimeout(async () => {
+      try {
+        const response = await translateApi.getJob(jobId);
+        const job = response.data.job;
+        setTranslationJob(job);
+
+        if (job.status === 'completed' || job.status === 'failed') {
+          finishTranslation(job);
+        } else {
+          pollTranslationJob(jobId);
+        }
+      } catch (err) {
+        setError(err.response?.data?.error || 'Lost track of the translation. Please try again.');
+        setTranslating(false);
+        console.error(err);
+      }
+    }, TRANSLATION_POLL_INTERVAL);
+  };
+
   const handleTranslate = async () => {
     setError(null);
     setSuccess(null);
@@ -298,58 +419,42 @@ const ArticleEditor = () => {
 
       if (generateAudio) payload.generateAudio = true;
 
+      // Translation runs as a background job; follow it until it finishes
       const response = await translateApi.translate(payload);
-      const translated = response.data;
-
-      setArticle(prev => {
-        const updated = { ...prev };
-
-        if (translated.title) {
-          updated.title = { ...prev.title };
-          Object.entries(translated.title).forEach(([lang, text]) => {
-            if (!prev.title[lang] || !prev.title[lang].trim()) {
-              updated.title[lang] = text;
-            }
-          });
-        }
+      const { job } = response.data;
+      setTranslationJob(job);
 
-        if (translated.summary) {
-          updated.summary = { ...prev.summary };
-          Object.entries(translated.summary).forEach(([lang, text]) => {
-            if (!prev.summary[lang] || !prev.summary[lang].trim()) {
-              updated.summary[lang] = text;
-            }
-          });
-        }
-
-        if (translated.content) {
-          updated.content = { ...prev.content };
-          Object.entries(translated.content).forEach(([lang, text]) => {
-            if (!prev.content[lang] || !prev.content[lang].trim()) {
-              updated.content[lang] = text;
-            }
-          });
-        }
-
-        if (translated.audio) {
-          updated.audio = { ...prev.audio, ...translated.audio };
-        }
-
-        return updated;
-      });
-
-      setSuccess(generateAudio ? 'Translation and audio generation completed' : 'Translation completed successfully');
+      if (job.status === 'completed' || job.status === 'failed') {
+        finishTranslation(job);
+      } else {
+        pollTranslationJob(job._id);
+      }
     } catch (err) {
       setError(err.response?.data?.error || 'Translation failed. Please try again.');
+      setTranslating(false);
       console.error(err);
-    } finally {
+    }
+  };
+
+  const handleRetryTranslation = async () => {
+    if (!translationJob) return;
+    setError(null);
+    setTranslating(true);
+
+    try {
+      const response = await translateApi.retryJob(translationJob._id);
+      setTranslationJob(response.data.job);
+      pollTranslationJob(translationJob._id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to retry translation');
       setTranslating(false);
     }
   };
 
-  const handleSave = async (publish = false) => {
+  const handleSave = async (publish = false, skipDuplicateCheck = false) => {
     setError(null);
     setSuccess(null);
+    setDuplicateCheck(null);
 
     // Validation - only title and content are required
     if (!article.title[defaultLang]) {
@@ -364,6 +469,26 @@ const ArticleEditor = () => {
 
     setSaving(true);
 
+    const contentKey = JSON.stringify(article.content);
+    if (!skipDuplicateCheck && acknowledgedContent.current !== contentKey) {
+      try {
+        const response = await articlesApi.checkDuplicates({
+          content: { [defaultLang]: article.content[defaultLang] },
+          excludeId: isEditing ? id : null
+        });
+        if (response.data.matches.length > 0) {
+          setDuplicateCheck({ publish, matches: response.data.matches });
+          setSaving(false);
+          return;
+        }
+      } catch (err) {
+        // The check is advisory - never block saving on it
+        console.error('Failed to check for duplicates:', err);
+      }
+    } else if (skipDuplicateCheck) {
+      acknowledgedContent.current = contentKey;
+    }
+
     try {
       // Filter out empty language values
       const cleanMultilingual = (obj) => {
@@ -383,13 +508,16 @@ const ArticleEditor = () => {
         tags: article.tags,
         status: publish ? 'pending' : article.status,
         isFeatured: article.isFeatured,
-        isBreaking: article.isBreaking
+        isBreaking: article.isBreaking,
+        kind: article.kind
       };
 
       if (article.category) articleData.category = article.category;
+      if (canModerate) articleData.commentPolicy = article.commentPolicy;
       if (article.location) articleData.location = article.location;
       if (article.featuredImage?.url) articleData.featuredImage = article.featuredImage;
       if (article.audio && Object.keys(article.audio).length > 0) articleData.audio = article.audio;
+      if (article.audioMeta && Object.keys(article.audioMeta).length > 0) articleData.audioMeta = article.audioMeta;
 
       if (isEditing) {
         await articlesApi.update(id, articleData);
@@ -406,6 +534,56 @@ const ArticleEditor = () => {
     }
   };
 
+  const handleSchedule = async () => {
+    setError(null);
+    setSuccess(null);
+
+    // A published article only takes an unpublish time
+    if (article.status === 'published') {
+      if (!schedule.unpublishAt) {
+        setError('Please choose an unpublish time');
+        return;
+      }
+    } else if (!schedule.publishAt) {
+      setError('Please choose a publish time');
+      return;
+    }
+
+    setScheduling(true);
+    try {
+      const response = await articlesApi.schedule(id, {
+        publishAt: schedule.publishAt || null,
+        unpublishAt: schedule.unpublishAt || null,
+        city: schedule.city || null
+      });
+      const { article: updated, schedule: saved } = response.data;
+      setArticle(prev => ({ ...prev, status: updated.status }));
+      setSchedule(prev => ({ ...prev, timezone: saved.timezone, active: true }));
+      setSuccess(saved.publishAtLocal
+        ? `Scheduled for ${saved.publishAtLocal.replace('T', ' ')} (${saved.timezone})`
+        : `Unpublish time set (${saved.timezone})`);
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.details?.[0] || 'Failed to schedule article');
+    } finally {
+      setScheduling(false);
+    }
+  };
+
+  const handleCancelSchedule = async () => {
+    setError(null);
+    setSuccess(null);
+    setScheduling(true);
+    try {
+      await articlesApi.cancelSchedule(id);
+      setSchedule({ publishAt: '', unpublishAt: '', city: '', timezone: null, active: false });
+      setSuccess('Schedule cancelled');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel schedule');
+    } finally {
+      setScheduling(false);
+    }
+  };
+
   // Check if language has content
   const hasContent = (lang) => {
     return article.title[lang] || article.summary[lang] || article.content[lang];
@@ -432,6 +610,22 @@ const ArticleEditor = () => {
           {isEditing ? t('editArticle') : t('createArticle')}
         </Typography>
         <Box sx={{ flexGrow: 1 }} />
+        {isEditing && article.kind === 'live_blog' && (
+          <Button
+            startIcon={<LiveIcon />}
+            onClick={() => navigate(`/dashboard/articles/live/${id}`)}
+          >
+            Live Desk
+          </Button>
+        )}
+        {isEditing && (
+          <Button
+            startIcon={<HistoryIcon />}
+            onClick={() => setHistoryOpen(true)}
+          >
+            History
+          </Button>
+        )}
         <Button
           variant="outlined"
           startIcon={<SaveIcon />}
@@ -540,6 +734,7 @@ const ArticleEditor = () => {
                 <Box sx={{ mt: 2, p: 1.5, bgcolor: 'grey.50', borderRadius: 1 }}>
                   <Typography variant="caption" color="text.secondary" sx={{ mb: 0.5, display: 'block' }}>
                     Audio ({languages[langTab]?.name || currentLang})
+                    {article.audioMeta?.[currentLang]?.duration > 0 && ` · ${formatDuration(article.audioMeta[currentLang].duration)}`}
                   </Typography>
                   <audio controls style={{ width: '100%' }} src={article.audio[currentLang]}>
                     Your browser does not support audio playback.
@@ -569,12 +764,41 @@ const ArticleEditor = () => {
                   {translating ? 'Translating...' : 'Translate to All Languages'}
                 </Button>
               </Box>
+
+              <TranslationProgress
+                job={translationJob}
+                onRetry={handleRetryTranslation}
+                retrying={translating}
+              />
             </CardContent>
           </Card>
         </Grid>
 
         {/* Sidebar */}
         <Grid item xs={12} md={4}>
+          {/* Format */}
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Format
+              </Typography>
+              <FormControl fullWidth size="small">
+                <Select
+                  value={article.kind}
+                  onChange={(e) => handleChange('kind', e.target.value)}
+                >
+                  <MenuItem value="standard">Standard article</MenuItem>
+                  <MenuItem value="live_blog">Live blog</MenuItem>
+                </Select>
+              </FormControl>
+              {article.kind === 'live_blog' && (
+                <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                  The content above is the introduction. Updates are posted from the live desk once the article is saved.
+                </Typography>
+              )}
+            </CardContent>
+          </Card>
+
           {/* Featured Image */}
           <Card sx={{ mb: 3 }}>
             <CardContent>
@@ -615,6 +839,88 @@ const ArticleEditor = () => {
             </CardContent>
           </Card>
 
+          {/* Scheduled Publishing */}
+          {canPublish && isEditing && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                  <Typography variant="subtitle1" fontWeight={600}>
+                    Schedule
+                  </Typography>
+                  {schedule.active && (
+                    <Chip
+                      icon={<ScheduleIcon />}
+                      label={schedule.timezone || 'Scheduled'}
+                      size="small"
+                      color="info"
+                    />
+                  )}
+                </Box>
+
+                <FormControl fullWidth margin="normal" size="small">
+                  <InputLabel>Timezone from city</InputLabel>
+                  <Select
+                    value={schedule.city}
+                    label="Timezone from city"
+                    onChange={(e) => setSchedule(prev => ({ ...prev, city: e.target.value }))}
+                  >
+                    <MenuItem value="">From article location</MenuItem>
+                    {cities.map((city) => (
+                      <MenuItem key={city._id} value={city._id}>
+                        {city.name} ({city.timezone || 'Asia/Kolkata'})
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+
+                <TextField
+                  fullWidth
+                  size="small"
+                  margin="normal"
+                  label="Publish at"
+                  type="datetime-local"
+                  value={schedule.publishAt}
+                  onChange={(e) => setSchedule(prev => ({ ...prev, publishAt: e.target.value }))}
+                  InputLabelProps={{ shrink: true }}
+                  disabled={article.status === 'published'}
+                  helperText={article.status === 'published' ? 'Already published' : 'Local time in the selected city'}
+                />
+                <TextField
+                  fullWidth
+                  size="small"
+                  margin="normal"
+                  label="Unpublish at (optional)"
+                  type="datetime-local"
+                  value={schedule.unpublishAt}
+                  onChange={(e) => setSchedule(prev => ({ ...prev, unpublishAt: e.target.value }))}
+                  InputLabelProps={{ shrink: true }}
+                />
+
+                <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                  <Button
+                    variant="contained"
+                    size="small"
+                    startIcon={scheduling ? <CircularProgress size={16} /> : <ScheduleIcon />}
+                    onClick={handleSchedule}
+                    disabled={scheduling || saving}
+                  >
+                    Schedule
+                  </Button>
+                  {schedule.active && (
+                    <Button
+                      size="small"
+                      color="error"
+                      onClick={handleCancelSchedule}
+                      disabled={scheduling}
+                    >
+                      Cancel Schedule
+                    </Button>
+                  )}
+                </Box>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Category & Location */}
           <Card sx={{ mb: 3 }}>
             <CardContent>
@@ -725,8 +1031,45 @@ const ArticleEditor = () => {
               </Box>
             </CardContent>
           </Card>
+
+          {/* Comment Moderation */}
+          {canModerate && (
+            <Card sx={{ mt: 3 }}>
+              <CardContent>
+                <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                  Comments
+                </Typography>
+                <CommentPolicySelect
+                  value={article.commentPolicy}
+                  onChange={(value) => handleChange('commentPolicy', value)}
+                  inheritHelp="Follow the category (screened when none is set)"
+                />
+              </CardContent>
+            </Card>
+          )}
         </Grid>
       </Grid>
+
+      <DuplicateWarningDialog
+        open={Boolean(duplicateCheck)}
+        matches={duplicateCheck?.matches}
+        saving={saving}
+        onCancel={() => setDuplicateCheck(null)}
+        onConfirm={() => handleSave(duplicateCheck.publish, true)}
+      />
+
+      {isEditing && (
+        <RevisionHistoryDrawer
+          open={historyOpen}
+          onClose={() => setHistoryOpen(false)}
+          articleId={id}
+          languages={languages}
+          onRestored={(revision) => {
+            initializeEditor();
+            setSuccess(`Restored revision ${revision.revision}`);
+          }}
+        />
+      )}
     </Box>
   );
 };
@@ -21,7 +21,13 @@ import {
   InputAdornment,
   Select,
   FormControl,
-  InputLabel
+  InputLabel,
+  Tabs,
+  Tab,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -29,15 +35,19 @@ import {
   MoreVert as MoreIcon,
   Edit as EditIcon,
   Visibility as ViewIcon,
-  Delete as DeleteIcon
+  Delete as DeleteIcon,
+  RateReview as ReviewIcon,
+  LiveTv as LiveIcon
 } from '@mui/icons-material';
-import { articlesApi } from '../../services/api';
+import { articlesApi, workflowApi } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
+import ReviewDialog from '../../components/ReviewDialog';
+import WorkflowHistoryDialog from '../../components/WorkflowHistoryDialog';
 
 const ArticlesList = () => {
   const { t, i18n } = useTranslation();
   const navigate = useNavigate();
-  const { isAdmin } = useAuth();
+  const { isAdmin, can } = useAuth();
   const lang = i18n.language;
 
   const [articles, setArticles] = useState([]);
@@ -50,20 +60,33 @@ const ArticlesList = () => {
   const [toDate, setToDate] = useState('');
   const [menuAnchor, setMenuAnchor] = useState(null);
   const [selectedArticle, setSelectedArticle] = useState(null);
+  const [view, setView] = useState('mine');
+  const [reviewArticle, setReviewArticle] = useState(null);
+  const [historyArticle, setHistoryArticle] = useState(null);
+  const [assignArticle, setAssignArticle] = useState(null);
+  const [reviewers, setReviewers] = useState([]);
+  const [selectedReviewer, setSelectedReviewer] = useState('');
 
   useEffect(() => {
     fetchArticles();
-  }, [page, rowsPerPage, statusFilter, fromDate, toDate]);
+  }, [page, rowsPerPage, statusFilter, fromDate, toDate, view]);
 
   const fetchArticles = async () => {
     setLoading(true);
     try {
       const params = { page: page + 1, limit: rowsPerPage };
-      if (statusFilter) params.status = statusFilter;
-      if (fromDate) params.fromDate = fromDate;
-      if (toDate) params.toDate = toDate;
+      let response;
+
+      if (view === 'queue') {
+        params.lang = lang;
+        response = await workflowApi.getQueue(params);
+      } else {
+        if (statusFilter) params.status = statusFilter;
+        if (fromDate) params.fromDate = fromDate;
+        if (toDate) params.toDate = toDate;
+        response = await articlesApi.getManaged(params);
+      }
 
-      const response = await articlesApi.getManaged(params);
       setArticles(response.data.articles);
       setTotal(response.data.pagination.total);
     } catch (err) {
@@ -93,6 +116,38 @@ const ArticlesList = () => {
     handleMenuClose();
   };
 
+  const handleSubmitForReview = async () => {
+    try {
+      await workflowApi.submit(selectedArticle._id);
+      fetchArticles();
+    } catch (err) {
+      console.error('Failed to submit article:', err);
+    }
+    handleMenuClose();
+  };
+
+  const openAssignDialog = async (article) => {
+    handleMenuClose();
+    setAssignArticle(article);
+    setSelectedReviewer(article.workflow?.assignedTo?._id || '');
+    try {
+      const response = await workflowApi.getReviewers({ step: article.workflow?.step });
+      setReviewers(response.data.reviewers);
+    } catch (err) {
+      console.error('Failed to fetch reviewers:', err);
+    }
+  };
+
+  const handleAssign = async () => {
+    try {
+      await workflowApi.assign(assignArticle._id, selectedReviewer);
+      setAssignArticle(null);
+      fetchArticles();
+    } catch (err) {
+      console.error('Failed to assign reviewer:', err);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'published': return 'success';
@@ -127,7 +182,17 @@ const ArticlesList = () => {
         </Button>
       </Box>
 
+      <Tabs
+        value={view}
+        onChange={(_, value) => { setView(value); setPage(0); }}
+        sx={{ mb: 2 }}
+      >
+        <Tab value="mine" label={isAdmin ? 'All Articles' : t('myArticles')} />
+        <Tab value="queue" label="Review Queue" />
+      </Tabs>
+
       {/* Filters */}
+      {view === 'mine' && (
       <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', alignItems: 'center' }}>
         <FormControl size="small" sx={{ minWidth: 150 }}>
           <InputLabel>Status</InputLabel>
@@ -174,6 +239,7 @@ const ArticlesList = () => {
           </Button>
         )}
       </Box>
+      )}
 
       {/* Table */}
       <Card>
@@ -218,6 +284,17 @@ const ArticlesList = () => {
                       >
                         {typeof article.title === 'string' ? article.title : (article.title?.te || article.title?.en || article.title)}
                       </Typography>
+                      {article.workflow?.state === 'rejected' && article.workflow.lastRejection?.reason && (
+                        <Typography
+                          variant="caption"
+                          color="error"
+                          component="div"
+                          sx={{ maxWidth: 300, cursor: 'pointer' }}
+                          onClick={() => setHistoryArticle(article)}
+                        >
+                          Sent back{article.workflow.lastRejection.by?.name ? ` by ${article.workflow.lastRejection.by.name}` : ''}: {article.workflow.lastRejection.reason}
+                        </Typography>
+                      )}
                     </TableCell>
                     <TableCell>
                       <Chip
@@ -234,10 +311,45 @@ const ArticlesList = () => {
                         size="small"
                         color={getStatusColor(article.status)}
                       />
+                      {article.kind === 'live_blog' && (
+                        <Chip
+                          label={article.liveBlog?.state === 'live' ? 'Live' : 'Live blog'}
+                          size="small"
+                          color={article.liveBlog?.state === 'live' ? 'error' : 'default'}
+                          variant="outlined"
+                          sx={{ ml: 0.5 }}
+                        />
+                      )}
+                      {article.workflow?.state === 'in_review' && (
+                        <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 0.5 }}>
+                          {article.stepName || article.workflow.step}
+                          {' · '}
+                          {article.workflow.assignedTo?.name || 'Unassigned'}
+                        </Typography>
+                      )}
                     </TableCell>
                     <TableCell>{article.engagement?.views || 0}</TableCell>
                     <TableCell>{formatDate(article.createdAt)}</TableCell>
                     <TableCell align="right">
+                      {view === 'queue' && (
+                        <IconButton
+                          size="small"
+                          color="primary"
+                          title="Review"
+                          onClick={() => setReviewArticle(article)}
+                        >
+                          <ReviewIcon fontSize="small" />
+                        </IconButton>
+                      )}
+                      {article.kind === 'live_blog' && (
+                        <IconButton
+                          size="small"
+                          title="Live desk"
+                          onClick={() => navigate(`/dashboard/articles/live/${article._id}`)}
+                        >
+                          <LiveIcon fontSize="small" />
+                        </IconButton>
+                      )}
                       <IconButton
                         size="small"
                         onClick={() => navigate(`/dashboard/articles/edit/${article._id}`)}
@@ -285,26 +397,74 @@ const ArticlesList = () => {
         onClose={handleMenuClose}
       >
         {selectedArticle?.status === 'draft' && (
-          <MenuItem onClick={() => handleStatusChange('pending')}>
+          <MenuItem onClick={handleSubmitForReview}>
             Submit for Review
           </MenuItem>
         )}
-        {isAdmin && selectedArticle?.status === 'pending' && (
+        {isAdmin && selectedArticle?.workflow?.state === 'in_review' && (
+          <MenuItem onClick={() => openAssignDialog(selectedArticle)}>
+            Reassign Reviewer
+          </MenuItem>
+        )}
+        {can('articles.publish') && selectedArticle?.status === 'pending' && (
           <MenuItem onClick={() => handleStatusChange('published')}>
             Publish
           </MenuItem>
         )}
-        {selectedArticle?.status === 'published' && (
+        {can('articles.archive') && selectedArticle?.status === 'published' && (
           <MenuItem onClick={() => handleStatusChange('archived')}>
             Archive
           </MenuItem>
         )}
-        {selectedArticle?.status === 'archived' && (
+        {can('articles.publish') && selectedArticle?.status === 'archived' && (
           <MenuItem onClick={() => handleStatusChange('draft')}>
             Restore to Draft
           </MenuItem>
         )}
+        <MenuItem onClick={() => { setHistoryArticle(selectedArticle); handleMenuClose(); }}>
+          Workflow History
+        </MenuItem>
       </Menu>
+
+      <ReviewDialog
+        open={Boolean(reviewArticle)}
+        onClose={() => setReviewArticle(null)}
+        article={reviewArticle}
+        onReviewed={fetchArticles}
+      />
+
+      <WorkflowHistoryDialog
+        open={Boolean(historyArticle)}
+        onClose={() => setHistoryArticle(null)}
+        article={historyArticle}
+      />
+
+      {/* Reassign Dialog */}
+      <Dialog open={Boolean(assignArticle)} onClose={() => setAssignArticle(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Reassign Reviewer</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth sx={{ mt: 1 }}>
+            <InputLabel>Reviewer</InputLabel>
+            <Select
+              value={selectedReviewer}
+              label="Reviewer"
+              onChange={(e) => setSelectedReviewer(e.target.value)}
+            >
+              {reviewers.map(reviewer => (
+                <MenuItem key={reviewer._id} value={reviewer._id}>
+                  {reviewer.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAssignArticle(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleAssign} disabled={!selectedReviewer}>
+            Assign
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -27,6 +27,7 @@ import {
   Delete as DeleteIcon
 } from '@mui/icons-material';
 import { categoriesApi } from '../../services/api';
+import CommentPolicySelect from '../../components/CommentPolicySelect';
 
 const CategoriesManager = () => {
   const { t } = useTranslation();
@@ -40,7 +41,8 @@ const CategoriesManager = () => {
     description: { te: '', en: '', hi: '' },
     color: '#1976d2',
     isActive: true,
-    isFeatured: false
+    isFeatured: false,
+    commentPolicy: 'inherit'
   });
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -78,7 +80,8 @@ const CategoriesManager = () => {
         },
         color: category.color || '#1976d2',
         isActive: category.isActive !== false,
-        isFeatured: category.isFeatured || false
+        isFeatured: category.isFeatured || false,
+        commentPolicy: category.commentPolicy || 'inherit'
       });
     } else {
       setEditingCategory(null);
@@ -87,7 +90,8 @@ const CategoriesManager = () => {
         description: { te: '', en: '', hi: '' },
         color: '#1976d2',
         isActive: true,
-        isFeatured: false
+        isFeatured: false,
+        commentPolicy: 'inherit'
       });
     }
     setDialogOpen(true);
@@ -287,6 +291,10 @@ const CategoriesManager = () => {
             margin="normal"
             InputLabelProps={{ shrink: true }}
           />
+          <CommentPolicySelect
+            value={formData.commentPolicy}
+            onChange={(commentPolicy) => setFormData(prev => ({ ...prev, commentPolicy }))}
+          />
           <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
             <FormControlLabel
               control={
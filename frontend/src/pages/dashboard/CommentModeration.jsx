@@ -0,0 +1,535 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Checkbox,
+  Chip,
+  IconButton,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Tabs,
+  Tab,
+  Alert,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Link
+} from '@mui/material';
+import {
+  CheckCircle as ApproveIcon,
+  Block as RejectIcon,
+  Flag as FlagIcon,
+  Refresh as RefreshIcon,
+  VolumeOff as MuteIcon
+} from '@mui/icons-material';
+import { engagementApi, usersApi } from '../../services/api';
+import { getLocalizedValue } from '../../services/languageService';
+import AppealsQueue from '../../components/AppealsQueue';
+
+// Screening reasons are "<check>:<detail>"; filter by the check
+const REASON_FILTERS = [
+  { value: '', label: 'All reasons' },
+  { value: 'profanity', label: 'Profanity' },
+  { value: 'spam', label: 'Links and spam' },
+  { value: 'velocity', label: 'Repeat posting' },
+  { value: 'toxicity', label: 'Toxicity' },
+  { value: 'policy', label: 'Pre-moderated topic' },
+  { value: 'reports', label: 'Reader reports' },
+  { value: 'reputation', label: 'Low reputation' }
+];
+
+const REJECT_REASONS = [
+  'Abusive or hateful language',
+  'Spam or advertising',
+  'Personal attack',
+  'Off-topic',
+  'Shares personal information',
+  'Misinformation'
+];
+
+// Restriction lengths in hours ('' lasts until lifted)
+const RESTRICTION_DURATIONS = [
+  { value: 24, label: '1 day' },
+  { value: 72, label: '3 days' },
+  { value: 168, label: '1 week' },
+  { value: 720, label: '30 days' },
+  { value: '', label: 'Until lifted' }
+];
+
+// "spam ×2, abuse" from a comment's reader reports
+const summarizeReports = (reports = []) => {
+  const byReason = reports.reduce((acc, report) => ({ ...acc, [report.reason]: (acc[report.reason] || 0) + 1 }), {});
+  return Object.entries(byReason).map(([reason, count]) => (count > 1 ? `${reason} ×${count}` : reason)).join(', ');
+};
+
+const ACTION_LABELS = {
+  approved: 'Approve',
+  flagged: 'Flag',
+  deleted: 'Reject'
+};
+
+const CommentModeration = () => {
+  const { i18n } = useTranslation();
+  const lang = i18n.language;
+
+  const [view, setView] = useState('pending');
+  const [comments, setComments] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, flagged: 0 });
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [total, setTotal] = useState(0);
+  const [reasonFilter, setReasonFilter] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Flag / reject dialog: { status, ids }
+  const [action, setAction] = useState(null);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Mute / ban dialog: { user, kind, hours, reason }
+  const [restricting, setRestricting] = useState(null);
+
+  const fetchComments = useCallback(async () => {
+    if (view === 'appeals') return;
+    setLoading(true);
+    try {
+      const params = { status: view, page: page + 1, limit: rowsPerPage };
+      if (reasonFilter) params.reason = reasonFilter;
+
+      const response = await engagementApi.getModerationQueue(params);
+      setComments(response.data.comments);
+      setCounts(response.data.counts);
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      console.error('Failed to fetch comments:', err);
+      setError('Failed to load the moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [view, page, rowsPerPage, reasonFilter]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  useEffect(() => {
+    setSelected([]);
+  }, [view, page, rowsPerPage, reasonFilter]);
+
+  const moderate = async (status, ids, moderationReason = '') => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await engagementApi.moderateComments({ ids, status, reason: moderationReason });
+      const { updated, skipped } = response.data;
+      setSuccess(`${updated} comment(s) ${status === 'deleted' ? 'rejected' : status}` +
+        (skipped ? `; ${skipped} outside your sections were skipped` : ''));
+      setSelected(prev => prev.filter(id => !ids.includes(id)));
+      setAction(null);
+      fetchComments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to moderate comments');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Approving needs no reason; flagging and rejecting ask for one
+  const handleAction = (status, ids) => {
+    if (status === 'approved') {
+      moderate(status, ids);
+    } else {
+      setReason('');
+      setAction({ status, ids });
+    }
+  };
+
+  const handleRestrict = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const { user, kind, hours, reason: restrictionReason } = restricting;
+      await usersApi.restrictCommenting(user._id, {
+        kind,
+        ...(hours ? { hours } : {}),
+        reason: restrictionReason.trim()
+      });
+      setSuccess(`${user.name} ${kind === 'ban' ? 'banned from commenting' : 'muted'}`);
+      setRestricting(null);
+      fetchComments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restrict the reader');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLiftRestriction = async (user) => {
+    setError(null);
+    try {
+      await usersApi.liftCommentRestriction(user._id);
+      setSuccess(`Restriction on ${user.name} lifted`);
+      fetchComments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to lift the restriction');
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]));
+  };
+  const allSelected = comments.length > 0 && comments.every(c => selected.includes(c._id));
+  const toggleAll = () => setSelected(allSelected ? [] : comments.map(c => c._id));
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString(lang === 'hi' ? 'hi-IN' : 'en-IN', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const reasonColor = (code) => {
+    if (code.startsWith('profanity') || code.startsWith('toxicity')) return 'error';
+    if (code.startsWith('spam') || code.startsWith('velocity') || code === 'reports') return 'warning';
+    return 'default';
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h5" fontWeight={700}>
+          Comment Moderation
+        </Typography>
+        {view !== 'appeals' && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <IconButton onClick={fetchComments}>
+              <RefreshIcon />
+            </IconButton>
+            <Button
+              variant="contained"
+              color="success"
+              startIcon={<ApproveIcon />}
+              disabled={selected.length === 0 || saving}
+              onClick={() => handleAction('approved', selected)}
+            >
+              Approve{selected.length > 0 ? ` (${selected.length})` : ''}
+            </Button>
+            {view === 'pending' && (
+              <Button
+                variant="outlined"
+                color="warning"
+                startIcon={<FlagIcon />}
+                disabled={selected.length === 0 || saving}
+                onClick={() => handleAction('flagged', selected)}
+              >
+                Flag
+              </Button>
+            )}
+            <Button
+              variant="outlined"
+              color="error"
+              startIcon={<RejectIcon />}
+              disabled={selected.length === 0 || saving}
+              onClick={() => handleAction('deleted', selected)}
+            >
+              Reject
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 2 }}>
+        <Tabs value={view} onChange={(_, value) => { setView(value); setPage(0); }}>
+          <Tab value="pending" label={`Held (${counts.pending})`} />
+          <Tab value="flagged" label={`Flagged (${counts.flagged})`} />
+          <Tab value="appeals" label="Appeals" />
+        </Tabs>
+        {view !== 'appeals' && (
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Reason</InputLabel>
+            <Select
+              value={reasonFilter}
+              label="Reason"
+              onChange={(e) => { setReasonFilter(e.target.value); setPage(0); }}
+            >
+              {REASON_FILTERS.map(filter => (
+                <MenuItem key={filter.value} value={filter.value}>{filter.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Box>
+
+      {view === 'appeals' ? (
+        <AppealsQueue lang={lang} formatDate={formatDate} />
+      ) : (
+        <Card>
+          {loading && <LinearProgress />}
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox">
+                    <Checkbox checked={allSelected} onChange={toggleAll} />
+                  </TableCell>
+                  <TableCell>Comment</TableCell>
+                  <TableCell>Reader</TableCell>
+                  <TableCell>Article</TableCell>
+                  <TableCell>Screening</TableCell>
+                  <TableCell>Posted</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {comments.length === 0 && !loading ? (
+                  <TableRow>
+                    <TableCell colSpan={7} align="center">
+                      <Typography color="text.secondary" sx={{ py: 3 }}>
+                        Nothing waiting for moderation
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : comments.map((comment) => (
+                  <TableRow key={comment._id} hover selected={selected.includes(comment._id)}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={selected.includes(comment._id)}
+                        onChange={() => toggleSelected(comment._id)}
+                      />
+                    </TableCell>
+                    <TableCell sx={{ maxWidth: 380 }}>
+                      {comment.parent?.content && (
+                        <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                          Reply to: {comment.parent.content}
+                        </Typography>
+                      )}
+                      <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                        {comment.content}
+                      </Typography>
+                      {comment.isEdited && (
+                        <Typography variant="caption" color="text.secondary">(edited)</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{comment.user?.name || '-'}</Typography>
+                      {comment.user?.createdAt && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          Joined {new Date(comment.user.createdAt).toLocaleDateString('en-IN')}
+                        </Typography>
+                      )}
+                      {comment.user?.reputation && (
+                        <Typography
+                          variant="caption"
+                          color={comment.user.reputation.score < 25 ? 'error' : 'text.secondary'}
+                          display="block"
+                        >
+                          Reputation {comment.user.reputation.score}
+                        </Typography>
+                      )}
+                      {comment.user?.commentRestriction?.kind && (
+                        <Chip
+                          label={comment.user.commentRestriction.kind === 'ban' ? 'Banned' : 'Muted'}
+                          size="small"
+                          color="error"
+                          onDelete={() => handleLiftRestriction(comment.user)}
+                          sx={{ mt: 0.5 }}
+                        />
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ maxWidth: 220 }}>
+                      {comment.article ? (
+                        <Link
+                          href={`/site/article/${comment.article.slug}`}
+                          target="_blank"
+                          rel="noopener"
+                          variant="body2"
+                          underline="hover"
+                        >
+                          {getLocalizedValue(comment.article.title, lang)}
+                        </Link>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {(comment.screening?.reasons || []).map(code => (
+                          <Chip key={code} label={code} size="small" color={reasonColor(code)} variant="outlined" />
+                        ))}
+                      </Box>
+                      {comment.screening?.score > 0 && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          Score {Math.round(comment.screening.score * 100)}%
+                        </Typography>
+                      )}
+                      {comment.reportCount > 0 && (
+                        <Tooltip title={(comment.reports || []).map(r => r.note).filter(Boolean).join(' · ') || ''}>
+                          <Typography variant="caption" color="warning.main">
+                            {comment.reportCount} report(s): {summarizeReports(comment.reports)}
+                          </Typography>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                    <TableCell>{formatDate(comment.createdAt)}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Approve">
+                        <IconButton color="success" onClick={() => handleAction('approved', [comment._id])}>
+                          <ApproveIcon />
+                        </IconButton>
+                      </Tooltip>
+                      {view === 'pending' && (
+                        <Tooltip title="Flag">
+                          <IconButton color="warning" onClick={() => handleAction('flagged', [comment._id])}>
+                            <FlagIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      <Tooltip title="Reject">
+                        <IconButton color="error" onClick={() => handleAction('deleted', [comment._id])}>
+                          <RejectIcon />
+                        </IconButton>
+                      </Tooltip>
+                      {comment.user && !comment.user.commentRestriction?.kind && (
+                        <Tooltip title="Mute or ban reader">
+                          <IconButton
+                            onClick={() => setRestricting({ user: comment.user, kind: 'mute', hours: 24, reason: '' })}
+                          >
+                            <MuteIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(_, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[10, 20, 50]}
+          />
+        </Card>
+      )}
+
+      {/* Reason Dialog */}
+      <Dialog open={Boolean(action)} onClose={() => setAction(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {ACTION_LABELS[action?.status]} {action?.ids.length} comment(s)
+        </DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Reason</InputLabel>
+            <Select
+              value={REJECT_REASONS.includes(reason) ? reason : ''}
+              label="Reason"
+              onChange={(e) => setReason(e.target.value)}
+            >
+              {REJECT_REASONS.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            fullWidth
+            label="Or describe the reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            margin="normal"
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAction(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={action?.status === 'deleted' ? 'error' : 'warning'}
+            disabled={saving || !reason.trim()}
+            onClick={() => moderate(action.status, action.ids, reason.trim())}
+          >
+            {ACTION_LABELS[action?.status]}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Mute / Ban Dialog */}
+      <Dialog open={Boolean(restricting)} onClose={() => setRestricting(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Restrict {restricting?.user.name}</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Restriction</InputLabel>
+            <Select
+              value={restricting?.kind || 'mute'}
+              label="Restriction"
+              onChange={(e) => setRestricting(prev => ({ ...prev, kind: e.target.value }))}
+            >
+              <MenuItem value="mute">Mute (cannot post or edit comments)</MenuItem>
+              <MenuItem value="ban">Ban (cannot comment, like or report)</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Duration</InputLabel>
+            <Select
+              value={restricting?.hours ?? ''}
+              label="Duration"
+              displayEmpty
+              onChange={(e) => setRestricting(prev => ({ ...prev, hours: e.target.value }))}
+            >
+              {RESTRICTION_DURATIONS.map(option => (
+                <MenuItem key={option.label} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            fullWidth
+            label="Reason (shown to the reader)"
+            value={restricting?.reason || ''}
+            onChange={(e) => setRestricting(prev => ({ ...prev, reason: e.target.value }))}
+            margin="normal"
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRestricting(null)}>Cancel</Button>
+          <Button variant="contained" color="error" disabled={saving} onClick={handleRestrict}>
+            {restricting?.kind === 'ban' ? 'Ban' : 'Mute'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CommentModeration;
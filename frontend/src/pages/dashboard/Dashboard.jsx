@@ -20,7 +20,8 @@ import {
   Visibility as ViewIcon,
   ThumbUp as LikeIcon,
   Add as AddIcon,
-  TrendingUp as TrendingIcon
+  TrendingUp as TrendingIcon,
+  Schedule as ScheduleIcon
 } from '@mui/icons-material';
 import { articlesApi } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
@@ -38,6 +39,7 @@ const Dashboard = () => {
     publishedArticles: 0
   });
   const [recentArticles, setRecentArticles] = useState([]);
+  const [scheduled, setScheduled] = useState({ upcoming: [], expiring: [] });
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -62,6 +64,9 @@ const Dashboard = () => {
       });
 
       setRecentArticles(articles.slice(0, 5));
+
+      const scheduledRes = await articlesApi.getScheduled({ limit: 5 });
+      setScheduled(scheduledRes.data);
     } catch (err) {
       console.error('Failed to fetch dashboard data:', err);
     } finally {
@@ -79,6 +84,11 @@ const Dashboard = () => {
     }
   };
 
+  const formatScheduleTime = (localTime, timezone) => {
+    if (!localTime) return '';
+    return `${localTime.replace('T', ' ')} (${timezone || 'Asia/Kolkata'})`;
+  };
+
   const StatCard = ({ title, value, icon, color }) => (
     <Card>
       <CardContent>
@@ -161,6 +171,64 @@ const Dashboard = () => {
         </Grid>
       </Grid>
 
+      {/* Scheduled Queue */}
+      {(scheduled.upcoming.length > 0 || scheduled.expiring.length > 0) && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              <ScheduleIcon color="info" />
+              <Typography variant="h6" fontWeight={600}>
+                {lang === 'hi' ? 'निर्धारित प्रकाशन' : 'Scheduled Publishing'}
+              </Typography>
+            </Box>
+            <List>
+              {scheduled.upcoming.map((article) => (
+                <ListItem
+                  key={article._id}
+                  sx={{
+                    borderRadius: 1,
+                    mb: 1,
+                    bgcolor: 'grey.50',
+                    cursor: 'pointer',
+                    '&:hover': { bgcolor: 'grey.100' }
+                  }}
+                  onClick={() => navigate(`/dashboard/articles/edit/${article._id}`)}
+                >
+                  <ListItemText
+                    primary={article.title}
+                    secondary={`Publishes ${formatScheduleTime(article.publishAtLocal, article.scheduleTimezone)}`}
+                  />
+                  <ListItemSecondaryAction>
+                    <Chip label="upcoming" size="small" color="info" />
+                  </ListItemSecondaryAction>
+                </ListItem>
+              ))}
+              {scheduled.expiring.map((article) => (
+                <ListItem
+                  key={article._id}
+                  sx={{
+                    borderRadius: 1,
+                    mb: 1,
+                    bgcolor: 'grey.50',
+                    cursor: 'pointer',
+                    '&:hover': { bgcolor: 'grey.100' }
+                  }}
+                  onClick={() => navigate(`/dashboard/articles/edit/${article._id}`)}
+                >
+                  <ListItemText
+                    primary={article.title}
+                    secondary={`Unpublishes ${formatScheduleTime(article.unpublishAtLocal, article.scheduleTimezone)}`}
+                  />
+                  <ListItemSecondaryAction>
+                    <Chip label="expiring" size="small" color="warning" />
+                  </ListItemSecondaryAction>
+                </ListItem>
+              ))}
+            </List>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Recent Articles */}
       <Card>
         <CardContent>
@@ -0,0 +1,504 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  Chip,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  Grid,
+  Card,
+  CardContent
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  DeleteSweep as ClearIcon
+} from '@mui/icons-material';
+import { glossaryApi, translateApi } from '../../services/api';
+import languageService from '../../services/languageService';
+
+const CATEGORIES = ['place', 'party', 'brand', 'person', 'organization', 'other'];
+
+const emptyForm = {
+  term: '',
+  category: 'other',
+  translations: {},
+  caseSensitive: false,
+  note: '',
+  isActive: true
+};
+
+const GlossaryManager = () => {
+  const [terms, setTerms] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [provider, setProvider] = useState(null);
+  const [memory, setMemory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState('');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [total, setTotal] = useState(0);
+
+  // Dialog state
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingTerm, setEditingTerm] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  // Delete / clear confirmation
+  const [deletingTerm, setDeletingTerm] = useState(null);
+  const [clearDialogOpen, setClearDialogOpen] = useState(false);
+
+  const fetchTerms = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await glossaryApi.getAll({
+        search: search || undefined,
+        category: category || undefined,
+        page: page + 1,
+        limit: rowsPerPage
+      });
+      setTerms(response.data.terms || []);
+      setTotal(response.data.pagination?.total || 0);
+    } catch (err) {
+      setError('Failed to load glossary');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [search, category, page, rowsPerPage]);
+
+  const fetchTranslationInfo = async () => {
+    try {
+      const [providerRes, memoryRes] = await Promise.all([
+        translateApi.getProviders(),
+        translateApi.getMemoryStats()
+      ]);
+      setProvider(providerRes.data);
+      setMemory(memoryRes.data);
+    } catch (err) {
+      console.error('Failed to load translation settings:', err);
+    }
+  };
+
+  useEffect(() => {
+    languageService.getLanguages().then(setLanguages);
+    fetchTranslationInfo();
+  }, []);
+
+  useEffect(() => {
+    fetchTerms();
+  }, [fetchTerms]);
+
+  const handleOpenDialog = (term = null) => {
+    if (term) {
+      setEditingTerm(term);
+      setFormData({
+        term: term.term,
+        category: term.category || 'other',
+        translations: { ...(term.translations || {}) },
+        caseSensitive: term.caseSensitive || false,
+        note: term.note || '',
+        isActive: term.isActive !== false
+      });
+    } else {
+      setEditingTerm(null);
+      setFormData(emptyForm);
+    }
+    setDialogOpen(true);
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setEditingTerm(null);
+    setFormData(emptyForm);
+  };
+
+  const handleTranslationChange = (code, value) => {
+    setFormData(prev => ({
+      ...prev,
+      translations: { ...prev.translations, [code]: value }
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      if (editingTerm) {
+        await glossaryApi.update(editingTerm._id, formData);
+        setSuccess('Glossary term updated');
+      } else {
+        await glossaryApi.create(formData);
+        setSuccess('Glossary term created');
+      }
+
+      handleCloseDialog();
+      fetchTerms();
+      fetchTranslationInfo();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save glossary term');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deletingTerm) return;
+
+    try {
+      setError(null);
+      await glossaryApi.delete(deletingTerm._id);
+      setSuccess('Glossary term deleted');
+      setDeletingTerm(null);
+      fetchTerms();
+      fetchTranslationInfo();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete glossary term');
+    }
+  };
+
+  const handleClearMemory = async () => {
+    try {
+      setError(null);
+      const response = await translateApi.clearMemory();
+      setSuccess(`Cleared ${response.data.deleted} cached translations`);
+      setClearDialogOpen(false);
+      fetchTranslationInfo();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to clear translation memory');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h5" fontWeight="bold">
+          Translation Glossary
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+        >
+          Add Term
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                Translation Provider
+              </Typography>
+              <Typography variant="h6" sx={{ textTransform: 'capitalize', mb: 1 }}>
+                {provider?.active || '—'}
+              </Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                {provider?.languages?.map((lang) => (
+                  <Tooltip key={lang.code} title={lang.supported ? 'Supported' : 'Not supported by this provider'}>
+                    <Chip
+                      label={lang.name}
+                      size="small"
+                      color={lang.supported ? 'success' : 'default'}
+                      variant={lang.supported ? 'filled' : 'outlined'}
+                    />
+                  </Tooltip>
+                ))}
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <Box>
+                  <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                    Translation Memory
+                  </Typography>
+                  <Typography variant="h6">
+                    {memory?.total ?? 0} cached · {memory?.hits ?? 0} reused
+                  </Typography>
+                </Box>
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<ClearIcon />}
+                  onClick={() => setClearDialogOpen(true)}
+                  disabled={!memory?.total}
+                >
+                  Clear
+                </Button>
+              </Box>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                {memory?.pairs?.map((pair) => (
+                  <Chip
+                    key={`${pair.sourceLang}-${pair.targetLang}`}
+                    label={`${pair.sourceLang} → ${pair.targetLang}: ${pair.entries}`}
+                    size="small"
+                    variant="outlined"
+                  />
+                ))}
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          label="Search"
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+          sx={{ minWidth: 240 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Category"
+          value={category}
+          onChange={(e) => { setCategory(e.target.value); setPage(0); }}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {CATEGORIES.map((c) => (
+            <MenuItem key={c} value={c} sx={{ textTransform: 'capitalize' }}>{c}</MenuItem>
+          ))}
+        </TextField>
+      </Paper>
+
+      <Paper>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Term</TableCell>
+                <TableCell>Category</TableCell>
+                <TableCell>Translations</TableCell>
+                <TableCell align="center">Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    <CircularProgress size={32} sx={{ my: 2 }} />
+                  </TableCell>
+                </TableRow>
+              ) : terms.map((term) => (
+                <TableRow key={term._id} hover>
+                  <TableCell>
+                    <Typography fontWeight={500}>{term.term}</Typography>
+                    {term.note && (
+                      <Typography variant="caption" color="text.secondary">{term.note}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={term.category} size="small" variant="outlined" sx={{ textTransform: 'capitalize' }} />
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {Object.entries(term.translations || {}).map(([code, value]) => (
+                        <Chip key={code} label={`${code}: ${value}`} size="small" />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Chip
+                      label={term.isActive ? 'Active' : 'Inactive'}
+                      size="small"
+                      color={term.isActive ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton onClick={() => handleOpenDialog(term)}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton onClick={() => setDeletingTerm(term)} color="error">
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {!loading && terms.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    <Typography color="text.secondary" sx={{ py: 4 }}>
+                      No glossary terms yet. Add place names, parties and brands that should never be translated literally.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => { setRowsPerPage(parseInt(e.target.value, 10)); setPage(0); }}
+          rowsPerPageOptions={[25, 50, 100]}
+        />
+      </Paper>
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {editingTerm ? 'Edit Glossary Term' : 'Add Glossary Term'}
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField
+              label="Term"
+              placeholder="e.g., Hyderabad Metro"
+              value={formData.term}
+              onChange={(e) => setFormData({ ...formData, term: e.target.value })}
+              required
+              inputProps={{ maxLength: 100 }}
+            />
+            <TextField
+              select
+              label="Category"
+              value={formData.category}
+              onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+            >
+              {CATEGORIES.map((c) => (
+                <MenuItem key={c} value={c} sx={{ textTransform: 'capitalize' }}>{c}</MenuItem>
+              ))}
+            </TextField>
+            <Typography variant="subtitle2" color="text.secondary">
+              Rendering per language (leave empty to keep the term as written)
+            </Typography>
+            {languages.map((lang) => (
+              <TextField
+                key={lang.code}
+                size="small"
+                label={`${lang.name} (${lang.nativeName})`}
+                value={formData.translations[lang.code] || ''}
+                onChange={(e) => handleTranslationChange(lang.code, e.target.value)}
+                inputProps={{ maxLength: 100 }}
+              />
+            ))}
+            <TextField
+              label="Note"
+              value={formData.note}
+              onChange={(e) => setFormData({ ...formData, note: e.target.value })}
+              multiline
+              rows={2}
+              inputProps={{ maxLength: 500 }}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={formData.caseSensitive}
+                  onChange={(e) => setFormData({ ...formData, caseSensitive: e.target.checked })}
+                />
+              }
+              label="Case sensitive"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                />
+              }
+              label="Active"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            disabled={saving || !formData.term.trim()}
+          >
+            {saving ? <CircularProgress size={24} /> : (editingTerm ? 'Update' : 'Create')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={!!deletingTerm} onClose={() => setDeletingTerm(null)}>
+        <DialogTitle>Delete Term</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Are you sure you want to delete <strong>{deletingTerm?.term}</strong> from the glossary?
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeletingTerm(null)}>Cancel</Button>
+          <Button onClick={handleDelete} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Clear Memory Confirmation Dialog */}
+      <Dialog open={clearDialogOpen} onClose={() => setClearDialogOpen(false)}>
+        <DialogTitle>Clear Translation Memory</DialogTitle>
+        <DialogContent>
+          <Typography>
+            All cached translations will be removed. The next translation of each paragraph will call the provider again.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setClearDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleClearMemory} color="error" variant="contained">
+            Clear
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default GlossaryManager;
@@ -0,0 +1,560 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  Alert,
+  IconButton,
+  CircularProgress,
+  FormControlLabel,
+  Checkbox,
+  Avatar,
+  Autocomplete,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText,
+  Divider
+} from '@mui/material';
+import {
+  ArrowBack as BackIcon,
+  Send as SendIcon,
+  PushPin as PinIcon,
+  PushPinOutlined as PinOutlinedIcon,
+  Star as KeyEventIcon,
+  StarBorder as KeyEventOutlinedIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Translate as TranslateIcon,
+  Visibility as ViewIcon
+} from '@mui/icons-material';
+import { liveBlogsApi } from '../../services/api';
+import languageService, { getLocalizedValue } from '../../services/languageService';
+import { useAuth } from '../../contexts/AuthContext';
+
+// While entries are being translated, look for the results this often
+const TRANSLATION_POLL_INTERVAL = 5000;
+
+const emptyDraft = { headline: '', content: '', isPinned: false, isKeyEvent: false, translate: true };
+
+const formatTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Reporters post a live blog's updates here while the story runs
+const LiveBlogDesk = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const canPublish = can('articles.publish');
+
+  const [languages, setLanguages] = useState([]);
+  const [writingLang, setWritingLang] = useState('en');
+  const [blog, setBlog] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const [draft, setDraft] = useState(emptyDraft);
+  const [posting, setPosting] = useState(false);
+
+  // Edit dialog: { entry, lang, headline, content }
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [reporterOptions, setReporterOptions] = useState([]);
+
+  const fetchBlog = useCallback(async () => {
+    try {
+      const response = await liveBlogsApi.get(id);
+      setBlog(response.data);
+      setEntries(response.data.entries);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load live blog');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    languageService.getLanguages().then(setLanguages);
+    languageService.getDefaultLanguageCode().then(setWritingLang);
+    fetchBlog();
+  }, [fetchBlog]);
+
+  // Translations run in the background; refresh until they finish
+  const translating = entries.some(entry => entry.translation?.state === 'pending');
+  useEffect(() => {
+    if (!translating) return undefined;
+    const timer = setTimeout(fetchBlog, TRANSLATION_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [translating, entries, fetchBlog]);
+
+  const handleLoadMore = async () => {
+    try {
+      const response = await liveBlogsApi.get(id, { cursor: nextCursor });
+      setEntries(prev => [...prev, ...response.data.entries]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load entries');
+    }
+  };
+
+  const handlePost = async () => {
+    setPosting(true);
+    setError(null);
+    try {
+      await liveBlogsApi.postEntry(id, {
+        headline: draft.headline.trim() ? { [writingLang]: draft.headline.trim() } : {},
+        content: { [writingLang]: draft.content.trim() },
+        isPinned: draft.isPinned,
+        isKeyEvent: draft.isKeyEvent,
+        translate: draft.translate
+      });
+      setDraft(prev => ({ ...emptyDraft, translate: prev.translate }));
+      fetchBlog();
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.details?.[0] || 'Failed to post update');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleToggle = async (entry, field) => {
+    setError(null);
+    try {
+      await liveBlogsApi.updateEntry(id, entry._id, { [field]: !entry[field] });
+      fetchBlog();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update entry');
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm('Delete this update? Readers will no longer see it.')) return;
+    setError(null);
+    try {
+      await liveBlogsApi.deleteEntry(id, entry._id);
+      fetchBlog();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete entry');
+    }
+  };
+
+  const handleTranslate = async (entry) => {
+    setError(null);
+    try {
+      await liveBlogsApi.translateEntry(id, entry._id);
+      setEntries(prev => prev.map(e => (e._id === entry._id ? { ...e, translation: { state: 'pending' } } : e)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start translation');
+    }
+  };
+
+  const openEdit = (entry, lang = writingLang) => {
+    setEditing({
+      entry,
+      lang,
+      headline: entry.headline?.[lang] || '',
+      content: entry.content?.[lang] || ''
+    });
+  };
+
+  const handleSaveEdit = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const { entry, lang, headline, content } = editing;
+      await liveBlogsApi.updateEntry(id, entry._id, {
+        headline: { ...(entry.headline || {}), [lang]: headline.trim() },
+        content: { ...entry.content, [lang]: content.trim() }
+      });
+      setEditing(null);
+      fetchBlog();
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.details?.[0] || 'Failed to update entry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleState = async (state) => {
+    setError(null);
+    try {
+      const response = await liveBlogsApi.setState(id, state);
+      setBlog(prev => ({ ...prev, liveBlog: response.data.liveBlog }));
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update live blog');
+    }
+  };
+
+  const handleReporterSearch = async (q) => {
+    try {
+      const response = await liveBlogsApi.searchContributors(id, q);
+      setReporterOptions(response.data.reporters);
+    } catch (err) {
+      setReporterOptions([]);
+    }
+  };
+
+  const handleContributors = async (contributors) => {
+    setError(null);
+    try {
+      const response = await liveBlogsApi.setContributors(id, contributors.map(c => c._id));
+      setBlog(prev => ({ ...prev, contributors: response.data.contributors }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update contributors');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!blog) {
+    return <Alert severity="error">{error || 'Live blog not found'}</Alert>;
+  }
+
+  const live = blog.liveBlog?.state === 'live';
+  const languageName = (code) => languages.find(l => l.code === code)?.nativeName || code;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <IconButton onClick={() => navigate(`/dashboard/articles/edit/${id}`)}>
+          <BackIcon />
+        </IconButton>
+        <Box sx={{ minWidth: 0 }}>
+          <Typography variant="h5" fontWeight={700} noWrap>
+            {getLocalizedValue(blog.article.title, writingLang)}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mt: 0.5 }}>
+            <Chip
+              size="small"
+              label={live ? 'Live' : 'Ended'}
+              color={live ? 'error' : 'default'}
+            />
+            <Chip size="small" variant="outlined" label={blog.article.status} />
+            <Chip size="small" variant="outlined" label={`${blog.liveBlog?.entriesCount || 0} updates`} />
+          </Box>
+        </Box>
+        <Box sx={{ flexGrow: 1 }} />
+        {blog.article.status === 'published' && (
+          <Button
+            startIcon={<ViewIcon />}
+            onClick={() => window.open(`/site/article/${blog.article.slug}`, '_blank')}
+          >
+            View
+          </Button>
+        )}
+        {canPublish && (
+          <Button
+            variant="outlined"
+            color={live ? 'error' : 'primary'}
+            onClick={() => handleState(live ? 'ended' : 'live')}
+          >
+            {live ? 'End Live Blog' : 'Go Live Again'}
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 3 }} onClose={() => setSuccess(null)}>{success}</Alert>}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={8}>
+          {/* Composer */}
+          {live && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                  <Typography variant="subtitle1" fontWeight={600}>
+                    New Update
+                  </Typography>
+                  <FormControl size="small" sx={{ minWidth: 160 }}>
+                    <InputLabel>Writing in</InputLabel>
+                    <Select
+                      value={writingLang}
+                      label="Writing in"
+                      onChange={(e) => setWritingLang(e.target.value)}
+                    >
+                      {languages.map(lang => (
+                        <MenuItem key={lang.code} value={lang.code}>{lang.nativeName}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Box>
+                <TextField
+                  fullWidth
+                  size="small"
+                  margin="dense"
+                  label={draft.isKeyEvent ? 'Headline *' : 'Headline (optional)'}
+                  value={draft.headline}
+                  onChange={(e) => setDraft(prev => ({ ...prev, headline: e.target.value }))}
+                  inputProps={{ maxLength: 200 }}
+                />
+                <TextField
+                  fullWidth
+                  margin="dense"
+                  label="Update"
+                  value={draft.content}
+                  onChange={(e) => setDraft(prev => ({ ...prev, content: e.target.value }))}
+                  multiline
+                  minRows={3}
+                  inputProps={{ maxLength: 5000 }}
+                />
+                <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+                  <FormControlLabel
+                    control={<Checkbox size="small" checked={draft.isPinned} onChange={(e) => setDraft(prev => ({ ...prev, isPinned: e.target.checked }))} />}
+                    label="Pin"
+                  />
+                  <FormControlLabel
+                    control={<Checkbox size="small" checked={draft.isKeyEvent} onChange={(e) => setDraft(prev => ({ ...prev, isKeyEvent: e.target.checked }))} />}
+                    label="Key event"
+                  />
+                  <FormControlLabel
+                    control={<Checkbox size="small" checked={draft.translate} onChange={(e) => setDraft(prev => ({ ...prev, translate: e.target.checked }))} />}
+                    label="Translate to all languages"
+                  />
+                  <Box sx={{ flexGrow: 1 }} />
+                  <Button
+                    variant="contained"
+                    startIcon={posting ? <CircularProgress size={16} /> : <SendIcon />}
+                    onClick={handlePost}
+                    disabled={posting || !draft.content.trim() || (draft.isKeyEvent && !draft.headline.trim())}
+                  >
+                    Post Update
+                  </Button>
+                </Box>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Entries */}
+          <Card>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Updates
+              </Typography>
+              {entries.length === 0 ? (
+                <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                  No updates yet
+                </Typography>
+              ) : (
+                <List disablePadding>
+                  {entries.map((entry, index) => (
+                    <Box key={entry._id}>
+                      {index > 0 && <Divider />}
+                      <ListItem alignItems="flex-start" disableGutters>
+                        <ListItemText
+                          primary={
+                            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                              <Typography variant="caption" fontWeight={700}>{formatTime(entry.postedAt)}</Typography>
+                              <Typography variant="caption" color="text.secondary">{entry.author?.name}</Typography>
+                              {entry.translation?.state === 'pending' && (
+                                <Chip size="small" label="Translating..." icon={<CircularProgress size={12} />} />
+                              )}
+                              {entry.translation?.state === 'failed' && (
+                                <Chip size="small" color="error" variant="outlined" label="Translation failed" />
+                              )}
+                            </Box>
+                          }
+                          secondary={
+                            <>
+                              {getLocalizedValue(entry.headline, writingLang) && (
+                                <Typography variant="subtitle2" color="text.primary" component="span" sx={{ display: 'block' }}>
+                                  {getLocalizedValue(entry.headline, writingLang)}
+                                </Typography>
+                              )}
+                              <Typography variant="body2" color="text.primary" component="span" sx={{ display: 'block', whiteSpace: 'pre-wrap' }}>
+                                {getLocalizedValue(entry.content, writingLang)}
+                              </Typography>
+                              <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                                {Object.keys(entry.content || {}).map(code => (
+                                  <Chip
+                                    key={code}
+                                    size="small"
+                                    variant="outlined"
+                                    label={languageName(code)}
+                                    onClick={() => openEdit(entry, code)}
+                                    sx={{ height: 20 }}
+                                  />
+                                ))}
+                              </Box>
+                            </>
+                          }
+                        />
+                        <Box sx={{ display: 'flex', flexShrink: 0 }}>
+                          <IconButton size="small" title={entry.isPinned ? 'Unpin' : 'Pin'} onClick={() => handleToggle(entry, 'isPinned')}>
+                            {entry.isPinned ? <PinIcon fontSize="small" color="primary" /> : <PinOutlinedIcon fontSize="small" />}
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            title={entry.isKeyEvent ? 'Remove from key events' : 'Key event'}
+                            onClick={() => handleToggle(entry, 'isKeyEvent')}
+                            disabled={!entry.isKeyEvent && !Object.keys(entry.headline || {}).length}
+                          >
+                            {entry.isKeyEvent ? <KeyEventIcon fontSize="small" color="warning" /> : <KeyEventOutlinedIcon fontSize="small" />}
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            title="Translate missing languages"
+                            onClick={() => handleTranslate(entry)}
+                            disabled={entry.translation?.state === 'pending'}
+                          >
+                            <TranslateIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" title="Edit" onClick={() => openEdit(entry)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" title="Delete" onClick={() => handleDelete(entry)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Box>
+                      </ListItem>
+                    </Box>
+                  ))}
+                </List>
+              )}
+              {nextCursor && (
+                <Button fullWidth sx={{ mt: 1 }} onClick={handleLoadMore}>
+                  Load older updates
+                </Button>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Sidebar */}
+        <Grid item xs={12} md={4}>
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Key Events
+              </Typography>
+              {(blog.keyEvents || []).length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  Star an update with a headline to list it here
+                </Typography>
+              ) : (
+                <List dense disablePadding>
+                  {blog.keyEvents.map(event => (
+                    <ListItem key={event._id} disableGutters>
+                      <ListItemText
+                        primary={getLocalizedValue(event.headline, writingLang)}
+                        secondary={formatTime(event.postedAt)}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Contributors
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Reporters who can post updates, besides the author and editors
+              </Typography>
+              <Autocomplete
+                multiple
+                size="small"
+                options={reporterOptions}
+                value={blog.contributors || []}
+                getOptionLabel={(option) => option.name}
+                isOptionEqualToValue={(option, value) => option._id === value._id}
+                filterOptions={(options) => options}
+                onInputChange={(_, value) => handleReporterSearch(value)}
+                onChange={(_, value) => handleContributors(value)}
+                renderTags={(value, getTagProps) => value.map((option, index) => (
+                  <Chip
+                    {...getTagProps({ index })}
+                    key={option._id}
+                    size="small"
+                    avatar={<Avatar src={option.avatar}>{option.name?.[0]}</Avatar>}
+                    label={option.name}
+                  />
+                ))}
+                renderInput={(params) => <TextField {...params} placeholder="Add a reporter" />}
+              />
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      {/* Edit Dialog */}
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit Update ({editing && languageName(editing.lang)})</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth size="small" margin="dense">
+            <InputLabel>Language</InputLabel>
+            <Select
+              value={editing?.lang || ''}
+              label="Language"
+              onChange={(e) => openEdit(editing.entry, e.target.value)}
+            >
+              {languages.map(lang => (
+                <MenuItem key={lang.code} value={lang.code}>{lang.nativeName}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            fullWidth
+            size="small"
+            margin="dense"
+            label="Headline"
+            value={editing?.headline || ''}
+            onChange={(e) => setEditing(prev => ({ ...prev, headline: e.target.value }))}
+            inputProps={{ maxLength: 200 }}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Update"
+            value={editing?.content || ''}
+            onChange={(e) => setEditing(prev => ({ ...prev, content: e.target.value }))}
+            multiline
+            minRows={4}
+            inputProps={{ maxLength: 5000 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveEdit} disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default LiveBlogDesk;
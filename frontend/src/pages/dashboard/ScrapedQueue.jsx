@@ -0,0 +1,617 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Checkbox,
+  Chip,
+  IconButton,
+  TextField,
+  InputAdornment,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Switch,
+  Tabs,
+  Tab,
+  Alert,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Tooltip,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  Transform as ConvertIcon,
+  Visibility as ViewIcon,
+  Edit as EditIcon,
+  OpenInNew as OpenIcon,
+  Refresh as RefreshIcon,
+  ContentCopy as DuplicateIcon
+} from '@mui/icons-material';
+import { scrapedArticlesApi, usersApi, categoriesApi } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { getLocalizedValue } from '../../services/languageService';
+
+const POLL_INTERVAL = 5000;
+
+const STEP_LABELS = {
+  queued: 'Queued',
+  clean: 'Cleaning',
+  detect: 'Detecting language',
+  translate: 'Translating',
+  create: 'Creating draft'
+};
+
+const formatSimilarity = (value) => `${Math.round((value || 0) * 100)}%`;
+
+const ScrapedQueue = () => {
+  const { i18n } = useTranslation();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const lang = i18n.language;
+
+  const [view, setView] = useState('draft');
+  const [articles, setArticles] = useState([]);
+  const [queue, setQueue] = useState({ processing: [], failed: [] });
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [clusterSizes, setClusterSizes] = useState({});
+  const [clusterFilter, setClusterFilter] = useState(null);
+  const [duplicatesOnly, setDuplicatesOnly] = useState(false);
+  const [clusters, setClusters] = useState([]);
+
+  const [convertOpen, setConvertOpen] = useState(false);
+  const [reporters, setReporters] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [reporter, setReporter] = useState('');
+  const [category, setCategory] = useState('');
+  const [generateAudio, setGenerateAudio] = useState(false);
+  const [converting, setConverting] = useState(false);
+
+  const [preview, setPreview] = useState(null);
+  const [previewDuplicates, setPreviewDuplicates] = useState([]);
+
+  const isQueueView = view === 'processing' || view === 'failed';
+  const isClusterView = view === 'clusters';
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  useEffect(() => {
+    setSelected([]);
+    if (isClusterView) fetchClusters();
+    else if (!isQueueView) fetchArticles();
+  }, [view, page, rowsPerPage, clusterFilter, duplicatesOnly]);
+
+  // Keep the queue fresh while conversions are running
+  useEffect(() => {
+    if (queue.processing.length === 0) return undefined;
+    const timer = setInterval(() => {
+      fetchQueue();
+      if (view === 'processed') fetchArticles();
+    }, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [queue.processing.length, view]);
+
+  const fetchArticles = async () => {
+    setLoading(true);
+    try {
+      const params = { page: page + 1, limit: rowsPerPage };
+      // A cluster is shown whole, whatever each copy's status
+      if (clusterFilter) params.cluster = clusterFilter;
+      else params.articleStatus = view;
+      if (duplicatesOnly) params.duplicates = 'true';
+      if (search.trim()) params.search = search.trim();
+      const response = await scrapedArticlesApi.getAll(params);
+      setArticles(response.data.articles);
+      setClusterSizes(response.data.clusters || {});
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      console.error('Failed to fetch scraped articles:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchClusters = async () => {
+    setLoading(true);
+    try {
+      const response = await scrapedArticlesApi.getClusters({ page: page + 1, limit: rowsPerPage });
+      setClusters(response.data.clusters);
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      console.error('Failed to fetch duplicate clusters:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showCluster = (clusterId) => {
+    setClusterFilter(clusterId);
+    setPage(0);
+    if (isQueueView || isClusterView) setView('draft');
+  };
+
+  const fetchQueue = async () => {
+    try {
+      const response = await scrapedArticlesApi.getQueue();
+      setQueue(response.data);
+    } catch (err) {
+      console.error('Failed to fetch conversion queue:', err);
+    } finally {
+      if (isQueueView) setLoading(false);
+    }
+  };
+
+  const openConvertDialog = async () => {
+    setConvertOpen(true);
+    try {
+      const [reportersRes, categoriesRes] = await Promise.all([
+        usersApi.getReporters(),
+        categoriesApi.getAll({ active: 'true', raw: 'true' })
+      ]);
+      setReporters(reportersRes.data.reporters);
+      setCategories(categoriesRes.data.categories);
+    } catch (err) {
+      console.error('Failed to load reporters or categories:', err);
+    }
+  };
+
+  const handleConvert = async () => {
+    setConverting(true);
+    try {
+      const response = await scrapedArticlesApi.convert({
+        ids: selected,
+        reporter,
+        category,
+        generateAudio
+      });
+      const { queued, skipped } = response.data;
+      setMessage({
+        severity: 'success',
+        text: skipped > 0
+          ? `${queued} article(s) queued, ${skipped} skipped (already queued or converted)`
+          : `${queued} article(s) queued for conversion`
+      });
+      setConvertOpen(false);
+      setSelected([]);
+      fetchQueue();
+      if (!isQueueView) fetchArticles();
+    } catch (err) {
+      setMessage({ severity: 'error', text: err.response?.data?.error || 'Failed to queue conversion' });
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(0);
+    fetchArticles();
+  };
+
+  const openPreview = async (id) => {
+    setPreviewDuplicates([]);
+    try {
+      const [articleRes, duplicatesRes] = await Promise.all([
+        scrapedArticlesApi.getById(id),
+        scrapedArticlesApi.getDuplicates(id)
+      ]);
+      setPreview(articleRes.data.article);
+      setPreviewDuplicates(duplicatesRes.data.matches);
+    } catch (err) {
+      console.error('Failed to fetch scraped article:', err);
+    }
+  };
+
+  const rows = view === 'processing'
+    ? queue.processing
+    : view === 'failed' ? queue.failed : articles;
+
+  const selectable = view === 'draft' || view === 'failed';
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]));
+  };
+  const allSelected = rows.length > 0 && rows.every(row => selected.includes(row._id));
+  const toggleAll = () => setSelected(allSelected ? [] : rows.map(row => row._id));
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString(lang === 'hi' ? 'hi-IN' : 'en-IN', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const renderStatus = (row) => {
+    if (view === 'processing') {
+      return (
+        <Chip
+          label={STEP_LABELS[row.conversion?.step] || 'Processing'}
+          size="small"
+          color={row.conversion?.startedAt ? 'info' : 'default'}
+        />
+      );
+    }
+    if (row.processingError) {
+      return (
+        <Tooltip title={row.processingError}>
+          <Chip label="Failed" size="small" color="error" />
+        </Tooltip>
+      );
+    }
+    if (row.articleStatus === 'processed' || row.articleStatus === 'completed') {
+      return <Chip label="Converted" size="small" color="success" />;
+    }
+    return <Chip label="New" size="small" variant="outlined" />;
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h5" fontWeight={700}>
+          Scraped Articles
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <IconButton
+            onClick={() => {
+              fetchQueue();
+              if (isClusterView) fetchClusters();
+              else if (!isQueueView) fetchArticles();
+            }}
+          >
+            <RefreshIcon />
+          </IconButton>
+          <Button
+            variant="contained"
+            startIcon={<ConvertIcon />}
+            disabled={selected.length === 0}
+            onClick={openConvertDialog}
+          >
+            Convert to Drafts{selected.length > 0 ? ` (${selected.length})` : ''}
+          </Button>
+        </Box>
+      </Box>
+
+      {message && (
+        <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mb: 2 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Tabs
+        value={view}
+        onChange={(_, value) => { setView(value); setPage(0); setClusterFilter(null); }}
+        sx={{ mb: 2 }}
+      >
+        <Tab value="draft" label="To Convert" />
+        <Tab value="processing" label={`Processing (${queue.processing.length})`} />
+        <Tab value="failed" label={`Failed (${queue.failed.length})`} />
+        <Tab value="processed" label="Converted" />
+        <Tab value="clusters" label="Duplicate Clusters" />
+      </Tabs>
+
+      {!isQueueView && !isClusterView && (
+        <Box
+          component="form"
+          onSubmit={handleSearch}
+          sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', alignItems: 'center' }}
+        >
+          <TextField
+            size="small"
+            placeholder="Search title, body or URL..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            sx={{ minWidth: 320 }}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon />
+                </InputAdornment>
+              )
+            }}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={duplicatesOnly}
+                onChange={(e) => { setDuplicatesOnly(e.target.checked); setPage(0); }}
+              />
+            }
+            label="Likely duplicates only"
+          />
+          {clusterFilter && (
+            <Chip
+              label="Showing one duplicate cluster"
+              color="primary"
+              variant="outlined"
+              onDelete={() => { setClusterFilter(null); setPage(0); }}
+            />
+          )}
+        </Box>
+      )}
+
+      {isClusterView && (
+        <Card>
+          {loading && <LinearProgress />}
+          {clusters.length === 0 && !loading ? (
+            <Typography color="text.secondary" align="center" sx={{ py: 4 }}>
+              No duplicate clusters
+            </Typography>
+          ) : (
+            <List disablePadding>
+              {clusters.map((cluster) => (
+                <ListItem
+                  key={cluster._id}
+                  divider
+                  alignItems="flex-start"
+                  secondaryAction={
+                    <Button size="small" onClick={() => showCluster(cluster._id)}>
+                      Show
+                    </Button>
+                  }
+                >
+                  <ListItemText
+                    primary={cluster.articles[0]?.title}
+                    secondary={
+                      <>
+                        {`${cluster.size} copies from ${cluster.sources.join(', ')}`}
+                        {' · latest '}
+                        {formatDate(cluster.latestAt)}
+                        {cluster.articles.some(a => a.articleId) && ' · already converted'}
+                      </>
+                    }
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(_, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+          />
+        </Card>
+      )}
+
+      {!isClusterView && (
+        <Card>
+          {loading && <LinearProgress />}
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  {selectable && (
+                    <TableCell padding="checkbox">
+                      <Checkbox checked={allSelected} onChange={toggleAll} />
+                    </TableCell>
+                  )}
+                  <TableCell>Title</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>{isQueueView ? 'Reporter / Category' : 'Scraped'}</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.length === 0 && !loading ? (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">
+                      <Typography color="text.secondary" sx={{ py: 3 }}>
+                        Nothing here
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : rows.map((row) => (
+                  <TableRow key={row._id} hover selected={selected.includes(row._id)}>
+                    {selectable && (
+                      <TableCell padding="checkbox">
+                        <Checkbox
+                          checked={selected.includes(row._id)}
+                          onChange={() => toggleSelected(row._id)}
+                        />
+                      </TableCell>
+                    )}
+                    <TableCell sx={{ maxWidth: 360 }}>
+                      <Typography variant="body2" fontWeight={500} noWrap>
+                        {row.title}
+                      </Typography>
+                      {row.dedup?.matches?.length > 0 && (
+                        <Box sx={{ display: 'flex', gap: 0.5, mt: 0.5, flexWrap: 'wrap' }}>
+                          <Tooltip
+                            title={row.dedup.matches
+                              .map(m => `${m.kind === 'article' ? 'Article' : 'Scraped'}: ${m.title} (${formatSimilarity(m.similarity)})`)
+                              .join('\n')}
+                            componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                          >
+                            <Chip
+                              icon={<DuplicateIcon />}
+                              label={row.dedup.matches[0].kind === 'article'
+                                ? `Matches article · ${formatSimilarity(row.dedup.matches[0].similarity)}`
+                                : `Likely duplicate · ${formatSimilarity(row.dedup.matches[0].similarity)}`}
+                              size="small"
+                              color={row.dedup.matches[0].kind === 'article' ? 'error' : 'warning'}
+                              variant="outlined"
+                            />
+                          </Tooltip>
+                          {row.dedup.cluster && clusterSizes[row.dedup.cluster] > 1 && !clusterFilter && (
+                            <Chip
+                              label={`Cluster of ${clusterSizes[row.dedup.cluster]}`}
+                              size="small"
+                              onClick={() => showCluster(row.dedup.cluster)}
+                            />
+                          )}
+                        </Box>
+                      )}
+                      {row.processingError && (
+                        <Typography variant="caption" color="error" display="block" noWrap>
+                          {row.processingError}
+                        </Typography>
+                      )}
+                      {row.conversion?.detectedLanguage && (
+                        <Typography variant="caption" color="text.secondary">
+                          Detected: {row.conversion.detectedLanguage}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{row.source}</TableCell>
+                    <TableCell>{renderStatus(row)}</TableCell>
+                    <TableCell>
+                      {isQueueView ? (
+                        <Typography variant="caption">
+                          {row.conversion?.reporter?.name || '-'}
+                          {' / '}
+                          {getLocalizedValue(row.conversion?.category?.name, lang) || '-'}
+                        </Typography>
+                      ) : formatDate(row.createdAt)}
+                    </TableCell>
+                    <TableCell align="right">
+                      <IconButton size="small" onClick={() => openPreview(row._id)}>
+                        <ViewIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton size="small" component="a" href={row.url} target="_blank" rel="noopener noreferrer">
+                        <OpenIcon fontSize="small" />
+                      </IconButton>
+                      {row.articleId && (
+                        <IconButton
+                          size="small"
+                          color="primary"
+                          onClick={() => navigate(`/dashboard/articles/edit/${row.articleId._id || row.articleId}`)}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          {!isQueueView && (
+            <TablePagination
+              component="div"
+              count={total}
+              page={page}
+              onPageChange={(_, newPage) => setPage(newPage)}
+              rowsPerPage={rowsPerPage}
+              onRowsPerPageChange={(e) => {
+                setRowsPerPage(parseInt(e.target.value, 10));
+                setPage(0);
+              }}
+            />
+          )}
+        </Card>
+      )}
+
+      {/* Convert Dialog */}
+      <Dialog open={convertOpen} onClose={() => setConvertOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Convert {selected.length} article(s) to drafts</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Each article is cleaned, its language detected and translated into every language,
+            then saved as a draft for the selected reporter.
+          </Typography>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Reporter</InputLabel>
+            <Select value={reporter} label="Reporter" onChange={(e) => setReporter(e.target.value)}>
+              {user && <MenuItem value={user._id || user.id}>{user.name} (me)</MenuItem>}
+              {reporters.map((r) => (
+                <MenuItem key={r._id} value={r._id}>{r.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Category</InputLabel>
+            <Select value={category} label="Category" onChange={(e) => setCategory(e.target.value)}>
+              {categories.map((cat) => (
+                <MenuItem key={cat._id} value={cat._id}>
+                  {getLocalizedValue(cat.name, lang)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControlLabel
+            control={<Switch checked={generateAudio} onChange={(e) => setGenerateAudio(e.target.checked)} />}
+            label="Generate audio"
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConvertOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleConvert}
+            disabled={!reporter || !category || converting}
+          >
+            Queue Conversion
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Preview Dialog */}
+      <Dialog open={Boolean(preview)} onClose={() => setPreview(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{preview?.title}</DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 2 }}>
+            {preview?.source} {preview?.published && `· ${preview.published}`}
+          </Typography>
+          {previewDuplicates.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              <Typography variant="body2" fontWeight={600} gutterBottom>
+                Similar articles
+              </Typography>
+              {previewDuplicates.map((match) => (
+                <Typography key={`${match.kind}-${match.id}`} variant="body2">
+                  {formatSimilarity(match.similarity)} · {match.kind === 'article'
+                    ? `Article (${match.status}): ${match.title}`
+                    : `${match.source}: ${match.title}`}
+                </Typography>
+              ))}
+            </Alert>
+          )}
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+            {preview?.body || 'No body'}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreview(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ScrapedQueue;
@@ -18,16 +18,35 @@ import {
   MenuItem,
   TextField,
   InputAdornment,
-  Alert
+  Alert,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  FormControl,
+  InputLabel,
+  Select,
+  Paper
 } from '@mui/material';
 import {
   Search as SearchIcon,
-  MoreVert as MoreIcon
+  MoreVert as MoreIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  AccountTree as WorkflowIcon,
+  AdminPanelSettings as RolesIcon
 } from '@mui/icons-material';
-import { usersApi } from '../../services/api';
+import { usersApi, workflowApi, rolesApi, categoriesApi, locationsApi, languagesApi } from '../../services/api';
+import { getLocalizedValue } from '../../services/languageService';
+
+const emptyGrant = { role: '', categories: [], cities: [], languages: [] };
 
 const UsersManager = () => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
 
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -39,11 +58,67 @@ const UsersManager = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [workflowSteps, setWorkflowSteps] = useState([]);
+  const [stepsUser, setStepsUser] = useState(null);
+  const [userSteps, setUserSteps] = useState([]);
+  const [stepsDialogOpen, setStepsDialogOpen] = useState(false);
+  const [editedSteps, setEditedSteps] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [permissionList, setPermissionList] = useState([]);
+  const [rolesDialogOpen, setRolesDialogOpen] = useState(false);
+  const [editedRoles, setEditedRoles] = useState([]);
+  const [grantsUser, setGrantsUser] = useState(null);
+  const [userGrants, setUserGrants] = useState([]);
+  const [scopeOptions, setScopeOptions] = useState(null);
 
   useEffect(() => {
     fetchUsers();
   }, [page, rowsPerPage, searchQuery]);
 
+  useEffect(() => {
+    fetchWorkflowSteps();
+    fetchRoles();
+    fetchScopeOptions();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await rolesApi.getAll();
+      setRoles(response.data.roles);
+      setPermissionList(response.data.permissions);
+    } catch (err) {
+      console.error('Failed to fetch roles:', err);
+    }
+  };
+
+  // Categories, cities and languages a grant can be limited to
+  const fetchScopeOptions = async () => {
+    try {
+      const [categoriesRes, citiesRes, languagesRes] = await Promise.all([
+        categoriesApi.getAll(),
+        locationsApi.getCities(),
+        languagesApi.getAll()
+      ]);
+      setScopeOptions({
+        categories: categoriesRes.data.categories || [],
+        cities: citiesRes.data.cities || [],
+        languages: languagesRes.data.languages || []
+      });
+    } catch (err) {
+      console.error('Failed to fetch scope options:', err);
+      setError('Failed to load categories, cities and languages');
+    }
+  };
+
+  const fetchWorkflowSteps = async () => {
+    try {
+      const response = await workflowApi.getSteps();
+      setWorkflowSteps(response.data.steps);
+    } catch (err) {
+      console.error('Failed to fetch workflow steps:', err);
+    }
+  };
+
   const fetchUsers = async () => {
     setLoading(true);
     try {
@@ -92,6 +167,113 @@ const UsersManager = () => {
     handleMenuClose();
   };
 
+  const openReviewSteps = () => {
+    setStepsUser(selectedUser);
+    setUserSteps(selectedUser.reviewSteps || []);
+    handleMenuClose();
+  };
+
+  const toggleUserStep = (key) => {
+    setUserSteps(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleSaveUserSteps = async () => {
+    try {
+      await usersApi.setReviewSteps(stepsUser._id, userSteps);
+      setSuccess(`Review steps updated for ${stepsUser.name}`);
+      setStepsUser(null);
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update review steps');
+    }
+  };
+
+  const openStepsDialog = () => {
+    setEditedSteps(workflowSteps.map(({ key, name, description }) => ({ key, name, description: description || '' })));
+    setStepsDialogOpen(true);
+  };
+
+  const updateEditedStep = (index, field, value) => {
+    setEditedSteps(prev => prev.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+  };
+
+  const handleSaveWorkflow = async () => {
+    try {
+      const response = await workflowApi.updateSteps(editedSteps);
+      setWorkflowSteps(response.data.steps);
+      setSuccess('Workflow steps updated');
+      setStepsDialogOpen(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update workflow steps');
+    }
+  };
+
+  const openGrants = () => {
+    setGrantsUser(selectedUser);
+    setUserGrants((selectedUser.grants || []).map(grant => ({ ...emptyGrant, ...grant })));
+    handleMenuClose();
+  };
+
+  const updateGrant = (index, field, value) => {
+    setUserGrants(prev => prev.map((grant, i) => (i === index ? { ...grant, [field]: value } : grant)));
+  };
+
+  const handleSaveGrants = async () => {
+    try {
+      await usersApi.setGrants(grantsUser._id, userGrants);
+      setSuccess(`Permissions updated for ${grantsUser.name}`);
+      setGrantsUser(null);
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.details?.join(', ') || err.response?.data?.error || 'Failed to update permissions');
+    }
+  };
+
+  const openRolesDialog = () => {
+    setEditedRoles(roles.map(({ key, name, description, permissions }) => ({
+      key, name, description: description || '', permissions: [...permissions]
+    })));
+    setRolesDialogOpen(true);
+  };
+
+  const updateEditedRole = (index, field, value) => {
+    setEditedRoles(prev => prev.map((role, i) => (i === index ? { ...role, [field]: value } : role)));
+  };
+
+  const toggleRolePermission = (index, permission) => {
+    const { permissions } = editedRoles[index];
+    updateEditedRole(index, 'permissions', permissions.includes(permission)
+      ? permissions.filter(p => p !== permission)
+      : [...permissions, permission]);
+  };
+
+  const handleSaveRoles = async () => {
+    try {
+      const response = await rolesApi.update(editedRoles);
+      setRoles(response.data.roles);
+      setSuccess(response.data.revoked
+        ? `Roles updated; removed roles were withdrawn from ${response.data.revoked} reporter(s)`
+        : 'Roles updated');
+      setRolesDialogOpen(false);
+      if (response.data.revoked) fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.details?.join(', ') || err.response?.data?.error || 'Failed to update roles');
+    }
+  };
+
+  const roleName = (key) => roles.find(r => r.key === key)?.name || key;
+
+  // Short description of a grant's scope, e.g. "Politics, Hyderabad · te"
+  const grantScope = (grant) => {
+    const parts = [
+      ...(grant.categories || []).map(id => getLocalizedValue(scopeOptions?.categories.find(c => c._id === id)?.name, i18n.language)),
+      ...(grant.cities || []).map(id => scopeOptions?.cities.find(c => c._id === id)?.name)
+    ].filter(Boolean);
+    const scoped = (grant.categories || []).length + (grant.cities || []).length;
+    const where = scoped === 0 ? 'everywhere' : parts.join(', ');
+    return grant.languages?.length ? `${where} · ${grant.languages.join(', ')}` : where;
+  };
+
   const getRoleColor = (role) => {
     switch (role) {
       case 'admin': return 'error';
@@ -115,6 +297,14 @@ const UsersManager = () => {
         <Typography variant="h5" fontWeight={700}>
           {t('manageUsers')}
         </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button variant="outlined" startIcon={<RolesIcon />} onClick={openRolesDialog}>
+            Roles
+          </Button>
+          <Button variant="outlined" startIcon={<WorkflowIcon />} onClick={openStepsDialog}>
+            Review Workflow
+          </Button>
+        </Box>
       </Box>
 
       {error && <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>{error}</Alert>}
@@ -173,13 +363,32 @@ const UsersManager = () => {
                         </Typography>
                       </Box>
                     </TableCell>
-                    <TableCell>{user.email}</TableCell>
+                    <TableCell>{user.email || user.phone}</TableCell>
                     <TableCell>
                       <Chip
                         label={user.role}
                         size="small"
                         color={getRoleColor(user.role)}
                       />
+                      {user.reviewSteps?.map(key => (
+                        <Chip
+                          key={key}
+                          label={workflowSteps.find(s => s.key === key)?.name || key}
+                          size="small"
+                          variant="outlined"
+                          sx={{ ml: 0.5 }}
+                        />
+                      ))}
+                      {user.grants?.map((grant, index) => (
+                        <Chip
+                          key={`grant-${index}`}
+                          label={`${roleName(grant.role)}: ${grantScope(grant)}`}
+                          size="small"
+                          color="secondary"
+                          variant="outlined"
+                          sx={{ ml: 0.5 }}
+                        />
+                      ))}
                     </TableCell>
                     <TableCell>
                       <Chip
@@ -248,10 +457,278 @@ const UsersManager = () => {
           </MenuItem>
         )}
         <MenuItem divider />
+        {selectedUser?.role !== 'user' && (
+          <MenuItem onClick={openReviewSteps}>
+            Review Steps
+          </MenuItem>
+        )}
+        {selectedUser?.role === 'reporter' && (
+          <MenuItem onClick={openGrants}>
+            Permissions
+          </MenuItem>
+        )}
         <MenuItem onClick={handleStatusToggle}>
           {selectedUser?.isActive ? 'Deactivate User' : 'Activate User'}
         </MenuItem>
       </Menu>
+
+      {/* Review Steps Dialog */}
+      <Dialog open={Boolean(stepsUser)} onClose={() => setStepsUser(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Review Steps: {stepsUser?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Pending articles are assigned to reviewers of each step, preferring those
+            whose assigned categories match the article.
+          </Typography>
+          <FormGroup>
+            {workflowSteps.map(step => (
+              <FormControlLabel
+                key={step.key}
+                control={
+                  <Checkbox
+                    checked={userSteps.includes(step.key)}
+                    onChange={() => toggleUserStep(step.key)}
+                  />
+                }
+                label={step.name}
+              />
+            ))}
+          </FormGroup>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStepsUser(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveUserSteps}>Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Permissions Dialog */}
+      <Dialog open={Boolean(grantsUser)} onClose={() => setGrantsUser(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Permissions: {grantsUser?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Every reporter has the {roleName('reporter')} role. Grant further roles here, limited to
+            some categories, cities or languages; leave a scope empty to grant it everywhere.
+          </Typography>
+          {userGrants.map((grant, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1.5, alignItems: 'center', flexWrap: 'wrap' }}>
+              <FormControl size="small" sx={{ width: 170 }}>
+                <InputLabel>Role</InputLabel>
+                <Select
+                  value={grant.role}
+                  label="Role"
+                  onChange={(e) => updateGrant(index, 'role', e.target.value)}
+                >
+                  {roles.filter(role => role.key !== 'reporter').map(role => (
+                    <MenuItem key={role.key} value={role.key}>{role.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ width: 170 }}>
+                <InputLabel>Categories</InputLabel>
+                <Select
+                  multiple
+                  value={grant.categories}
+                  label="Categories"
+                  onChange={(e) => updateGrant(index, 'categories', e.target.value)}
+                  renderValue={(selected) => `${selected.length} selected`}
+                >
+                  {scopeOptions?.categories.map(category => (
+                    <MenuItem key={category._id} value={category._id}>
+                      <Checkbox size="small" checked={grant.categories.includes(category._id)} />
+                      {getLocalizedValue(category.name, i18n.language)}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ width: 150 }}>
+                <InputLabel>Cities</InputLabel>
+                <Select
+                  multiple
+                  value={grant.cities}
+                  label="Cities"
+                  onChange={(e) => updateGrant(index, 'cities', e.target.value)}
+                  renderValue={(selected) => `${selected.length} selected`}
+                >
+                  {scopeOptions?.cities.map(city => (
+                    <MenuItem key={city._id} value={city._id}>
+                      <Checkbox size="small" checked={grant.cities.includes(city._id)} />
+                      {city.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ width: 150 }}>
+                <InputLabel>Languages</InputLabel>
+                <Select
+                  multiple
+                  value={grant.languages}
+                  label="Languages"
+                  onChange={(e) => updateGrant(index, 'languages', e.target.value)}
+                  renderValue={(selected) => selected.join(', ')}
+                >
+                  {scopeOptions?.languages.map(language => (
+                    <MenuItem key={language.code} value={language.code}>
+                      <Checkbox size="small" checked={grant.languages.includes(language.code)} />
+                      {language.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <IconButton size="small" onClick={() => setUserGrants(prev => prev.filter((_, i) => i !== index))}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => setUserGrants(prev => [...prev, { ...emptyGrant }])}
+          >
+            Grant Role
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setGrantsUser(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveGrants}
+            disabled={userGrants.some(grant => !grant.role)}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Roles Dialog */}
+      <Dialog open={rolesDialogOpen} onClose={() => setRolesDialogOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>Roles</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            A role is a set of permissions. Every reporter has the reporter role; the others are
+            granted to reporters from their Permissions. Admins can do everything.
+          </Typography>
+          {editedRoles.map((role, index) => (
+            <Paper key={index} variant="outlined" sx={{ p: 1.5, mb: 1.5 }}>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                <TextField
+                  size="small"
+                  label="Key"
+                  value={role.key}
+                  onChange={(e) => updateEditedRole(index, 'key', e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, '-'))}
+                  disabled={role.key === 'reporter'}
+                  sx={{ width: 150 }}
+                />
+                <TextField
+                  size="small"
+                  label="Name"
+                  value={role.name}
+                  onChange={(e) => updateEditedRole(index, 'name', e.target.value)}
+                  sx={{ width: 180 }}
+                />
+                <TextField
+                  size="small"
+                  label="Description"
+                  value={role.description}
+                  onChange={(e) => updateEditedRole(index, 'description', e.target.value)}
+                  sx={{ flexGrow: 1 }}
+                />
+                <IconButton
+                  size="small"
+                  onClick={() => setEditedRoles(prev => prev.filter((_, i) => i !== index))}
+                  disabled={role.key === 'reporter'}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+              <FormGroup row>
+                {permissionList.map(permission => (
+                  <FormControlLabel
+                    key={permission.key}
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={role.permissions.includes(permission.key)}
+                        onChange={() => toggleRolePermission(index, permission.key)}
+                      />
+                    }
+                    label={<Typography variant="body2" title={permission.description}>{permission.key}</Typography>}
+                  />
+                ))}
+              </FormGroup>
+            </Paper>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => setEditedRoles(prev => [...prev, { key: '', name: '', description: '', permissions: [] }])}
+          >
+            Add Role
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRolesDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveRoles}
+            disabled={editedRoles.some(role => role.key.length < 2 || role.name.length < 2)}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Workflow Steps Dialog */}
+      <Dialog open={stepsDialogOpen} onClose={() => setStepsDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Review Workflow</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Articles pass through these steps in order before they are published.
+          </Typography>
+          {editedSteps.map((step, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1.5, alignItems: 'center' }}>
+              <Typography variant="body2" sx={{ width: 20 }}>{index + 1}.</Typography>
+              <TextField
+                size="small"
+                label="Key"
+                value={step.key}
+                onChange={(e) => updateEditedStep(index, 'key', e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, '-'))}
+                sx={{ width: 150 }}
+              />
+              <TextField
+                size="small"
+                label="Name"
+                value={step.name}
+                onChange={(e) => updateEditedStep(index, 'name', e.target.value)}
+                sx={{ flexGrow: 1 }}
+              />
+              <IconButton
+                size="small"
+                onClick={() => setEditedSteps(prev => prev.filter((_, i) => i !== index))}
+                disabled={editedSteps.length === 1}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => setEditedSteps(prev => [...prev, { key: '', name: '', description: '' }])}
+          >
+            Add Step
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStepsDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveWorkflow}
+            disabled={editedSteps.some(step => step.key.length < 2 || step.name.length < 2)}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -1,5 +1,7 @@
 import axios from 'axios';
 import Cookies from 'js-cookie';
+// offlineService imports this module too; it is only used inside functions
+import offlineService from './offlineService';
 
 //const API_BASE_URL =  'http://localhost:5001/api';
 const API_BASE_URL = "https://taajanews-api.onrender.com/api";
@@ -14,10 +16,79 @@ const api = axios.create({
 
 console.log("demo")
 
+const TOKEN_COOKIE = 'taaja_token';
+const REFRESH_COOKIE = 'taaja_refresh';
+// Matches REFRESH_TOKEN_DAYS on the server
+const AUTH_COOKIE_DAYS = 30;
+// Auth calls that must not trigger a refresh themselves
+const AUTH_URL = /^\/auth\/(login|register|refresh|admin\/setup|forgot-password|reset-password|verify-email$|phone\/(request|verify)-otp)/;
+
+export const setAuthTokens = ({ token, refreshToken }) => {
+  Cookies.set(TOKEN_COOKIE, token, { expires: AUTH_COOKIE_DAYS });
+  if (refreshToken) {
+    Cookies.set(REFRESH_COOKIE, refreshToken, { expires: AUTH_COOKIE_DAYS });
+  }
+};
+
+export const clearAuthTokens = () => {
+  Cookies.remove(TOKEN_COOKIE);
+  Cookies.remove(REFRESH_COOKIE);
+};
+
+export const hasAuthTokens = () => Boolean(Cookies.get(TOKEN_COOKIE) || Cookies.get(REFRESH_COOKIE));
+
+// Whether an access token has expired (or will within a few seconds)
+const isTokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(window.atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 < Date.now() + 10 * 1000;
+  } catch (e) {
+    return true;
+  }
+};
+
+let refreshing = null;
+
+// Swap the refresh token for new tokens; concurrent callers share one request
+const refreshTokens = () => {
+  if (!refreshing) {
+    const refreshToken = Cookies.get(REFRESH_COOKIE);
+    const request = refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { withCredentials: true })
+      : Promise.reject(new Error('No refresh token'));
+
+    refreshing = request
+      .then((response) => {
+        setAuthTokens(response.data);
+        return response.data.token;
+      })
+      .catch(async (err) => {
+        // Another tab refreshed first; its tokens land in the shared cookies
+        if (err.response?.status === 409) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          if (Cookies.get(REFRESH_COOKIE) !== refreshToken) {
+            return Cookies.get(TOKEN_COOKIE);
+          }
+        }
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
-  (config) => {
-    const token = Cookies.get('taaja_token');
+  async (config) => {
+    let token = Cookies.get(TOKEN_COOKIE);
+
+    // Refresh ahead of time so optional-auth requests still see the reader
+    if (Cookies.get(REFRESH_COOKIE) && (!token || isTokenExpired(token)) && !AUTH_URL.test(config.url)) {
+      token = await refreshTokens().catch(() => null);
+    }
+
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -33,34 +104,136 @@ api.interceptors.request.use(
   }
 );
 
+// Engagement calls made while offline are queued and replayed on reconnect
+const OFFLINE_QUEUE_KEY = 'taaja_offline_queue';
+const QUEUEABLE_URL = /^\/engagement\/(view|like|dislike|share|bookmark)\//;
+
+const readOfflineQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OFFLINE_QUEUE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const writeOfflineQueue = (queue) => {
+  localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+};
+
+const parseData = (data) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+};
+
+// Drop queued engagement so it is never replayed as another reader
+export const clearOfflineQueue = () => {
+  localStorage.removeItem(OFFLINE_QUEUE_KEY);
+};
+
+let replaying = false;
+
+// Send queued engagement calls in order; stops at the first network failure
+export const replayOfflineQueue = async () => {
+  if (replaying) return;
+  replaying = true;
+
+  try {
+    let queue = readOfflineQueue();
+    while (queue.length > 0) {
+      const [next] = queue;
+      try {
+        await api.request({ method: next.method, url: next.url, data: next.data, offlineReplay: true });
+      } catch (err) {
+        // Still offline - keep the rest for the next reconnect
+        if (!err.response) break;
+      }
+      queue = readOfflineQueue().slice(1);
+      writeOfflineQueue(queue);
+    }
+  } finally {
+    replaying = false;
+  }
+};
+
+// Clear tokens and the reader's offline data, and send them to login
+const redirectToLogin = async () => {
+  clearAuthTokens();
+  await offlineService.clear().catch(err => console.error('Failed to clear offline data:', err));
+  // Don't redirect if already on auth pages
+  if (!window.location.pathname.includes('/auth')) {
+    window.location.href = '/auth/login';
+  }
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
   (error) => {
+    const { config } = error;
+    if (!error.response && config && config.method === 'post' &&
+        QUEUEABLE_URL.test(config.url) && !config.offlineReplay) {
+      writeOfflineQueue([
+        ...readOfflineQueue(),
+        { method: config.method, url: config.url, data: parseData(config.data) }
+      ]);
+      // Callers can update the UI optimistically
+      error.queued = true;
+      return Promise.reject(error);
+    }
+
     if (error.response?.status === 401) {
-      // Clear token and redirect to login if unauthorized
-      Cookies.remove('taaja_token');
-      // Don't redirect if already on auth pages
-      if (!window.location.pathname.includes('/auth')) {
-        window.location.href = '/auth/login';
+      // Try once more with fresh tokens
+      if (config && !config.authRetry && !AUTH_URL.test(config.url) && Cookies.get(REFRESH_COOKIE)) {
+        return refreshTokens()
+          .catch((refreshError) => {
+            // Keep the tokens if the refresh only failed for lack of network
+            if (refreshError.response) redirectToLogin();
+            return Promise.reject(error);
+          })
+          .then(() => api.request({ ...config, authRetry: true }));
+      }
+
+      if (!AUTH_URL.test(config?.url)) {
+        redirectToLogin();
       }
     }
     return Promise.reject(error);
   }
 );
 
+// Replay anything queued during an earlier offline session
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', replayOfflineQueue);
+  if (navigator.onLine) replayOfflineQueue();
+}
+
 // API helper functions
 export const articlesApi = {
   getAll: (params) => api.get('/articles', { params }),
+  getFeed: (params) => api.get('/articles/feed', { params }),
+  search: (params) => api.get('/articles/search', { params }),
   getBySlug: (slug, lang = 'en') => api.get(`/articles/slug/${slug}`, { params: { lang } }),
   getById: (id) => api.get(`/articles/${id}`),
   getNearby: (params) => api.get('/articles/nearby', { params }),
+  getByArea: (areaId, params) => api.get(`/articles/by-area/${areaId}`, { params }),
   getTrending: (params) => api.get('/articles/trending', { params }),
   create: (data) => api.post('/articles', data),
   update: (id, data) => api.put(`/articles/${id}`, data),
   updateStatus: (id, status) => api.put(`/articles/${id}/status`, { status }),
   delete: (id) => api.delete(`/articles/${id}`),
-  getManaged: (params) => api.get('/articles/manage/list', { params })
+  getManaged: (params) => api.get('/articles/manage/list', { params }),
+  schedule: (id, data) => api.put(`/articles/${id}/schedule`, data),
+  cancelSchedule: (id) => api.delete(`/articles/${id}/schedule`),
+  getScheduled: (params) => api.get('/articles/manage/scheduled', { params }),
+  getRevisions: (id, params) => api.get(`/articles/${id}/revisions`, { params }),
+  getRevision: (id, revisionId) => api.get(`/articles/${id}/revisions/${revisionId}`),
+  diffRevisions: (id, from, to) => api.get(`/articles/${id}/revisions/diff`, { params: { from, to } }),
+  restoreRevision: (id, revisionId) => api.post(`/articles/${id}/revisions/${revisionId}/restore`),
+  checkDuplicates: (data) => api.post('/articles/check-duplicates', data)
 };
 
 export const categoriesApi = {
@@ -91,10 +264,37 @@ export const engagementApi = {
   bookmark: (articleId) => api.post(`/engagement/bookmark/${articleId}`),
   getBookmarks: (params) => api.get('/engagement/bookmarks', { params }),
   getStatus: (articleId) => api.get(`/engagement/status/${articleId}`),
-  getComments: (articleId) => api.get(`/engagement/comments/${articleId}`),
+  getComments: (articleId, params) => api.get(`/engagement/comments/${articleId}`, { params }),
+  getReplies: (commentId, params) => api.get(`/engagement/comments/${commentId}/replies`, { params }),
   addComment: (articleId, data) => api.post(`/engagement/comments/${articleId}`, data),
   likeComment: (commentId) => api.post(`/engagement/comments/${commentId}/like`),
-  moderateComment: (commentId, data) => api.put(`/engagement/comments/${commentId}/moderate`, data)
+  moderateComment: (commentId, data) => api.put(`/engagement/comments/${commentId}/moderate`, data),
+  moderateComments: (data) => api.post('/engagement/comments/moderation/bulk', data),
+  getModerationQueue: (params) => api.get('/engagement/comments/pending/list', { params }),
+  reportComment: (commentId, data) => api.post(`/engagement/comments/${commentId}/report`, data),
+  getMyModeration: () => api.get('/engagement/moderation/me'),
+  createAppeal: (data) => api.post('/engagement/appeals', data),
+  getAppeals: (params) => api.get('/engagement/appeals', { params }),
+  reviewAppeal: (id, data) => api.put(`/engagement/appeals/${id}`, data),
+  // Server-Sent Events stream for EventSource
+  liveUrl: (articleId) => `${API_BASE_URL}/engagement/live/${articleId}`
+};
+
+export const liveBlogsApi = {
+  get: (articleId, params) => api.get(`/live-blogs/${articleId}`, { params }),
+  postEntry: (articleId, data) => api.post(`/live-blogs/${articleId}/entries`, data),
+  updateEntry: (articleId, entryId, data) => api.put(`/live-blogs/${articleId}/entries/${entryId}`, data),
+  deleteEntry: (articleId, entryId) => api.delete(`/live-blogs/${articleId}/entries/${entryId}`),
+  translateEntry: (articleId, entryId) => api.post(`/live-blogs/${articleId}/entries/${entryId}/translate`),
+  setState: (articleId, state) => api.put(`/live-blogs/${articleId}/state`, { state }),
+  setContributors: (articleId, contributors) => api.put(`/live-blogs/${articleId}/contributors`, { contributors }),
+  searchContributors: (articleId, q) => api.get(`/live-blogs/${articleId}/contributors/search`, { params: { q } })
+};
+
+export const pushApi = {
+  getPublicKey: () => api.get('/push/public-key'),
+  subscribe: (data) => api.post('/push/subscriptions', data),
+  unsubscribe: (endpoint) => api.delete('/push/subscriptions', { data: { endpoint } })
 };
 
 export const uploadApi = {
@@ -118,7 +318,18 @@ export const authApi = {
   register: (name, email, password) => api.post('/auth/register', { name, email, password }),
   logout: () => api.post('/auth/logout'),
   getMe: () => api.get('/auth/me'),
-  createAdmin: (data) => api.post('/auth/admin/create', data)
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
+  requestPhoneOtp: (phone) => api.post('/auth/phone/request-otp', { phone }),
+  verifyPhoneOtp: (data) => api.post('/auth/phone/verify-otp', data),
+  requestLinkOtp: (phone) => api.post('/auth/phone/link/request-otp', { phone }),
+  linkPhone: (phone, code) => api.post('/auth/phone/link/verify', { phone, code }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeAllSessions: (keepCurrent = false) => api.delete('/auth/sessions', { params: { keepCurrent } }),
+  setupAdmin: (data) => api.post('/auth/admin/setup', data)
 };
 
 export const usersApi = {
@@ -128,11 +339,60 @@ export const usersApi = {
   updateRole: (id, role) => api.put(`/users/${id}/role`, { role }),
   updateStatus: (id, isActive) => api.put(`/users/${id}/status`, { isActive }),
   getReporters: () => api.get('/users/reporters'),
-  assignCategories: (id, categories) => api.put(`/users/reporters/${id}/categories`, { categories })
+  assignCategories: (id, categories) => api.put(`/users/reporters/${id}/categories`, { categories }),
+  setReviewSteps: (id, steps) => api.put(`/users/${id}/review-steps`, { steps }),
+  setGrants: (id, grants) => api.put(`/users/${id}/grants`, { grants }),
+  restrictCommenting: (id, data) => api.put(`/users/${id}/comment-restriction`, data),
+  liftCommentRestriction: (id) => api.delete(`/users/${id}/comment-restriction`)
+};
+
+export const rolesApi = {
+  getAll: () => api.get('/roles'),
+  update: (roles) => api.put('/roles', { roles })
+};
+
+export const workflowApi = {
+  getSteps: () => api.get('/workflow/steps'),
+  updateSteps: (steps) => api.put('/workflow/steps', { steps }),
+  getQueue: (params) => api.get('/workflow/queue', { params }),
+  getReviewers: (params) => api.get('/workflow/reviewers', { params }),
+  submit: (id) => api.post(`/workflow/articles/${id}/submit`),
+  approve: (id, note) => api.post(`/workflow/articles/${id}/approve`, { note }),
+  reject: (id, data) => api.post(`/workflow/articles/${id}/reject`, data),
+  assign: (id, reviewer) => api.put(`/workflow/articles/${id}/assign`, { reviewer }),
+  getHistory: (id) => api.get(`/workflow/articles/${id}/history`)
+};
+
+export const scrapedArticlesApi = {
+  getAll: (params) => api.get('/scraped-articles', { params }),
+  getById: (id) => api.get(`/scraped-articles/${id}`),
+  getStats: () => api.get('/scraped-articles/stats'),
+  getQueue: () => api.get('/scraped-articles/queue'),
+  getClusters: (params) => api.get('/scraped-articles/clusters', { params }),
+  getDuplicates: (id) => api.get(`/scraped-articles/${id}/duplicates`),
+  convert: (data) => api.post('/scraped-articles/convert', data)
 };
 
 export const translateApi = {
-  translate: (data) => api.post('/translate', data)
+  translate: (data) => api.post('/translate', data),
+  getJob: (id) => api.get(`/translate/jobs/${id}`),
+  retryJob: (id) => api.post(`/translate/jobs/${id}/retry`),
+  getProviders: () => api.get('/translate/providers'),
+  getMemoryStats: () => api.get('/translate/memory'),
+  clearMemory: (params) => api.delete('/translate/memory', { params })
+};
+
+export const glossaryApi = {
+  getAll: (params) => api.get('/glossary', { params }),
+  create: (data) => api.post('/glossary', data),
+  update: (id, data) => api.put(`/glossary/${id}`, data),
+  delete: (id) => api.delete(`/glossary/${id}`)
+};
+
+export const apiKeysApi = {
+  getAll: (params) => api.get('/api-keys', { params }),
+  create: (data) => api.post('/api-keys', data),
+  revoke: (id) => api.delete(`/api-keys/${id}`)
 };
 
 export const languagesApi = {
@@ -0,0 +1,203 @@
+import api, { articlesApi, engagementApi, clearOfflineQueue } from './api';
+
+// Shared with public/sw.js
+const DATA_CACHE = 'taaja-data-v1';
+const MEDIA_CACHE = 'taaja-media-v1';
+// slug -> { urls, media, savedAt }
+const INDEX_KEY = 'taaja_offline_index';
+const FEED_LIMIT = 20;
+const BOOKMARK_LIMIT = 50;
+
+/**
+ * Offline Service
+ * Saves the saved city's latest feed and every bookmarked article (with
+ * images and audio in each language) into Cache Storage, where the
+ * service worker serves them from when the network is down
+ */
+class OfflineService {
+  constructor() {
+    this.syncing = null;
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && 'caches' in window;
+  }
+
+  getIndex() {
+    try {
+      return JSON.parse(localStorage.getItem(INDEX_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  setIndex(index) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  }
+
+  /**
+   * Full URL of an article request, exactly as axios sends it
+   */
+  articleUrl(slug, lang) {
+    return api.getUri({ url: `/articles/slug/${slug}`, params: { lang } });
+  }
+
+  /**
+   * Cache one image or audio file (cross-origin files without CORS are
+   * stored opaque, which is still enough to display or play them)
+   */
+  async cacheMedia(cache, url) {
+    if (!url || await cache.match(url)) return;
+    try {
+      const response = await fetch(url, { mode: 'cors' });
+      if (response.ok) await cache.put(url, response);
+    } catch (e) {
+      try {
+        await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+      } catch (err) {
+        console.error('Failed to save media for offline:', err);
+      }
+    }
+  }
+
+  /**
+   * Save an article for offline reading
+   * @param {string} slug - Article slug
+   * @param {Object} options - { lang, withAudio } audio is saved in every language
+   * @returns {boolean} Whether it was saved
+   */
+  async saveArticle(slug, { lang, withAudio = true } = {}) {
+    if (!this.isSupported()) return false;
+
+    try {
+      const dataCache = await caches.open(DATA_CACHE);
+      const mediaCache = await caches.open(MEDIA_CACHE);
+
+      const url = this.articleUrl(slug, lang);
+      const response = await fetch(url);
+      if (!response.ok) return false;
+      await dataCache.put(url, response.clone());
+
+      const { article } = await response.json();
+      const media = [
+        article.featuredImage?.url,
+        ...(article.images || []).map(image => image.url),
+        ...(withAudio ? Object.values(article.audio || {}) : [])
+      ].filter(Boolean);
+
+      for (const mediaUrl of media) {
+        await this.cacheMedia(mediaCache, mediaUrl);
+      }
+
+      const index = this.getIndex();
+      const entry = index[slug] || { urls: [], media: [] };
+      index[slug] = {
+        urls: [...new Set([...entry.urls, url])],
+        media: [...new Set([...entry.media, ...media])],
+        savedAt: new Date().toISOString()
+      };
+      this.setIndex(index);
+      return true;
+    } catch (err) {
+      console.error('Failed to save article for offline:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Drop an article (and media no other saved article uses)
+   */
+  async removeArticle(slug) {
+    if (!this.isSupported()) return;
+
+    const index = this.getIndex();
+    const entry = index[slug];
+    if (!entry) return;
+    delete index[slug];
+    this.setIndex(index);
+
+    const stillUsed = new Set(Object.values(index).flatMap(e => e.media));
+    const dataCache = await caches.open(DATA_CACHE);
+    const mediaCache = await caches.open(MEDIA_CACHE);
+    await Promise.all([
+      ...entry.urls.map(url => dataCache.delete(url)),
+      ...entry.media.filter(url => !stillUsed.has(url)).map(url => mediaCache.delete(url))
+    ]);
+  }
+
+  /**
+   * Whether an article can be read offline in a language
+   */
+  async isSaved(slug, lang) {
+    if (!this.isSupported()) return false;
+    const cache = await caches.open(DATA_CACHE);
+    return Boolean(await cache.match(this.articleUrl(slug, lang)));
+  }
+
+  /**
+   * Forget everything kept offline and any engagement queued while offline,
+   * so the next reader of a shared device sees none of it (responses the
+   * service worker kept, such as bookmarks and the For You feed, included)
+   */
+  async clear() {
+    // A sync under way would save the reader's bookmarks again afterwards
+    if (this.syncing) await this.syncing;
+    clearOfflineQueue();
+    localStorage.removeItem(INDEX_KEY);
+    if (!this.isSupported()) return;
+    await Promise.all([caches.delete(DATA_CACHE), caches.delete(MEDIA_CACHE)]);
+  }
+
+  /**
+   * Refresh everything kept offline: the home feed for the saved city or
+   * area (requested the way Home.jsx asks for it) and all bookmarks
+   * @param {Object} options - { lang, city, area, isAuthenticated }
+   */
+  sync(options) {
+    if (!this.isSupported() || !navigator.onLine) return Promise.resolve();
+    // One sync at a time
+    if (!this.syncing) {
+      this.syncing = this.runSync(options).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async runSync({ lang, city, area, isAuthenticated }) {
+    const keep = new Set();
+
+    try {
+      if (city) {
+        const feedRes = area
+          ? await articlesApi.getByArea(area._id, { lang, limit: FEED_LIMIT })
+          : await articlesApi.getAll({ lang, limit: FEED_LIMIT, city: city._id });
+
+        for (const article of feedRes.data.articles || []) {
+          keep.add(article.slug);
+          await this.saveArticle(article.slug, { lang, withAudio: false });
+        }
+      }
+
+      if (isAuthenticated) {
+        const bookmarksRes = await engagementApi.getBookmarks({ lang, limit: BOOKMARK_LIMIT });
+        for (const article of bookmarksRes.data.articles || []) {
+          keep.add(article.slug);
+          await this.saveArticle(article.slug, { lang });
+        }
+      }
+
+      // Forget stories that left the feed or were unbookmarked
+      const stale = Object.keys(this.getIndex()).filter(slug => !keep.has(slug));
+      for (const slug of stale) {
+        await this.removeArticle(slug);
+      }
+    } catch (err) {
+      console.error('Offline sync failed:', err);
+    }
+  }
+}
+
+// Export singleton instance
+const offlineService = new OfflineService();
+export default offlineService;
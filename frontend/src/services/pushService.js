@@ -0,0 +1,128 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pushApi } from './api';
+
+const SESSION_KEY = 'taaja_push_session';
+const SERVICE_WORKER_URL = '/sw.js';
+
+// VAPID keys are URL-safe base64; PushManager wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+};
+
+/**
+ * Push Service
+ * Registers the service worker and manages the browser's breaking-news
+ * push subscription
+ */
+class PushService {
+  constructor() {
+    this.publicKey = null;
+  }
+
+  /**
+   * Whether this browser can receive push notifications
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  /**
+   * Register the service worker (safe to call more than once)
+   */
+  async register() {
+    if (!('serviceWorker' in navigator)) return null;
+    try {
+      return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+      return null;
+    }
+  }
+
+  /**
+   * VAPID public key from the server (null when push is disabled there)
+   */
+  async getPublicKey() {
+    if (this.publicKey) return this.publicKey;
+    try {
+      const response = await pushApi.getPublicKey();
+      this.publicKey = response.data.enabled ? response.data.publicKey : null;
+    } catch (err) {
+      console.error('Failed to fetch push key:', err);
+    }
+    return this.publicKey;
+  }
+
+  /**
+   * Stable id that ties an anonymous subscription to this browser
+   */
+  getSessionId() {
+    let sessionId = localStorage.getItem(SESSION_KEY);
+    if (!sessionId) {
+      sessionId = uuidv4();
+      localStorage.setItem(SESSION_KEY, sessionId);
+    }
+    return sessionId;
+  }
+
+  /**
+   * Current browser subscription, if any
+   */
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    return registration ? registration.pushManager.getSubscription() : null;
+  }
+
+  /**
+   * Subscribe (or refresh the targeting of an existing subscription)
+   * @param {Object} targeting - { language, city, area, categories }
+   * @returns {boolean} Whether the browser is subscribed
+   */
+  async subscribe(targeting = {}) {
+    if (!this.isSupported()) return false;
+
+    const publicKey = await this.getPublicKey();
+    if (!publicKey) return false;
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') return false;
+
+    const registration = await this.register();
+    if (!registration) return false;
+    await navigator.serviceWorker.ready;
+
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+      });
+
+    await pushApi.subscribe({
+      subscription: subscription.toJSON(),
+      sessionId: this.getSessionId(),
+      ...targeting
+    });
+    return true;
+  }
+
+  /**
+   * Stop breaking-news notifications for this browser
+   */
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    await pushApi.unsubscribe(subscription.endpoint).catch(err => {
+      console.error('Failed to remove push subscription:', err);
+    });
+    await subscription.unsubscribe();
+  }
+}
+
+// Export singleton instance
+const pushService = new PushService();
+export default pushService;